@@ -7,62 +7,24 @@
  * Usage:
  *   node admin-inject-event.js --help
  *   node admin-inject-event.js --event magic-storm
+ *   node admin-inject-event.js --file my-event.json
  *   node admin-inject-event.js --custom --name "Test Event" --scope global --description "A test event"
+ *
+ * Requires ADMIN_API_KEY to match the server's.
  */
 
+const fs = require('fs');
 const http = require('http');
+const { loadEventDefinitions } = require('./server/game/EventDefinitions');
 
 const SERVER_HOST = process.env.SERVER_HOST || 'localhost';
 const SERVER_PORT = process.env.SERVER_PORT || 8080;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
 
-// Predefined events for easy injection
-const PREDEFINED_EVENTS = {
-  'magic-storm': {
-    name: 'Magic Storm',
-    description: 'A powerful magical storm erupts in the Town Square!',
-    scope: 'location',
-    locationId: 'town-square',
-    eventType: 'weather',
-    eventData: {
-      manaDrain: 20,
-      severity: 'moderate'
-    }
-  },
-  'gold-rain': {
-    name: 'Gold Rain',
-    description: 'Gold coins rain from the sky! All players receive bonus currency.',
-    scope: 'global',
-    eventType: 'bonus',
-    handler: function(playerManager, locationManager) {
-      const players = playerManager.getAllPlayers();
-      const playerEffects = {};
-      players.forEach(player => {
-        playerEffects[player.id] = { pennies: 50 };
-      });
-      return { playerEffects };
-    }
-  },
-  'tavern-party': {
-    name: 'Tavern Party',
-    description: 'A celebration at the Tavern! All visitors gain energy.',
-    scope: 'location',
-    locationId: 'tavern',
-    eventType: 'celebration',
-    eventData: {
-      energyBonus: 25
-    }
-  },
-  'lunar-eclipse': {
-    name: 'Lunar Eclipse',
-    description: 'A rare lunar eclipse boosts magical power worldwide!',
-    scope: 'global',
-    eventType: 'celestial',
-    eventData: {
-      manaBonus: 30,
-      duration: 300000 // 5 minutes
-    }
-  }
-};
+// Predefined events are the definition files in server/game/events
+const PREDEFINED_EVENTS = Object.fromEntries(
+  loadEventDefinitions().events.map(event => [event.id, event])
+);
 
 function printHelp() {
   console.log(`
@@ -76,6 +38,7 @@ Options:
   --help                    Show this help message
   --list                    List all predefined events
   --event <name>            Inject a predefined event
+  --file <path>             Inject an event definition from a JSON file
   --custom                  Inject a custom event (requires other options)
   --name <name>            Event name (for custom events)
   --description <desc>     Event description (for custom events)
@@ -89,6 +52,7 @@ ${Object.keys(PREDEFINED_EVENTS).map(key => `  - ${key}`).join('\n')}
 Examples:
   node admin-inject-event.js --list
   node admin-inject-event.js --event magic-storm
+  node admin-inject-event.js --file my-event.json
   node admin-inject-event.js --custom --name "Test" --scope global --description "A test event"
   node admin-inject-event.js --custom --name "Local Test" --scope location --location town-square --description "Test event"
   `);
@@ -106,7 +70,13 @@ function listPredefinedEvents() {
 }
 
 function injectEvent(event) {
-  const data = JSON.stringify({ event });
+  // Periodic schedules only come from definition files on the server
+  const { interval, schedule, ...definition } = event;
+  // Run a windowed event once for the length of its window
+  if (schedule && schedule.windowMs && definition.duration === undefined) {
+    definition.duration = schedule.windowMs;
+  }
+  const data = JSON.stringify({ event: definition });
   
   const options = {
     hostname: SERVER_HOST,
@@ -115,7 +85,8 @@ function injectEvent(event) {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Content-Length': data.length
+      'Content-Length': Buffer.byteLength(data),
+      'X-Admin-API-Key': ADMIN_API_KEY
     }
   };
   
@@ -168,6 +139,8 @@ function parseArgs() {
       options.list = true;
     } else if (arg === '--event') {
       options.event = args[++i];
+    } else if (arg === '--file') {
+      options.file = args[++i];
     } else if (arg === '--custom') {
       options.custom = true;
     } else if (arg === '--name') {
@@ -210,6 +183,18 @@ function main() {
     return;
   }
   
+  if (options.file) {
+    let event;
+    try {
+      event = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not read ${options.file}: ${error.message}`);
+      process.exit(1);
+    }
+    injectEvent(event);
+    return;
+  }
+  
   if (options.custom) {
     if (!options.name || !options.scope || !options.description) {
       console.error('❌ Custom events require --name, --scope, and --description');
@@ -372,6 +372,33 @@ const Achievements = (() => {
     console.log(`✨ Achievement earned: ${achievement.name}`);
   }
 
+  /**
+   * Record an achievement awarded by the server (rewards were already applied server-side)
+   * @param {Object} achievement - Achievement from the achievement_earned message
+   */
+  function recordServerAchievement(achievement) {
+    if (!achievement || !achievement.id) {
+      return;
+    }
+
+    earnedAchievements.add(achievement.id);
+    saveAchievements();
+
+    if (typeof UI !== 'undefined' && UI.showNotification) {
+      UI.showNotification(
+        `🏆 Achievement Unlocked: ${achievement.name}!`,
+        'success',
+        { duration: 5000 }
+      );
+    }
+
+    if (typeof window.addGameLog === 'function') {
+      window.addGameLog(`🏆 Achievement earned: ${achievement.name}`);
+    }
+
+    updateAchievementsUI();
+  }
+
   /**
    * Check if an achievement has been earned - NEW
    * @param {string} achievementId - Achievement ID
@@ -498,6 +525,7 @@ const Achievements = (() => {
     init,
     checkAchievements,
     earnAchievement,
+    recordServerAchievement,
     hasAchievement,
     getAllAchievements,
     getAchievementsByCategory,
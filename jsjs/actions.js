@@ -149,6 +149,12 @@ function updatePropertyList() {
 
 // Quest Actions
 function acceptQuest(questId) {
+  // Online quests are tracked by the server (the result arrives as quest_accept_result)
+  if (typeof onlineGame !== 'undefined' && onlineGame.playerId) {
+    onlineGame.sendToServer({ type: 'quest_accept', questId });
+    return;
+  }
+  
   if (typeof Player === 'undefined') return;
   
   showNotification(`Quest "${questId}" accepted!`, 'success');
@@ -14,6 +14,9 @@ const BlackMarket = (() => {
     guildDiscountActive: false
   };
 
+  // Active world events from the server; their priceMultiplier modifiers scale vendor prices
+  let worldEvents = [];
+
   // Black Market locations with unique vendors
   const locations = {
     'goblin-outpost': {
@@ -268,7 +271,24 @@ const BlackMarket = (() => {
     if (!vendorInventories[locationId] || vendorInventories[locationId].length === 0) {
       generateInventory(locationId);
     }
-    return vendorInventories[locationId];
+    return vendorInventories[locationId].map(item => ({ ...item, price: getItemPrice(item, locationId) }));
+  }
+
+  // Set the active world events (sent by the server on login and as events start and end)
+  function setWorldEvents(events) {
+    worldEvents = Array.isArray(events) ? events : [];
+  }
+
+  // Combined price multiplier of the world events covering a vendor (multipliers multiply)
+  function getPriceMultiplier(locationId) {
+    return worldEvents
+      .filter(event => event.scope !== 'location' || event.locationId === locationId)
+      .reduce((multiplier, event) => multiplier * ((event.modifiers && event.modifiers.priceMultiplier) || 1), 1);
+  }
+
+  // Current price of a vendor item, after world events
+  function getItemPrice(item, locationId) {
+    return Math.max(1, Math.round(item.price * getPriceMultiplier(locationId)));
   }
 
   // Purchase item from vendor
@@ -288,9 +308,10 @@ const BlackMarket = (() => {
     }
     
     const item = inventory[itemIndex];
+    const price = getItemPrice(item, locationId);
     
     // Check if player has enough gold
-    if (playerData.gold < item.price) {
+    if (playerData.gold < price) {
       showNotification('Not enough shillings!', 'error');
       return false;
     }
@@ -302,12 +323,12 @@ const BlackMarket = (() => {
     }
     
     // Purchase item
-    if (!Player.removeGold(item.price)) {
+    if (!Player.removeGold(price)) {
       return false;
     }
     
-    // Add to smuggled goods
-    addToSmuggledGoods(item);
+    // Add to smuggled goods at the price paid (resale is worked out from it)
+    addToSmuggledGoods({ ...item, price });
     
     // Decrease stock
     item.stock--;
@@ -318,7 +339,7 @@ const BlackMarket = (() => {
     saveInventories();
     saveState();
     
-    showNotification(`Purchased ${item.name} for ${item.price} shillings`, 'success');
+    showNotification(`Purchased ${item.name} for ${price} shillings`, 'success');
     addGameLog(`Bought ${item.name} from Black Market`);
     
     return true;
@@ -611,6 +632,8 @@ const BlackMarket = (() => {
     init,
     getLocations: () => locations,
     getVendorInventory,
+    getItemPrice,
+    setWorldEvents,
     purchaseItem,
     getSmuggledGoods,
     smuggleGoods,
@@ -204,6 +204,9 @@ const Chat = (() => {
         if (args.length > 2) {
           const target = args[1];
           const message = args.slice(2).join(' ');
+          if (typeof onlineGame !== 'undefined' && onlineGame.socket) {
+            onlineGame.sendWhisper(target, message);
+          }
           addChatMessage({
             username: `To ${target}`,
             message: message,
@@ -1,7 +1,7 @@
 /**
  * Community Module
  * Handles player search functionality and public player profiles
- * Designed for future server-side integration
+ * Backed by the server's /api/players endpoints
  */
 
 const Community = (() => {
@@ -10,7 +10,9 @@ const Community = (() => {
     searchResults: [],
     currentProfile: null,
     isSearching: false,
-    mockPlayers: [] // Simulated player database
+    lastQuery: '',
+    filters: {},
+    paging: { offset: 0, limit: 20, total: 0 }
   };
   
   // Helper function to escape HTML to prevent XSS
@@ -24,9 +26,6 @@ const Community = (() => {
   function init() {
     console.log('✅ Community module initialized');
     
-    // Generate mock player data for testing
-    generateMockPlayers();
-    
     // Set up event listeners
     setupEventListeners();
     
@@ -52,118 +51,6 @@ const Community = (() => {
     }
   }
   
-  // Generate mock player data for testing
-  function generateMockPlayers() {
-    // Create a simulated database of players
-    // This will be replaced with actual API calls in the future
-    state.mockPlayers = [
-      {
-        id: 'player-001',
-        username: 'MerlinTheWise',
-        level: 15,
-        guild: 'Arcane Society',
-        stats: {
-          intelligence: 25,
-          endurance: 18,
-          charisma: 20,
-          dexterity: 15
-        },
-        achievements: [
-          { id: 'ach-001', name: 'First Steps', description: 'Complete your first quest' },
-          { id: 'ach-002', name: 'Master Alchemist', description: 'Craft 100 potions' },
-          { id: 'ach-003', name: 'Guild Leader', description: 'Lead a guild to victory' }
-        ],
-        questsCompleted: 42,
-        itemsCrafted: 156,
-        joinDate: '2025-01-15',
-        online: true
-      },
-      {
-        id: 'player-002',
-        username: 'ShadowMage',
-        level: 12,
-        guild: 'Thieves\' Guild',
-        stats: {
-          intelligence: 20,
-          endurance: 15,
-          charisma: 16,
-          dexterity: 22
-        },
-        achievements: [
-          { id: 'ach-001', name: 'First Steps', description: 'Complete your first quest' },
-          { id: 'ach-004', name: 'Shadow Walker', description: 'Complete 50 stealth missions' }
-        ],
-        questsCompleted: 35,
-        itemsCrafted: 89,
-        joinDate: '2025-02-20',
-        online: false
-      },
-      {
-        id: 'player-003',
-        username: 'DarkLord',
-        level: 20,
-        guild: 'None',
-        stats: {
-          intelligence: 30,
-          endurance: 28,
-          charisma: 10,
-          dexterity: 18
-        },
-        achievements: [
-          { id: 'ach-001', name: 'First Steps', description: 'Complete your first quest' },
-          { id: 'ach-005', name: 'Dark Master', description: 'Master the dark arts' },
-          { id: 'ach-006', name: 'Legendary', description: 'Reach level 20' }
-        ],
-        questsCompleted: 89,
-        itemsCrafted: 234,
-        joinDate: '2024-12-01',
-        online: false
-      },
-      {
-        id: 'player-004',
-        username: 'ElvenArcher',
-        level: 10,
-        guild: 'Explorer\'s Guild',
-        stats: {
-          intelligence: 18,
-          endurance: 16,
-          charisma: 19,
-          dexterity: 24
-        },
-        achievements: [
-          { id: 'ach-001', name: 'First Steps', description: 'Complete your first quest' },
-          { id: 'ach-007', name: 'Explorer', description: 'Discover all locations' }
-        ],
-        questsCompleted: 28,
-        itemsCrafted: 45,
-        joinDate: '2025-03-10',
-        online: true
-      },
-      {
-        id: 'player-005',
-        username: 'FireMage',
-        level: 14,
-        guild: 'Arcane Society',
-        stats: {
-          intelligence: 28,
-          endurance: 14,
-          charisma: 15,
-          dexterity: 12
-        },
-        achievements: [
-          { id: 'ach-001', name: 'First Steps', description: 'Complete your first quest' },
-          { id: 'ach-008', name: 'Pyromancer', description: 'Master fire magic' }
-        ],
-        questsCompleted: 51,
-        itemsCrafted: 112,
-        joinDate: '2025-01-28',
-        online: true
-      }
-    ];
-    
-    console.log(`Generated ${state.mockPlayers.length} mock players for testing`);
-  }
-  
   // Handle search action
   function handleSearch() {
     const searchInput = document.getElementById('player-search-input');
@@ -180,14 +67,25 @@ const Community = (() => {
       return;
     }
     
+    // Optional filters
+    const minLevelInput = document.getElementById('player-search-min-level');
+    const maxLevelInput = document.getElementById('player-search-max-level');
+    const guildInput = document.getElementById('player-search-guild');
+    const filters = {
+      minLevel: minLevelInput ? minLevelInput.value : '',
+      maxLevel: maxLevelInput ? maxLevelInput.value : '',
+      guild: guildInput ? guildInput.value : ''
+    };
+    
     // Perform search
-    searchPlayers(query);
+    searchPlayers(query, filters);
   }
   
-  // Search for players by username
-  // In the future, this will make an API call to the server
-  function searchPlayers(query) {
+  // Search for players by username prefix
+  async function searchPlayers(query, filters = {}, offset = 0) {
     state.isSearching = true;
+    state.lastQuery = query;
+    state.filters = filters;
     
     // Show loading state
     const resultsContainer = document.getElementById('player-search-results');
@@ -195,21 +93,31 @@ const Community = (() => {
       resultsContainer.innerHTML = '<p class="text-muted text-center"><i class="fas fa-spinner fa-spin"></i> Searching...</p>';
     }
     
-    // Simulate API delay
-    setTimeout(() => {
-      // Filter mock players by username (case-insensitive)
-      const results = state.mockPlayers.filter(player => 
-        player.username.toLowerCase().includes(query.toLowerCase())
-      );
+    try {
+      const data = await API.searchPlayers(query, { ...filters, offset, limit: state.paging.limit });
+      if (!data.success) {
+        throw new Error(data.message || 'Search failed');
+      }
       
-      state.searchResults = results;
-      state.isSearching = false;
+      state.searchResults = data.players;
+      state.paging = { offset: data.offset, limit: data.limit, total: data.total };
       
       // Display results
-      displaySearchResults(results, query);
+      displaySearchResults(data.players, query);
       
-      console.log(`Found ${results.length} players matching "${query}"`);
-    }, 500); // Simulate network delay
+      console.log(`Found ${data.total} players matching "${query}"`);
+    } catch (error) {
+      console.error('Player search failed:', error);
+      if (resultsContainer) {
+        resultsContainer.innerHTML = `
+          <div class="alert alert-danger">
+            <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error.message)}
+          </div>
+        `;
+      }
+    } finally {
+      state.isSearching = false;
+    }
   }
   
   // Display search results
@@ -230,8 +138,9 @@ const Community = (() => {
     }
     
     // Build results HTML
+    const { offset, limit, total } = state.paging;
     let html = `<div class="search-results-header mb-3">
-      <h6>Found ${results.length} player${results.length !== 1 ? 's' : ''}</h6>
+      <h6>Found ${total} player${total !== 1 ? 's' : ''}${total > limit ? ` (showing ${offset + 1}-${offset + results.length})` : ''}</h6>
     </div>`;
     
     results.forEach(player => {
@@ -246,9 +155,9 @@ const Community = (() => {
                onmouseover="this.style.borderColor='var(--primary)'; this.style.backgroundColor='var(--bg-tertiary)';"
                onmouseout="this.style.borderColor='var(--border-color)'; this.style.backgroundColor='transparent';">
             <div>
-              <strong style="color: var(--primary-light);">${player.username}</strong>
+              <strong style="color: var(--primary-light);">${escapeHtml(player.username)}</strong>
               ${onlineStatus}
-              <p class="text-muted small mb-0">Level ${player.level} - ${player.guild || 'No Guild'}</p>
+              <p class="text-muted small mb-0">Level ${player.level} - ${player.guild ? escapeHtml(player.guild.name) : 'No Guild'}</p>
             </div>
             <button class="btn btn-sm btn-primary view-profile-btn" data-player-id="${player.id}">
               <i class="fas fa-user"></i> View Profile
@@ -258,8 +167,28 @@ const Community = (() => {
       `;
     });
     
+    // Paging controls
+    if (total > limit) {
+      html += `
+        <div class="d-flex justify-content-between mt-2">
+          <button class="btn btn-sm btn-secondary search-page-btn" data-offset="${Math.max(0, offset - limit)}" ${offset === 0 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-left"></i> Previous
+          </button>
+          <button class="btn btn-sm btn-secondary search-page-btn" data-offset="${offset + limit}" ${offset + limit >= total ? 'disabled' : ''}>
+            Next <i class="fas fa-chevron-right"></i>
+          </button>
+        </div>
+      `;
+    }
+    
     resultsContainer.innerHTML = html;
     
+    resultsContainer.querySelectorAll('.search-page-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        searchPlayers(state.lastQuery, state.filters, parseInt(btn.getAttribute('data-offset'), 10));
+      });
+    });
+    
     // Add click handlers to view profile buttons
     const profileBtns = resultsContainer.querySelectorAll('.view-profile-btn');
     profileBtns.forEach(btn => {
@@ -282,10 +211,14 @@ const Community = (() => {
   }
   
   // Show player profile modal
-  function showPlayerProfile(playerId) {
-    // Find player in mock data
-    // In the future, this will make an API call
-    const player = state.mockPlayers.find(p => p.id === playerId);
+  async function showPlayerProfile(playerId) {
+    let player = null;
+    try {
+      const data = await API.getPlayerProfile(playerId);
+      player = data.success ? data.profile : null;
+    } catch (error) {
+      console.error('Failed to load profile:', error);
+    }
     
     if (!player) {
       console.error('Player not found:', playerId);
@@ -304,7 +237,7 @@ const Community = (() => {
     if (typeof UI !== 'undefined' && UI.showModal) {
       UI.showModal({
         id: 'player-profile-modal',
-        title: `${player.username}'s Profile`,
+        title: `${escapeHtml(player.username)}'s Profile`,
         content: profileHTML,
         buttons: [
           {
@@ -322,12 +255,26 @@ const Community = (() => {
     console.log('Showing profile for:', player.username);
   }
   
+  // Placeholder for a profile section the player has hidden
+  function hiddenSectionHTML(title, icon) {
+    return `
+        <div class="profile-section mb-4">
+          <h5 style="color: var(--primary-light); margin-bottom: 1rem;">
+            <i class="fas ${icon} me-2"></i>${title}
+          </h5>
+          <p class="text-muted small"><i class="fas fa-lock me-1"></i> This player keeps their ${title.toLowerCase()} private.</p>
+        </div>
+    `;
+  }
+  
   // Create profile HTML
   function createProfileHTML(player) {
     const onlineStatus = player.online 
       ? '<span class="badge bg-success"><i class="fas fa-circle"></i> Online</span>' 
       : '<span class="badge bg-secondary"><i class="fas fa-circle"></i> Offline</span>';
     
+    const hidden = player.hiddenFields || [];
+    
     return `
       <div class="player-profile">
         <!-- Profile Header -->
@@ -335,7 +282,7 @@ const Community = (() => {
           <div class="player-avatar mb-3" style="font-size: 4rem; color: var(--primary);">
             <i class="fas fa-user-circle"></i>
           </div>
-          <h3 style="color: var(--primary-light);">${player.username}</h3>
+          <h3 style="color: var(--primary-light);">${escapeHtml(player.username)}</h3>
           ${onlineStatus}
           <p class="text-muted">Member since ${new Date(player.joinDate).toLocaleDateString()}</p>
         </div>
@@ -359,7 +306,7 @@ const Community = (() => {
                 <i class="fas fa-users-cog"></i>
               </div>
               <div class="mt-2">
-                <strong style="font-size: 1.2rem; color: var(--primary-light);">${player.guild || 'None'}</strong>
+                <strong style="font-size: 1.2rem; color: var(--primary-light);">${player.guild ? escapeHtml(player.guild.name) : (hidden.includes('guild') ? 'Hidden' : 'None')}</strong>
                 <p class="text-muted small mb-0">Guild</p>
               </div>
             </div>
@@ -367,6 +314,7 @@ const Community = (() => {
         </div>
         
         <!-- Stats -->
+        ${player.stats ? `
         <div class="profile-section mb-4">
           <h5 style="color: var(--primary-light); margin-bottom: 1rem;">
             <i class="fas fa-chart-bar me-2"></i>Stats
@@ -422,8 +370,10 @@ const Community = (() => {
             </div>
           </div>
         </div>
+        ` : hiddenSectionHTML('Stats', 'fa-chart-bar')}
         
         <!-- Activity -->
+        ${player.activity ? `
         <div class="profile-section mb-4">
           <h5 style="color: var(--primary-light); margin-bottom: 1rem;">
             <i class="fas fa-chart-line me-2"></i>Activity
@@ -431,20 +381,22 @@ const Community = (() => {
           <div class="row">
             <div class="col-6">
               <div class="activity-stat p-3 text-center" style="background: var(--bg-tertiary); border-radius: 8px;">
-                <strong style="font-size: 1.5rem; color: var(--success);">${player.questsCompleted}</strong>
+                <strong style="font-size: 1.5rem; color: var(--success);">${player.activity.questsCompleted}</strong>
                 <p class="text-muted small mb-0">Quests Completed</p>
               </div>
             </div>
             <div class="col-6">
               <div class="activity-stat p-3 text-center" style="background: var(--bg-tertiary); border-radius: 8px;">
-                <strong style="font-size: 1.5rem; color: var(--warning);">${player.itemsCrafted}</strong>
+                <strong style="font-size: 1.5rem; color: var(--warning);">${player.activity.itemsCrafted}</strong>
                 <p class="text-muted small mb-0">Items Crafted</p>
               </div>
             </div>
           </div>
         </div>
+        ` : hiddenSectionHTML('Activity', 'fa-chart-line')}
         
         <!-- Achievements -->
+        ${player.achievements ? `
         <div class="profile-section">
           <h5 style="color: var(--primary-light); margin-bottom: 1rem;">
             <i class="fas fa-trophy me-2"></i>Achievements (${player.achievements.length})
@@ -458,54 +410,45 @@ const Community = (() => {
                     <i class="fas fa-trophy"></i>
                   </div>
                   <div>
-                    <strong style="color: var(--primary-light);">${ach.name}</strong>
-                    <p class="text-muted small mb-0">${ach.description}</p>
+                    <strong style="color: var(--primary-light);">${escapeHtml(ach.name)}</strong>
+                    <p class="text-muted small mb-0">${escapeHtml(ach.description)}</p>
                   </div>
                 </div>
               </div>
             `).join('')}
           </div>
         </div>
+        ` : hiddenSectionHTML('Achievements', 'fa-trophy')}
       </div>
     `;
   }
   
-  // API functions for future server integration
-  // These functions define the interface that will be used when connecting to a real backend
+  // Server API calls
   const API = {
     // Search players on the server
-    async searchPlayers(query) {
-      // Future implementation:
-      // return await fetch(`${CONFIG.API.BASE_URL}/players/search?q=${query}`)
-      //   .then(res => res.json());
+    async searchPlayers(query, options = {}) {
+      const params = new URLSearchParams({ q: query });
+      for (const key of ['minLevel', 'maxLevel', 'guild', 'offset', 'limit']) {
+        if (options[key] !== undefined && options[key] !== '') {
+          params.set(key, options[key]);
+        }
+      }
       
-      // For now, use mock data
-      console.log('API.searchPlayers called with query:', query);
-      return state.mockPlayers.filter(p => 
-        p.username.toLowerCase().includes(query.toLowerCase())
-      );
+      const response = await fetch(`/api/players/search?${params.toString()}`);
+      return response.json();
     },
     
     // Get player profile by ID
     async getPlayerProfile(playerId) {
-      // Future implementation:
-      // return await fetch(`${CONFIG.API.BASE_URL}/players/${playerId}`)
-      //   .then(res => res.json());
-      
-      // For now, use mock data
-      console.log('API.getPlayerProfile called with ID:', playerId);
-      return state.mockPlayers.find(p => p.id === playerId);
+      const response = await fetch(`/api/players/${encodeURIComponent(playerId)}/profile`);
+      return response.json();
     },
     
-    // Add friend
+    // Send a friend request (the result arrives as friend_request_result)
     async addFriend(playerId) {
-      // Future implementation:
-      // return await fetch(`${CONFIG.API.BASE_URL}/friends/add`, {
-      //   method: 'POST',
-      //   body: JSON.stringify({ playerId })
-      // }).then(res => res.json());
-      
-      console.log('API.addFriend called with ID:', playerId);
+      if (typeof onlineGame === 'undefined' || !onlineGame.sendToServer({ type: 'friend_request', targetPlayerId: playerId })) {
+        return { success: false, message: 'Not connected to the server' };
+      }
       return { success: true, message: 'Friend request sent!' };
     }
   };
@@ -518,12 +461,11 @@ const Community = (() => {
     getSearchResults: () => [...state.searchResults],
     getCurrentProfile: () => state.currentProfile ? {...state.currentProfile} : null,
     
-    // API interface for future use
+    // Server API calls
     API,
     
     // For testing/debugging
     _debug: {
-      getMockPlayers: () => [...state.mockPlayers],
       getState: () => ({...state})
     }
   };
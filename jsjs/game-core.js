@@ -555,8 +555,9 @@ class GameCore {
                 // Failed - go to jail
                 this.showMessage(`You were caught! Sentenced to ${crime.jailTime} minutes in jail.`, 'error');
                 player.energy = 0;
+                player.inJail = true;
+                player.jailUntil = Date.now() + crime.jailTime * 60 * 1000;
                 this.state.update({ player });
-                // Implement jail time logic here
             }
             
             return success;
@@ -85,25 +85,54 @@ const Locations = (() => {
 
   let currentLocation = 'town-square';
 
+  // Merge the server's location registry (requirements, neighbors, actions, capacity)
+  function applyRegistry(locations) {
+    locations.forEach(registryEntry => {
+      const location = locationData[registryEntry.id] || (locationData[registryEntry.id] = { name: registryEntry.name, description: '', contentId: null });
+      location.coordinates = registryEntry.coordinates;
+      location.neighbors = registryEntry.neighbors;
+      location.requirements = registryEntry.requirements || {};
+      location.actions = registryEntry.actions || [];
+      location.capacity = registryEntry.capacity;
+      location.occupancy = registryEntry.occupancy || 0;
+    });
+    if (typeof Travel !== 'undefined' && typeof Travel.applyRegistry === 'function') Travel.applyRegistry(locations);
+  }
+
+  function loadRegistry() {
+    if (typeof fetch !== 'function') return Promise.resolve(false);
+    return fetch('/api/locations')
+      .then(response => response.json())
+      .then(data => { if (data.success) applyRegistry(data.locations); return Boolean(data.success); })
+      .catch(error => { console.warn('Could not load location registry', error); return false; });
+  }
+
   function init() {
-    // no-op for now
+    loadRegistry();
     return true;
   }
 
+  function getRequirementMessage(locationId) {
+    const location = locationData[locationId];
+    const req = (location && location.requirements) || {};
+    if (req.level) return `Requires level ${req.level}`;
+    if (req.guild) return 'Requires guild membership';
+    if (req.quests) return `Requires ${req.quests} completed quests`;
+    return '';
+  }
+
   function isLocationUnlocked(locationId) {
     const location = locationData[locationId];
     if (!location) return false;
     if (location.unlocked === true) return true;
-    if (!location.unlockRequirement) return Boolean(location.unlocked);
+    const req = location.requirements || {};
+    if (!req.level && !req.guild && !req.quests) return true;
     if (typeof Player === 'undefined' || typeof Player.getData !== 'function') return false;
     const playerData = Player.getData();
-    const req = location.unlockRequirement;
-    switch (req.type) {
-      case 'quests': return (playerData.questsCompleted || 0) >= req.value;
-      case 'level': return (playerData.level || 0) >= req.value;
-      case 'item': return ((playerData.craftedItems || {})[req.value] || 0) > 0;
-      default: return false;
-    }
+    if (req.level && (playerData.level || 1) < req.level) return false;
+    if (req.guild && !((playerData.guilds && playerData.guilds.memberships) || []).length) return false;
+    if (req.quests && (playerData.questsCompleted || 0) < req.quests) return false;
+    return true;
   }
 
   function tryUnlockLocation(locationId) {
@@ -115,7 +144,17 @@ const Locations = (() => {
       if (typeof UI !== 'undefined' && UI.showNotification) UI.showNotification(`${loc.name} unlocked!`, 'success');
       return true;
     }
-    
+    return false;
+  }
+
+  function isActionAvailable(locationId, actionType) {
+    const location = locationData[locationId];
+    if (!location || !location.actions) return true; // registry not loaded yet; the server decides
+    const governed = Object.values(locationData).some(l => (l.actions || []).includes(actionType));
+    return !governed || location.actions.includes(actionType);
+  }
+
+  function navigateToLocation(locationId) {
     // Check if Travel module exists and if we should use it
     const useTravel = typeof Travel !== 'undefined' && typeof Travel.isTraveling === 'function';
     
@@ -132,7 +171,7 @@ const Locations = (() => {
     
     const location = locationData[locationId];
     if (!location) { console.warn('Unknown location', locationId); return; }
-    if (!isLocationUnlocked(locationId)) { if (typeof UI !== 'undefined' && UI.showNotification && location.unlockRequirement) UI.showNotification(`Location locked: ${location.unlockRequirement.message}`, 'warning'); return; }
+    if (!isLocationUnlocked(locationId)) { if (typeof UI !== 'undefined' && UI.showNotification) UI.showNotification(`Location locked: ${getRequirementMessage(locationId)}`, 'warning'); return; }
     currentLocation = locationId;
     
     // Update Travel module's current location if available
@@ -177,7 +216,24 @@ const Locations = (() => {
     console.log(`Navigated to: ${location.name}`);
   }
 
+  // Show neighbors and occupancy from the registry
+  function updateLocationStats(locationId) {
+    const statsEl = document.getElementById('location-stats');
+    const location = locationData[locationId];
+    if (!statsEl || !location) return;
+    const neighbors = (location.neighbors || []).map(id => (locationData[id] ? locationData[id].name : id));
+    const occupancy = location.capacity ? `${location.occupancy || 0}/${location.capacity} present` : '';
+    statsEl.textContent = [neighbors.length ? `Nearby: ${neighbors.join(', ')}` : '', occupancy].filter(Boolean).join(' · ');
+  }
+
   function getCurrentLocation() { return currentLocation; }
 
-  return { init, navigateToLocation, getCurrentLocation, isLocationUnlocked, tryUnlockLocation, getLocationData: (id) => locationData[id] };
+  return { init, loadRegistry, navigateToLocation, getCurrentLocation, isLocationUnlocked, tryUnlockLocation, isActionAvailable, getLocationData: (id) => locationData[id] };
 })();
+
+// Initialize when DOM is ready
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    Locations.init();
+  });
+}
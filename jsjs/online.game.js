@@ -24,6 +24,9 @@ const onlineGame = {
         items: [],
         lastUpdate: 0
     },
+    friends: null, // Latest friends_list from the server
+    quests: null, // Latest quest_data from the server
+    worldEvents: [], // Active timed world events (their modifiers change prices)
     
     /**
      * Clear reconnect timeout if exists
@@ -223,6 +226,145 @@ const onlineGame = {
                 this.handleGameEvent(message);
                 break;
             
+            case 'world_event_started':
+                this.setWorldEvents([...this.worldEvents, message.activeEvent]);
+                break;
+            
+            case 'world_event_ended':
+                this.setWorldEvents(this.worldEvents.filter(event => event.id !== message.activeEvent.id));
+                break;
+            
+            case 'crafting_complete':
+                this.handleCraftingComplete(message);
+                break;
+            
+            case 'achievement_earned':
+                if (typeof Achievements !== 'undefined' && Achievements.recordServerAchievement) {
+                    Achievements.recordServerAchievement(message.achievement);
+                } else {
+                    this.showMessage(`Achievement unlocked: ${message.achievement.name}!`, 'success');
+                }
+                break;
+            
+            case 'level_up':
+                this.showMessage(`Level Up! You are now level ${message.level}!`, 'success');
+                break;
+            
+            case 'effect_expired':
+                this.showMessage(`${message.effect ? message.effect.name : 'An effect'} has worn off`, 'info');
+                break;
+            
+            case 'travel_started':
+                if (message.success) {
+                    const seconds = Math.ceil((message.travel.arrivesAt - message.travel.startedAt) / 1000);
+                    if (seconds > 0) {
+                        this.showMessage(`Traveling to ${message.travel.destination} (${seconds}s)...`, 'info');
+                    }
+                } else {
+                    this.showMessage(message.message, 'error');
+                }
+                break;
+            
+            case 'travel_encounter':
+                this.showMessage(message.encounter.message, message.encounter.type === 'monster' ? 'warning' : 'info');
+                break;
+            
+            case 'travel_arrived':
+                if (message.message) {
+                    this.showMessage(message.message, 'warning');
+                } else {
+                    this.showMessage(`Arrived at ${message.destination}!`, 'success');
+                }
+                break;
+            
+            case 'jail_released':
+                this.showMessage(message.reason === 'bail' ? 'Your bail was paid. You are free to go!' : 'You have been released from jail!', 'success');
+                break;
+            
+            case 'jail_break_result':
+                if (message.success) {
+                    this.showMessage(message.escaped ? 'You escaped from jail!' : 'The guards caught you! Your sentence has been extended.', message.escaped ? 'success' : 'error');
+                } else {
+                    this.showMessage(message.message, 'error');
+                }
+                break;
+            
+            case 'guild_invitation':
+                this.showMessage(`${message.invitedBy} invited you to join ${message.guildName} [${message.guildTag}]`, 'info');
+                break;
+            
+            case 'guild_removed':
+                this.showMessage(`You are no longer a member of ${message.guildName}`, 'info');
+                break;
+            
+            case 'quest_data':
+                this.quests = message;
+                break;
+            
+            case 'quest_accept_result':
+                if (message.success) {
+                    this.showMessage(`Quest accepted: ${message.quest.name}`, 'success');
+                    this.sendToServer({ type: 'quest_get' });
+                } else {
+                    this.showMessage(message.message, 'error');
+                }
+                break;
+            
+            case 'quest_abandon_result':
+                if (message.success) {
+                    this.sendToServer({ type: 'quest_get' });
+                } else {
+                    this.showMessage(message.message, 'error');
+                }
+                break;
+            
+            case 'quest_progress':
+                this.sendToServer({ type: 'quest_get' });
+                break;
+            
+            case 'quest_completed':
+                this.showMessage(`Quest complete: ${message.quest.name}! +${message.rewards.xp || 0} XP`, 'success');
+                this.sendToServer({ type: 'quest_get' });
+                break;
+            
+            case 'quest_started':
+                this.showMessage(`New quest: ${message.quest.name}`, 'info');
+                break;
+            
+            case 'friends_list':
+                this.friends = message;
+                break;
+            
+            case 'friend_request_received':
+                this.showMessage(`${message.username} sent you a friend request`, 'info');
+                break;
+            
+            case 'friend_request_accepted':
+                this.showMessage(`${message.username} accepted your friend request`, 'success');
+                break;
+            
+            case 'friend_removed':
+                this.showMessage(`${message.username} removed you from their friends`, 'info');
+                break;
+            
+            case 'friend_online':
+                this.showMessage(`${message.username} is now online`, 'info');
+                break;
+            
+            case 'friend_offline':
+                this.showMessage(`${message.username} went offline`, 'info');
+                break;
+            
+            case 'friend_request_result':
+            case 'friend_respond_result':
+            case 'friend_remove_result':
+            case 'friend_block_result':
+            case 'friend_unblock_result':
+                if (!message.success) {
+                    this.showMessage(message.message, 'error');
+                }
+                break;
+            
             case 'event_subscription_result':
                 console.log('Event subscription:', message.message);
                 break;
@@ -282,6 +424,8 @@ const onlineGame = {
             this.showMessage('Note: You are currently muted and cannot send chat messages. Contact support if you believe this is an error.', 'warning');
         }
         
+        this.setWorldEvents(message.activeEvents || []);
+        
         // Update UI
         this.updatePlayerInfo();
         this.showGameScreen();
@@ -419,6 +563,12 @@ const onlineGame = {
         }
     },
     
+    handleCraftingComplete: function(message) {
+        // Crafting jobs are timed on the server and may finish while offline
+        const itemName = message.job ? message.job.recipeName : 'Item';
+        this.showMessage(`${itemName} crafted! (+${message.xpGained || 0} XP)`, 'success');
+    },
+    
     handleGameEvent: function(message) {
         // Handle game world events
         console.log('⚡ Game event received:', message.eventName);
@@ -437,6 +587,14 @@ const onlineGame = {
         }
     },
     
+    // Keep the active world events and pass them on to the modules that price items
+    setWorldEvents: function(events) {
+        this.worldEvents = events;
+        if (typeof BlackMarket !== 'undefined' && typeof BlackMarket.setWorldEvents === 'function') {
+            BlackMarket.setWorldEvents(events);
+        }
+    },
+    
     showEventNotification: function(event) {
         // Create a visual notification for important events
         const notification = document.createElement('div');
@@ -526,6 +684,17 @@ const onlineGame = {
             message: message
         });
     },
+    
+    sendWhisper: function(username, message) {
+        if (message.trim() === '') return;
+        
+        this.sendToServer({
+            type: 'chat',
+            channel: 'whisper',
+            to: username,
+            message: message
+        });
+    },
 
     // Market functions
     listItemOnMarket: function(itemId, price, quantity = 1) {
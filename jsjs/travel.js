@@ -773,6 +773,18 @@ const Travel = (() => {
     }
   }
   
+  // Use the server's location registry so distances match server-side travel
+  function applyRegistry(registryLocations) {
+    registryLocations.forEach(registryEntry => {
+      locations[registryEntry.id] = {
+        name: registryEntry.name,
+        x: registryEntry.coordinates.x,
+        y: registryEntry.coordinates.y,
+        distancesFrom: registryEntry.distances
+      };
+    });
+  }
+  
   // Check if currently traveling
   function isTraveling() {
     return travelState.isTraveling;
@@ -789,6 +801,7 @@ const Travel = (() => {
     getAvailableMethods,
     getCurrentLocation,
     setCurrentLocation,
+    applyRegistry,
     isTraveling,
     locations,
     travelMethods
@@ -10,16 +10,24 @@ const fs = require('fs');
 const path = require('path');
 const nodemailer = require('nodemailer');
 const InputValidator = require('../utils/InputValidator');
+const SessionStore = require('./SessionStore');
+
+const DEFAULT_SESSION_LIMIT = 5;
 
 class AuthManager {
-  constructor() {
+  /**
+   * @param {Object} options - { sessionLimit, sessionsFile, dataFile }
+   */
+  constructor(options = {}) {
     this.users = new Map(); // username -> { id, passwordHash, email, emailVerified, verificationCode, verificationCodeExpiry, resetToken, resetTokenExpiry, banned, bannedReason, bannedUntil, bannedBy, muted, mutedUntil, mutedReason, createdAt, passwordAttempts, lastPasswordAttempt }
-    this.tokens = new Map(); // token -> { playerId, username, expiresAt }
+    this.sessions = new SessionStore({ dataFile: options.sessionsFile }); // Persistent login sessions, one per device
+    this.sessionLimit = Math.max(parseInt(options.sessionLimit || process.env.SESSION_LIMIT) || DEFAULT_SESSION_LIMIT, 1); // Sessions per account
+    this.onSessionRevoked = null;
     this.emailToUsername = new Map(); // email -> username (for lookup)
     this.ipBans = new Map(); // ip -> { bannedUntil, reason }
     this.deviceBans = new Map(); // deviceId -> { bannedUntil, reason }
     this.passwordResetAttempts = new Map(); // ip -> [timestamps]
-    this.dataFile = path.join(__dirname, '..', 'data', 'users.json');
+    this.dataFile = options.dataFile || path.join(__dirname, '..', 'data', 'users.json');
     this.emailConfig = this.loadEmailConfig();
     
     // Rate limiting configuration
@@ -197,7 +205,7 @@ class AuthManager {
     return { valid: true };
   }
   
-  async register(username, password, email = null) {
+  async register(username, password, email = null, details = {}) {
     // Validate username
     const usernameValidation = InputValidator.validateUsername(username);
     if (!usernameValidation.valid) {
@@ -277,12 +285,13 @@ class AuthManager {
       }
       
       // Generate token
-      const token = this.generateToken(playerId, usernameValidation.sanitized);
+      const { token, sessionId } = this.generateToken(playerId, usernameValidation.sanitized, details);
       
       return {
         success: true,
         playerId,
         token,
+        sessionId,
         emailVerified: user.emailVerified,
         needsEmailVerification: email && !user.emailVerified
       };
@@ -292,7 +301,7 @@ class AuthManager {
     }
   }
   
-  async login(username, password) {
+  async login(username, password, details = {}) {
     // Validate username format
     const usernameValidation = InputValidator.validateUsername(username);
     if (!usernameValidation.valid) {
@@ -393,13 +402,14 @@ class AuthManager {
       }
       
       // Generate token
-      const token = this.generateToken(user.id, user.username);
+      const { token, sessionId } = this.generateToken(user.id, user.username, details);
       
       return {
         success: true,
         playerId: user.id,
         username: user.username,
         token,
+        sessionId,
         emailVerified: user.emailVerified,
         needsEmailSetup: !user.email, // Flag for legacy accounts without email
         muted: user.muted || false,
@@ -411,53 +421,108 @@ class AuthManager {
     }
   }
   
-  generateToken(playerId, username) {
-    const token = uuidv4();
-    const expiresAt = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
-    
-    this.tokens.set(token, {
-      playerId,
-      username,
-      expiresAt
-    });
+  /**
+   * Open a session for a player, evicting their least recently used sessions over the limit
+   * @param {Object} details - { deviceLabel, deviceId, ip, userAgent }
+   * @returns {Object} - { token, sessionId }
+   */
+  generateToken(playerId, username, details = {}) {
+    const { token, session } = this.sessions.create(playerId, username, details);
+    
+    const evicted = this.sessions.enforceLimit(playerId, this.sessionLimit, session.id);
+    evicted.forEach(revoked => this.notifySessionRevoked(revoked, 'Signed in on another device'));
     
-    return token;
+    return { token, sessionId: session.id };
   }
   
   validateToken(token) {
-    const tokenData = this.tokens.get(token);
+    const session = this.sessions.get(token);
     
-    if (!tokenData) {
-      return { success: false, message: 'Invalid token' };
+    if (!session) {
+      return { success: false, message: 'Invalid or expired token' };
     }
     
-    // Check if expired
-    if (Date.now() > tokenData.expiresAt) {
-      this.tokens.delete(token);
-      return { success: false, message: 'Token expired' };
-    }
+    this.sessions.touch(token);
     
     return {
       success: true,
-      playerId: tokenData.playerId,
-      username: tokenData.username
+      playerId: session.playerId,
+      username: session.username,
+      sessionId: session.id
     };
   }
   
+  /**
+   * Record activity on a session (last seen, current IP and user agent)
+   */
+  touchSession(token, details = {}) {
+    return this.sessions.touch(token, details);
+  }
+  
   revokeToken(token) {
-    this.tokens.delete(token);
+    const session = this.sessions.revoke(token);
+    if (session) {
+      this.notifySessionRevoked(session, 'Logged out');
+    }
   }
   
-  // Revoke all tokens for a player (single-session enforcement)
-  revokeAllTokensForPlayer(playerId) {
-    const tokensToDelete = [];
-    for (const [token, data] of this.tokens.entries()) {
-      if (data.playerId === playerId) {
-        tokensToDelete.push(token);
-      }
+  // Revoke all tokens for a player (password reset, bans, "log out everywhere")
+  revokeAllTokensForPlayer(playerId, reason = 'Session revoked') {
+    const revoked = this.sessions.revokeForPlayer(playerId);
+    revoked.forEach(session => this.notifySessionRevoked(session, reason));
+    return revoked.length;
+  }
+  
+  /**
+   * List a player's live sessions, most recently seen first
+   */
+  getSessions(playerId) {
+    return this.sessions.listForPlayer(playerId).map(session => ({
+      id: session.id,
+      deviceLabel: session.deviceLabel,
+      deviceId: session.deviceId,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt
+    }));
+  }
+  
+  /**
+   * Revoke one of a player's sessions by its id
+   */
+  revokeSession(playerId, sessionId) {
+    const session = this.sessions.revokeById(sessionId, playerId);
+    if (!session) {
+      return { success: false, message: 'Session not found' };
+    }
+    
+    this.notifySessionRevoked(session, 'Session revoked');
+    return { success: true, message: 'Session revoked' };
+  }
+  
+  /**
+   * Revoke every session of a player except one (e.g. the caller's own)
+   */
+  revokeOtherSessions(playerId, keepSessionId) {
+    const revoked = this.sessions.revokeForPlayer(playerId, { except: keepSessionId });
+    revoked.forEach(session => this.notifySessionRevoked(session, 'Session revoked'));
+    return { success: true, revoked: revoked.length };
+  }
+  
+  /**
+   * Set callback for revoked sessions, so live connections using them can be closed
+   * @param {Function} callback - (session, reason) => void
+   */
+  setSessionRevokedCallback(callback) {
+    this.onSessionRevoked = callback;
+  }
+  
+  notifySessionRevoked(session, reason) {
+    if (this.onSessionRevoked) {
+      this.onSessionRevoked(session, reason);
     }
-    tokensToDelete.forEach(token => this.tokens.delete(token));
-    return tokensToDelete.length;
   }
   
   // Generate verification code (6 digits)
@@ -741,7 +806,7 @@ class AuthManager {
       this.saveUsers();
       
       // Revoke all existing tokens for security
-      this.revokeAllTokensForPlayer(foundUser.id);
+      this.revokeAllTokensForPlayer(foundUser.id, 'Password was reset');
       
       return { success: true, message: 'Password reset successfully! You can now log in with your new password.' };
     } catch (error) {
@@ -812,7 +877,7 @@ class AuthManager {
       }
       
       // Revoke all tokens if banning
-      this.revokeAllTokensForPlayer(user.id);
+      this.revokeAllTokensForPlayer(user.id, 'Account has been banned');
     } else {
       // Clear ban data on unban
       user.bannedReason = null;
@@ -1170,12 +1235,7 @@ class AuthManager {
   
   // Clean up expired tokens
   cleanupExpiredTokens() {
-    const now = Date.now();
-    for (const [token, data] of this.tokens.entries()) {
-      if (now > data.expiresAt) {
-        this.tokens.delete(token);
-      }
-    }
+    return this.sessions.cleanupExpired();
   }
   
   // Get ban/mute information for a user
@@ -0,0 +1,281 @@
+/**
+ * Session Store
+ * Persistent login sessions, one per device, keyed by a hash of the session token
+ *
+ * Only SHA-256 hashes of tokens are written to disk, so a leaked sessions file
+ * cannot be used to log in. Each session has a public id that is safe to show to
+ * players and admins and is used to revoke it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TOUCH_INTERVAL_MS = 60 * 1000; // Record last-seen at most once a minute
+const SAVE_DELAY_MS = 1000;
+const MAX_DEVICE_LABEL_LENGTH = 64;
+const MAX_USER_AGENT_LENGTH = 256;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function clip(value, maxLength) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, maxLength) : null;
+}
+
+class SessionStore {
+  /**
+   * @param {Object} options - { dataFile, ttlMs }
+   */
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || path.join(__dirname, '..', 'data', 'sessions.json');
+    this.ttlMs = options.ttlMs || SESSION_TTL_MS;
+    this.sessions = new Map(); // tokenHash -> { id, playerId, username, deviceLabel, deviceId, ip, userAgent, createdAt, lastSeenAt, expiresAt }
+    this.saveTimer = null;
+    
+    this.load();
+  }
+  
+  load() {
+    try {
+      if (fs.existsSync(this.dataFile)) {
+        const stored = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        const now = Date.now();
+        for (const [tokenHash, session] of Object.entries(stored)) {
+          if (session.expiresAt > now) {
+            this.sessions.set(tokenHash, session);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  }
+  
+  /**
+   * Write sessions to disk now, cancelling any pending save
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    
+    try {
+      fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+      const tempFile = `${this.dataFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.sessions), null, 2), { mode: 0o600 });
+      fs.renameSync(tempFile, this.dataFile);
+    } catch (error) {
+      console.error('Error saving sessions:', error);
+    }
+  }
+  
+  /**
+   * Batch writes: several changes within a second cost one save
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+  
+  /**
+   * Open a new session
+   * @param {string} playerId
+   * @param {string} username
+   * @param {Object} details - { deviceLabel, deviceId, ip, userAgent }
+   * @returns {Object} - { token, session }
+   */
+  create(playerId, username, details = {}) {
+    const token = uuidv4();
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      playerId,
+      username,
+      deviceLabel: clip(details.deviceLabel, MAX_DEVICE_LABEL_LENGTH),
+      deviceId: clip(details.deviceId, MAX_DEVICE_LABEL_LENGTH),
+      ip: clip(details.ip, MAX_DEVICE_LABEL_LENGTH),
+      userAgent: clip(details.userAgent, MAX_USER_AGENT_LENGTH),
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + this.ttlMs
+    };
+    
+    this.sessions.set(hashToken(token), session);
+    this.scheduleSave();
+    
+    return { token, session: { ...session } };
+  }
+  
+  /**
+   * Look up the live session for a token
+   * @returns {Object|null} - Session, or null if unknown or expired
+   */
+  get(token) {
+    if (!token) {
+      return null;
+    }
+    
+    const tokenHash = hashToken(token);
+    const session = this.sessions.get(tokenHash);
+    if (!session) {
+      return null;
+    }
+    
+    if (Date.now() > session.expiresAt) {
+      this.sessions.delete(tokenHash);
+      this.scheduleSave();
+      return null;
+    }
+    
+    return session;
+  }
+  
+  /**
+   * Record activity on a session
+   * @param {string} token
+   * @param {Object} details - Optional { ip, userAgent } to refresh
+   */
+  touch(token, details = {}) {
+    const session = this.get(token);
+    if (!session) {
+      return false;
+    }
+    
+    const ip = clip(details.ip, MAX_DEVICE_LABEL_LENGTH);
+    const userAgent = clip(details.userAgent, MAX_USER_AGENT_LENGTH);
+    const changed = (ip && ip !== session.ip) || (userAgent && userAgent !== session.userAgent);
+    const now = Date.now();
+    
+    if (!changed && now - session.lastSeenAt < TOUCH_INTERVAL_MS) {
+      return true;
+    }
+    
+    session.lastSeenAt = now;
+    if (ip) {
+      session.ip = ip;
+    }
+    if (userAgent) {
+      session.userAgent = userAgent;
+    }
+    this.scheduleSave();
+    return true;
+  }
+  
+  /**
+   * Revoke the session behind a token
+   * @returns {Object|null} - The revoked session
+   */
+  revoke(token) {
+    const tokenHash = hashToken(token);
+    const session = this.sessions.get(tokenHash);
+    if (!session) {
+      return null;
+    }
+    
+    this.sessions.delete(tokenHash);
+    this.scheduleSave();
+    return session;
+  }
+  
+  /**
+   * Revoke a session by its public id
+   * @param {string} sessionId
+   * @param {string} [playerId] - When given, only revoke if the session belongs to this player
+   * @returns {Object|null} - The revoked session
+   */
+  revokeById(sessionId, playerId = null) {
+    for (const [tokenHash, session] of this.sessions.entries()) {
+      if (session.id === sessionId) {
+        if (playerId && session.playerId !== playerId) {
+          return null;
+        }
+        this.sessions.delete(tokenHash);
+        this.scheduleSave();
+        return session;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Revoke every session of a player
+   * @param {string} playerId
+   * @param {Object} options - { except: sessionId to keep }
+   * @returns {Array} - The revoked sessions
+   */
+  revokeForPlayer(playerId, options = {}) {
+    const revoked = [];
+    for (const [tokenHash, session] of this.sessions.entries()) {
+      if (session.playerId === playerId && session.id !== options.except) {
+        this.sessions.delete(tokenHash);
+        revoked.push(session);
+      }
+    }
+    
+    if (revoked.length > 0) {
+      this.scheduleSave();
+    }
+    return revoked;
+  }
+  
+  /**
+   * Live sessions of a player, most recently seen first
+   * @returns {Array} - Session copies
+   */
+  listForPlayer(playerId) {
+    const now = Date.now();
+    return Array.from(this.sessions.values())
+      .filter(session => session.playerId === playerId && session.expiresAt > now)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map(session => ({ ...session }));
+  }
+  
+  /**
+   * Keep at most `limit` sessions for a player, revoking the least recently seen
+   * @param {string} playerId
+   * @param {number} limit
+   * @param {string} [keepSessionId] - Session that is never evicted (the one just opened)
+   * @returns {Array} - The revoked sessions
+   */
+  enforceLimit(playerId, limit, keepSessionId = null) {
+    const others = this.listForPlayer(playerId).filter(session => session.id !== keepSessionId);
+    const allowed = Math.max(limit, 1) - (keepSessionId ? 1 : 0);
+    return others.slice(allowed)
+      .map(session => this.revokeById(session.id))
+      .filter(Boolean);
+  }
+  
+  /**
+   * Drop expired sessions
+   * @returns {number} - Sessions removed
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [tokenHash, session] of this.sessions.entries()) {
+      if (now > session.expiresAt) {
+        this.sessions.delete(tokenHash);
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,192 @@
+/**
+ * Connection Pool
+ * Minimal pool for clients that speak `query(text, params)` (the node-postgres Client API)
+ *
+ * The pool opens connections through a factory, so any client can be plugged in:
+ * node-postgres, a proxy, or an in-process stand-in for tests. A connection must provide
+ * query(text, params) resolving to { rows, rowCount }, and end().
+ */
+
+const DEFAULT_MAX_CONNECTIONS = 10;
+const DEFAULT_IDLE_TIMEOUT_MS = 30000;
+const DEFAULT_ACQUIRE_TIMEOUT_MS = 10000;
+
+class ConnectionPool {
+  /**
+   * @param {Function} connect - async () => connection
+   * @param {Object} options - { max, idleTimeoutMs, acquireTimeoutMs }
+   */
+  constructor(connect, options = {}) {
+    this.connect = connect;
+    this.max = Math.max(parseInt(options.max) || DEFAULT_MAX_CONNECTIONS, 1);
+    this.idleTimeoutMs = options.idleTimeoutMs || DEFAULT_IDLE_TIMEOUT_MS;
+    this.acquireTimeoutMs = options.acquireTimeoutMs || DEFAULT_ACQUIRE_TIMEOUT_MS;
+    
+    this.idle = []; // [{ connection, timer }]
+    this.waiting = []; // [{ resolve, reject, timer }]
+    this.size = 0; // Open connections, idle or in use
+    this.ended = false;
+  }
+  
+  /**
+   * Borrow a connection, opening one if the pool is below its limit
+   * @returns {Promise<Object>} - Connection; hand it back with release()
+   */
+  async acquire() {
+    if (this.ended) {
+      throw new Error('Connection pool has been closed');
+    }
+    
+    const idle = this.idle.pop();
+    if (idle) {
+      clearTimeout(idle.timer);
+      return idle.connection;
+    }
+    
+    if (this.size < this.max) {
+      this.size++;
+      try {
+        return await this.connect();
+      } catch (error) {
+        this.size--;
+        throw error;
+      }
+    }
+    
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a database connection`));
+      }, this.acquireTimeoutMs);
+      this.waiting.push(waiter);
+    });
+  }
+  
+  /**
+   * Return a connection to the pool
+   * @param {Object} connection - Connection from acquire()
+   * @param {boolean} [destroy] - Close the connection instead of reusing it (e.g. after a fatal error)
+   */
+  release(connection, destroy = false) {
+    if (destroy || this.ended) {
+      this.destroy(connection);
+      return;
+    }
+    
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(connection);
+      return;
+    }
+    
+    const entry = { connection };
+    entry.timer = setTimeout(() => {
+      this.idle.splice(this.idle.indexOf(entry), 1);
+      this.destroy(connection);
+    }, this.idleTimeoutMs);
+    entry.timer.unref();
+    this.idle.push(entry);
+  }
+  
+  /**
+   * Close a connection and let a waiting caller open a new one
+   */
+  destroy(connection) {
+    this.size--;
+    Promise.resolve()
+      .then(() => connection.end())
+      .catch(error => console.error('Error closing database connection:', error.message));
+    
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.acquire().then(waiter.resolve, waiter.reject);
+    }
+  }
+  
+  /**
+   * Run a single query on any free connection
+   * @returns {Promise<Object>} - { rows, rowCount }
+   */
+  async query(text, params = []) {
+    const connection = await this.acquire();
+    try {
+      const result = await connection.query(text, params);
+      this.release(connection);
+      return result;
+    } catch (error) {
+      this.release(connection);
+      throw error;
+    }
+  }
+  
+  /**
+   * Run fn(connection) inside BEGIN/COMMIT on one connection, rolling back if it throws
+   * @param {Function} fn - async (connection) => result
+   * @returns {Promise<*>} - Whatever fn returns
+   */
+  async transaction(fn) {
+    const connection = await this.acquire();
+    
+    try {
+      await connection.query('BEGIN');
+    } catch (error) {
+      this.release(connection, true);
+      throw error;
+    }
+    
+    try {
+      const result = await fn(connection);
+      await connection.query('COMMIT');
+      this.release(connection);
+      return result;
+    } catch (error) {
+      try {
+        await connection.query('ROLLBACK');
+        this.release(connection);
+      } catch (rollbackError) {
+        // The connection is in an unknown state, never hand it out again
+        this.release(connection, true);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Close every idle connection and refuse new work
+   * Connections still in use are closed when they are released.
+   */
+  async end() {
+    this.ended = true;
+    
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Connection pool has been closed'));
+    }
+    
+    const idle = this.idle.splice(0);
+    this.size -= idle.length;
+    await Promise.all(idle.map(({ connection, timer }) => {
+      clearTimeout(timer);
+      return Promise.resolve(connection.end()).catch(() => {});
+    }));
+  }
+  
+  /**
+   * Pool usage, for health checks
+   * @returns {Object} - { total, idle, inUse, waiting, max }
+   */
+  stats() {
+    return {
+      total: this.size,
+      idle: this.idle.length,
+      inUse: this.size - this.idle.length,
+      waiting: this.waiting.length,
+      max: this.max
+    };
+  }
+}
+
+module.exports = ConnectionPool;
@@ -5,8 +5,28 @@
  * Implementations must provide methods for storing and retrieving:
  * - Users (authentication data)
  * - Players (game state data)
+ * - Trades, auctions and bids (economy data)
+ * - The event log (executed game events)
+ * - Event schedules (when periodic events last ran and run next)
+ * - The transfer ledger (item and currency movements)
+ * - The economy ledger (append-only record of every currency change)
  */
 
+// Trades and auctions in one of these states are history, not active
+const CLOSED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// Trade, auction and event history is read in pages of 1-100 entries
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Keep a requested page size within bounds
+ * (SQLite reads a negative LIMIT as no limit, and slice(-limit) would skip entries instead)
+ */
+function clampPageLimit(limit) {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+}
+
 class DatabaseAdapter {
   constructor(options = {}) {
     this.options = options;
@@ -163,6 +183,268 @@ class DatabaseAdapter {
     throw new Error('getPlayerCount() must be implemented by subclass');
   }
   
+  // ===========================================================================
+  // Trade Operations (for TradeManager)
+  // ===========================================================================
+  
+  /**
+   * Insert or update a trade
+   * Trades with a closed status are moved to history.
+   * @param {Object} trade - Trade object (must have an id)
+   * @returns {Promise<boolean>} - True if save successful
+   */
+  async saveTrade(trade) {
+    throw new Error('saveTrade() must be implemented by subclass');
+  }
+  
+  /**
+   * Get a trade by ID (active or history)
+   * @param {string} tradeId - Trade ID
+   * @returns {Promise<Object|null>} - Trade or null if not found
+   */
+  async getTrade(tradeId) {
+    throw new Error('getTrade() must be implemented by subclass');
+  }
+  
+  /**
+   * Get all trades that are not closed
+   * @returns {Promise<Array>} - Active trades
+   */
+  async getActiveTrades() {
+    throw new Error('getActiveTrades() must be implemented by subclass');
+  }
+  
+  /**
+   * Get closed trades, newest first
+   * @param {Object} options - { playerId, limit } (limit is clamped to 1-100, default 20)
+   * @returns {Promise<Array>} - Trades where the player was either party
+   */
+  async getTradeHistory(options = {}) {
+    throw new Error('getTradeHistory() must be implemented by subclass');
+  }
+  
+  // ===========================================================================
+  // Auction Operations (for AuctionManager)
+  // ===========================================================================
+  
+  /**
+   * Insert or update an auction
+   * Auctions with a closed status are moved to history.
+   * @param {Object} auction - Auction object (must have an id)
+   * @returns {Promise<boolean>} - True if save successful
+   */
+  async saveAuction(auction) {
+    throw new Error('saveAuction() must be implemented by subclass');
+  }
+  
+  /**
+   * Get an auction by ID (active or history), including its bids
+   * @param {string} auctionId - Auction ID
+   * @returns {Promise<Object|null>} - Auction or null if not found
+   */
+  async getAuction(auctionId) {
+    throw new Error('getAuction() must be implemented by subclass');
+  }
+  
+  /**
+   * Get all active auctions, including their bids
+   * @returns {Promise<Array>} - Active auctions
+   */
+  async getActiveAuctions() {
+    throw new Error('getActiveAuctions() must be implemented by subclass');
+  }
+  
+  /**
+   * Get closed auctions, newest first
+   * @param {Object} options - { playerId, limit } (limit is clamped to 1-100, default 20)
+   * @returns {Promise<Array>} - Auctions the player sold or won
+   */
+  async getAuctionHistory(options = {}) {
+    throw new Error('getAuctionHistory() must be implemented by subclass');
+  }
+  
+  /**
+   * Record a bid on an auction
+   * @param {string} auctionId - Auction ID
+   * @param {Object} bid - { bidderId, bidderUsername, amount, timestamp }
+   * @returns {Promise<boolean>} - True if save successful
+   */
+  async addBid(auctionId, bid) {
+    throw new Error('addBid() must be implemented by subclass');
+  }
+  
+  /**
+   * Get the bids on an auction, oldest first
+   * @param {string} auctionId - Auction ID
+   * @returns {Promise<Array>} - Bids
+   */
+  async getBids(auctionId) {
+    throw new Error('getBids() must be implemented by subclass');
+  }
+  
+  // ===========================================================================
+  // Event Log (for EventDispatcher)
+  // ===========================================================================
+  
+  /**
+   * Append an executed event to the event log
+   * @param {Object} entry - { name, eventType, scope, executedAt, locationId, playerId }
+   * @returns {Promise<boolean>} - True if save successful
+   */
+  async logEvent(entry) {
+    throw new Error('logEvent() must be implemented by subclass');
+  }
+  
+  /**
+   * Get the most recent event log entries, oldest first
+   * @param {Object} options - { limit, eventType } (limit is clamped to 1-100, default 20)
+   * @returns {Promise<Array>} - Event log entries
+   */
+  async getEventLog(options = {}) {
+    throw new Error('getEventLog() must be implemented by subclass');
+  }
+  
+  // ===========================================================================
+  // Event Schedules (for EventDispatcher)
+  // ===========================================================================
+  
+  /**
+   * Save the schedule state of a periodic event
+   * @param {string} eventId - Periodic event id
+   * @param {Object} state - { schedule, scheduledFor, nextRunAt, lastRunAt, enabled }
+   * @returns {Promise<boolean>} - True if save successful
+   */
+  async saveEventSchedule(eventId, state) {
+    throw new Error('saveEventSchedule() must be implemented by subclass');
+  }
+  
+  /**
+   * Get the saved schedule state of every periodic event
+   * @returns {Promise<Object>} - eventId -> state
+   */
+  async getEventSchedules() {
+    throw new Error('getEventSchedules() must be implemented by subclass');
+  }
+  
+  /**
+   * Save a running timed world event (with the temporary changes to undo when it ends)
+   * @param {Object} active - { id, event, temporary, startedAt, endsAt, nextTickAt }
+   * @returns {Promise<boolean>} - True if save successful
+   */
+  async saveActiveEvent(active) {
+    throw new Error('saveActiveEvent() must be implemented by subclass');
+  }
+  
+  /**
+   * Remove a world event that has ended
+   * @param {string} activeEventId - Active event ID
+   * @returns {Promise<boolean>} - True if delete successful
+   */
+  async deleteActiveEvent(activeEventId) {
+    throw new Error('deleteActiveEvent() must be implemented by subclass');
+  }
+  
+  /**
+   * Get every saved world event that had not ended
+   * @returns {Promise<Array>} - Active events, soonest to end first
+   */
+  async getActiveEvents() {
+    throw new Error('getActiveEvents() must be implemented by subclass');
+  }
+  
+  // ===========================================================================
+  // Transfer Ledger (for TransferService)
+  // ===========================================================================
+  // A write-ahead journal on every adapter: player records are saved by PlayerManager
+  // outside these methods, so recovery replays pending transfers rather than rolling back.
+  
+  /**
+   * Durably record a transfer as pending, before any player is changed
+   * @param {Object} transfer - { id, type, reference, changes, createdAt }
+   * @returns {Promise<boolean>} - True once the record is safely stored
+   */
+  async beginTransfer(transfer) {
+    throw new Error('beginTransfer() must be implemented by subclass');
+  }
+  
+  /**
+   * Mark a pending transfer as committed or failed
+   * @param {string} transferId - Transfer ID
+   * @param {string} status - 'committed' or 'failed'
+   * @param {string} [error] - Failure reason
+   * @returns {Promise<boolean>} - True if update successful
+   */
+  async finishTransfer(transferId, status, error = null) {
+    throw new Error('finishTransfer() must be implemented by subclass');
+  }
+  
+  /**
+   * Get transfers that were begun but never finished (to replay on startup)
+   * @returns {Promise<Array>} - Pending transfers, oldest first
+   */
+  async getPendingTransfers() {
+    throw new Error('getPendingTransfers() must be implemented by subclass');
+  }
+  
+  /**
+   * Get a transfer by ID
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object|null>} - Transfer or null if not found
+   */
+  async getTransfer(transferId) {
+    throw new Error('getTransfer() must be implemented by subclass');
+  }
+  
+  /**
+   * Get transfers, newest first
+   * @param {Object} options - { playerId, reference, limit }
+   * @returns {Promise<Array>} - Transfers that changed the player and/or belong to the reference
+   */
+  async getTransfers(options = {}) {
+    throw new Error('getTransfers() must be implemented by subclass');
+  }
+  
+  // ===========================================================================
+  // Economy Ledger (for EconomyLedger, append-only)
+  // ===========================================================================
+  
+  /**
+   * Append a currency change
+   * @param {Object} entry - { playerId, delta, flow, reason, source, referenceId, createdAt }
+   *   delta is in pennies; flow is 'source' (created), 'sink' (destroyed) or 'transfer'
+   * @returns {Promise<boolean>} - True if stored
+   */
+  async appendEconomyEntry(entry) {
+    throw new Error('appendEconomyEntry() must be implemented by subclass');
+  }
+  
+  /**
+   * Get ledger entries, newest first
+   * @param {Object} options - { playerId, since, limit }
+   * @returns {Promise<Array>} - Entries
+   */
+  async getEconomyEntries(options = {}) {
+    throw new Error('getEconomyEntries() must be implemented by subclass');
+  }
+  
+  /**
+   * Get per-day (UTC) totals of currency created, destroyed and transferred
+   * @param {Object} options - { since }
+   * @returns {Promise<Array>} - [{ day, created, destroyed, transferred, entries }], oldest day first
+   */
+  async getEconomyDailyTotals(options = {}) {
+    throw new Error('getEconomyDailyTotals() must be implemented by subclass');
+  }
+  
+  /**
+   * Get the players with the highest net currency gain
+   * @param {Object} options - { since, limit }
+   * @returns {Promise<Array>} - [{ playerId, net, created, entries }], highest net first
+   */
+  async getEconomyTopEarners(options = {}) {
+    throw new Error('getEconomyTopEarners() must be implemented by subclass');
+  }
+  
   // ===========================================================================
   // Utility Methods
   // ===========================================================================
@@ -184,22 +466,31 @@ class DatabaseAdapter {
   }
   
   /**
-   * Export all data for backup
+   * Export users and players, for backups and for moving data between adapters
+   * Records are ordered by key, so offset/limit page through a collection in batches.
+   * @param {Object} options - { collections: ['users', 'players'], offset, limit }
    * @returns {Promise<Object>} - Object with users and players data
    */
-  async exportData() {
-    const users = await this.getAllUsers();
-    const players = await this.getAllPlayers();
-    
-    return {
-      users: Object.fromEntries(users),
-      players: Object.fromEntries(players),
-      exportedAt: new Date().toISOString()
+  async exportData(options = {}) {
+    const { collections = ['users', 'players'], offset = 0, limit = null } = options;
+    const data = { exportedAt: new Date().toISOString() };
+    const page = (map) => {
+      const entries = Array.from(map.entries()).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+      return Object.fromEntries(limit === null ? entries.slice(offset) : entries.slice(offset, offset + limit));
     };
+    
+    if (collections.includes('users')) {
+      data.users = page(await this.getAllUsers());
+    }
+    if (collections.includes('players')) {
+      data.players = page(await this.getAllPlayers());
+    }
+    
+    return data;
   }
   
   /**
-   * Import data from backup
+   * Import data from backup (or an exportData() batch), updating records that already exist
    * @param {Object} data - Data object with users and players
    * @returns {Promise<Object>} - Import results
    */
@@ -249,3 +540,5 @@ class DatabaseAdapter {
 }
 
 module.exports = DatabaseAdapter;
+module.exports.CLOSED_STATUSES = CLOSED_STATUSES;
+module.exports.clampPageLimit = clampPageLimit;
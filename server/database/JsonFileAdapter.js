@@ -10,6 +10,9 @@ const fs = require('fs');
 const path = require('path');
 const DatabaseAdapter = require('./DatabaseAdapter');
 
+const { CLOSED_STATUSES, clampPageLimit } = DatabaseAdapter;
+const DEFAULT_HISTORY_LIMIT = 1000;
+
 class JsonFileAdapter extends DatabaseAdapter {
   constructor(options = {}) {
     super(options);
@@ -17,12 +20,27 @@ class JsonFileAdapter extends DatabaseAdapter {
     this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
     this.usersFile = options.usersFile || path.join(this.dataDir, 'users.json');
     this.playersDir = options.playersDir || path.join(this.dataDir, 'players');
+    this.tradesDir = options.tradesDir || path.join(this.dataDir, 'trades');
+    this.auctionsDir = options.auctionsDir || path.join(this.dataDir, 'auctions');
+    this.eventsDir = options.eventsDir || path.join(this.dataDir, 'events');
+    this.transfersDir = options.transfersDir || path.join(this.dataDir, 'transfers');
+    this.economyDir = options.economyDir || path.join(this.dataDir, 'economy');
+    
+    // Closed trades/auctions and event log entries kept on disk
+    this.historyLimit = options.historyLimit || DEFAULT_HISTORY_LIMIT;
     
     // In-memory cache
     this.users = new Map();
     this.emailToUsername = new Map();
     this.players = new Map();
     
+    // Trade, auction and event stores are loaded on first use
+    this.tradeStore = null;
+    this.auctionStore = null;
+    this.eventLog = null;
+    this.transferJournal = null;
+    this.economyLedger = null;
+    
     // Auto-save configuration
     this.autoSave = options.autoSave !== false;
     this.saveDebounceMs = options.saveDebounceMs || 1000;
@@ -360,6 +378,533 @@ class JsonFileAdapter extends DatabaseAdapter {
     return this.players.size;
   }
   
+  // ===========================================================================
+  // Trade, Auction & Event Storage Helpers
+  // ===========================================================================
+  
+  /**
+   * Read a JSON array file, returning [] if it is missing or unreadable
+   */
+  readJsonArray(filePath) {
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error reading ${filePath}:`, error);
+    }
+    return [];
+  }
+  
+  writeJsonFile(filePath, data) {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+      return true;
+    } catch (error) {
+      console.error(`Error writing ${filePath}:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Copy a record so callers never share objects with the store
+   */
+  clone(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+  
+  /**
+   * Insert a record into a history list (replacing an earlier copy) and trim it
+   */
+  addToHistoryList(history, record) {
+    const index = history.findIndex(entry => entry.id === record.id);
+    if (index > -1) {
+      history.splice(index, 1);
+    }
+    history.push(record);
+    if (history.length > this.historyLimit) {
+      history.splice(0, history.length - this.historyLimit);
+    }
+  }
+  
+  /**
+   * Load active trades and trade history (same files TradeManager used to write)
+   */
+  loadTradeStore() {
+    if (!this.tradeStore) {
+      this.tradeStore = {
+        activeFile: path.join(this.tradesDir, 'active-trades.json'),
+        historyFile: path.join(this.tradesDir, 'trade-history.json'),
+        active: new Map(),
+        history: []
+      };
+      for (const trade of this.readJsonArray(this.tradeStore.activeFile)) {
+        this.tradeStore.active.set(trade.id, trade);
+      }
+      this.tradeStore.history = this.readJsonArray(this.tradeStore.historyFile);
+    }
+    return this.tradeStore;
+  }
+  
+  /**
+   * Load active auctions and auction history (same files AuctionManager used to write)
+   */
+  loadAuctionStore() {
+    if (!this.auctionStore) {
+      this.auctionStore = {
+        activeFile: path.join(this.auctionsDir, 'active-auctions.json'),
+        historyFile: path.join(this.auctionsDir, 'auction-history.json'),
+        active: new Map(),
+        history: []
+      };
+      for (const auction of this.readJsonArray(this.auctionStore.activeFile)) {
+        this.auctionStore.active.set(auction.id, auction);
+      }
+      this.auctionStore.history = this.readJsonArray(this.auctionStore.historyFile);
+    }
+    return this.auctionStore;
+  }
+  
+  /**
+   * Write whichever parts of a trade or auction store changed
+   */
+  saveStore(store, { active = true, history = false } = {}) {
+    let ok = true;
+    if (active) {
+      ok = this.writeJsonFile(store.activeFile, Array.from(store.active.values())) && ok;
+    }
+    if (history) {
+      ok = this.writeJsonFile(store.historyFile, store.history) && ok;
+    }
+    return ok;
+  }
+  
+  // ===========================================================================
+  // Trade Operations
+  // ===========================================================================
+  
+  async saveTrade(trade) {
+    const store = this.loadTradeStore();
+    const record = this.clone(trade);
+    
+    if (CLOSED_STATUSES.includes(record.status)) {
+      store.active.delete(record.id);
+      this.addToHistoryList(store.history, record);
+      return this.saveStore(store, { active: true, history: true });
+    }
+    
+    store.active.set(record.id, record);
+    return this.saveStore(store);
+  }
+  
+  async getTrade(tradeId) {
+    const store = this.loadTradeStore();
+    return this.clone(store.active.get(tradeId) || store.history.find(trade => trade.id === tradeId));
+  }
+  
+  async getActiveTrades() {
+    return Array.from(this.loadTradeStore().active.values()).map(trade => this.clone(trade));
+  }
+  
+  async getTradeHistory(options = {}) {
+    const { playerId = null } = options;
+    const limit = clampPageLimit(options.limit);
+    return this.loadTradeStore().history
+      .filter(trade => !playerId || trade.fromPlayerId === playerId || trade.toPlayerId === playerId)
+      .slice(-limit)
+      .reverse()
+      .map(trade => this.clone(trade));
+  }
+  
+  // ===========================================================================
+  // Auction Operations
+  // ===========================================================================
+  
+  async saveAuction(auction) {
+    const store = this.loadAuctionStore();
+    const record = this.clone(auction);
+    
+    if (CLOSED_STATUSES.includes(record.status)) {
+      store.active.delete(record.id);
+      this.addToHistoryList(store.history, record);
+      return this.saveStore(store, { active: true, history: true });
+    }
+    
+    store.active.set(record.id, record);
+    return this.saveStore(store);
+  }
+  
+  async getAuction(auctionId) {
+    const store = this.loadAuctionStore();
+    return this.clone(store.active.get(auctionId) || store.history.find(auction => auction.id === auctionId));
+  }
+  
+  async getActiveAuctions() {
+    return Array.from(this.loadAuctionStore().active.values())
+      .sort((a, b) => a.endsAt - b.endsAt)
+      .map(auction => this.clone(auction));
+  }
+  
+  async getAuctionHistory(options = {}) {
+    const { playerId = null } = options;
+    const limit = clampPageLimit(options.limit);
+    return this.loadAuctionStore().history
+      .filter(auction => !playerId || auction.sellerId === playerId || auction.winnerId === playerId)
+      .slice(-limit)
+      .reverse()
+      .map(auction => this.clone(auction));
+  }
+  
+  async addBid(auctionId, bid) {
+    const store = this.loadAuctionStore();
+    const auction = store.active.get(auctionId);
+    
+    // Bids are stored inline with the auction, so closed auctions cannot take new ones
+    if (!auction) {
+      return false;
+    }
+    
+    auction.bids = auction.bids || [];
+    auction.bids.push(this.clone(bid));
+    return this.saveStore(store);
+  }
+  
+  async getBids(auctionId) {
+    const auction = await this.getAuction(auctionId);
+    return auction ? auction.bids || [] : [];
+  }
+  
+  // ===========================================================================
+  // Event Log
+  // ===========================================================================
+  
+  loadEventLog() {
+    if (!this.eventLog) {
+      this.eventLog = this.readJsonArray(path.join(this.eventsDir, 'event-log.json'));
+    }
+    return this.eventLog;
+  }
+  
+  async logEvent(entry) {
+    const log = this.loadEventLog();
+    log.push(this.clone(entry));
+    if (log.length > this.historyLimit) {
+      log.splice(0, log.length - this.historyLimit);
+    }
+    return this.writeJsonFile(path.join(this.eventsDir, 'event-log.json'), log);
+  }
+  
+  async getEventLog(options = {}) {
+    const { eventType = null } = options;
+    const limit = clampPageLimit(options.limit);
+    return this.loadEventLog()
+      .filter(entry => !eventType || entry.eventType === eventType)
+      .slice(-limit)
+      .map(entry => this.clone(entry));
+  }
+  
+  // ===========================================================================
+  // Event Schedules
+  // ===========================================================================
+  
+  loadEventSchedules() {
+    if (!this.eventSchedules) {
+      const entries = this.readJsonArray(path.join(this.eventsDir, 'schedules.json'));
+      this.eventSchedules = new Map(entries.map(({ eventId, ...state }) => [eventId, state]));
+    }
+    return this.eventSchedules;
+  }
+  
+  async saveEventSchedule(eventId, state) {
+    const schedules = this.loadEventSchedules();
+    schedules.set(eventId, this.clone(state));
+    const entries = Array.from(schedules.entries()).map(([id, saved]) => ({ eventId: id, ...saved }));
+    return this.writeJsonFile(path.join(this.eventsDir, 'schedules.json'), entries);
+  }
+  
+  async getEventSchedules() {
+    const schedules = {};
+    for (const [eventId, state] of this.loadEventSchedules()) {
+      schedules[eventId] = this.clone(state);
+    }
+    return schedules;
+  }
+  
+  loadActiveEvents() {
+    if (!this.activeEvents) {
+      const entries = this.readJsonArray(path.join(this.eventsDir, 'active-events.json'));
+      this.activeEvents = new Map(entries.map(active => [active.id, active]));
+    }
+    return this.activeEvents;
+  }
+  
+  writeActiveEvents() {
+    return this.writeJsonFile(path.join(this.eventsDir, 'active-events.json'), Array.from(this.activeEvents.values()));
+  }
+  
+  async saveActiveEvent(active) {
+    this.loadActiveEvents().set(active.id, this.clone(active));
+    return this.writeActiveEvents();
+  }
+  
+  async deleteActiveEvent(activeEventId) {
+    if (!this.loadActiveEvents().delete(activeEventId)) {
+      return true;
+    }
+    return this.writeActiveEvents();
+  }
+  
+  async getActiveEvents() {
+    return Array.from(this.loadActiveEvents().values())
+      .sort((a, b) => a.endsAt - b.endsAt)
+      .map(active => this.clone(active));
+  }
+  
+  // ===========================================================================
+  // Transfer Ledger (write-ahead journal)
+  // ===========================================================================
+  
+  /**
+   * Load the transfer journal: one JSON line per state change, replayed in order
+   * A torn final line (crash while appending) is ignored; that transfer never began.
+   */
+  loadTransferJournal() {
+    if (!this.transferJournal) {
+      this.transferJournal = new Map();
+      const journalFile = path.join(this.transfersDir, 'journal.jsonl');
+      
+      if (fs.existsSync(journalFile)) {
+        for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+          if (!line.trim()) continue;
+          
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch {
+            console.error('Skipping unreadable transfer journal entry');
+            continue;
+          }
+          
+          const existing = this.transferJournal.get(entry.id);
+          if (existing) {
+            Object.assign(existing, entry);
+          } else {
+            this.transferJournal.set(entry.id, entry);
+          }
+        }
+      }
+    }
+    return this.transferJournal;
+  }
+  
+  /**
+   * Append an entry to the journal and flush it to disk before returning
+   */
+  appendTransferJournal(entry) {
+    fs.mkdirSync(this.transfersDir, { recursive: true });
+    const fd = fs.openSync(path.join(this.transfersDir, 'journal.jsonl'), 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  
+  async beginTransfer(transfer) {
+    try {
+      const journal = this.loadTransferJournal();
+      const record = { ...this.clone(transfer), status: 'pending' };
+      this.appendTransferJournal(record);
+      journal.set(record.id, record);
+      return true;
+    } catch (error) {
+      console.error('Error beginning transfer:', error);
+      return false;
+    }
+  }
+  
+  async finishTransfer(transferId, status, error = null) {
+    try {
+      const record = this.loadTransferJournal().get(transferId);
+      if (!record) return false;
+      
+      const update = { id: transferId, status, error, finishedAt: Date.now() };
+      this.appendTransferJournal(update);
+      Object.assign(record, update);
+      return true;
+    } catch (err) {
+      console.error('Error finishing transfer:', err);
+      return false;
+    }
+  }
+  
+  async getPendingTransfers() {
+    return Array.from(this.loadTransferJournal().values())
+      .filter(transfer => transfer.status === 'pending')
+      .map(transfer => this.clone(transfer));
+  }
+  
+  async getTransfer(transferId) {
+    return this.clone(this.loadTransferJournal().get(transferId));
+  }
+  
+  async getTransfers(options = {}) {
+    const { playerId = null, reference = null, limit = 20 } = options;
+    return Array.from(this.loadTransferJournal().values())
+      .filter(transfer => !playerId || transfer.changes.some(change => change.playerId === playerId))
+      .filter(transfer => !reference || transfer.reference === reference)
+      .slice(-limit)
+      .reverse()
+      .map(transfer => this.clone(transfer));
+  }
+  
+  // ===========================================================================
+  // Economy Ledger (append-only)
+  // ===========================================================================
+  
+  /**
+   * Load the economy ledger: one JSON line per entry, numbered in file order
+   */
+  loadEconomyLedger() {
+    if (!this.economyLedger) {
+      this.economyLedger = [];
+      const ledgerFile = path.join(this.economyDir, 'ledger.jsonl');
+      
+      if (fs.existsSync(ledgerFile)) {
+        for (const line of fs.readFileSync(ledgerFile, 'utf8').split('\n')) {
+          if (!line.trim()) continue;
+          
+          try {
+            this.economyLedger.push({ ...JSON.parse(line), id: this.economyLedger.length + 1 });
+          } catch {
+            console.error('Skipping unreadable economy ledger entry');
+          }
+        }
+      }
+    }
+    return this.economyLedger;
+  }
+  
+  async appendEconomyEntry(entry) {
+    try {
+      const ledger = this.loadEconomyLedger();
+      const record = {
+        playerId: entry.playerId,
+        delta: entry.delta,
+        flow: entry.flow,
+        reason: entry.reason,
+        source: entry.source,
+        referenceId: entry.referenceId || null,
+        createdAt: entry.createdAt || Date.now()
+      };
+      
+      fs.mkdirSync(this.economyDir, { recursive: true });
+      fs.appendFileSync(path.join(this.economyDir, 'ledger.jsonl'), JSON.stringify(record) + '\n');
+      ledger.push({ ...record, id: ledger.length + 1 });
+      return true;
+    } catch (error) {
+      console.error('Error appending economy entry:', error);
+      return false;
+    }
+  }
+  
+  async getEconomyEntries(options = {}) {
+    const { playerId = null, since = 0, limit = 100 } = options;
+    return this.loadEconomyLedger()
+      .filter(entry => (!playerId || entry.playerId === playerId) && entry.createdAt >= since)
+      .slice(-limit)
+      .reverse()
+      .map(entry => this.clone(entry));
+  }
+  
+  async getEconomyDailyTotals(options = {}) {
+    const { since = 0 } = options;
+    const days = new Map();
+    
+    for (const entry of this.loadEconomyLedger()) {
+      if (entry.createdAt < since) continue;
+      
+      const day = new Date(entry.createdAt).toISOString().slice(0, 10);
+      const totals = days.get(day) || { day, created: 0, destroyed: 0, transferred: 0, entries: 0 };
+      if (entry.flow === 'source') {
+        totals.created += entry.delta;
+      } else if (entry.flow === 'sink') {
+        totals.destroyed -= entry.delta;
+      } else if (entry.delta > 0) {
+        totals.transferred += entry.delta;
+      }
+      totals.entries++;
+      days.set(day, totals);
+    }
+    
+    return Array.from(days.values()).sort((a, b) => a.day.localeCompare(b.day));
+  }
+  
+  async getEconomyTopEarners(options = {}) {
+    const { since = 0, limit = 10 } = options;
+    const players = new Map();
+    
+    for (const entry of this.loadEconomyLedger()) {
+      if (entry.createdAt < since) continue;
+      
+      const totals = players.get(entry.playerId) || { playerId: entry.playerId, net: 0, created: 0, entries: 0 };
+      totals.net += entry.delta;
+      if (entry.flow === 'source') {
+        totals.created += entry.delta;
+      }
+      totals.entries++;
+      players.set(entry.playerId, totals);
+    }
+    
+    return Array.from(players.values())
+      .filter(totals => totals.net > 0)
+      .sort((a, b) => b.net - a.net || a.playerId.localeCompare(b.playerId))
+      .slice(0, limit);
+  }
+  
+  // ===========================================================================
+  // Bulk Import
+  // ===========================================================================
+  
+  /**
+   * Store a batch of users and players as-is and write them to disk once
+   */
+  async importData(data) {
+    const users = Object.entries(data.users || {});
+    const players = Object.entries(data.players || {});
+    
+    for (const [username, userData] of users) {
+      const lowerUsername = username.toLowerCase();
+      const existing = this.users.get(lowerUsername);
+      if (existing && existing.email) {
+        this.emailToUsername.delete(existing.email.toLowerCase());
+      }
+      
+      this.users.set(lowerUsername, userData);
+      if (userData.email) {
+        this.emailToUsername.set(userData.email.toLowerCase(), lowerUsername);
+      }
+    }
+    
+    for (const [playerId, playerData] of players) {
+      this.players.set(playerId, playerData);
+    }
+    
+    const errors = [];
+    if (users.length > 0) {
+      await this.saveUsers();
+    }
+    for (const [playerId] of players) {
+      if (!await this.savePlayer(playerId)) {
+        errors.push(`Player ${playerId}: could not be written`);
+      }
+    }
+    
+    return { usersImported: users.length, playersImported: players.length - errors.length, errors };
+  }
+  
   // ===========================================================================
   // Utility Methods
   // ===========================================================================
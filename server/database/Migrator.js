@@ -0,0 +1,268 @@
+/**
+ * Schema Migrator
+ * Applies numbered up/down migrations to a SQLite database and records them in schema_migrations
+ *
+ * Migration files live in server/database/migrations and are named NNN_description.js.
+ * Each exports up(db) and down(db), which receive the better-sqlite3 connection.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class Migrator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.migrationsDir = options.migrationsDir || DEFAULT_MIGRATIONS_DIR;
+  }
+  
+  /**
+   * Create the schema_migrations table if needed
+   */
+  ensureMigrationsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      );
+    `);
+  }
+  
+  /**
+   * Load the migration files, sorted by version
+   * @returns {Array<Object>} - [{ version, name, file, up, down }]
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      return [];
+    }
+    
+    const migrations = [];
+    const seen = new Set();
+    
+    for (const file of fs.readdirSync(this.migrationsDir)) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) continue;
+      
+      const version = parseInt(match[1], 10);
+      if (seen.has(version)) {
+        throw new Error(`Duplicate migration version ${version} (${file})`);
+      }
+      seen.add(version);
+      
+      const migration = require(path.join(this.migrationsDir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      
+      migrations.push({ version, name: match[2], file, up: migration.up, down: migration.down });
+    }
+    
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+  
+  /**
+   * Get applied migrations from the database
+   * @returns {Array<Object>} - [{ version, name, applied_at }] in ascending order
+   */
+  getAppliedMigrations() {
+    this.ensureMigrationsTable();
+    return this.db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  }
+  
+  /**
+   * Current schema version (0 when nothing has been applied)
+   */
+  getCurrentVersion() {
+    this.ensureMigrationsTable();
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  }
+  
+  /**
+   * Newest version this code base knows about
+   */
+  getLatestVersion() {
+    const migrations = this.loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+  
+  /**
+   * Make sure the database schema is not newer than this code base
+   * @returns {Object} - { compatible, currentVersion, latestVersion, message }
+   */
+  checkCompatibility() {
+    const currentVersion = this.getCurrentVersion();
+    const latestVersion = this.getLatestVersion();
+    const compatible = currentVersion <= latestVersion;
+    
+    return {
+      compatible,
+      currentVersion,
+      latestVersion,
+      message: compatible
+        ? `Schema version ${currentVersion} (latest ${latestVersion})`
+        : `Database schema version ${currentVersion} is newer than this server supports (${latestVersion}). Upgrade the server or roll back the schema.`
+    };
+  }
+  
+  /**
+   * Describe every known and applied migration
+   * @returns {Object} - { currentVersion, latestVersion, migrations, pending, unknown }
+   */
+  status() {
+    const migrations = this.loadMigrations();
+    const applied = new Map(this.getAppliedMigrations().map(row => [row.version, row]));
+    
+    const list = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+    
+    // Applied versions without a file come from a newer code base
+    const known = new Set(migrations.map(m => m.version));
+    const unknown = [...applied.values()]
+      .filter(row => !known.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+    
+    return {
+      currentVersion: this.getCurrentVersion(),
+      latestVersion: this.getLatestVersion(),
+      migrations: list,
+      pending: list.filter(m => !m.applied).length,
+      unknown
+    };
+  }
+  
+  /**
+   * Apply pending migrations up to a target version, each in its own transaction
+   * @param {number} targetVersion - Version to migrate to (default: latest)
+   * @returns {Object} - { success, applied, version, message }
+   */
+  migrate(targetVersion = null) {
+    const compatibility = this.checkCompatibility();
+    if (!compatibility.compatible) {
+      return { success: false, applied: [], version: compatibility.currentVersion, message: compatibility.message };
+    }
+    
+    const target = targetVersion === null ? compatibility.latestVersion : targetVersion;
+    const applied = new Set(this.getAppliedMigrations().map(row => row.version));
+    const pending = this.loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+    const done = [];
+    
+    for (const migration of pending) {
+      try {
+        this.db.transaction(() => {
+          migration.up(this.db);
+          this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, Date.now());
+        })();
+        done.push({ version: migration.version, name: migration.name });
+      } catch (error) {
+        return {
+          success: false,
+          applied: done,
+          version: this.getCurrentVersion(),
+          message: `Migration ${migration.file} failed: ${error.message}`
+        };
+      }
+    }
+    
+    return {
+      success: true,
+      applied: done,
+      version: this.getCurrentVersion(),
+      message: done.length > 0 ? `Applied ${done.length} migration(s)` : 'Schema is up to date'
+    };
+  }
+  
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} options - { steps } to undo N migrations, or { to } to roll back to a version
+   * @returns {Object} - { success, rolledBack, version, message }
+   */
+  rollback(options = {}) {
+    const migrations = new Map(this.loadMigrations().map(m => [m.version, m]));
+    const applied = this.getAppliedMigrations().reverse();
+    const toUndo = options.to !== undefined
+      ? applied.filter(row => row.version > options.to)
+      : applied.slice(0, options.steps || 1);
+    const done = [];
+    
+    for (const row of toUndo) {
+      const migration = migrations.get(row.version);
+      if (!migration || typeof migration.down !== 'function') {
+        return {
+          success: false,
+          rolledBack: done,
+          version: this.getCurrentVersion(),
+          message: `Migration ${row.version} (${row.name}) cannot be rolled back: no down() available`
+        };
+      }
+      
+      try {
+        this.db.transaction(() => {
+          migration.down(this.db);
+          this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(row.version);
+        })();
+        done.push({ version: row.version, name: row.name });
+      } catch (error) {
+        return {
+          success: false,
+          rolledBack: done,
+          version: this.getCurrentVersion(),
+          message: `Rollback of ${migration.file} failed: ${error.message}`
+        };
+      }
+    }
+    
+    return {
+      success: true,
+      rolledBack: done,
+      version: this.getCurrentVersion(),
+      message: done.length > 0 ? `Rolled back ${done.length} migration(s)` : 'Nothing to roll back'
+    };
+  }
+  
+  /**
+   * Create a new, empty migration file with the next version number
+   * @param {string} name - Short description (letters, digits, dashes, underscores)
+   * @returns {string} - Path of the new file
+   */
+  create(name) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^\w-]+/g, '_');
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+    
+    const version = String(this.getLatestVersion() + 1).padStart(3, '0');
+    const filePath = path.join(this.migrationsDir, `${version}_${slug}.js`);
+    
+    fs.mkdirSync(this.migrationsDir, { recursive: true });
+    fs.writeFileSync(filePath, `/**
+ * ${name}
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(\`
+    \`);
+  },
+  
+  down(db) {
+    db.exec(\`
+    \`);
+  }
+};
+`);
+
+    return filePath;
+  }
+}
+
+module.exports = Migrator;
+module.exports.DEFAULT_MIGRATIONS_DIR = DEFAULT_MIGRATIONS_DIR;
@@ -0,0 +1,1024 @@
+/**
+ * PostgreSQL Database Adapter
+ * Implements DatabaseAdapter interface on a PostgreSQL server
+ *
+ * Queries go through a ConnectionPool, and the client is pluggable: pass `connect`
+ * (an async factory returning a client with query(text, params) and end()) to use any
+ * driver or an in-process stand-in. By default node-postgres (`pg`) is loaded on demand
+ * and connects to `connectionString` (or DATABASE_URL).
+ *
+ * Tables mirror the SQLite schema and are created by the statement lists in
+ * server/database/postgres-migrations, which keep the same version numbers.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const DatabaseAdapter = require('./DatabaseAdapter');
+const ConnectionPool = require('./ConnectionPool');
+
+const { CLOSED_STATUSES, clampPageLimit } = DatabaseAdapter;
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, 'postgres-migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// SQLSTATE for unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Lazy load pg to avoid errors when not installed
+let pg = null;
+function getPg() {
+  if (!pg) {
+    try {
+      pg = require('pg');
+    } catch (error) {
+      throw new Error('PostgreSQL support needs the "pg" package (npm install pg), or pass a connect() client factory');
+    }
+  }
+  return pg;
+}
+
+/**
+ * Build "$n, $n+1, ..." placeholders starting after `offset` parameters
+ */
+function placeholders(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => `$${offset + i + 1}`).join(', ');
+}
+
+const CLOSED_PLACEHOLDERS = placeholders(CLOSED_STATUSES.length);
+
+class PostgresAdapter extends DatabaseAdapter {
+  constructor(options = {}) {
+    super(options);
+    
+    this.connectionString = options.connectionString || process.env.DATABASE_URL;
+    this.poolSize = options.poolSize;
+    // Apply pending schema migrations on startup
+    this.autoMigrate = options.autoMigrate !== false;
+    this.migrationsDir = options.migrationsDir || DEFAULT_MIGRATIONS_DIR;
+    this.connect = options.connect || null;
+    this.pool = options.pool || null;
+  }
+  
+  /**
+   * Open the connection pool and bring the schema up to date
+   */
+  async initialize() {
+    try {
+      if (!this.pool || this.pool.ended) {
+        this.pool = new ConnectionPool(this.connect || (() => this.connectClient()), { max: this.poolSize });
+      }
+      
+      await this.prepareSchema();
+      
+      this.isConnected = true;
+      
+      console.log(`✅ PostgresAdapter initialized (${await this.getUserCount()} users, ${await this.getPlayerCount()} players)`);
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize PostgreSQL database:', error.message);
+      if (this.pool) {
+        await this.pool.end();
+      }
+      this.isConnected = false;
+      return false;
+    }
+  }
+  
+  /**
+   * Open a node-postgres client (the default connection factory)
+   */
+  async connectClient() {
+    const { Client } = getPg();
+    const client = new Client({ connectionString: this.connectionString });
+    await client.connect();
+    return client;
+  }
+  
+  /**
+   * Load the migration files, sorted by version
+   * @returns {Array<Object>} - [{ version, name, file, up, down }] where up/down are statement lists
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        ...require(path.join(this.migrationsDir, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+  
+  /**
+   * Check the schema version and apply pending migrations, each in its own transaction
+   */
+  async prepareSchema() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at BIGINT NOT NULL
+      )
+    `);
+    
+    const migrations = this.loadMigrations();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const { rows } = await this.pool.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => Number(row.version)));
+    const currentVersion = Math.max(0, ...applied);
+    
+    if (currentVersion > latestVersion) {
+      throw new Error(`Database schema version ${currentVersion} is newer than this server supports (${latestVersion}). Upgrade the server or roll back the schema.`);
+    }
+    
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    if (pending.length === 0) return;
+    
+    if (!this.autoMigrate) {
+      throw new Error(`Database schema is at version ${currentVersion}, expected ${latestVersion}. Start with autoMigrate enabled to apply it.`);
+    }
+    
+    for (const migration of pending) {
+      try {
+        await this.pool.transaction(async (client) => {
+          for (const statement of migration.up) {
+            await client.query(statement);
+          }
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, Date.now()]
+          );
+        });
+      } catch (error) {
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+    }
+    
+    console.log(`🧱 Applied ${pending.length} schema migration(s), now at version ${pending[pending.length - 1].version}`);
+  }
+  
+  /**
+   * Close the connection pool
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.isConnected = false;
+    }
+  }
+  
+  /**
+   * Run a query and return its rows
+   */
+  async query(text, params = []) {
+    const result = await this.pool.query(text, params);
+    return result.rows;
+  }
+  
+  /**
+   * Run a query and return the `data` column of the first row, parsed
+   */
+  async queryData(text, params = []) {
+    const rows = await this.query(text, params);
+    return rows.length > 0 ? JSON.parse(rows[0].data) : null;
+  }
+  
+  // ===========================================================================
+  // User Operations
+  // ===========================================================================
+  
+  async getUser(username) {
+    try {
+      return await this.queryData('SELECT data FROM users WHERE username = $1', [username.toLowerCase()]);
+    } catch (error) {
+      console.error('Error getting user:', error);
+      return null;
+    }
+  }
+  
+  async getUserByEmail(email) {
+    try {
+      return await this.queryData('SELECT data FROM users WHERE email = $1', [email.toLowerCase()]);
+    } catch (error) {
+      console.error('Error getting user by email:', error);
+      return null;
+    }
+  }
+  
+  async getUserByPlayerId(playerId) {
+    try {
+      return await this.queryData('SELECT data FROM users WHERE id = $1', [playerId]);
+    } catch (error) {
+      console.error('Error getting user by player ID:', error);
+      return null;
+    }
+  }
+  
+  async createUser(username, userData) {
+    try {
+      const now = Date.now();
+      await this.pool.query(`
+        INSERT INTO users (username, id, email, data, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [
+        username.toLowerCase(),
+        userData.id,
+        userData.email ? userData.email.toLowerCase() : null,
+        JSON.stringify(userData),
+        now,
+        now
+      ]);
+      
+      return true;
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return false; // User already exists
+      }
+      console.error('Error creating user:', error);
+      return false;
+    }
+  }
+  
+  async updateUser(username, updates) {
+    try {
+      // Get existing user data
+      const user = await this.getUser(username);
+      if (!user) return false;
+      
+      // Merge updates
+      Object.assign(user, updates);
+      
+      const result = await this.pool.query(`
+        UPDATE users
+        SET email = $1, data = $2, updated_at = $3
+        WHERE username = $4
+      `, [
+        user.email ? user.email.toLowerCase() : null,
+        JSON.stringify(user),
+        Date.now(),
+        username.toLowerCase()
+      ]);
+      
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error updating user:', error);
+      return false;
+    }
+  }
+  
+  async deleteUser(username) {
+    try {
+      const result = await this.pool.query('DELETE FROM users WHERE username = $1', [username.toLowerCase()]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      return false;
+    }
+  }
+  
+  async getAllUsers() {
+    try {
+      const rows = await this.query('SELECT username, data FROM users');
+      return new Map(rows.map(row => [row.username, JSON.parse(row.data)]));
+    } catch (error) {
+      console.error('Error getting all users:', error);
+      return new Map();
+    }
+  }
+  
+  async getUserCount() {
+    try {
+      const [row] = await this.query('SELECT COUNT(*) AS count FROM users');
+      return Number(row.count);
+    } catch (error) {
+      console.error('Error getting user count:', error);
+      return 0;
+    }
+  }
+  
+  // ===========================================================================
+  // Player Operations
+  // ===========================================================================
+  
+  async getPlayer(playerId) {
+    try {
+      return await this.queryData('SELECT data FROM players WHERE id = $1', [playerId]);
+    } catch (error) {
+      console.error('Error getting player:', error);
+      return null;
+    }
+  }
+  
+  async createPlayer(playerId, playerData) {
+    try {
+      const now = Date.now();
+      await this.pool.query(`
+        INSERT INTO players (id, username, data, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [playerId, playerData.username, JSON.stringify(playerData), now, now]);
+      
+      return true;
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return false; // Player already exists
+      }
+      console.error('Error creating player:', error);
+      return false;
+    }
+  }
+  
+  async updatePlayer(playerId, updates) {
+    try {
+      // Get existing player data
+      const player = await this.getPlayer(playerId);
+      if (!player) return false;
+      
+      // Merge updates
+      Object.assign(player, updates);
+      player.lastUpdate = Date.now();
+      
+      const result = await this.pool.query(
+        'UPDATE players SET data = $1, updated_at = $2 WHERE id = $3',
+        [JSON.stringify(player), Date.now(), playerId]
+      );
+      
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error updating player:', error);
+      return false;
+    }
+  }
+  
+  async deletePlayer(playerId) {
+    try {
+      const result = await this.pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting player:', error);
+      return false;
+    }
+  }
+  
+  async getAllPlayers() {
+    try {
+      const rows = await this.query('SELECT id, data FROM players');
+      return new Map(rows.map(row => [row.id, JSON.parse(row.data)]));
+    } catch (error) {
+      console.error('Error getting all players:', error);
+      return new Map();
+    }
+  }
+  
+  async getPlayerCount() {
+    try {
+      const [row] = await this.query('SELECT COUNT(*) AS count FROM players');
+      return Number(row.count);
+    } catch (error) {
+      console.error('Error getting player count:', error);
+      return 0;
+    }
+  }
+  
+  // ===========================================================================
+  // Trade Operations
+  // ===========================================================================
+  
+  async saveTrade(trade) {
+    try {
+      const now = Date.now();
+      await this.pool.query(`
+        INSERT INTO trades (id, from_player_id, to_player_id, status, data, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (id) DO UPDATE SET
+          status = EXCLUDED.status,
+          data = EXCLUDED.data,
+          updated_at = EXCLUDED.updated_at
+      `, [
+        trade.id,
+        trade.fromPlayerId,
+        trade.toPlayerId,
+        trade.status,
+        JSON.stringify(trade),
+        trade.createdAt || now,
+        now
+      ]);
+      
+      return true;
+    } catch (error) {
+      console.error('Error saving trade:', error);
+      return false;
+    }
+  }
+  
+  async getTrade(tradeId) {
+    try {
+      return await this.queryData('SELECT data FROM trades WHERE id = $1', [tradeId]);
+    } catch (error) {
+      console.error('Error getting trade:', error);
+      return null;
+    }
+  }
+  
+  async getActiveTrades() {
+    try {
+      const rows = await this.query(`
+        SELECT data FROM trades
+        WHERE status NOT IN (${CLOSED_PLACEHOLDERS})
+        ORDER BY created_at
+      `, CLOSED_STATUSES);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting active trades:', error);
+      return [];
+    }
+  }
+  
+  async getTradeHistory(options = {}) {
+    const { playerId = null } = options;
+    const limit = clampPageLimit(options.limit);
+    const params = [...CLOSED_STATUSES];
+    let where = `status IN (${CLOSED_PLACEHOLDERS})`;
+    
+    if (playerId) {
+      params.push(playerId);
+      where += ` AND (from_player_id = $${params.length} OR to_player_id = $${params.length})`;
+    }
+    params.push(limit);
+    
+    try {
+      const rows = await this.query(`
+        SELECT data FROM trades
+        WHERE ${where}
+        ORDER BY updated_at DESC, created_at DESC, id DESC
+        LIMIT $${params.length}
+      `, params);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting trade history:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Auction Operations
+  // ===========================================================================
+  
+  async saveAuction(auction) {
+    try {
+      // Bids live in auction_bids; they are attached again when the auction is read
+      const { bids, ...record } = auction;
+      const now = Date.now();
+      await this.pool.query(`
+        INSERT INTO auctions (id, seller_id, winner_id, status, scope, ends_at, data, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (id) DO UPDATE SET
+          winner_id = EXCLUDED.winner_id,
+          status = EXCLUDED.status,
+          ends_at = EXCLUDED.ends_at,
+          data = EXCLUDED.data,
+          updated_at = EXCLUDED.updated_at
+      `, [
+        auction.id,
+        auction.sellerId,
+        auction.winnerId || null,
+        auction.status,
+        auction.scope || 'global',
+        auction.endsAt,
+        JSON.stringify(record),
+        auction.createdAt || now,
+        now
+      ]);
+      
+      return true;
+    } catch (error) {
+      console.error('Error saving auction:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Parse auction rows and attach their bids (one query for all auctions)
+   */
+  async hydrateAuctions(rows) {
+    const auctions = rows.map(row => JSON.parse(row.data));
+    if (auctions.length === 0) return auctions;
+    
+    const bidRows = await this.query(
+      `SELECT auction_id, data FROM auction_bids WHERE auction_id IN (${placeholders(auctions.length)}) ORDER BY id`,
+      auctions.map(auction => auction.id)
+    );
+    
+    for (const auction of auctions) {
+      auction.bids = bidRows.filter(bid => bid.auction_id === auction.id).map(bid => JSON.parse(bid.data));
+    }
+    return auctions;
+  }
+  
+  async getAuction(auctionId) {
+    try {
+      const rows = await this.query('SELECT data FROM auctions WHERE id = $1', [auctionId]);
+      if (rows.length === 0) return null;
+      return (await this.hydrateAuctions(rows))[0];
+    } catch (error) {
+      console.error('Error getting auction:', error);
+      return null;
+    }
+  }
+  
+  async getActiveAuctions() {
+    try {
+      const rows = await this.query(`
+        SELECT data FROM auctions
+        WHERE status NOT IN (${CLOSED_PLACEHOLDERS})
+        ORDER BY ends_at
+      `, CLOSED_STATUSES);
+      return await this.hydrateAuctions(rows);
+    } catch (error) {
+      console.error('Error getting active auctions:', error);
+      return [];
+    }
+  }
+  
+  async getAuctionHistory(options = {}) {
+    const { playerId = null } = options;
+    const limit = clampPageLimit(options.limit);
+    const params = [...CLOSED_STATUSES];
+    let where = `status IN (${CLOSED_PLACEHOLDERS})`;
+    
+    if (playerId) {
+      params.push(playerId);
+      where += ` AND (seller_id = $${params.length} OR winner_id = $${params.length})`;
+    }
+    params.push(limit);
+    
+    try {
+      const rows = await this.query(`
+        SELECT data FROM auctions
+        WHERE ${where}
+        ORDER BY updated_at DESC, created_at DESC, id DESC
+        LIMIT $${params.length}
+      `, params);
+      return await this.hydrateAuctions(rows);
+    } catch (error) {
+      console.error('Error getting auction history:', error);
+      return [];
+    }
+  }
+  
+  async addBid(auctionId, bid) {
+    try {
+      await this.pool.query(`
+        INSERT INTO auction_bids (auction_id, bidder_id, amount, data, created_at)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [auctionId, bid.bidderId, bid.amount, JSON.stringify(bid), bid.timestamp || Date.now()]);
+      return true;
+    } catch (error) {
+      console.error('Error adding bid:', error);
+      return false;
+    }
+  }
+  
+  async getBids(auctionId) {
+    try {
+      const rows = await this.query('SELECT data FROM auction_bids WHERE auction_id = $1 ORDER BY id', [auctionId]);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting bids:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Event Log
+  // ===========================================================================
+  
+  async logEvent(entry) {
+    try {
+      await this.pool.query(`
+        INSERT INTO event_log (name, event_type, scope, location_id, player_id, data, executed_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        entry.name,
+        entry.eventType || null,
+        entry.scope || null,
+        entry.locationId || null,
+        entry.playerId || null,
+        JSON.stringify(entry),
+        entry.executedAt || Date.now()
+      ]);
+      
+      return true;
+    } catch (error) {
+      console.error('Error logging event:', error);
+      return false;
+    }
+  }
+  
+  async getEventLog(options = {}) {
+    const { eventType = null } = options;
+    const limit = clampPageLimit(options.limit);
+    
+    try {
+      const rows = eventType
+        ? await this.query('SELECT data FROM event_log WHERE event_type = $1 ORDER BY id DESC LIMIT $2', [eventType, limit])
+        : await this.query('SELECT data FROM event_log ORDER BY id DESC LIMIT $1', [limit]);
+      return rows.map(row => JSON.parse(row.data)).reverse();
+    } catch (error) {
+      console.error('Error getting event log:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Event Schedules
+  // ===========================================================================
+  
+  async saveEventSchedule(eventId, state) {
+    try {
+      await this.pool.query(`
+        INSERT INTO event_schedules (event_id, data, updated_at)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (event_id) DO UPDATE SET
+          data = EXCLUDED.data,
+          updated_at = EXCLUDED.updated_at
+      `, [eventId, JSON.stringify(state), Date.now()]);
+      return true;
+    } catch (error) {
+      console.error('Error saving event schedule:', error);
+      return false;
+    }
+  }
+  
+  async getEventSchedules() {
+    try {
+      const rows = await this.query('SELECT event_id, data FROM event_schedules');
+      return Object.fromEntries(rows.map(row => [row.event_id, JSON.parse(row.data)]));
+    } catch (error) {
+      console.error('Error getting event schedules:', error);
+      return {};
+    }
+  }
+  
+  async saveActiveEvent(active) {
+    try {
+      await this.pool.query(`
+        INSERT INTO active_events (id, data, ends_at)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (id) DO UPDATE SET
+          data = EXCLUDED.data,
+          ends_at = EXCLUDED.ends_at
+      `, [active.id, JSON.stringify(active), active.endsAt]);
+      return true;
+    } catch (error) {
+      console.error('Error saving active event:', error);
+      return false;
+    }
+  }
+  
+  async deleteActiveEvent(activeEventId) {
+    try {
+      await this.pool.query('DELETE FROM active_events WHERE id = $1', [activeEventId]);
+      return true;
+    } catch (error) {
+      console.error('Error deleting active event:', error);
+      return false;
+    }
+  }
+  
+  async getActiveEvents() {
+    try {
+      const rows = await this.query('SELECT data FROM active_events ORDER BY ends_at');
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting active events:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Transfer Ledger
+  // ===========================================================================
+  
+  async beginTransfer(transfer) {
+    try {
+      // The transfer and all of its changes are stored together or not at all
+      // (only the journal rows: player records are written afterwards by PlayerManager)
+      await this.pool.transaction(async (client) => {
+        await client.query(`
+          INSERT INTO transfers (id, type, reference, status, data, created_at)
+          VALUES ($1, $2, $3, 'pending', $4, $5)
+        `, [
+          transfer.id,
+          transfer.type,
+          transfer.reference || null,
+          JSON.stringify({ ...transfer, status: 'pending' }),
+          transfer.createdAt || Date.now()
+        ]);
+        
+        for (const change of transfer.changes) {
+          await client.query(`
+            INSERT INTO transfer_changes (transfer_id, player_id, pennies, items_added, items_removed)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [
+            transfer.id,
+            change.playerId,
+            change.pennies || 0,
+            JSON.stringify(change.addItems || []),
+            JSON.stringify(change.removeItems || [])
+          ]);
+        }
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Error beginning transfer:', error);
+      return false;
+    }
+  }
+  
+  async finishTransfer(transferId, status, error = null) {
+    try {
+      const stored = await this.getTransfer(transferId);
+      if (!stored) return false;
+      
+      const finishedAt = Date.now();
+      const transfer = { ...stored, status, error, finishedAt };
+      const result = await this.pool.query(`
+        UPDATE transfers
+        SET status = $1, error = $2, data = $3, finished_at = $4
+        WHERE id = $5
+      `, [status, error, JSON.stringify(transfer), finishedAt, transferId]);
+      
+      return result.rowCount > 0;
+    } catch (err) {
+      console.error('Error finishing transfer:', err);
+      return false;
+    }
+  }
+  
+  async getPendingTransfers() {
+    try {
+      const rows = await this.query("SELECT data FROM transfers WHERE status = 'pending' ORDER BY created_at, seq");
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting pending transfers:', error);
+      return [];
+    }
+  }
+  
+  async getTransfer(transferId) {
+    try {
+      return await this.queryData('SELECT data FROM transfers WHERE id = $1', [transferId]);
+    } catch (error) {
+      console.error('Error getting transfer:', error);
+      return null;
+    }
+  }
+  
+  async getTransfers(options = {}) {
+    const { playerId = null, reference = null, limit = 20 } = options;
+    const conditions = [];
+    const params = [];
+    
+    if (playerId) {
+      params.push(playerId);
+      conditions.push(`id IN (SELECT transfer_id FROM transfer_changes WHERE player_id = $${params.length})`);
+    }
+    if (reference) {
+      params.push(reference);
+      conditions.push(`reference = $${params.length}`);
+    }
+    params.push(limit);
+    
+    try {
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await this.query(`
+        SELECT data FROM transfers ${where}
+        ORDER BY created_at DESC, seq DESC
+        LIMIT $${params.length}
+      `, params);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting transfers:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Economy Ledger
+  // ===========================================================================
+  
+  async appendEconomyEntry(entry) {
+    try {
+      await this.pool.query(`
+        INSERT INTO economy_ledger (player_id, delta, flow, reason, source, reference_id, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        entry.playerId,
+        entry.delta,
+        entry.flow,
+        entry.reason,
+        entry.source,
+        entry.referenceId || null,
+        entry.createdAt || Date.now()
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Error appending economy entry:', error);
+      return false;
+    }
+  }
+  
+  async getEconomyEntries(options = {}) {
+    const { playerId = null, since = 0, limit = 100 } = options;
+    const params = [since];
+    let where = 'created_at >= $1';
+    
+    if (playerId) {
+      params.push(playerId);
+      where += ` AND player_id = $${params.length}`;
+    }
+    params.push(limit);
+    
+    try {
+      const rows = await this.query(`
+        SELECT id, player_id, delta, flow, reason, source, reference_id, created_at
+        FROM economy_ledger
+        WHERE ${where}
+        ORDER BY id DESC
+        LIMIT $${params.length}
+      `, params);
+      
+      return rows.map(row => ({
+        id: Number(row.id),
+        playerId: row.player_id,
+        delta: Number(row.delta),
+        flow: row.flow,
+        reason: row.reason,
+        source: row.source,
+        referenceId: row.reference_id,
+        createdAt: Number(row.created_at)
+      }));
+    } catch (error) {
+      console.error('Error getting economy entries:', error);
+      return [];
+    }
+  }
+  
+  async getEconomyDailyTotals(options = {}) {
+    const { since = 0 } = options;
+    
+    try {
+      // Bucket by whole UTC days since the epoch; the date string is built here
+      const rows = await this.query(`
+        SELECT created_at / ${DAY_MS} AS day_number,
+          SUM(CASE WHEN flow = 'source' THEN delta ELSE 0 END) AS created,
+          -SUM(CASE WHEN flow = 'sink' THEN delta ELSE 0 END) AS destroyed,
+          SUM(CASE WHEN flow = 'transfer' AND delta > 0 THEN delta ELSE 0 END) AS transferred,
+          COUNT(*) AS entries
+        FROM economy_ledger
+        WHERE created_at >= $1
+        GROUP BY created_at / ${DAY_MS}
+        ORDER BY day_number
+      `, [since]);
+      
+      return rows.map(row => ({
+        day: new Date(Number(row.day_number) * DAY_MS).toISOString().slice(0, 10),
+        created: Number(row.created),
+        destroyed: Number(row.destroyed),
+        transferred: Number(row.transferred),
+        entries: Number(row.entries)
+      }));
+    } catch (error) {
+      console.error('Error getting economy totals:', error);
+      return [];
+    }
+  }
+  
+  async getEconomyTopEarners(options = {}) {
+    const { since = 0, limit = 10 } = options;
+    
+    try {
+      const rows = await this.query(`
+        SELECT player_id,
+          SUM(delta) AS net,
+          SUM(CASE WHEN flow = 'source' THEN delta ELSE 0 END) AS created,
+          COUNT(*) AS entries
+        FROM economy_ledger
+        WHERE created_at >= $1
+        GROUP BY player_id
+        HAVING SUM(delta) > 0
+        ORDER BY net DESC, player_id
+        LIMIT $2
+      `, [since, limit]);
+      
+      return rows.map(row => ({
+        playerId: row.player_id,
+        net: Number(row.net),
+        created: Number(row.created),
+        entries: Number(row.entries)
+      }));
+    } catch (error) {
+      console.error('Error getting top earners:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Bulk Export & Import
+  // ===========================================================================
+  
+  async exportData(options = {}) {
+    const { collections = ['users', 'players'], offset = 0, limit = null } = options;
+    const page = limit === null ? '' : `LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
+    const data = { exportedAt: new Date().toISOString() };
+    
+    if (collections.includes('users')) {
+      const rows = await this.query(`SELECT username, data FROM users ORDER BY username ${page}`);
+      data.users = Object.fromEntries(rows.map(row => [row.username, JSON.parse(row.data)]));
+    }
+    if (collections.includes('players')) {
+      const rows = await this.query(`SELECT id, data FROM players ORDER BY id ${page}`);
+      data.players = Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)]));
+    }
+    
+    return data;
+  }
+  
+  async importData(data) {
+    const users = Object.entries(data.users || {});
+    const players = Object.entries(data.players || {});
+    const now = Date.now();
+    
+    try {
+      // One transaction per batch, so a failed import leaves nothing half written
+      await this.pool.transaction(async (client) => {
+        for (const [username, userData] of users) {
+          await client.query(`
+            INSERT INTO users (username, id, email, data, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $5)
+            ON CONFLICT (username) DO UPDATE SET
+              id = EXCLUDED.id,
+              email = EXCLUDED.email,
+              data = EXCLUDED.data,
+              updated_at = EXCLUDED.updated_at
+          `, [
+            username.toLowerCase(),
+            userData.id,
+            userData.email ? userData.email.toLowerCase() : null,
+            JSON.stringify(userData),
+            now
+          ]);
+        }
+        
+        for (const [playerId, playerData] of players) {
+          await client.query(`
+            INSERT INTO players (id, username, data, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $4)
+            ON CONFLICT (id) DO UPDATE SET
+              username = EXCLUDED.username,
+              data = EXCLUDED.data,
+              updated_at = EXCLUDED.updated_at
+          `, [playerId, playerData.username, JSON.stringify(playerData), now]);
+        }
+      });
+      
+      return { usersImported: users.length, playersImported: players.length, errors: [] };
+    } catch (error) {
+      return { usersImported: 0, playersImported: 0, errors: [`Batch rolled back: ${error.message}`] };
+    }
+  }
+  
+  // ===========================================================================
+  // Utility Methods
+  // ===========================================================================
+  
+  getType() {
+    return 'postgres';
+  }
+  
+  async healthCheck() {
+    if (!this.isConnected || !this.pool) {
+      return false;
+    }
+    
+    try {
+      // Simple query to check if the server is responsive
+      await this.pool.query('SELECT 1');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Connection pool usage (total, idle, in use, waiting callers)
+   */
+  getPoolStats() {
+    return this.pool ? this.pool.stats() : null;
+  }
+}
+
+module.exports = PostgresAdapter;
@@ -9,6 +9,10 @@
 const path = require('path');
 const fs = require('fs');
 const DatabaseAdapter = require('./DatabaseAdapter');
+const Migrator = require('./Migrator');
+
+const { CLOSED_STATUSES, clampPageLimit } = DatabaseAdapter;
+const CLOSED_PLACEHOLDERS = CLOSED_STATUSES.map(() => '?').join(', ');
 
 // Lazy load better-sqlite3 to avoid errors when not installed
 let Database = null;
@@ -25,7 +29,11 @@ class SQLiteAdapter extends DatabaseAdapter {
     
     this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
     this.dbPath = options.dbPath || path.join(this.dataDir, 'highwizardry.db');
+    // Apply pending schema migrations on startup (set false to require `npm run db:migrate`)
+    this.autoMigrate = options.autoMigrate !== false;
+    this.migrationsDir = options.migrationsDir;
     this.db = null;
+    this.migrator = null;
   }
   
   /**
@@ -47,8 +55,8 @@ class SQLiteAdapter extends DatabaseAdapter {
       // Enable WAL mode for better concurrent access
       this.db.pragma('journal_mode = WAL');
       
-      // Create tables
-      this.createTables();
+      // Bring the schema up to date (refuses to run against a newer schema)
+      this.prepareSchema();
       
       this.isConnected = true;
       
@@ -60,43 +68,42 @@ class SQLiteAdapter extends DatabaseAdapter {
       
       return true;
     } catch (error) {
-      console.error('Failed to initialize SQLite database:', error);
+      console.error('Failed to initialize SQLite database:', error.message);
+      if (this.db) {
+        this.db.close();
+        this.db = null;
+      }
       this.isConnected = false;
       return false;
     }
   }
   
   /**
-   * Create database tables
+   * Check the schema version and apply pending migrations
+   * Tables are defined by the files in server/database/migrations.
    */
-  createTables() {
-    // Users table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS users (
-        username TEXT PRIMARY KEY COLLATE NOCASE,
-        id TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE COLLATE NOCASE,
-        data TEXT NOT NULL,
-        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
-        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      CREATE INDEX IF NOT EXISTS idx_users_id ON users(id);
-    `);
+  prepareSchema() {
+    this.migrator = new Migrator(this.db, { migrationsDir: this.migrationsDir });
     
-    // Players table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS players (
-        id TEXT PRIMARY KEY,
-        username TEXT NOT NULL,
-        data TEXT NOT NULL,
-        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
-        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_players_username ON players(username);
-    `);
+    const compatibility = this.migrator.checkCompatibility();
+    if (!compatibility.compatible) {
+      throw new Error(compatibility.message);
+    }
+    
+    if (!this.autoMigrate) {
+      if (compatibility.currentVersion < compatibility.latestVersion) {
+        throw new Error(`Database schema is at version ${compatibility.currentVersion}, expected ${compatibility.latestVersion}. Run: npm run db:migrate`);
+      }
+      return;
+    }
+    
+    const result = this.migrator.migrate();
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    if (result.applied.length > 0) {
+      console.log(`🧱 Applied ${result.applied.length} schema migration(s), now at version ${result.version}`);
+    }
   }
   
   /**
@@ -347,6 +354,603 @@ class SQLiteAdapter extends DatabaseAdapter {
     }
   }
   
+  // ===========================================================================
+  // Trade Operations
+  // ===========================================================================
+  
+  async saveTrade(trade) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO trades (id, from_player_id, to_player_id, status, data, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `);
+      
+      const now = Date.now();
+      stmt.run(
+        trade.id,
+        trade.fromPlayerId,
+        trade.toPlayerId,
+        trade.status,
+        JSON.stringify(trade),
+        trade.createdAt || now,
+        now
+      );
+      
+      return true;
+    } catch (error) {
+      console.error('Error saving trade:', error);
+      return false;
+    }
+  }
+  
+  async getTrade(tradeId) {
+    try {
+      const row = this.db.prepare('SELECT data FROM trades WHERE id = ?').get(tradeId);
+      if (!row) return null;
+      return JSON.parse(row.data);
+    } catch (error) {
+      console.error('Error getting trade:', error);
+      return null;
+    }
+  }
+  
+  async getActiveTrades() {
+    try {
+      const rows = this.db.prepare(`
+        SELECT data FROM trades
+        WHERE status NOT IN (${CLOSED_PLACEHOLDERS})
+        ORDER BY created_at
+      `).all(...CLOSED_STATUSES);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting active trades:', error);
+      return [];
+    }
+  }
+  
+  async getTradeHistory(options = {}) {
+    const { playerId = null } = options;
+    const limit = clampPageLimit(options.limit);
+    
+    try {
+      const rows = playerId
+        ? this.db.prepare(`
+            SELECT data FROM trades
+            WHERE status IN (${CLOSED_PLACEHOLDERS}) AND (from_player_id = ? OR to_player_id = ?)
+            ORDER BY updated_at DESC, rowid DESC
+            LIMIT ?
+          `).all(...CLOSED_STATUSES, playerId, playerId, limit)
+        : this.db.prepare(`
+            SELECT data FROM trades
+            WHERE status IN (${CLOSED_PLACEHOLDERS})
+            ORDER BY updated_at DESC, rowid DESC
+            LIMIT ?
+          `).all(...CLOSED_STATUSES, limit);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting trade history:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Auction Operations
+  // ===========================================================================
+  
+  async saveAuction(auction) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO auctions (id, seller_id, winner_id, status, scope, ends_at, data, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          winner_id = excluded.winner_id,
+          status = excluded.status,
+          ends_at = excluded.ends_at,
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `);
+      
+      // Bids live in auction_bids; they are attached again when the auction is read
+      const { bids, ...record } = auction;
+      const now = Date.now();
+      stmt.run(
+        auction.id,
+        auction.sellerId,
+        auction.winnerId || null,
+        auction.status,
+        auction.scope || 'global',
+        auction.endsAt,
+        JSON.stringify(record),
+        auction.createdAt || now,
+        now
+      );
+      
+      return true;
+    } catch (error) {
+      console.error('Error saving auction:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Parse auction rows and attach their bids
+   */
+  hydrateAuctions(rows) {
+    const bidsStmt = this.db.prepare('SELECT data FROM auction_bids WHERE auction_id = ? ORDER BY id');
+    return rows.map(row => {
+      const auction = JSON.parse(row.data);
+      auction.bids = bidsStmt.all(auction.id).map(bid => JSON.parse(bid.data));
+      return auction;
+    });
+  }
+  
+  async getAuction(auctionId) {
+    try {
+      const row = this.db.prepare('SELECT data FROM auctions WHERE id = ?').get(auctionId);
+      if (!row) return null;
+      return this.hydrateAuctions([row])[0];
+    } catch (error) {
+      console.error('Error getting auction:', error);
+      return null;
+    }
+  }
+  
+  async getActiveAuctions() {
+    try {
+      const rows = this.db.prepare(`
+        SELECT data FROM auctions
+        WHERE status NOT IN (${CLOSED_PLACEHOLDERS})
+        ORDER BY ends_at
+      `).all(...CLOSED_STATUSES);
+      return this.hydrateAuctions(rows);
+    } catch (error) {
+      console.error('Error getting active auctions:', error);
+      return [];
+    }
+  }
+  
+  async getAuctionHistory(options = {}) {
+    const { playerId = null } = options;
+    const limit = clampPageLimit(options.limit);
+    
+    try {
+      const rows = playerId
+        ? this.db.prepare(`
+            SELECT data FROM auctions
+            WHERE status IN (${CLOSED_PLACEHOLDERS}) AND (seller_id = ? OR winner_id = ?)
+            ORDER BY updated_at DESC, rowid DESC
+            LIMIT ?
+          `).all(...CLOSED_STATUSES, playerId, playerId, limit)
+        : this.db.prepare(`
+            SELECT data FROM auctions
+            WHERE status IN (${CLOSED_PLACEHOLDERS})
+            ORDER BY updated_at DESC, rowid DESC
+            LIMIT ?
+          `).all(...CLOSED_STATUSES, limit);
+      return this.hydrateAuctions(rows);
+    } catch (error) {
+      console.error('Error getting auction history:', error);
+      return [];
+    }
+  }
+  
+  async addBid(auctionId, bid) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO auction_bids (auction_id, bidder_id, amount, data, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      
+      stmt.run(auctionId, bid.bidderId, bid.amount, JSON.stringify(bid), bid.timestamp || Date.now());
+      return true;
+    } catch (error) {
+      console.error('Error adding bid:', error);
+      return false;
+    }
+  }
+  
+  async getBids(auctionId) {
+    try {
+      const rows = this.db.prepare('SELECT data FROM auction_bids WHERE auction_id = ? ORDER BY id').all(auctionId);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting bids:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Event Log
+  // ===========================================================================
+  
+  async logEvent(entry) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO event_log (name, event_type, scope, location_id, player_id, data, executed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      
+      stmt.run(
+        entry.name,
+        entry.eventType || null,
+        entry.scope || null,
+        entry.locationId || null,
+        entry.playerId || null,
+        JSON.stringify(entry),
+        entry.executedAt || Date.now()
+      );
+      
+      return true;
+    } catch (error) {
+      console.error('Error logging event:', error);
+      return false;
+    }
+  }
+  
+  async getEventLog(options = {}) {
+    const { eventType = null } = options;
+    const limit = clampPageLimit(options.limit);
+    
+    try {
+      const rows = eventType
+        ? this.db.prepare('SELECT data FROM event_log WHERE event_type = ? ORDER BY id DESC LIMIT ?').all(eventType, limit)
+        : this.db.prepare('SELECT data FROM event_log ORDER BY id DESC LIMIT ?').all(limit);
+      return rows.map(row => JSON.parse(row.data)).reverse();
+    } catch (error) {
+      console.error('Error getting event log:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Event Schedules
+  // ===========================================================================
+  
+  async saveEventSchedule(eventId, state) {
+    try {
+      this.db.prepare(`
+        INSERT INTO event_schedules (event_id, data, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(event_id) DO UPDATE SET
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `).run(eventId, JSON.stringify(state), Date.now());
+      return true;
+    } catch (error) {
+      console.error('Error saving event schedule:', error);
+      return false;
+    }
+  }
+  
+  async getEventSchedules() {
+    try {
+      const rows = this.db.prepare('SELECT event_id, data FROM event_schedules').all();
+      return Object.fromEntries(rows.map(row => [row.event_id, JSON.parse(row.data)]));
+    } catch (error) {
+      console.error('Error getting event schedules:', error);
+      return {};
+    }
+  }
+  
+  async saveActiveEvent(active) {
+    try {
+      this.db.prepare(`
+        INSERT INTO active_events (id, data, ends_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          data = excluded.data,
+          ends_at = excluded.ends_at
+      `).run(active.id, JSON.stringify(active), active.endsAt);
+      return true;
+    } catch (error) {
+      console.error('Error saving active event:', error);
+      return false;
+    }
+  }
+  
+  async deleteActiveEvent(activeEventId) {
+    try {
+      this.db.prepare('DELETE FROM active_events WHERE id = ?').run(activeEventId);
+      return true;
+    } catch (error) {
+      console.error('Error deleting active event:', error);
+      return false;
+    }
+  }
+  
+  async getActiveEvents() {
+    try {
+      const rows = this.db.prepare('SELECT data FROM active_events ORDER BY ends_at').all();
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting active events:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Transfer Ledger
+  // ===========================================================================
+  
+  async beginTransfer(transfer) {
+    try {
+      const insertTransfer = this.db.prepare(`
+        INSERT INTO transfers (id, type, reference, status, data, created_at)
+        VALUES (?, ?, ?, 'pending', ?, ?)
+      `);
+      const insertChange = this.db.prepare(`
+        INSERT INTO transfer_changes (transfer_id, player_id, pennies, items_added, items_removed)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      
+      // The transfer and all of its changes are stored together or not at all
+      // (only the journal rows: player records are written afterwards by PlayerManager)
+      this.db.transaction(() => {
+        insertTransfer.run(
+          transfer.id,
+          transfer.type,
+          transfer.reference || null,
+          JSON.stringify({ ...transfer, status: 'pending' }),
+          transfer.createdAt || Date.now()
+        );
+        for (const change of transfer.changes) {
+          insertChange.run(
+            transfer.id,
+            change.playerId,
+            change.pennies || 0,
+            JSON.stringify(change.addItems || []),
+            JSON.stringify(change.removeItems || [])
+          );
+        }
+      })();
+      
+      return true;
+    } catch (error) {
+      console.error('Error beginning transfer:', error);
+      return false;
+    }
+  }
+  
+  async finishTransfer(transferId, status, error = null) {
+    try {
+      const row = this.db.prepare('SELECT data FROM transfers WHERE id = ?').get(transferId);
+      if (!row) return false;
+      
+      const finishedAt = Date.now();
+      const transfer = { ...JSON.parse(row.data), status, error, finishedAt };
+      const result = this.db.prepare(`
+        UPDATE transfers
+        SET status = ?, error = ?, data = ?, finished_at = ?
+        WHERE id = ?
+      `).run(status, error, JSON.stringify(transfer), finishedAt, transferId);
+      
+      return result.changes > 0;
+    } catch (err) {
+      console.error('Error finishing transfer:', err);
+      return false;
+    }
+  }
+  
+  async getPendingTransfers() {
+    try {
+      const rows = this.db.prepare("SELECT data FROM transfers WHERE status = 'pending' ORDER BY created_at, rowid").all();
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting pending transfers:', error);
+      return [];
+    }
+  }
+  
+  async getTransfer(transferId) {
+    try {
+      const row = this.db.prepare('SELECT data FROM transfers WHERE id = ?').get(transferId);
+      if (!row) return null;
+      return JSON.parse(row.data);
+    } catch (error) {
+      console.error('Error getting transfer:', error);
+      return null;
+    }
+  }
+  
+  async getTransfers(options = {}) {
+    const { playerId = null, reference = null, limit = 20 } = options;
+    const conditions = [];
+    const params = [];
+    
+    if (playerId) {
+      conditions.push('id IN (SELECT transfer_id FROM transfer_changes WHERE player_id = ?)');
+      params.push(playerId);
+    }
+    if (reference) {
+      conditions.push('reference = ?');
+      params.push(reference);
+    }
+    
+    try {
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = this.db.prepare(`
+        SELECT data FROM transfers ${where}
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ?
+      `).all(...params, limit);
+      return rows.map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error('Error getting transfers:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Economy Ledger
+  // ===========================================================================
+  
+  async appendEconomyEntry(entry) {
+    try {
+      this.db.prepare(`
+        INSERT INTO economy_ledger (player_id, delta, flow, reason, source, reference_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        entry.playerId,
+        entry.delta,
+        entry.flow,
+        entry.reason,
+        entry.source,
+        entry.referenceId || null,
+        entry.createdAt || Date.now()
+      );
+      return true;
+    } catch (error) {
+      console.error('Error appending economy entry:', error);
+      return false;
+    }
+  }
+  
+  async getEconomyEntries(options = {}) {
+    const { playerId = null, since = 0, limit = 100 } = options;
+    
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, player_id, delta, flow, reason, source, reference_id, created_at
+        FROM economy_ledger
+        WHERE (? IS NULL OR player_id = ?) AND created_at >= ?
+        ORDER BY id DESC
+        LIMIT ?
+      `).all(playerId, playerId, since, limit);
+      
+      return rows.map(row => ({
+        id: row.id,
+        playerId: row.player_id,
+        delta: row.delta,
+        flow: row.flow,
+        reason: row.reason,
+        source: row.source,
+        referenceId: row.reference_id,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      console.error('Error getting economy entries:', error);
+      return [];
+    }
+  }
+  
+  async getEconomyDailyTotals(options = {}) {
+    const { since = 0 } = options;
+    
+    try {
+      return this.db.prepare(`
+        SELECT date(created_at / 1000, 'unixepoch') AS day,
+          SUM(CASE WHEN flow = 'source' THEN delta ELSE 0 END) AS created,
+          -SUM(CASE WHEN flow = 'sink' THEN delta ELSE 0 END) AS destroyed,
+          SUM(CASE WHEN flow = 'transfer' AND delta > 0 THEN delta ELSE 0 END) AS transferred,
+          COUNT(*) AS entries
+        FROM economy_ledger
+        WHERE created_at >= ?
+        GROUP BY day
+        ORDER BY day
+      `).all(since);
+    } catch (error) {
+      console.error('Error getting economy totals:', error);
+      return [];
+    }
+  }
+  
+  async getEconomyTopEarners(options = {}) {
+    const { since = 0, limit = 10 } = options;
+    
+    try {
+      const rows = this.db.prepare(`
+        SELECT player_id,
+          SUM(delta) AS net,
+          SUM(CASE WHEN flow = 'source' THEN delta ELSE 0 END) AS created,
+          COUNT(*) AS entries
+        FROM economy_ledger
+        WHERE created_at >= ?
+        GROUP BY player_id
+        HAVING net > 0
+        ORDER BY net DESC, player_id
+        LIMIT ?
+      `).all(since, limit);
+      
+      return rows.map(row => ({ playerId: row.player_id, net: row.net, created: row.created, entries: row.entries }));
+    } catch (error) {
+      console.error('Error getting top earners:', error);
+      return [];
+    }
+  }
+  
+  // ===========================================================================
+  // Bulk Export & Import
+  // ===========================================================================
+  
+  async exportData(options = {}) {
+    const { collections = ['users', 'players'], offset = 0, limit = null } = options;
+    const data = { exportedAt: new Date().toISOString() };
+    // LIMIT -1 means no limit in SQLite
+    const page = [limit === null ? -1 : limit, offset];
+    
+    if (collections.includes('users')) {
+      const rows = this.db.prepare('SELECT username, data FROM users ORDER BY username LIMIT ? OFFSET ?').all(...page);
+      data.users = Object.fromEntries(rows.map(row => [row.username, JSON.parse(row.data)]));
+    }
+    if (collections.includes('players')) {
+      const rows = this.db.prepare('SELECT id, data FROM players ORDER BY id LIMIT ? OFFSET ?').all(...page);
+      data.players = Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)]));
+    }
+    
+    return data;
+  }
+  
+  async importData(data) {
+    const users = Object.entries(data.users || {});
+    const players = Object.entries(data.players || {});
+    const now = Date.now();
+    
+    const upsertUser = this.db.prepare(`
+      INSERT INTO users (username, id, email, data, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(username) DO UPDATE SET
+        id = excluded.id,
+        email = excluded.email,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `);
+    const upsertPlayer = this.db.prepare(`
+      INSERT INTO players (id, username, data, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        username = excluded.username,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `);
+    
+    try {
+      // One transaction per batch, so a failed import leaves nothing half written
+      this.db.transaction(() => {
+        for (const [username, userData] of users) {
+          upsertUser.run(
+            username.toLowerCase(),
+            userData.id,
+            userData.email ? userData.email.toLowerCase() : null,
+            JSON.stringify(userData),
+            now,
+            now
+          );
+        }
+        for (const [playerId, playerData] of players) {
+          upsertPlayer.run(playerId, playerData.username, JSON.stringify(playerData), now, now);
+        }
+      })();
+      
+      return { usersImported: users.length, playersImported: players.length, errors: [] };
+    } catch (error) {
+      return { usersImported: 0, playersImported: 0, errors: [`Batch rolled back: ${error.message}`] };
+    }
+  }
+  
   // ===========================================================================
   // Utility Methods
   // ===========================================================================
@@ -404,6 +1008,97 @@ class SQLiteAdapter extends DatabaseAdapter {
   beginTransaction() {
     return this.db.transaction((fn) => fn());
   }
+  
+  // ===========================================================================
+  // Online Backup & Restore
+  // ===========================================================================
+  
+  /**
+   * Take a consistent snapshot of the live database using SQLite's online backup API
+   * @param {string} destination - Snapshot file path
+   * @returns {Promise<string>} - Snapshot file path
+   */
+  async backup(destination) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+    
+    await this.db.backup(destination);
+    return SQLiteAdapter.finalizeSnapshot(destination);
+  }
+  
+  /**
+   * Replace the live database contents with a snapshot (see SQLiteAdapter.restoreSnapshot)
+   * @param {Buffer|string} source - Snapshot contents or file path
+   */
+  async restore(source) {
+    return SQLiteAdapter.restoreSnapshot(source, this.dbPath);
+  }
+  
+  /**
+   * Snapshot a database file that may be in use by another process (e.g. the running server)
+   * @param {string} dbPath - Database file path
+   * @param {string} destination - Snapshot file path
+   * @returns {Promise<string>} - Snapshot file path
+   */
+  static async snapshot(dbPath, destination) {
+    const SqliteDatabase = getDatabase();
+    const source = new SqliteDatabase(dbPath, { readonly: true, fileMustExist: true });
+    
+    try {
+      await source.backup(destination);
+    } finally {
+      source.close();
+    }
+    
+    return SQLiteAdapter.finalizeSnapshot(destination);
+  }
+  
+  /**
+   * Switch a snapshot to rollback journal mode so it is a single self-contained file
+   */
+  static finalizeSnapshot(destination) {
+    const SqliteDatabase = getDatabase();
+    const snapshot = new SqliteDatabase(destination);
+    
+    try {
+      snapshot.pragma('journal_mode = DELETE');
+    } finally {
+      snapshot.close();
+    }
+    
+    return destination;
+  }
+  
+  /**
+   * Copy a snapshot into a database file with the online backup API
+   * The snapshot is integrity-checked first, and the copy goes through SQLite's
+   * locking, so connections that already have the target open see the restored data.
+   * @param {Buffer|string} source - Snapshot contents or file path
+   * @param {string} dbPath - Target database file path
+   */
+  static async restoreSnapshot(source, dbPath) {
+    const SqliteDatabase = getDatabase();
+    const snapshot = Buffer.isBuffer(source)
+      ? new SqliteDatabase(source)
+      : new SqliteDatabase(source, { readonly: true, fileMustExist: true });
+    
+    try {
+      const integrity = snapshot.pragma('integrity_check', { simple: true });
+      if (integrity !== 'ok') {
+        throw new Error(`Snapshot failed integrity check: ${integrity}`);
+      }
+      
+      const tables = snapshot.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+      if (!tables.includes('users') || !tables.includes('players')) {
+        throw new Error('Snapshot is not a High Wizardry database');
+      }
+      
+      await snapshot.backup(dbPath);
+    } finally {
+      snapshot.close();
+    }
+  }
 }
 
 module.exports = SQLiteAdapter;
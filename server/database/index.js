@@ -6,14 +6,16 @@
 
 const JsonFileAdapter = require('./JsonFileAdapter');
 const SQLiteAdapter = require('./SQLiteAdapter');
+const PostgresAdapter = require('./PostgresAdapter');
 
 /**
  * Create a database adapter based on configuration
  * @param {Object} options - Configuration options
- * @param {string} options.type - Database type: 'json' or 'sqlite' (default: process.env.DATABASE_TYPE or 'json')
+ * @param {string} options.type - Database type: 'json', 'sqlite' or 'postgres' (default: process.env.DATABASE_TYPE or 'json')
  * @param {string} options.dataDir - Data directory path
  * @param {Object} options.json - Options for JsonFileAdapter
  * @param {Object} options.sqlite - Options for SQLiteAdapter
+ * @param {Object} options.postgres - Options for PostgresAdapter (connectionString, poolSize, connect)
  * @returns {DatabaseAdapter} - Database adapter instance
  */
 function createDatabaseAdapter(options = {}) {
@@ -26,6 +28,15 @@ function createDatabaseAdapter(options = {}) {
         ...options.sqlite
       });
       
+    case 'postgres':
+    case 'postgresql':
+    case 'pg':
+      return new PostgresAdapter({
+        connectionString: process.env.DATABASE_URL,
+        poolSize: process.env.PG_POOL_MAX,
+        ...options.postgres
+      });
+      
     case 'json':
     default:
       return new JsonFileAdapter({
@@ -37,7 +48,7 @@ function createDatabaseAdapter(options = {}) {
 
 /**
  * Get the database type from configuration
- * @returns {string} - Database type ('json' or 'sqlite')
+ * @returns {string} - Database type ('json', 'sqlite' or 'postgres')
  */
 function getDatabaseType() {
   return process.env.DATABASE_TYPE || 'json';
@@ -47,5 +58,6 @@ module.exports = {
   createDatabaseAdapter,
   getDatabaseType,
   JsonFileAdapter,
-  SQLiteAdapter
+  SQLiteAdapter,
+  PostgresAdapter
 };
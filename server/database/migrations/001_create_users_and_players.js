@@ -0,0 +1,41 @@
+/**
+ * Baseline schema: users and players with their JSON data blobs
+ * Uses IF NOT EXISTS so databases created before migrations existed adopt it unchanged.
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY COLLATE NOCASE,
+        id TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE COLLATE NOCASE,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+      CREATE INDEX IF NOT EXISTS idx_users_id ON users(id);
+    `);
+    
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS players (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_players_username ON players(username);
+    `);
+  },
+  
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS players;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Trades, auctions, bids and the event log
+ * Each row keeps the full record as JSON in `data`; the other columns exist for lookups.
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS trades (
+        id TEXT PRIMARY KEY,
+        from_player_id TEXT NOT NULL,
+        to_player_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
+      CREATE INDEX IF NOT EXISTS idx_trades_from_player ON trades(from_player_id, updated_at);
+      CREATE INDEX IF NOT EXISTS idx_trades_to_player ON trades(to_player_id, updated_at);
+    `);
+    
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS auctions (
+        id TEXT PRIMARY KEY,
+        seller_id TEXT NOT NULL,
+        winner_id TEXT,
+        status TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        ends_at INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_auctions_status_ends ON auctions(status, ends_at);
+      CREATE INDEX IF NOT EXISTS idx_auctions_seller ON auctions(seller_id, updated_at);
+      CREATE INDEX IF NOT EXISTS idx_auctions_winner ON auctions(winner_id, updated_at);
+      
+      CREATE TABLE IF NOT EXISTS auction_bids (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        auction_id TEXT NOT NULL,
+        bidder_id TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_auction_bids_auction ON auction_bids(auction_id, id);
+      CREATE INDEX IF NOT EXISTS idx_auction_bids_bidder ON auction_bids(bidder_id);
+    `);
+    
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS event_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        event_type TEXT,
+        scope TEXT,
+        location_id TEXT,
+        player_id TEXT,
+        data TEXT NOT NULL,
+        executed_at INTEGER NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_event_log_executed ON event_log(executed_at);
+      CREATE INDEX IF NOT EXISTS idx_event_log_type ON event_log(event_type, executed_at);
+    `);
+  },
+  
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS event_log;
+      DROP TABLE IF EXISTS auction_bids;
+      DROP TABLE IF EXISTS auctions;
+      DROP TABLE IF EXISTS trades;
+    `);
+  }
+};
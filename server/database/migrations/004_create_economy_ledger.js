@@ -0,0 +1,43 @@
+/**
+ * Economy ledger: one append-only row per currency change of a player
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS economy_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT NOT NULL,
+        delta INTEGER NOT NULL,
+        flow TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        source TEXT NOT NULL,
+        reference_id TEXT,
+        created_at INTEGER NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_economy_ledger_player ON economy_ledger(player_id, id);
+      CREATE INDEX IF NOT EXISTS idx_economy_ledger_created ON economy_ledger(created_at);
+      
+      CREATE TRIGGER IF NOT EXISTS economy_ledger_no_update
+      BEFORE UPDATE ON economy_ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'economy_ledger is append-only');
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS economy_ledger_no_delete
+      BEFORE DELETE ON economy_ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'economy_ledger is append-only');
+      END;
+    `);
+  },
+  
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS economy_ledger_no_delete;
+      DROP TRIGGER IF EXISTS economy_ledger_no_update;
+      DROP TABLE IF EXISTS economy_ledger;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Event schedules: when each periodic event last ran and runs next, so restarts
+ * neither repeat nor skip runs
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS event_schedules (
+        event_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  },
+  
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS event_schedules;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Active world events: timed events still running and the temporary stat changes to
+ * undo when they end, so a restart neither leaves boosts on players nor cuts events short
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS active_events (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        ends_at INTEGER NOT NULL
+      );
+    `);
+  },
+  
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS active_events;
+    `);
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Baseline schema: users and players with their JSON data blobs
+ * PostgreSQL version of migrations/001; usernames and emails are stored lowercased.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS users (
+      username TEXT PRIMARY KEY,
+      id TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE,
+      data TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
+    'CREATE INDEX IF NOT EXISTS idx_users_id ON users(id)',
+    `CREATE TABLE IF NOT EXISTS players (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_players_username ON players(username)'
+  ],
+  
+  down: [
+    'DROP TABLE IF EXISTS players',
+    'DROP TABLE IF EXISTS users'
+  ]
+};
@@ -0,0 +1,36 @@
+/**
+ * Transfer ledger: one row per item/currency transfer, one row per affected player
+ * PostgreSQL version of migrations/003; seq keeps transfers made in the same millisecond in order.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS transfers (
+      seq BIGSERIAL PRIMARY KEY,
+      id TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      reference TEXT,
+      status TEXT NOT NULL,
+      data TEXT NOT NULL,
+      error TEXT,
+      created_at BIGINT NOT NULL,
+      finished_at BIGINT
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_transfers_status ON transfers(status)',
+    'CREATE INDEX IF NOT EXISTS idx_transfers_reference ON transfers(reference)',
+    `CREATE TABLE IF NOT EXISTS transfer_changes (
+      transfer_id TEXT NOT NULL,
+      player_id TEXT NOT NULL,
+      pennies BIGINT NOT NULL DEFAULT 0,
+      items_added TEXT NOT NULL DEFAULT '[]',
+      items_removed TEXT NOT NULL DEFAULT '[]',
+      PRIMARY KEY (transfer_id, player_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_transfer_changes_player ON transfer_changes(player_id)'
+  ],
+  
+  down: [
+    'DROP TABLE IF EXISTS transfer_changes',
+    'DROP TABLE IF EXISTS transfers'
+  ]
+};
@@ -0,0 +1,35 @@
+/**
+ * Economy ledger: one append-only row per currency change of a player
+ * PostgreSQL version of migrations/004; a trigger function rejects updates and deletes.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS economy_ledger (
+      id BIGSERIAL PRIMARY KEY,
+      player_id TEXT NOT NULL,
+      delta BIGINT NOT NULL,
+      flow TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      source TEXT NOT NULL,
+      reference_id TEXT,
+      created_at BIGINT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_economy_ledger_player ON economy_ledger(player_id, id)',
+    'CREATE INDEX IF NOT EXISTS idx_economy_ledger_created ON economy_ledger(created_at)',
+    `CREATE OR REPLACE FUNCTION economy_ledger_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'economy_ledger is append-only';
+    END;
+    $$ LANGUAGE plpgsql`,
+    `CREATE TRIGGER economy_ledger_no_change
+      BEFORE UPDATE OR DELETE ON economy_ledger
+      FOR EACH ROW EXECUTE FUNCTION economy_ledger_append_only()`
+  ],
+  
+  down: [
+    'DROP TRIGGER IF EXISTS economy_ledger_no_change ON economy_ledger',
+    'DROP FUNCTION IF EXISTS economy_ledger_append_only()',
+    'DROP TABLE IF EXISTS economy_ledger'
+  ]
+};
@@ -0,0 +1,18 @@
+/**
+ * Event schedules: when each periodic event last ran and runs next
+ * PostgreSQL version of migrations/005.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS event_schedules (
+      event_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`
+  ],
+  
+  down: [
+    'DROP TABLE IF EXISTS event_schedules'
+  ]
+};
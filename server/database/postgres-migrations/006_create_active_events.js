@@ -0,0 +1,18 @@
+/**
+ * Active world events and the temporary stat changes to undo when they end
+ * PostgreSQL version of migrations/006.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS active_events (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      ends_at BIGINT NOT NULL
+    )`
+  ],
+  
+  down: [
+    'DROP TABLE IF EXISTS active_events'
+  ]
+};
@@ -0,0 +1,334 @@
+/**
+ * Achievement Manager
+ * Awards achievements from server-side happenings (trades, auctions, crafting, crimes, level-ups, events)
+ */
+
+// Counters kept on the player (achievementStats) for each kind of happening
+const EVENT_STATS = {
+  'trade_completed': () => ({ tradesCompleted: 1 }),
+  'auction_sold': () => ({ auctionsSold: 1 }),
+  'auction_won': () => ({ auctionsWon: 1 }),
+  'item_crafted': () => ({ itemsCrafted: 1 }),
+  'crime_committed': (data) => ({ crimesCommitted: 1, crimesSucceeded: data.success ? 1 : 0 }),
+  'level_up': () => ({}),
+  'event_participated': () => ({ eventsParticipated: 1 })
+};
+
+// Achievement definitions (server-side to prevent cheating)
+// Each is checked when its event happens; currency rewards are in pennies
+const ACHIEVEMENTS = {
+  'first-trade': {
+    name: 'Fair Dealer',
+    description: 'Complete your first trade',
+    category: 'social',
+    tier: 1,
+    event: 'trade_completed',
+    condition: (stats) => stats.tradesCompleted >= 1,
+    xpReward: 10,
+    currencyReward: 12
+  },
+  'merchant-prince': {
+    name: 'Merchant Prince',
+    description: 'Complete 25 trades',
+    category: 'social',
+    tier: 2,
+    event: 'trade_completed',
+    condition: (stats) => stats.tradesCompleted >= 25,
+    xpReward: 100,
+    currencyReward: 120
+  },
+  'first-sale': {
+    name: 'Going Once',
+    description: 'Sell an item at auction',
+    category: 'wealth',
+    tier: 1,
+    event: 'auction_sold',
+    condition: (stats) => stats.auctionsSold >= 1,
+    xpReward: 15,
+    currencyReward: 12
+  },
+  'auction-winner': {
+    name: 'Highest Bidder',
+    description: 'Win an auction',
+    category: 'wealth',
+    tier: 1,
+    event: 'auction_won',
+    condition: (stats) => stats.auctionsWon >= 1,
+    xpReward: 15,
+    currencyReward: 0
+  },
+  'auction-shark': {
+    name: 'Auction Shark',
+    description: 'Win 10 auctions',
+    category: 'wealth',
+    tier: 2,
+    event: 'auction_won',
+    condition: (stats) => stats.auctionsWon >= 10,
+    xpReward: 75,
+    currencyReward: 60
+  },
+  'apprentice-crafter': {
+    name: 'Apprentice Crafter',
+    description: 'Craft your first item',
+    category: 'crafting',
+    tier: 1,
+    event: 'item_crafted',
+    condition: (stats) => stats.itemsCrafted >= 1,
+    xpReward: 20,
+    currencyReward: 36
+  },
+  'master-crafter': {
+    name: 'Master Crafter',
+    description: 'Craft 50 items',
+    category: 'crafting',
+    tier: 3,
+    event: 'item_crafted',
+    condition: (stats) => stats.itemsCrafted >= 50,
+    xpReward: 250,
+    currencyReward: 600
+  },
+  'petty-criminal': {
+    name: 'Petty Criminal',
+    description: 'Attempt your first crime',
+    category: 'crime',
+    tier: 1,
+    event: 'crime_committed',
+    condition: (stats) => stats.crimesCommitted >= 1,
+    xpReward: 10,
+    currencyReward: 0
+  },
+  'criminal-mastermind': {
+    name: 'Criminal Mastermind',
+    description: 'Pull off 25 successful crimes',
+    category: 'crime',
+    tier: 3,
+    event: 'crime_committed',
+    condition: (stats) => stats.crimesSucceeded >= 25,
+    xpReward: 200,
+    currencyReward: 240
+  },
+  'novice-wizard': {
+    name: 'Novice Wizard',
+    description: 'Reach level 5',
+    category: 'progression',
+    tier: 1,
+    event: 'level_up',
+    condition: (stats, player) => player.level >= 5,
+    xpReward: 25,
+    currencyReward: 60
+  },
+  'adept-wizard': {
+    name: 'Adept Wizard',
+    description: 'Reach level 10',
+    category: 'progression',
+    tier: 2,
+    event: 'level_up',
+    condition: (stats, player) => player.level >= 10,
+    xpReward: 100,
+    currencyReward: 240
+  },
+  'master-wizard': {
+    name: 'Master Wizard',
+    description: 'Reach level 25',
+    category: 'progression',
+    tier: 3,
+    event: 'level_up',
+    condition: (stats, player) => player.level >= 25,
+    xpReward: 500,
+    currencyReward: 1200
+  },
+  'event-witness': {
+    name: 'Eyewitness',
+    description: 'Take part in a world event',
+    category: 'exploration',
+    tier: 1,
+    event: 'event_participated',
+    condition: (stats) => stats.eventsParticipated >= 1,
+    xpReward: 10,
+    currencyReward: 0
+  },
+  'world-shaper': {
+    name: 'Part of History',
+    description: 'Take part in 20 world events',
+    category: 'exploration',
+    tier: 2,
+    event: 'event_participated',
+    condition: (stats) => stats.eventsParticipated >= 20,
+    xpReward: 100,
+    currencyReward: 120
+  }
+};
+
+class AchievementManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.economyLedger = options.economyLedger || null;
+  }
+  
+  /**
+   * Get all achievement definitions
+   */
+  getAchievements() {
+    return Object.entries(ACHIEVEMENTS).map(([id, achievement]) => {
+      const { condition, ...definition } = achievement;
+      return { id, ...definition };
+    });
+  }
+  
+  /**
+   * Get a player's earned achievements (newest first) and progress counters
+   */
+  getPlayerAchievements(playerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return null;
+    }
+    
+    const earned = (player.achievements || [])
+      .filter(entry => ACHIEVEMENTS[entry.id])
+      .map(entry => {
+        const { condition, ...definition } = ACHIEVEMENTS[entry.id];
+        return { id: entry.id, ...definition, earnedAt: entry.earnedAt };
+      })
+      .sort((a, b) => b.earnedAt - a.earnedAt);
+    
+    return {
+      earned,
+      stats: { ...(player.achievementStats || {}) },
+      total: Object.keys(ACHIEVEMENTS).length
+    };
+  }
+  
+  /**
+   * Check if a player has earned an achievement
+   */
+  hasAchievement(player, achievementId) {
+    return (player.achievements || []).some(entry => entry.id === achievementId);
+  }
+  
+  /**
+   * Record something that happened to a player and award any achievements it completes
+   * @returns {Array} - Achievement notifications (also sent to the notification callback)
+   */
+  recordEvent(playerId, eventType, data = {}) {
+    const player = this.playerManager.getPlayer(playerId);
+    const statChanges = EVENT_STATS[eventType];
+    
+    if (!player || !statChanges) {
+      return [];
+    }
+    
+    const stats = { ...(player.achievementStats || {}) };
+    for (const [stat, amount] of Object.entries(statChanges(data))) {
+      stats[stat] = (stats[stat] || 0) + amount;
+    }
+    this.playerManager.updatePlayer(playerId, { achievementStats: stats });
+    
+    const notifications = this.checkAchievements(playerId, eventType);
+    this.notify(notifications);
+    
+    return notifications;
+  }
+  
+  /**
+   * Award every unearned achievement for an event type whose condition is now met
+   */
+  checkAchievements(playerId, eventType) {
+    const player = this.playerManager.getPlayer(playerId);
+    const notifications = [];
+    
+    for (const [achievementId, achievement] of Object.entries(ACHIEVEMENTS)) {
+      if (achievement.event !== eventType || this.hasAchievement(player, achievementId)) {
+        continue;
+      }
+      
+      if (achievement.condition(player.achievementStats || {}, player)) {
+        notifications.push(this.awardAchievement(playerId, achievementId));
+      }
+    }
+    
+    // XP rewards can carry the player into a new level
+    if (notifications.length > 0) {
+      notifications.push(...this.processLevelUps(playerId));
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Grant an achievement and its rewards
+   */
+  awardAchievement(playerId, achievementId) {
+    const player = this.playerManager.getPlayer(playerId);
+    const { condition, ...achievement } = ACHIEVEMENTS[achievementId];
+    const earnedAt = Date.now();
+    
+    const newTotal = (player.shillings * 12) + player.pennies + achievement.currencyReward;
+    const updates = {
+      achievements: [...(player.achievements || []), { id: achievementId, earnedAt }],
+      xp: (player.xp || 0) + achievement.xpReward,
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    };
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    if (this.economyLedger) {
+      this.economyLedger.record({
+        playerId,
+        delta: achievement.currencyReward,
+        reason: 'achievement_reward',
+        source: 'AchievementManager',
+        referenceId: achievementId
+      });
+    }
+    
+    return {
+      type: 'achievement_earned',
+      playerId,
+      achievement: { id: achievementId, ...achievement, earnedAt },
+      playerUpdates: updates
+    };
+  }
+  
+  /**
+   * Apply level-ups after an XP gain (call whenever the server grants XP)
+   * @returns {Array} - Level-up and resulting achievement notifications
+   */
+  checkLevelUp(playerId) {
+    const notifications = this.processLevelUps(playerId);
+    this.notify(notifications);
+    return notifications;
+  }
+  
+  processLevelUps(playerId) {
+    const result = this.playerManager.applyLevelUps(playerId);
+    if (result.levelsGained === 0) {
+      return [];
+    }
+    
+    return [
+      {
+        type: 'level_up',
+        playerId,
+        level: result.playerUpdates.level,
+        playerUpdates: result.playerUpdates
+      },
+      ...this.checkAchievements(playerId, 'level_up')
+    ];
+  }
+  
+  notify(notifications) {
+    if (notifications.length > 0 && this.notificationCallback) {
+      this.notificationCallback(notifications);
+    }
+  }
+  
+  /**
+   * Set notification callback for achievement and level-up events
+   */
+  setNotificationCallback(callback) {
+    this.notificationCallback = callback;
+  }
+}
+
+module.exports = AchievementManager;
@@ -3,39 +3,117 @@
  * Handles auction house system with bidding and automatic closure
  */
 
-const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const JsonFileAdapter = require('../database/JsonFileAdapter');
+const TransferService = require('./TransferService');
+
+// Most transfers read back per auction when recovering after a restart
+const RECOVERY_TRANSFER_LIMIT = 1000;
 
 class AuctionManager {
-  constructor(playerManager) {
+  constructor(playerManager, options = {}) {
     this.playerManager = playerManager;
+    this.guildManager = options.guildManager || null;
     this.activeAuctions = new Map(); // auctionId -> auctionData
-    this.auctionHistory = [];
     this.playerAuctions = new Map(); // playerId -> [auctionIds]
-    this.dataDir = path.join(__dirname, '..', 'data', 'auctions');
-    
-    // Ensure data directory exists
-    this.ensureDataDirectory();
     
-    // Load auction data
-    this.loadAuctionHistory();
-    this.loadActiveAuctions();
+    // Auctions, bids and history are stored through the DatabaseAdapter (JSON files when used standalone)
+    this.database = options.database || new JsonFileAdapter({ auctionsDir: options.dataDir });
+    // Escrow, bids and payouts move through ledger-backed transfers
+    this.transferService = options.transferService || new TransferService(playerManager, { database: this.database });
+    // Auctions with a transfer in flight (bids and closing wait their turn)
+    this.busyAuctions = new Set();
     
     // Start auction monitoring
-    this.startAuctionMonitoring();
+    if (options.autoStart !== false) {
+      this.startAuctionMonitoring();
+    }
   }
   
-  ensureDataDirectory() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
+  /**
+   * Load active auctions from the database
+   * Run after TransferService.recover() so interrupted escrow, bids and payouts can be settled.
+   */
+  async initialize() {
+    const auctions = await this.database.getActiveAuctions();
+    let loaded = 0;
+    
+    for (const auction of auctions) {
+      if (!await this.recoverAuction(auction)) continue;
+      
+      this.activeAuctions.set(auction.id, auction);
+      
+      // Rebuild player auctions map
+      if (!this.playerAuctions.has(auction.sellerId)) {
+        this.playerAuctions.set(auction.sellerId, []);
+      }
+      this.playerAuctions.get(auction.sellerId).push(auction.id);
+      loaded++;
     }
+    console.log(`Loaded ${loaded} active auctions`);
+  }
+  
+  /**
+   * Bring an auction in line with the transfer ledger after a restart
+   * @returns {Promise<boolean>} - True if the auction is still active
+   */
+  async recoverAuction(auction) {
+    const transfers = (await this.database.getTransfers({ reference: auction.id, limit: RECOVERY_TRANSFER_LIMIT }))
+      .filter(transfer => transfer.status === 'committed')
+      .reverse();
+    let changed = false;
+    
+    // Listing was interrupted: active only if the item reached escrow
+    if (auction.status === 'pending') {
+      const escrow = transfers.find(transfer => transfer.type === 'auction_escrow');
+      if (!escrow) {
+        auction.status = 'failed';
+        auction.failureReason = 'Interrupted before the item was placed in escrow';
+        auction.completedAt = Date.now();
+        this.persistAuction(auction);
+        return false;
+      }
+      auction.status = 'active';
+      auction.escrowTransferId = escrow.id;
+      changed = true;
+    }
+    
+    // Bids whose currency was taken but which never reached the auction record
+    const recorded = new Set(auction.bids.map(bid => bid.transferId));
+    for (const transfer of transfers) {
+      if (transfer.type === 'auction_bid' && !recorded.has(transfer.id)) {
+        const bid = { ...transfer.details.bid, transferId: transfer.id };
+        this.applyBid(auction, bid);
+        this.database.addBid(auction.id, bid).catch(error => {
+          console.error('Error saving bid:', error);
+        });
+        changed = true;
+      }
+    }
+    
+    // Closing was interrupted: finished if its payout was recorded, otherwise close again later
+    if (auction.status === 'closing') {
+      const settlement = transfers.find(transfer => transfer.type === 'auction_settle');
+      if (settlement) {
+        Object.assign(auction, settlement.details.outcome, { settlementTransferId: settlement.id });
+        auction.completedAt = settlement.finishedAt || Date.now();
+        this.persistAuction(auction);
+        return false;
+      }
+      auction.status = 'active';
+      changed = true;
+    }
+    
+    if (changed) {
+      this.persistAuction(auction);
+    }
+    return true;
   }
   
   /**
    * Create a new auction listing
    */
-  createAuction(sellerId, item, startingBid, duration, options = {}) {
+  async createAuction(sellerId, item, startingBid, duration, options = {}) {
     const seller = this.playerManager.getPlayer(sellerId);
     
     if (!seller) {
@@ -48,6 +126,9 @@ class AuctionManager {
         return { success: false, message: 'Item not in inventory' };
       }
     } else if (item.type === 'currency') {
+      if (!Number.isInteger(item.amount) || item.amount <= 0) {
+        return { success: false, message: 'Invalid currency amount' };
+      }
       const totalPennies = (seller.shillings * 12) + seller.pennies;
       if (item.amount > totalPennies) {
         return { success: false, message: 'Insufficient currency' };
@@ -56,6 +137,13 @@ class AuctionManager {
       return { success: false, message: 'Invalid item type' };
     }
     
+    // Guild auctions are restricted to members of the seller's guild
+    if (options.scope === 'guild') {
+      if (!this.guildManager || !options.guildId || !this.guildManager.isMember(options.guildId, sellerId)) {
+        return { success: false, message: 'You must be a member of the guild to list a guild auction' };
+      }
+    }
+    
     // Validate starting bid
     if (startingBid <= 0) {
       return { success: false, message: 'Starting bid must be positive' };
@@ -66,26 +154,7 @@ class AuctionManager {
       return { success: false, message: 'Duration must be between 5 minutes and 7 days' };
     }
     
-    // Remove item/currency from seller (held in escrow)
-    try {
-      if (item.type === 'item') {
-        const index = seller.inventory.indexOf(item.id);
-        if (index > -1) {
-          seller.inventory.splice(index, 1);
-        }
-      } else if (item.type === 'currency') {
-        const totalPennies = (seller.shillings * 12) + seller.pennies;
-        const newTotal = totalPennies - item.amount;
-        seller.shillings = Math.floor(newTotal / 12);
-        seller.pennies = newTotal % 12;
-      }
-      
-      this.playerManager.updatePlayer(sellerId, seller);
-    } catch (error) {
-      return { success: false, message: 'Failed to place item in escrow: ' + error.message };
-    }
-    
-    // Create auction
+    // Create auction (pending until the item is in escrow)
     const auctionId = uuidv4();
     const auction = {
       id: auctionId,
@@ -97,7 +166,7 @@ class AuctionManager {
       highestBidderId: null,
       highestBidderUsername: null,
       bids: [],
-      status: 'active', // active, completed, cancelled
+      status: 'pending', // pending, active, closing, completed, cancelled, failed
       scope: options.scope || 'global', // global, location, guild
       locationId: options.locationId || null,
       guildId: options.guildId || null,
@@ -106,7 +175,26 @@ class AuctionManager {
       bidSnipingWindow: options.bidSnipingWindow || 0, // Extension time in ms when bid placed near end
       completedAt: null
     };
+    this.persistAuction(auction);
+    
+    // Move item/currency from the seller into escrow
+    const escrow = await this.transferService.transfer({
+      type: 'auction_escrow',
+      source: 'AuctionManager',
+      reference: auctionId,
+      changes: [this.itemChange(sellerId, item, -1)]
+    });
     
+    if (!escrow.success) {
+      auction.status = 'failed';
+      auction.failureReason = escrow.message;
+      auction.completedAt = Date.now();
+      this.persistAuction(auction);
+      return { success: false, message: 'Failed to place item in escrow: ' + escrow.message };
+    }
+    
+    auction.status = 'active';
+    auction.escrowTransferId = escrow.transferId;
     this.activeAuctions.set(auctionId, auction);
     
     // Track player's auctions
@@ -115,7 +203,7 @@ class AuctionManager {
     }
     this.playerAuctions.get(sellerId).push(auctionId);
     
-    this.saveActiveAuctions();
+    this.persistAuction(auction);
     
     return { success: true, auctionId, auction };
   }
@@ -123,7 +211,7 @@ class AuctionManager {
   /**
    * Place a bid on an auction
    */
-  placeBid(bidderId, auctionId, bidAmount) {
+  async placeBid(bidderId, auctionId, bidAmount) {
     const auction = this.activeAuctions.get(auctionId);
     
     if (!auction) {
@@ -137,7 +225,7 @@ class AuctionManager {
     // Check if auction has ended
     if (Date.now() >= auction.endsAt) {
       // Auction should be closed
-      this.closeAuction(auctionId);
+      await this.closeAuction(auctionId);
       return { success: false, message: 'Auction has ended' };
     }
     
@@ -152,62 +240,104 @@ class AuctionManager {
       return { success: false, message: 'Bidder not found' };
     }
     
+    if (auction.scope === 'guild' &&
+        (!this.guildManager || !this.guildManager.isMember(auction.guildId, bidderId))) {
+      return { success: false, message: 'Only guild members can bid on this auction' };
+    }
+    
     // Validate bid amount
     if (bidAmount <= auction.currentBid) {
       return { success: false, message: `Bid must be higher than current bid of ${auction.currentBid} pennies` };
     }
     
+    // The highest bidder raising their own bid already has the current bid held
+    const raisingOwnBid = auction.highestBidderId === bidderId;
+    const charge = raisingOwnBid ? bidAmount - auction.currentBid : bidAmount;
+    
     // Check if bidder has enough currency
     const totalPennies = (bidder.shillings * 12) + bidder.pennies;
-    if (bidAmount > totalPennies) {
+    if (charge > totalPennies) {
       return { success: false, message: 'Insufficient currency for bid' };
     }
     
-    // Return currency to previous highest bidder
-    if (auction.highestBidderId && auction.highestBidderId !== bidderId) {
-      const previousBidder = this.playerManager.getPlayer(auction.highestBidderId);
-      if (previousBidder) {
-        const prevTotalPennies = (previousBidder.shillings * 12) + previousBidder.pennies + auction.currentBid;
-        previousBidder.shillings = Math.floor(prevTotalPennies / 12);
-        previousBidder.pennies = prevTotalPennies % 12;
-        this.playerManager.updatePlayer(auction.highestBidderId, previousBidder);
-      }
+    if (this.busyAuctions.has(auctionId)) {
+      return { success: false, message: 'Auction is busy, please try again' };
     }
+    this.busyAuctions.add(auctionId);
     
-    // Hold new bidder's currency
-    const newTotal = totalPennies - bidAmount;
-    bidder.shillings = Math.floor(newTotal / 12);
-    bidder.pennies = newTotal % 12;
-    this.playerManager.updatePlayer(bidderId, bidder);
-    
-    // Update auction
-    auction.currentBid = bidAmount;
-    auction.highestBidderId = bidderId;
-    auction.highestBidderUsername = bidder.username;
-    auction.bids.push({
-      bidderId,
-      bidderUsername: bidder.username,
-      amount: bidAmount,
-      timestamp: Date.now()
-    });
-    
-    // Bid sniping prevention: extend auction time if bid placed near end
-    if (auction.bidSnipingWindow > 0) {
-      const timeRemaining = auction.endsAt - Date.now();
-      if (timeRemaining < auction.bidSnipingWindow) {
-        auction.endsAt = Date.now() + auction.bidSnipingWindow;
+    try {
+      // Hold the new bidder's currency and return the previous highest bid in one transfer
+      const changes = [{ playerId: bidderId, pennies: -charge }];
+      if (auction.highestBidderId && !raisingOwnBid &&
+          this.playerManager.getPlayer(auction.highestBidderId)) {
+        changes.push({ playerId: auction.highestBidderId, pennies: auction.currentBid });
       }
+      
+      const bid = {
+        bidderId,
+        bidderUsername: bidder.username,
+        amount: bidAmount,
+        timestamp: Date.now()
+      };
+      const result = await this.transferService.transfer({
+        type: 'auction_bid',
+        source: 'AuctionManager',
+        reference: auctionId,
+        details: { bid },
+        changes
+      });
+      
+      if (!result.success) {
+        const message = result.message === 'Insufficient currency' ? 'Insufficient currency for bid' : result.message;
+        return { success: false, message };
+      }
+      
+      bid.transferId = result.transferId;
+      this.applyBid(auction, bid);
+      this.database.addBid(auctionId, bid).catch(error => {
+        console.error('Error saving bid:', error);
+      });
+      
+      // Bid sniping prevention: extend auction time if bid placed near end
+      if (auction.bidSnipingWindow > 0) {
+        const timeRemaining = auction.endsAt - Date.now();
+        if (timeRemaining < auction.bidSnipingWindow) {
+          auction.endsAt = Date.now() + auction.bidSnipingWindow;
+        }
+      }
+      
+      this.persistAuction(auction);
+      
+      return { success: true, auction, message: 'Bid placed successfully' };
+    } finally {
+      this.busyAuctions.delete(auctionId);
     }
-    
-    this.saveActiveAuctions();
-    
-    return { success: true, auction, message: 'Bid placed successfully' };
+  }
+  
+  /**
+   * Record an accepted bid on the auction
+   */
+  applyBid(auction, bid) {
+    auction.currentBid = bid.amount;
+    auction.highestBidderId = bid.bidderId;
+    auction.highestBidderUsername = bid.bidderUsername;
+    auction.bids.push(bid);
+  }
+  
+  /**
+   * Transfer change moving the auctioned item or currency to (+1) or from (-1) a player
+   */
+  itemChange(playerId, item, direction) {
+    if (item.type === 'item') {
+      return direction > 0 ? { playerId, addItems: [item.id] } : { playerId, removeItems: [item.id] };
+    }
+    return { playerId, pennies: direction * item.amount };
   }
   
   /**
    * Cancel an auction (only by seller before any bids)
    */
-  cancelAuction(playerId, auctionId) {
+  async cancelAuction(playerId, auctionId) {
     const auction = this.activeAuctions.get(auctionId);
     
     if (!auction) {
@@ -224,38 +354,17 @@ class AuctionManager {
       return { success: false, message: 'Cannot cancel auction with bids' };
     }
     
-    // Return item to seller
-    const seller = this.playerManager.getPlayer(auction.sellerId);
-    if (seller) {
-      if (auction.item.type === 'item') {
-        seller.inventory.push(auction.item.id);
-      } else if (auction.item.type === 'currency') {
-        const totalPennies = (seller.shillings * 12) + seller.pennies + auction.item.amount;
-        seller.shillings = Math.floor(totalPennies / 12);
-        seller.pennies = totalPennies % 12;
-      }
-      this.playerManager.updatePlayer(auction.sellerId, seller);
-    }
-    
-    auction.status = 'cancelled';
-    auction.completedAt = Date.now();
-    
-    // Move to history
-    this.auctionHistory.push(auction);
-    this.saveAuctionHistory();
-    
-    // Clean up
-    this.activeAuctions.delete(auctionId);
-    this.removeFromPlayerAuctions(auction.sellerId, auctionId);
-    this.saveActiveAuctions();
-    
-    return { success: true, message: 'Auction cancelled' };
+    return this.settleAuction(auction, {
+      status: 'cancelled',
+      // Return item to seller
+      changes: this.playerManager.getPlayer(auction.sellerId) ? [this.itemChange(auction.sellerId, auction.item, 1)] : []
+    }, 'Auction cancelled');
   }
   
   /**
    * Close an auction (called when time expires)
    */
-  closeAuction(auctionId) {
+  async closeAuction(auctionId) {
     const auction = this.activeAuctions.get(auctionId);
     
     if (!auction) {
@@ -266,84 +375,98 @@ class AuctionManager {
       return { success: false, message: 'Auction is not active' };
     }
     
-    auction.status = 'completed';
-    auction.completedAt = Date.now();
+    const seller = this.playerManager.getPlayer(auction.sellerId);
+    
+    // No bids - return item to seller
+    if (!auction.highestBidderId) {
+      return this.settleAuction(auction, {
+        status: 'completed',
+        changes: seller ? [this.itemChange(auction.sellerId, auction.item, 1)] : []
+      }, 'Auction closed');
+    }
+    
+    const winner = this.playerManager.getPlayer(auction.highestBidderId);
+    
+    // Give item to winner and currency to seller
+    if (winner && seller) {
+      return this.settleAuction(auction, {
+        status: 'completed',
+        winnerId: auction.highestBidderId,
+        winnerUsername: auction.highestBidderUsername,
+        changes: [
+          this.itemChange(auction.highestBidderId, auction.item, 1),
+          { playerId: auction.sellerId, pennies: auction.currentBid }
+        ]
+      }, 'Auction closed');
+    }
     
-    // If there's a winner, transfer item and currency
-    if (auction.highestBidderId) {
-      const winner = this.playerManager.getPlayer(auction.highestBidderId);
-      const seller = this.playerManager.getPlayer(auction.sellerId);
+    // Failsafe: return everything to original owners
+    const changes = [];
+    if (seller) {
+      changes.push(this.itemChange(auction.sellerId, auction.item, 1));
+    }
+    if (winner) {
+      changes.push({ playerId: auction.highestBidderId, pennies: auction.currentBid });
+    }
+    return this.settleAuction(auction, {
+      status: 'failed',
+      failureReason: 'Player not found during completion',
+      changes
+    }, 'Auction closed');
+  }
+  
+  /**
+   * Pay out an auction's escrow in one transfer and move the auction to history
+   * @param {Object} auction - Active auction
+   * @param {Object} settlement - { status, winnerId, winnerUsername, failureReason, changes }
+   */
+  async settleAuction(auction, settlement, message) {
+    if (this.busyAuctions.has(auction.id)) {
+      return { success: false, message: 'Auction is busy, please try again' };
+    }
+    this.busyAuctions.add(auction.id);
+    
+    try {
+      const { changes, ...outcome } = settlement;
       
-      if (winner && seller) {
-        // Give item to winner
-        if (auction.item.type === 'item') {
-          winner.inventory.push(auction.item.id);
-        } else if (auction.item.type === 'currency') {
-          const totalPennies = (winner.shillings * 12) + winner.pennies + auction.item.amount;
-          winner.shillings = Math.floor(totalPennies / 12);
-          winner.pennies = totalPennies % 12;
-        }
-        this.playerManager.updatePlayer(auction.highestBidderId, winner);
-        
-        // Give currency to seller
-        const sellerTotalPennies = (seller.shillings * 12) + seller.pennies + auction.currentBid;
-        seller.shillings = Math.floor(sellerTotalPennies / 12);
-        seller.pennies = sellerTotalPennies % 12;
-        this.playerManager.updatePlayer(auction.sellerId, seller);
-        
-        auction.winnerId = auction.highestBidderId;
-        auction.winnerUsername = auction.highestBidderUsername;
-      } else {
-        // Failsafe: return everything to original owners
-        if (seller) {
-          if (auction.item.type === 'item') {
-            seller.inventory.push(auction.item.id);
-          } else if (auction.item.type === 'currency') {
-            const totalPennies = (seller.shillings * 12) + seller.pennies + auction.item.amount;
-            seller.shillings = Math.floor(totalPennies / 12);
-            seller.pennies = totalPennies % 12;
-          }
-          this.playerManager.updatePlayer(auction.sellerId, seller);
-        }
+      // Mark as closing first so a restart can tell whether the payout happened
+      auction.status = 'closing';
+      this.persistAuction(auction);
+      
+      if (changes.length > 0) {
+        const result = await this.transferService.transfer({
+          type: 'auction_settle',
+          source: 'AuctionManager',
+          reference: auction.id,
+          details: { outcome },
+          changes
+        });
         
-        if (winner) {
-          const totalPennies = (winner.shillings * 12) + winner.pennies + auction.currentBid;
-          winner.shillings = Math.floor(totalPennies / 12);
-          winner.pennies = totalPennies % 12;
-          this.playerManager.updatePlayer(auction.highestBidderId, winner);
+        if (!result.success) {
+          auction.status = 'active';
+          this.persistAuction(auction);
+          return { success: false, message: 'Failed to settle auction: ' + result.message };
         }
-        
-        auction.status = 'failed';
-        auction.failureReason = 'Player not found during completion';
+        auction.settlementTransferId = result.transferId;
       }
-    } else {
-      // No bids - return item to seller
-      const seller = this.playerManager.getPlayer(auction.sellerId);
-      if (seller) {
-        if (auction.item.type === 'item') {
-          seller.inventory.push(auction.item.id);
-        } else if (auction.item.type === 'currency') {
-          const totalPennies = (seller.shillings * 12) + seller.pennies + auction.item.amount;
-          seller.shillings = Math.floor(totalPennies / 12);
-          seller.pennies = totalPennies % 12;
-        }
-        this.playerManager.updatePlayer(auction.sellerId, seller);
+      
+      Object.assign(auction, outcome);
+      auction.completedAt = Date.now();
+      
+      // Move to history
+      this.persistAuction(auction);
+      
+      // Clean up
+      this.activeAuctions.delete(auction.id);
+      this.removeFromPlayerAuctions(auction.sellerId, auction.id);
+      if (auction.highestBidderId) {
+        this.removeFromPlayerAuctions(auction.highestBidderId, auction.id);
       }
+      
+      return { success: true, auction, message };
+    } finally {
+      this.busyAuctions.delete(auction.id);
     }
-    
-    // Move to history
-    this.auctionHistory.push(auction);
-    this.saveAuctionHistory();
-    
-    // Clean up
-    this.activeAuctions.delete(auctionId);
-    this.removeFromPlayerAuctions(auction.sellerId, auctionId);
-    if (auction.highestBidderId) {
-      this.removeFromPlayerAuctions(auction.highestBidderId, auctionId);
-    }
-    this.saveActiveAuctions();
-    
-    return { success: true, auction, message: 'Auction closed' };
   }
   
   /**
@@ -404,13 +527,10 @@ class AuctionManager {
   }
   
   /**
-   * Get auction history for a player
+   * Get auction history for a player (newest first)
    */
-  getPlayerAuctionHistory(playerId, limit = 20) {
-    return this.auctionHistory
-      .filter(a => a.sellerId === playerId || a.winnerId === playerId)
-      .slice(-limit)
-      .reverse();
+  async getPlayerAuctionHistory(playerId, limit = 20) {
+    return this.database.getAuctionHistory({ playerId, limit });
   }
   
   /**
@@ -419,28 +539,37 @@ class AuctionManager {
   startAuctionMonitoring() {
     // Check every 10 seconds for expired auctions
     this.monitoringInterval = setInterval(() => {
-      const now = Date.now();
-      const notifications = [];
-      
-      for (const [auctionId, auction] of this.activeAuctions.entries()) {
-        if (auction.status === 'active' && now >= auction.endsAt) {
-          console.log(`Closing expired auction ${auctionId}`);
-          const result = this.closeAuction(auctionId);
-          
-          if (result.success && result.auction) {
-            notifications.push({
-              type: 'auction_closed',
-              auction: result.auction
-            });
-          }
+      this.closeExpiredAuctions().catch(error => {
+        console.error('Error closing expired auctions:', error);
+      });
+    }, 10000);
+  }
+  
+  /**
+   * Close every expired auction and report the results to the notification callback
+   */
+  async closeExpiredAuctions() {
+    const now = Date.now();
+    const notifications = [];
+    
+    for (const [auctionId, auction] of Array.from(this.activeAuctions.entries())) {
+      if (auction.status === 'active' && now >= auction.endsAt) {
+        console.log(`Closing expired auction ${auctionId}`);
+        const result = await this.closeAuction(auctionId);
+        
+        if (result.success && result.auction) {
+          notifications.push({
+            type: 'auction_closed',
+            auction: result.auction
+          });
         }
       }
-      
-      // Return notifications for the server to broadcast
-      if (notifications.length > 0 && this.notificationCallback) {
-        this.notificationCallback(notifications);
-      }
-    }, 10000);
+    }
+    
+    // Return notifications for the server to broadcast
+    if (notifications.length > 0 && this.notificationCallback) {
+      this.notificationCallback(notifications);
+    }
   }
   
   /**
@@ -478,62 +607,10 @@ class AuctionManager {
   /**
    * Persistence methods
    */
-  saveActiveAuctions() {
-    try {
-      const data = Array.from(this.activeAuctions.values());
-      fs.writeFileSync(
-        path.join(this.dataDir, 'active-auctions.json'),
-        JSON.stringify(data, null, 2)
-      );
-    } catch (error) {
-      console.error('Error saving active auctions:', error);
-    }
-  }
-  
-  loadActiveAuctions() {
-    try {
-      const filePath = path.join(this.dataDir, 'active-auctions.json');
-      if (fs.existsSync(filePath)) {
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        for (const auction of data) {
-          this.activeAuctions.set(auction.id, auction);
-          
-          // Rebuild player auctions map
-          if (!this.playerAuctions.has(auction.sellerId)) {
-            this.playerAuctions.set(auction.sellerId, []);
-          }
-          this.playerAuctions.get(auction.sellerId).push(auction.id);
-        }
-        console.log(`Loaded ${data.length} active auctions`);
-      }
-    } catch (error) {
-      console.error('Error loading active auctions:', error);
-    }
-  }
-  
-  saveAuctionHistory() {
-    try {
-      // Keep only last 1000 auctions in history
-      const historyToSave = this.auctionHistory.slice(-1000);
-      fs.writeFileSync(
-        path.join(this.dataDir, 'auction-history.json'),
-        JSON.stringify(historyToSave, null, 2)
-      );
-    } catch (error) {
-      console.error('Error saving auction history:', error);
-    }
-  }
-  
-  loadAuctionHistory() {
-    try {
-      const filePath = path.join(this.dataDir, 'auction-history.json');
-      if (fs.existsSync(filePath)) {
-        this.auctionHistory = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        console.log(`Loaded ${this.auctionHistory.length} auction history entries`);
-      }
-    } catch (error) {
-      console.error('Error loading auction history:', error);
-    }
+  persistAuction(auction) {
+    this.database.saveAuction(auction).catch(error => {
+      console.error('Error saving auction:', error);
+    });
   }
 }
 
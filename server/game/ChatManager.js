@@ -0,0 +1,726 @@
+/**
+ * Chat Manager
+ * Handles chat channels: global, local, trade, guild, party, direct messages (whisper) and
+ * user-created rooms with owners, moderators and optional passwords
+ *
+ * Each channel has its own rate limit and membership check. The server delivers the
+ * messages; this manager decides who may post and who receives them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const RateLimiter = require('../utils/RateLimiter');
+
+// Per-channel rate limits (on top of the server's overall chat limit)
+const CHANNEL_LIMITS = {
+  global: { maxMessages: 5, windowMs: 10000 },
+  local: { maxMessages: 10, windowMs: 10000 },
+  trade: { maxMessages: 2, windowMs: 30000 }, // Adverts, not conversations
+  guild: { maxMessages: 10, windowMs: 10000 },
+  party: { maxMessages: 10, windowMs: 10000 },
+  whisper: { maxMessages: 10, windowMs: 10000 },
+  room: { maxMessages: 10, windowMs: 10000 }
+};
+
+// Join attempts per player, so room passwords can't be guessed quickly
+const ROOM_JOIN_LIMIT = { maxAttempts: 5, windowMs: 60000 };
+const PASSWORD_SALT_ROUNDS = 10;
+
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{2,31}$/;
+const MIN_ROOM_PASSWORD = 4;
+const MAX_ROOM_PASSWORD = 64;
+const MAX_ROOMS_PER_OWNER = 3;
+const MAX_ROOMS_PER_PLAYER = 10;
+const MAX_ROOM_MEMBERS = 50;
+const MAX_PARTY_SIZE = 6; // Members plus pending invitations
+
+class ChatManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.guildManager = options.guildManager || null;
+    this.friendManager = options.friendManager || null;
+    this.jailManager = options.jailManager || null;
+    this.rooms = new Map(); // roomName -> roomData
+    this.parties = new Map(); // partyId -> partyData
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'chat');
+    this.limiters = {};
+    for (const [kind, limit] of Object.entries(CHANNEL_LIMITS)) {
+      this.limiters[kind] = new RateLimiter(limit.maxMessages, limit.windowMs);
+    }
+    this.joinLimiter = new RateLimiter(ROOM_JOIN_LIMIT.maxAttempts, ROOM_JOIN_LIMIT.windowMs);
+    
+    // Ensure data directory exists
+    this.ensureDataDirectory();
+    
+    // Load rooms and parties
+    this.loadRooms();
+    this.loadParties();
+  }
+  
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+  
+  /**
+   * Split a channel name into its kind and room name
+   * @returns {Object} - { kind, roomName }
+   */
+  parseChannel(channel) {
+    if (typeof channel === 'string' && channel.startsWith('room:')) {
+      return { kind: 'room', roomName: channel.slice('room:'.length) };
+    }
+    return { kind: channel, roomName: null };
+  }
+  
+  /**
+   * Check who may post to a channel and who receives the message
+   * @param {string} playerId - Sender
+   * @param {string} channel - A validated channel name (see InputValidator.validateChannel)
+   * @param {Object} [options] - { toPlayerId } for whispers
+   * @returns {Object} - { success, message, recipients } where recipients is
+   *   { scope: 'global' }, { scope: 'location', locationId } or { scope: 'players', playerIds }
+   */
+  prepareMessage(playerId, channel, options = {}) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const { kind, roomName } = this.parseChannel(channel);
+    let result;
+    switch (kind) {
+      case 'global':
+        result = { success: true, recipients: { scope: 'global' } };
+        break;
+      case 'local':
+        result = { success: true, recipients: { scope: 'location', locationId: player.location } };
+        break;
+      case 'trade':
+        // Jailed players cannot trade, so they cannot advertise either
+        result = this.jailManager && this.jailManager.isJailed(player)
+          ? { success: false, message: 'You cannot use the trade channel while in jail' }
+          : { success: true, recipients: { scope: 'global' } };
+        break;
+      case 'guild':
+        result = this.prepareGuildMessage(playerId);
+        break;
+      case 'party':
+        result = this.preparePartyMessage(playerId);
+        break;
+      case 'whisper':
+        result = this.prepareWhisper(playerId, options.toPlayerId);
+        break;
+      case 'room':
+        result = this.prepareRoomMessage(playerId, roomName);
+        break;
+      default:
+        result = { success: false, message: 'Invalid channel' };
+    }
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    // Only messages that would be delivered count towards the channel's limit
+    if (!this.limiters[kind].isAllowed(playerId)) {
+      return { success: false, message: `You are sending messages to ${kind} chat too quickly. Please slow down.` };
+    }
+    
+    return result;
+  }
+  
+  prepareGuildMessage(playerId) {
+    const guild = this.guildManager ? this.guildManager.getPlayerGuild(playerId) : null;
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    return {
+      success: true,
+      guildId: guild.id,
+      recipients: { scope: 'players', playerIds: guild.members.map(member => member.playerId) }
+    };
+  }
+  
+  preparePartyMessage(playerId) {
+    const party = this.getPlayerParty(playerId);
+    if (!party) {
+      return { success: false, message: 'You are not in a party' };
+    }
+    
+    return { success: true, partyId: party.id, recipients: { scope: 'players', playerIds: [...party.members] } };
+  }
+  
+  prepareWhisper(playerId, toPlayerId) {
+    if (!toPlayerId || !this.playerManager.getPlayer(toPlayerId)) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (toPlayerId === playerId) {
+      return { success: false, message: 'You cannot whisper to yourself' };
+    }
+    
+    if (this.friendManager && this.friendManager.isBlocked(playerId, toPlayerId)) {
+      return { success: false, message: 'Unblock this player before messaging them' };
+    }
+    
+    // Don't reveal that the target blocked us
+    if (this.friendManager && this.friendManager.isBlocked(toPlayerId, playerId)) {
+      return { success: false, message: 'Cannot send a message to this player' };
+    }
+    
+    return { success: true, recipients: { scope: 'players', playerIds: [toPlayerId, playerId] } };
+  }
+  
+  prepareRoomMessage(playerId, roomName) {
+    const room = this.findRoom(roomName);
+    if (!room || !room.members.includes(playerId)) {
+      return { success: false, message: 'You are not in that room' };
+    }
+    
+    return { success: true, recipients: { scope: 'players', playerIds: [...room.members] } };
+  }
+  
+  /**
+   * Check if a recipient should see a message (players never see chat from people they blocked)
+   */
+  canReceive(recipientId, senderId) {
+    return !this.friendManager || !recipientId || !this.friendManager.isBlocked(recipientId, senderId);
+  }
+  
+  /**
+   * Clear expired rate limit entries
+   */
+  cleanup() {
+    Object.values(this.limiters).forEach(limiter => limiter.cleanup());
+    this.joinLimiter.cleanup();
+  }
+  
+  /**
+   * Room methods
+   */
+  
+  findRoom(name) {
+    return typeof name === 'string' ? this.rooms.get(name.trim().toLowerCase()) || null : null;
+  }
+  
+  /**
+   * Get the public view of a room (no password hash)
+   */
+  getRoom(roomName) {
+    const room = this.rooms.get(roomName);
+    if (!room) {
+      return null;
+    }
+    
+    return {
+      name: room.name,
+      ownerId: room.ownerId,
+      moderators: [...room.moderators],
+      members: [...room.members],
+      hasPassword: !!room.password,
+      createdAt: room.createdAt
+    };
+  }
+  
+  /**
+   * Get the rooms a player is in
+   */
+  getPlayerRooms(playerId) {
+    return Array.from(this.rooms.values())
+      .filter(room => room.members.includes(playerId))
+      .map(room => this.getRoom(room.name));
+  }
+  
+  /**
+   * Create a room owned by the player, optionally protected by a password
+   */
+  async createRoom(playerId, name, password = null) {
+    if (!this.playerManager.getPlayer(playerId)) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const roomName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!ROOM_NAME_PATTERN.test(roomName)) {
+      return { success: false, message: 'Room names must be 3-32 letters, numbers, dashes or underscores' };
+    }
+    
+    if (this.rooms.has(roomName)) {
+      return { success: false, message: 'A room with that name already exists' };
+    }
+    
+    const passwordCheck = this.checkPassword(password);
+    if (!passwordCheck.valid) {
+      return { success: false, message: passwordCheck.message };
+    }
+    
+    // Hash first: the checks below must not be separated from the insert by an await
+    const passwordHash = password ? await this.hashPassword(password) : null;
+    
+    if (this.rooms.has(roomName)) {
+      return { success: false, message: 'A room with that name already exists' };
+    }
+    
+    const owned = Array.from(this.rooms.values()).filter(room => room.ownerId === playerId).length;
+    if (owned >= MAX_ROOMS_PER_OWNER) {
+      return { success: false, message: `You can own at most ${MAX_ROOMS_PER_OWNER} rooms` };
+    }
+    
+    if (this.getPlayerRooms(playerId).length >= MAX_ROOMS_PER_PLAYER) {
+      return { success: false, message: `You can be in at most ${MAX_ROOMS_PER_PLAYER} rooms` };
+    }
+    
+    const room = {
+      name: roomName,
+      ownerId: playerId,
+      moderators: [],
+      members: [playerId],
+      banned: [],
+      password: passwordHash,
+      createdAt: Date.now()
+    };
+    
+    this.rooms.set(roomName, room);
+    this.saveRooms();
+    
+    return { success: true, message: `Room ${roomName} created`, room: this.getRoom(roomName) };
+  }
+  
+  /**
+   * Join a room, giving its password if it has one
+   * Attempts are rate limited per player so passwords can't be brute-forced.
+   */
+  async joinRoom(playerId, name, password = null) {
+    if (!this.joinLimiter.isAllowed(playerId)) {
+      return { success: false, message: 'You are joining rooms too quickly. Please wait a minute.' };
+    }
+    
+    let room = this.findRoom(name);
+    if (!room) {
+      return { success: false, message: 'Room not found' };
+    }
+    
+    if (room.password && !(await this.verifyPassword(room.password, password))) {
+      return { success: false, message: 'Incorrect room password' };
+    }
+    
+    // The room may have changed (or closed) while the password was checked
+    room = this.findRoom(name);
+    if (!room) {
+      return { success: false, message: 'Room not found' };
+    }
+    
+    if (room.members.includes(playerId)) {
+      return { success: false, message: 'You are already in that room' };
+    }
+    
+    if (room.banned.includes(playerId)) {
+      return { success: false, message: 'You are banned from that room' };
+    }
+    
+    if (room.members.length >= MAX_ROOM_MEMBERS) {
+      return { success: false, message: 'Room is full' };
+    }
+    
+    if (this.getPlayerRooms(playerId).length >= MAX_ROOMS_PER_PLAYER) {
+      return { success: false, message: `You can be in at most ${MAX_ROOMS_PER_PLAYER} rooms` };
+    }
+    
+    room.members.push(playerId);
+    this.saveRooms();
+    
+    return { success: true, message: `Joined ${room.name}`, room: this.getRoom(room.name) };
+  }
+  
+  /**
+   * Leave a room; an owner leaving hands the room to a moderator, then the longest-standing member
+   */
+  leaveRoom(playerId, name) {
+    const room = this.findRoom(name);
+    if (!room || !room.members.includes(playerId)) {
+      return { success: false, message: 'You are not in that room' };
+    }
+    
+    this.removeMember(room, playerId);
+    
+    if (room.members.length === 0) {
+      this.rooms.delete(room.name);
+      this.saveRooms();
+      return { success: true, message: `Left ${room.name}`, room: null, closed: true };
+    }
+    
+    if (room.ownerId === playerId) {
+      room.ownerId = room.moderators[0] || room.members[0];
+      room.moderators = room.moderators.filter(id => id !== room.ownerId);
+    }
+    
+    this.saveRooms();
+    return { success: true, message: `Left ${room.name}`, room: this.getRoom(room.name), closed: false };
+  }
+  
+  /**
+   * Owner: Promote a member to moderator or demote them
+   */
+  setModerator(actorId, name, targetPlayerId, isModerator) {
+    const room = this.findRoom(name);
+    if (!room) {
+      return { success: false, message: 'Room not found' };
+    }
+    
+    if (room.ownerId !== actorId) {
+      return { success: false, message: 'Only the room owner can change moderators' };
+    }
+    
+    if (!room.members.includes(targetPlayerId) || targetPlayerId === actorId) {
+      return { success: false, message: 'Player is not a member of this room' };
+    }
+    
+    room.moderators = room.moderators.filter(id => id !== targetPlayerId);
+    if (isModerator) {
+      room.moderators.push(targetPlayerId);
+    }
+    this.saveRooms();
+    
+    return { success: true, message: isModerator ? 'Moderator added' : 'Moderator removed', room: this.getRoom(room.name) };
+  }
+  
+  /**
+   * Owner or moderator: Remove a member, optionally banning them from rejoining
+   * Moderators can only remove regular members.
+   */
+  kickMember(actorId, name, targetPlayerId, ban = false) {
+    const room = this.findRoom(name);
+    if (!room) {
+      return { success: false, message: 'Room not found' };
+    }
+    
+    const isOwner = room.ownerId === actorId;
+    if (!isOwner && !room.moderators.includes(actorId)) {
+      return { success: false, message: 'Only the owner and moderators can remove members' };
+    }
+    
+    if (targetPlayerId === actorId || targetPlayerId === room.ownerId) {
+      return { success: false, message: 'You cannot remove that player' };
+    }
+    
+    if (!isOwner && room.moderators.includes(targetPlayerId)) {
+      return { success: false, message: 'Only the owner can remove moderators' };
+    }
+    
+    if (!room.members.includes(targetPlayerId) && !ban) {
+      return { success: false, message: 'Player is not a member of this room' };
+    }
+    
+    this.removeMember(room, targetPlayerId);
+    if (ban && !room.banned.includes(targetPlayerId)) {
+      room.banned.push(targetPlayerId);
+    }
+    this.saveRooms();
+    
+    return { success: true, message: ban ? 'Player banned from the room' : 'Player removed from the room', room: this.getRoom(room.name) };
+  }
+  
+  /**
+   * Owner: Set, change or (with null) remove the room password
+   * Current members stay; the password only applies to new joins.
+   */
+  async setRoomPassword(actorId, name, password) {
+    const passwordCheck = this.checkPassword(password);
+    if (!passwordCheck.valid) {
+      return { success: false, message: passwordCheck.message };
+    }
+    
+    const passwordHash = password ? await this.hashPassword(password) : null;
+    
+    const room = this.findRoom(name);
+    if (!room) {
+      return { success: false, message: 'Room not found' };
+    }
+    
+    if (room.ownerId !== actorId) {
+      return { success: false, message: 'Only the room owner can change the password' };
+    }
+    
+    room.password = passwordHash;
+    this.saveRooms();
+    
+    return { success: true, message: password ? 'Room password set' : 'Room password removed', room: this.getRoom(room.name) };
+  }
+  
+  /**
+   * Owner: Close a room
+   */
+  deleteRoom(actorId, name) {
+    const room = this.findRoom(name);
+    if (!room) {
+      return { success: false, message: 'Room not found' };
+    }
+    
+    if (room.ownerId !== actorId) {
+      return { success: false, message: 'Only the room owner can close the room' };
+    }
+    
+    this.rooms.delete(room.name);
+    this.saveRooms();
+    
+    return { success: true, message: `Room ${room.name} closed`, memberIds: room.members };
+  }
+  
+  /**
+   * Party methods
+   * Parties are small invite-only groups led by the player who sent the first invitation.
+   * A player is in one party at a time, and a party ends when fewer than two members remain.
+   */
+  
+  getPlayerParty(playerId) {
+    for (const party of this.parties.values()) {
+      if (party.members.includes(playerId)) {
+        return party;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Get the public view of a party
+   */
+  getParty(partyId) {
+    const party = this.parties.get(partyId);
+    if (!party) {
+      return null;
+    }
+    
+    return {
+      id: party.id,
+      leaderId: party.leaderId,
+      members: [...party.members],
+      invites: [...party.invites],
+      createdAt: party.createdAt
+    };
+  }
+  
+  /**
+   * Invite a player to the sender's party (starting one if the sender has none)
+   */
+  inviteToParty(playerId, targetPlayerId) {
+    if (!this.playerManager.getPlayer(playerId) || !targetPlayerId || !this.playerManager.getPlayer(targetPlayerId)) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (targetPlayerId === playerId) {
+      return { success: false, message: 'You cannot invite yourself' };
+    }
+    
+    if (this.friendManager && this.friendManager.isBlocked(playerId, targetPlayerId)) {
+      return { success: false, message: 'Unblock this player before inviting them' };
+    }
+    
+    // Don't reveal that the target blocked us
+    if (this.friendManager && this.friendManager.isBlocked(targetPlayerId, playerId)) {
+      return { success: false, message: 'Cannot invite this player' };
+    }
+    
+    if (this.getPlayerParty(targetPlayerId)) {
+      return { success: false, message: 'That player is already in a party' };
+    }
+    
+    let party = this.getPlayerParty(playerId);
+    if (party && party.leaderId !== playerId) {
+      return { success: false, message: 'Only the party leader can invite players' };
+    }
+    
+    if (party && party.invites.includes(targetPlayerId)) {
+      return { success: false, message: 'That player has already been invited' };
+    }
+    
+    if (party && party.members.length + party.invites.length >= MAX_PARTY_SIZE) {
+      return { success: false, message: `Parties hold at most ${MAX_PARTY_SIZE} players` };
+    }
+    
+    if (!party) {
+      party = {
+        id: uuidv4(),
+        leaderId: playerId,
+        members: [playerId],
+        invites: [],
+        createdAt: Date.now()
+      };
+      this.parties.set(party.id, party);
+    }
+    
+    party.invites.push(targetPlayerId);
+    this.saveParties();
+    
+    return { success: true, message: 'Party invitation sent', party: this.getParty(party.id) };
+  }
+  
+  /**
+   * Accept or decline a party invitation
+   */
+  respondToPartyInvite(playerId, partyId, accept) {
+    const party = this.parties.get(partyId);
+    if (!party || !party.invites.includes(playerId)) {
+      return { success: false, message: 'Invitation not found' };
+    }
+    
+    if (accept && this.getPlayerParty(playerId)) {
+      return { success: false, message: 'Leave your current party first' };
+    }
+    
+    party.invites = party.invites.filter(id => id !== playerId);
+    if (accept) {
+      party.members.push(playerId);
+    }
+    this.saveParties();
+    
+    return {
+      success: true,
+      accepted: accept,
+      message: accept ? 'Joined the party' : 'Invitation declined',
+      party: this.getParty(party.id)
+    };
+  }
+  
+  /**
+   * Leave the party; the longest-standing member takes over from a leader who leaves
+   */
+  leaveParty(playerId) {
+    const party = this.getPlayerParty(playerId);
+    if (!party) {
+      return { success: false, message: 'You are not in a party' };
+    }
+    
+    return { success: true, message: 'Left the party', ...this.removePartyMember(party, playerId) };
+  }
+  
+  /**
+   * Leader: Remove a member from the party
+   */
+  kickFromParty(leaderId, targetPlayerId) {
+    const party = this.getPlayerParty(leaderId);
+    if (!party) {
+      return { success: false, message: 'You are not in a party' };
+    }
+    
+    if (party.leaderId !== leaderId) {
+      return { success: false, message: 'Only the party leader can remove players' };
+    }
+    
+    if (targetPlayerId === leaderId || !party.members.includes(targetPlayerId)) {
+      return { success: false, message: 'Player is not in your party' };
+    }
+    
+    return { success: true, message: 'Player removed from the party', ...this.removePartyMember(party, targetPlayerId) };
+  }
+  
+  /**
+   * @returns {Object} - { party, disbanded, memberIds } where memberIds are the players still affected
+   */
+  removePartyMember(party, playerId) {
+    party.members = party.members.filter(id => id !== playerId);
+    
+    if (party.members.length < 2) {
+      this.parties.delete(party.id);
+      this.saveParties();
+      return { party: null, disbanded: true, memberIds: party.members };
+    }
+    
+    if (party.leaderId === playerId) {
+      party.leaderId = party.members[0];
+    }
+    
+    this.saveParties();
+    return { party: this.getParty(party.id), disbanded: false, memberIds: party.members };
+  }
+  
+  removeMember(room, playerId) {
+    room.members = room.members.filter(id => id !== playerId);
+    room.moderators = room.moderators.filter(id => id !== playerId);
+  }
+  
+  checkPassword(password) {
+    if (password === null || password === undefined || password === '') {
+      return { valid: true };
+    }
+    
+    if (typeof password !== 'string' || password.length < MIN_ROOM_PASSWORD || password.length > MAX_ROOM_PASSWORD) {
+      return { valid: false, message: `Room passwords must be ${MIN_ROOM_PASSWORD}-${MAX_ROOM_PASSWORD} characters` };
+    }
+    
+    return { valid: true };
+  }
+  
+  async hashPassword(password) {
+    return bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+  }
+  
+  async verifyPassword(passwordHash, password) {
+    if (typeof password !== 'string' || typeof passwordHash !== 'string') {
+      return false;
+    }
+    
+    return bcrypt.compare(password, passwordHash);
+  }
+  
+  /**
+   * Persistence methods
+   */
+  saveRooms() {
+    try {
+      const data = Array.from(this.rooms.values());
+      fs.writeFileSync(
+        path.join(this.dataDir, 'rooms.json'),
+        JSON.stringify(data, null, 2)
+      );
+    } catch (error) {
+      console.error('Error saving chat rooms:', error);
+    }
+  }
+  
+  saveParties() {
+    try {
+      const data = Array.from(this.parties.values());
+      fs.writeFileSync(
+        path.join(this.dataDir, 'parties.json'),
+        JSON.stringify(data, null, 2)
+      );
+    } catch (error) {
+      console.error('Error saving parties:', error);
+    }
+  }
+  
+  loadParties() {
+    try {
+      const filePath = path.join(this.dataDir, 'parties.json');
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const party of data) {
+          this.parties.set(party.id, party);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading parties:', error);
+    }
+  }
+  
+  loadRooms() {
+    try {
+      const filePath = path.join(this.dataDir, 'rooms.json');
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const room of data) {
+          this.rooms.set(room.name, room);
+        }
+        console.log(`Loaded ${data.length} chat rooms`);
+      }
+    } catch (error) {
+      console.error('Error loading chat rooms:', error);
+    }
+  }
+}
+
+module.exports = ChatManager;
@@ -0,0 +1,306 @@
+/**
+ * Consumable Manager
+ * Handles server-side consumable use, cooldowns and timed active effects (buffs)
+ */
+
+// Consumable definitions (server-side to prevent cheating)
+// restore: instant stat restore capped at the matching max stat ('full' restores to max)
+// permanent: permanent stat increases
+// modifiers: buff applied for `duration` ms and read by GameManager actions
+const CONSUMABLES = {
+  'minor_health_potion': {
+    name: 'Minor Health Potion',
+    type: 'potion',
+    restore: { health: 25 },
+    duration: 0,
+    cooldown: 10 * 1000
+  },
+  'health_potion': {
+    name: 'Health Potion',
+    type: 'potion',
+    restore: { health: 50 },
+    duration: 0,
+    cooldown: 10 * 1000
+  },
+  'mana_potion': {
+    name: 'Mana Potion',
+    type: 'potion',
+    restore: { mana: 40 },
+    duration: 0,
+    cooldown: 10 * 1000
+  },
+  'energy_drink': {
+    name: 'Energy Drink',
+    type: 'potion',
+    restore: { energy: 30 },
+    duration: 0,
+    cooldown: 15 * 1000
+  },
+  'energy_crystal': {
+    name: 'Energy Crystal',
+    type: 'potion',
+    restore: { energy: 50 },
+    duration: 0,
+    cooldown: 60 * 1000
+  },
+  'stamina_elixir': {
+    name: 'Stamina Elixir',
+    type: 'elixir',
+    modifiers: { energyCostMultiplier: 0.75 },
+    duration: 5 * 60 * 1000,
+    cooldown: 10 * 60 * 1000
+  },
+  'elixir_of_life': {
+    name: 'Elixir of Life',
+    type: 'elixir',
+    permanent: { maxHealth: 10 },
+    restore: { health: 'full', mana: 'full', energy: 'full' },
+    duration: 0,
+    cooldown: 60 * 60 * 1000
+  },
+  'scroll_of_insight': {
+    name: 'Scroll of Insight',
+    type: 'scroll',
+    modifiers: { trainingBonus: 1 },
+    duration: 10 * 60 * 1000,
+    cooldown: 20 * 60 * 1000
+  },
+  'scroll_of_foraging': {
+    name: 'Scroll of Foraging',
+    type: 'scroll',
+    modifiers: { gatherYieldBonus: 1 },
+    duration: 10 * 60 * 1000,
+    cooldown: 20 * 60 * 1000
+  },
+  'wizards_bread': {
+    name: "Wizard's Bread",
+    type: 'food',
+    restore: { health: 15, energy: 15 },
+    duration: 0,
+    cooldown: 20 * 1000
+  }
+};
+
+// Modifier values when no buffs are active
+const DEFAULT_MODIFIERS = {
+  energyCostMultiplier: 1,
+  gatherYieldBonus: 0,
+  trainingBonus: 0
+};
+
+class ConsumableManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.playersWithEffects = new Set(); // playerIds that have unexpired effects
+    
+    // Rebuild the expiry index from loaded players (effects live on the player record)
+    for (const player of this.playerManager.getAllPlayers()) {
+      if (player.activeEffects && player.activeEffects.length > 0) {
+        this.playersWithEffects.add(player.id);
+      }
+    }
+    
+    // Start effect expiry monitoring
+    if (options.autoStart !== false) {
+      this.startEffectMonitoring();
+    }
+  }
+  
+  /**
+   * Get a consumable definition
+   */
+  getConsumable(consumableId) {
+    return CONSUMABLES[consumableId] || null;
+  }
+  
+  /**
+   * Get all consumable definitions
+   */
+  getConsumables() {
+    return Object.entries(CONSUMABLES).map(([id, consumable]) => ({ id, ...consumable }));
+  }
+  
+  /**
+   * Get remaining cooldown for a consumable in ms
+   */
+  getCooldownRemaining(player, consumableId, now = Date.now()) {
+    const cooldowns = player.consumableCooldowns || {};
+    return Math.max(0, (cooldowns[consumableId] || 0) - now);
+  }
+  
+  /**
+   * Use a consumable from the player's inventory
+   */
+  useConsumable(playerId, consumableId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const consumable = this.getConsumable(consumableId);
+    if (!consumable) {
+      return { success: false, message: 'Item cannot be consumed' };
+    }
+    
+    // Check inventory
+    const inventory = player.inventory || [];
+    const index = inventory.indexOf(consumableId);
+    if (index === -1) {
+      return { success: false, message: `You don't have any ${consumable.name}` };
+    }
+    
+    // Check cooldown
+    const now = Date.now();
+    const remaining = this.getCooldownRemaining(player, consumableId, now);
+    if (remaining > 0) {
+      return {
+        success: false,
+        message: `${consumable.name} is on cooldown (${Math.ceil(remaining / 1000)}s remaining)`
+      };
+    }
+    
+    const updatedInventory = [...inventory];
+    updatedInventory.splice(index, 1);
+    
+    const updates = {
+      inventory: updatedInventory,
+      consumableCooldowns: {
+        ...(player.consumableCooldowns || {}),
+        [consumableId]: now + consumable.cooldown
+      }
+    };
+    
+    // Permanent increases are applied before restores so 'full' uses the new max
+    if (consumable.permanent) {
+      for (const [stat, amount] of Object.entries(consumable.permanent)) {
+        updates[stat] = (player[stat] || 0) + amount;
+      }
+    }
+    
+    if (consumable.restore) {
+      for (const [stat, amount] of Object.entries(consumable.restore)) {
+        const maxStat = 'max' + stat.charAt(0).toUpperCase() + stat.slice(1);
+        const max = updates[maxStat] !== undefined ? updates[maxStat] : player[maxStat];
+        updates[stat] = amount === 'full' ? max : Math.min(max, (player[stat] || 0) + amount);
+      }
+    }
+    
+    let effect = null;
+    if (consumable.duration > 0 && consumable.modifiers) {
+      effect = {
+        consumableId,
+        name: consumable.name,
+        modifiers: consumable.modifiers,
+        startedAt: now,
+        expiresAt: now + consumable.duration
+      };
+      
+      // Re-using a buff refreshes it rather than stacking
+      const activeEffects = this.getActiveEffects(player, now)
+        .filter(e => e.consumableId !== consumableId);
+      activeEffects.push(effect);
+      updates.activeEffects = activeEffects;
+      this.playersWithEffects.add(playerId);
+    }
+    
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    return { success: true, consumable: { id: consumableId, ...consumable }, effect, playerUpdates: updates };
+  }
+  
+  /**
+   * Get a player's unexpired effects
+   */
+  getActiveEffects(player, now = Date.now()) {
+    return (player.activeEffects || []).filter(effect => effect.expiresAt > now);
+  }
+  
+  /**
+   * Combine a player's active buffs into action modifiers
+   */
+  getModifiers(player, now = Date.now()) {
+    const modifiers = { ...DEFAULT_MODIFIERS };
+    
+    for (const effect of this.getActiveEffects(player, now)) {
+      const effectModifiers = effect.modifiers || {};
+      if (effectModifiers.energyCostMultiplier !== undefined) {
+        modifiers.energyCostMultiplier *= effectModifiers.energyCostMultiplier;
+      }
+      modifiers.gatherYieldBonus += effectModifiers.gatherYieldBonus || 0;
+      modifiers.trainingBonus += effectModifiers.trainingBonus || 0;
+    }
+    
+    return modifiers;
+  }
+  
+  /**
+   * Remove expired effects from players
+   * @returns {Array} - Expiry notifications
+   */
+  processExpiredEffects(now = Date.now()) {
+    const notifications = [];
+    
+    for (const playerId of Array.from(this.playersWithEffects)) {
+      const player = this.playerManager.getPlayer(playerId);
+      if (!player) {
+        this.playersWithEffects.delete(playerId);
+        continue;
+      }
+      
+      const effects = player.activeEffects || [];
+      const expired = effects.filter(effect => effect.expiresAt <= now);
+      const remaining = effects.filter(effect => effect.expiresAt > now);
+      
+      if (expired.length > 0) {
+        this.playerManager.updatePlayer(playerId, { activeEffects: remaining });
+        for (const effect of expired) {
+          notifications.push({
+            type: 'effect_expired',
+            playerId,
+            effect
+          });
+        }
+      }
+      
+      if (remaining.length === 0) {
+        this.playersWithEffects.delete(playerId);
+      }
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Monitor effects and expire finished ones
+   */
+  startEffectMonitoring() {
+    // Check every 5 seconds for expired effects
+    this.monitoringInterval = setInterval(() => {
+      const notifications = this.processExpiredEffects();
+      
+      // Return notifications for the server to deliver
+      if (notifications.length > 0 && this.notificationCallback) {
+        this.notificationCallback(notifications);
+      }
+    }, 5000);
+  }
+  
+  /**
+   * Set notification callback for effect events
+   */
+  setNotificationCallback(callback) {
+    this.notificationCallback = callback;
+  }
+  
+  /**
+   * Stop monitoring (cleanup)
+   */
+  stopEffectMonitoring() {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+    }
+  }
+}
+
+module.exports = ConsumableManager;
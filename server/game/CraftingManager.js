@@ -0,0 +1,388 @@
+/**
+ * Crafting Manager
+ * Handles server-authoritative timed crafting jobs with a persisted per-player queue
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Crafting recipes (server-side to prevent cheating)
+const RECIPES = {
+  'health_potion': {
+    name: 'Health Potion',
+    requires: { herbs: 3 },
+    energyCost: 15,
+    xpGain: 10,
+    craftTime: 60 * 1000 // 1 minute
+  },
+  'mana_potion': {
+    name: 'Mana Potion',
+    requires: { crystal: 2 },
+    energyCost: 20,
+    xpGain: 15,
+    craftTime: 60 * 1000
+  },
+  'energy_crystal': {
+    name: 'Energy Crystal',
+    requires: { crystal: 5, stone: 3 },
+    energyCost: 20,
+    xpGain: 25,
+    craftTime: 2 * 60 * 1000
+  },
+  'crystal_wand': {
+    name: 'Crystal Wand',
+    requires: { wood: 5, crystal: 8 },
+    energyCost: 25,
+    xpGain: 40,
+    craftTime: 3 * 60 * 1000
+  },
+  'arcane_staff': {
+    name: 'Arcane Staff',
+    requires: { wood: 10, crystal: 5, stone: 2 },
+    energyCost: 30,
+    xpGain: 50,
+    craftTime: 5 * 60 * 1000
+  }
+};
+
+const MAX_QUEUE_LENGTH = 5;
+const FAST_TRACK_PENNIES_PER_MINUTE = 12; // 1 shilling per started minute
+
+class CraftingManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.queues = new Map(); // playerId -> [jobs] (ordered by finishesAt)
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'crafting');
+    this.economyLedger = options.economyLedger || null;
+    // Timed world events (e.g. Double XP) scale crafting XP when set
+    this.eventDispatcher = options.eventDispatcher || null;
+    
+    // Ensure data directory exists
+    this.ensureDataDirectory();
+    
+    // Load persisted jobs
+    this.loadActiveJobs();
+    
+    // Start job monitoring
+    if (options.autoStart !== false) {
+      this.startCraftingMonitoring();
+    }
+  }
+  
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+  
+  /**
+   * Get a recipe definition
+   */
+  getRecipe(recipeId) {
+    return RECIPES[recipeId] || null;
+  }
+  
+  /**
+   * Get all recipe definitions
+   */
+  getRecipes() {
+    return Object.entries(RECIPES).map(([id, recipe]) => ({ id, ...recipe }));
+  }
+  
+  /**
+   * Start a crafting job (consumes resources and energy up front)
+   */
+  startCrafting(playerId, recipeId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const recipe = this.getRecipe(recipeId);
+    if (!recipe) {
+      return { success: false, message: 'Invalid recipe' };
+    }
+    
+    const queue = this.queues.get(playerId) || [];
+    if (queue.length >= MAX_QUEUE_LENGTH) {
+      return { success: false, message: `Crafting queue is full (max ${MAX_QUEUE_LENGTH})` };
+    }
+    
+    // Check energy
+    if (player.energy < recipe.energyCost) {
+      return { success: false, message: 'Not enough energy' };
+    }
+    
+    // Check resources
+    const resources = player.resources || {};
+    for (const [resourceId, amount] of Object.entries(recipe.requires)) {
+      if ((resources[resourceId] || 0) < amount) {
+        return { success: false, message: `Not enough ${resourceId}` };
+      }
+    }
+    
+    // Consume resources and energy
+    const updatedResources = { ...resources };
+    for (const [resourceId, amount] of Object.entries(recipe.requires)) {
+      updatedResources[resourceId] -= amount;
+    }
+    
+    const updates = {
+      energy: player.energy - recipe.energyCost,
+      resources: updatedResources
+    };
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    // Jobs run one after another, so a new job starts when the last one finishes
+    const now = Date.now();
+    const lastJob = queue[queue.length - 1];
+    const startsAt = lastJob ? Math.max(now, lastJob.finishesAt) : now;
+    
+    const job = {
+      id: uuidv4(),
+      playerId,
+      recipeId,
+      recipeName: recipe.name,
+      craftTime: recipe.craftTime,
+      createdAt: now,
+      startsAt,
+      finishesAt: startsAt + recipe.craftTime
+    };
+    
+    queue.push(job);
+    this.queues.set(playerId, queue);
+    this.saveActiveJobs();
+    
+    return { success: true, job, playerUpdates: updates };
+  }
+  
+  /**
+   * Get the fast-track cost of a job in pennies
+   */
+  getFastTrackCost(job, now = Date.now()) {
+    const remaining = Math.max(0, job.finishesAt - now);
+    return Math.ceil(remaining / 60000) * FAST_TRACK_PENNIES_PER_MINUTE;
+  }
+  
+  /**
+   * Pay to finish a job immediately
+   * The completion is delivered through the notification callback like any other finished job.
+   * @returns {Object} - { success, cost, job, currency: { shillings, pennies }, message }
+   */
+  fastTrackCrafting(playerId, jobId) {
+    const queue = this.queues.get(playerId) || [];
+    const job = queue.find(j => j.id === jobId);
+    
+    if (!job) {
+      return { success: false, message: 'Crafting job not found' };
+    }
+    
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const now = Date.now();
+    const cost = this.getFastTrackCost(job, now);
+    const totalPennies = (player.shillings * 12) + player.pennies;
+    if (totalPennies < cost) {
+      return { success: false, message: 'Not enough currency to fast-track' };
+    }
+    
+    const newTotal = totalPennies - cost;
+    const currency = {
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    };
+    this.playerManager.updatePlayer(playerId, currency);
+    
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId, delta: -cost, reason: 'craft_fast_track', source: 'CraftingManager', referenceId: jobId });
+    }
+    
+    job.finishesAt = now;
+    const completion = this.completeJob(playerId, jobId);
+    this.rescheduleQueue(playerId, now);
+    this.saveActiveJobs();
+    
+    if (completion.success && this.notificationCallback) {
+      this.notificationCallback([this.createNotification(playerId, completion)]);
+    }
+    
+    return { success: true, cost, currency, ...completion };
+  }
+  
+  /**
+   * Finish a job: grant the item, XP and crafted count, then drop it from the queue
+   */
+  completeJob(playerId, jobId) {
+    const queue = this.queues.get(playerId) || [];
+    const index = queue.findIndex(j => j.id === jobId);
+    if (index === -1) {
+      return { success: false, message: 'Crafting job not found' };
+    }
+    
+    const [job] = queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.queues.delete(playerId);
+    }
+    
+    // Works for offline players too: getPlayer loads them from disk
+    const player = this.playerManager.getPlayer(playerId);
+    const recipe = this.getRecipe(job.recipeId);
+    if (!player || !recipe) {
+      return { success: false, job, message: 'Player or recipe no longer exists' };
+    }
+    
+    const craftedItems = { ...(player.craftedItems || {}) };
+    craftedItems[job.recipeId] = (craftedItems[job.recipeId] || 0) + 1;
+    const xpMultiplier = this.eventDispatcher ? this.eventDispatcher.getActiveModifiers(player).xpMultiplier : 1;
+    const xpGained = Math.round(recipe.xpGain * xpMultiplier);
+    
+    const updates = {
+      inventory: [...(player.inventory || []), job.recipeId],
+      xp: player.xp + xpGained,
+      craftedItems
+    };
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    job.completedAt = Date.now();
+    
+    return { success: true, job, xpGained, playerUpdates: updates };
+  }
+  
+  /**
+   * Shift jobs that have not started yet so the queue has no gaps
+   */
+  rescheduleQueue(playerId, now = Date.now()) {
+    const queue = this.queues.get(playerId);
+    if (!queue) return;
+    
+    let previousFinish = now;
+    for (const job of queue) {
+      if (job.startsAt > now) {
+        job.startsAt = Math.max(now, previousFinish);
+        job.finishesAt = job.startsAt + job.craftTime;
+      }
+      previousFinish = job.finishesAt;
+    }
+  }
+  
+  /**
+   * Complete every job whose finish time has passed
+   * @returns {Array} - Completion notifications
+   */
+  processCompletedJobs(now = Date.now()) {
+    const notifications = [];
+    
+    for (const [playerId, queue] of Array.from(this.queues.entries())) {
+      const finished = queue.filter(job => job.finishesAt <= now);
+      for (const job of finished) {
+        const result = this.completeJob(playerId, job.id);
+        if (result.success) {
+          notifications.push(this.createNotification(playerId, result));
+        }
+      }
+    }
+    
+    if (notifications.length > 0) {
+      this.saveActiveJobs();
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Completion notification for the server to deliver (see setNotificationCallback)
+   */
+  createNotification(playerId, completion) {
+    return {
+      type: 'crafting_complete',
+      playerId,
+      job: completion.job,
+      xpGained: completion.xpGained,
+      playerUpdates: completion.playerUpdates
+    };
+  }
+  
+  /**
+   * Get a player's crafting queue
+   */
+  getPlayerQueue(playerId) {
+    return [...(this.queues.get(playerId) || [])];
+  }
+  
+  /**
+   * Monitor jobs and complete finished ones
+   */
+  startCraftingMonitoring() {
+    // Check every 5 seconds for finished jobs
+    this.monitoringInterval = setInterval(() => {
+      const notifications = this.processCompletedJobs();
+      
+      // Return notifications for the server to deliver
+      if (notifications.length > 0 && this.notificationCallback) {
+        this.notificationCallback(notifications);
+      }
+    }, 5000);
+  }
+  
+  /**
+   * Set notification callback for crafting events
+   */
+  setNotificationCallback(callback) {
+    this.notificationCallback = callback;
+  }
+  
+  /**
+   * Stop monitoring (cleanup)
+   */
+  stopCraftingMonitoring() {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+    }
+  }
+  
+  /**
+   * Persistence methods
+   */
+  saveActiveJobs() {
+    try {
+      const data = [];
+      for (const queue of this.queues.values()) {
+        data.push(...queue);
+      }
+      fs.writeFileSync(
+        path.join(this.dataDir, 'active-jobs.json'),
+        JSON.stringify(data, null, 2)
+      );
+    } catch (error) {
+      console.error('Error saving crafting jobs:', error);
+    }
+  }
+  
+  loadActiveJobs() {
+    try {
+      const filePath = path.join(this.dataDir, 'active-jobs.json');
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const job of data) {
+          if (!this.queues.has(job.playerId)) {
+            this.queues.set(job.playerId, []);
+          }
+          this.queues.get(job.playerId).push(job);
+        }
+        for (const queue of this.queues.values()) {
+          queue.sort((a, b) => a.finishesAt - b.finishesAt);
+        }
+        console.log(`Loaded ${data.length} active crafting jobs`);
+      }
+    } catch (error) {
+      console.error('Error loading crafting jobs:', error);
+    }
+  }
+}
+
+module.exports = CraftingManager;
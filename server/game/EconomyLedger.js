@@ -0,0 +1,79 @@
+/**
+ * Economy Ledger
+ * Append-only record of every change to a player's currency, for auditing the economy
+ *
+ * Each entry holds the player, the signed change in pennies, a reason, the module it came
+ * from and an optional reference id (trade, auction, quest, event...). Entries are
+ * classified as a source (currency created), a sink (currency destroyed) or a transfer
+ * between players, so daily totals show inflation without counting trades twice.
+ */
+
+const JsonFileAdapter = require('../database/JsonFileAdapter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 365;
+const MAX_ENTRY_LIMIT = 1000;
+
+class EconomyLedger {
+  constructor(options = {}) {
+    this.database = options.database || new JsonFileAdapter({ economyDir: options.dataDir });
+  }
+  
+  /**
+   * Record a currency change (fire-and-forget, never throws)
+   * @param {Object} entry - { playerId, delta, reason, source, referenceId, flow }
+   *   delta is in pennies; flow defaults to 'source' for gains and 'sink' for losses
+   */
+  record({ playerId, delta, reason, source, referenceId = null, flow = null }) {
+    const amount = Math.trunc(delta || 0);
+    if (!playerId || amount === 0) return;
+    
+    this.database.appendEconomyEntry({
+      playerId,
+      delta: amount,
+      flow: flow || (amount > 0 ? 'source' : 'sink'),
+      reason,
+      source,
+      referenceId: referenceId === null ? null : String(referenceId),
+      createdAt: Date.now()
+    }).catch(error => {
+      console.error('Error recording economy entry:', error);
+    });
+  }
+  
+  /**
+   * Currency created and destroyed per day, plus the top earners, over the last N days
+   * @returns {Promise<Object>} - { since, days, daily, totals, topEarners }
+   */
+  async getReport(days = 30, limit = 10) {
+    const span = Math.min(Math.max(parseInt(days) || 30, 1), MAX_REPORT_DAYS);
+    const since = Date.now() - (span * DAY_MS);
+    
+    const daily = await this.database.getEconomyDailyTotals({ since });
+    const topEarners = await this.database.getEconomyTopEarners({
+      since,
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 100)
+    });
+    
+    const totals = daily.reduce((sum, day) => ({
+      created: sum.created + day.created,
+      destroyed: sum.destroyed + day.destroyed,
+      transferred: sum.transferred + day.transferred
+    }), { created: 0, destroyed: 0, transferred: 0 });
+    totals.net = totals.created - totals.destroyed;
+    
+    return { since, days: span, daily, totals, topEarners };
+  }
+  
+  /**
+   * Full ledger of one player, newest first
+   */
+  async getPlayerLedger(playerId, limit = 100) {
+    return this.database.getEconomyEntries({
+      playerId,
+      limit: Math.min(Math.max(parseInt(limit) || 100, 1), MAX_ENTRY_LIMIT)
+    });
+  }
+}
+
+module.exports = EconomyLedger;
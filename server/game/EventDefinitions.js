@@ -0,0 +1,430 @@
+/**
+ * Event Definitions
+ * Schema, validation and loading for declarative (data-only) game events
+ *
+ * A definition describes who an event targets and what it does with a fixed set of
+ * effect operations, so events can live in JSON/YAML files or arrive over HTTP without
+ * running any code. EventDispatcher interprets the validated definitions.
+ *
+ * {
+ *   "id": "gold-rain",                      // Required for files; periodic events are registered under it
+ *   "name": "Gold Rain",
+ *   "description": "Gold coins rain from the sky!",
+ *   "eventType": "bonus",
+ *   "scope": "global" | "location" | "player" | "players",
+ *   "locationId": "town-square",            // scope "location"
+ *   "playerId": "uuid", "playerIds": [],    // scope "player" / "players"
+ *   "target": { "minLevel": 1, "maxLevel": 10, "locations": ["tavern"], "inJail": false, "chance": 0.5 },
+ *   "effects": [
+ *     { "op": "add", "stat": "currency", "amount": 50 },
+ *     { "op": "subtract", "stat": "mana", "amount": 20, "min": 0 },
+ *     { "op": "clamp", "stat": "health", "min": 10, "max": "maxHealth" },
+ *     { "op": "set", "stat": "energy", "value": 100 },
+ *     { "op": "grant_item", "item": "healing-potion", "quantity": 1 },
+ *     { "op": "move", "locationId": "hospital" }
+ *   ],
+ *   "duration": 300000,                     // Effects marked "temporary" are undone after this many ms
+ *   "modifiers": { "xpMultiplier": 2 },     // Active while the event lasts (see MODIFIERS)
+ *   "tick": { "intervalMs": 60000, "effects": [] }, // Applied again every intervalMs while it lasts
+ *   "endEffects": [],                       // Applied once when it ends
+ *   "interval": 900000,                     // Files only: repeat every interval ms
+ *   "schedule": { "cron": "0 18 * * sat", "windowMs": 14400000 }, // Files only, instead of interval (see EventSchedule.js)
+ *   "eventData": {}                         // Passed through to clients
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { validateSchedule } = require('./EventSchedule');
+
+const DEFAULT_DEFINITIONS_DIR = path.join(__dirname, 'events');
+
+const SCOPES = ['global', 'location', 'player', 'players'];
+const OPERATIONS = ['add', 'subtract', 'set', 'clamp', 'grant_item', 'move'];
+
+// Stats effects may change; `currency` is in pennies (1 shilling = 12 pennies)
+const STATS = ['health', 'maxHealth', 'energy', 'maxEnergy', 'mana', 'maxMana', 'xp', 'currency'];
+// Stats that can never go above their maximum
+const STAT_CAPS = { health: 'maxHealth', energy: 'maxEnergy', mana: 'maxMana' };
+
+// Modifiers a timed event applies while it is active, with their allowed range.
+// Multipliers of several events multiply; bonuses add up.
+const MODIFIERS = {
+  xpMultiplier: { min: 0, max: 10 },          // XP from crimes, crafting and quests
+  energyCostMultiplier: { min: 0, max: 10 },  // Energy cost of gathering and training
+  priceMultiplier: { min: 0.1, max: 10 },     // Black market prices (applied by clients, see jsjs/black-market.js)
+  gatherYieldBonus: { min: -5, max: 10 },     // Extra resources per gather
+  trainingBonus: { min: -5, max: 10 }         // Extra stat points per training session
+};
+const DEFAULT_MODIFIERS = {
+  xpMultiplier: 1,
+  energyCostMultiplier: 1,
+  priceMultiplier: 1,
+  gatherYieldBonus: 0,
+  trainingBonus: 0
+};
+
+const MAX_EFFECTS = 20;
+const MAX_AMOUNT = 1000000;
+const MAX_ITEM_QUANTITY = 100;
+const MAX_DURATION_MS = 7 * 24 * 60 * 60 * 1000; // 1 week (long enough for a weekend event)
+const MIN_INTERVAL_MS = 60 * 1000; // 1 minute
+const MIN_TICK_MS = 5 * 1000;
+const MAX_TEXT_LENGTH = { id: 64, name: 100, description: 500, eventType: 32, item: 64 };
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkText(value, field, errors, required = false) {
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push(`${field} is required`);
+    }
+    return;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${field} must be a non-empty string`);
+  } else if (value.length > MAX_TEXT_LENGTH[field]) {
+    errors.push(`${field} must be at most ${MAX_TEXT_LENGTH[field]} characters`);
+  }
+}
+
+function checkId(value, field, errors) {
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH.id || !ID_PATTERN.test(value)) {
+    errors.push(`${field} must be an id of letters, digits, "-" or "_"`);
+  }
+}
+
+// A bound is a number or the name of a stat (e.g. "maxMana")
+function checkBound(value, field, errors) {
+  if (value === undefined) return;
+  if (!(isFiniteNumber(value) && Math.abs(value) <= MAX_AMOUNT) && !STATS.includes(value)) {
+    errors.push(`${field} must be a number or one of: ${STATS.join(', ')}`);
+  }
+}
+
+function checkTarget(target, errors) {
+  if (target === undefined) return;
+  if (!isPlainObject(target)) {
+    errors.push('target must be an object');
+    return;
+  }
+  
+  for (const key of Object.keys(target)) {
+    if (!['minLevel', 'maxLevel', 'locations', 'inJail', 'chance'].includes(key)) {
+      errors.push(`target.${key} is not a supported filter`);
+    }
+  }
+  for (const key of ['minLevel', 'maxLevel']) {
+    if (target[key] !== undefined && !(Number.isInteger(target[key]) && target[key] >= 0)) {
+      errors.push(`target.${key} must be a whole number`);
+    }
+  }
+  if (target.locations !== undefined) {
+    if (!Array.isArray(target.locations) || target.locations.length === 0) {
+      errors.push('target.locations must be a non-empty array');
+    } else {
+      target.locations.forEach((locationId, i) => checkId(locationId, `target.locations[${i}]`, errors));
+    }
+  }
+  if (target.inJail !== undefined && typeof target.inJail !== 'boolean') {
+    errors.push('target.inJail must be true or false');
+  }
+  if (target.chance !== undefined && !(isFiniteNumber(target.chance) && target.chance > 0 && target.chance <= 1)) {
+    errors.push('target.chance must be a number above 0 and at most 1');
+  }
+}
+
+function checkEffect(effect, field, errors) {
+  if (!isPlainObject(effect)) {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  if (!OPERATIONS.includes(effect.op)) {
+    errors.push(`${field}.op must be one of: ${OPERATIONS.join(', ')}`);
+    return;
+  }
+  
+  if (['add', 'subtract', 'set', 'clamp'].includes(effect.op) && !STATS.includes(effect.stat)) {
+    errors.push(`${field}.stat must be one of: ${STATS.join(', ')}`);
+  }
+  
+  switch (effect.op) {
+    case 'add':
+    case 'subtract':
+      if (!(isFiniteNumber(effect.amount) && effect.amount >= 0 && effect.amount <= MAX_AMOUNT)) {
+        errors.push(`${field}.amount must be a number from 0 to ${MAX_AMOUNT}`);
+      }
+      checkBound(effect.min, `${field}.min`, errors);
+      checkBound(effect.max, `${field}.max`, errors);
+      if (effect.temporary !== undefined && typeof effect.temporary !== 'boolean') {
+        errors.push(`${field}.temporary must be true or false`);
+      }
+      if (effect.temporary && effect.stat === 'currency') {
+        errors.push(`${field}: currency changes cannot be temporary`);
+      }
+      break;
+    case 'set':
+      checkBound(effect.value, `${field}.value`, errors);
+      if (effect.value === undefined) {
+        errors.push(`${field}.value is required`);
+      }
+      break;
+    case 'clamp':
+      checkBound(effect.min, `${field}.min`, errors);
+      checkBound(effect.max, `${field}.max`, errors);
+      if (effect.min === undefined && effect.max === undefined) {
+        errors.push(`${field} needs min or max`);
+      }
+      break;
+    case 'grant_item':
+      checkId(effect.item, `${field}.item`, errors);
+      if (effect.quantity !== undefined && !(Number.isInteger(effect.quantity) && effect.quantity >= 1 && effect.quantity <= MAX_ITEM_QUANTITY)) {
+        errors.push(`${field}.quantity must be a whole number from 1 to ${MAX_ITEM_QUANTITY}`);
+      }
+      break;
+    case 'move':
+      checkId(effect.locationId, `${field}.locationId`, errors);
+      break;
+  }
+}
+
+function checkEffects(effects, field, errors) {
+  if (effects === undefined) return;
+  if (!Array.isArray(effects) || effects.length > MAX_EFFECTS) {
+    errors.push(`${field} must be an array of at most ${MAX_EFFECTS} operations`);
+  } else {
+    effects.forEach((effect, i) => checkEffect(effect, `${field}[${i}]`, errors));
+  }
+}
+
+function checkModifiers(modifiers, errors) {
+  if (modifiers === undefined) return;
+  if (!isPlainObject(modifiers)) {
+    errors.push('modifiers must be an object');
+    return;
+  }
+  
+  for (const [key, value] of Object.entries(modifiers)) {
+    const range = MODIFIERS[key];
+    if (!range) {
+      errors.push(`modifiers.${key} is not supported (use: ${Object.keys(MODIFIERS).join(', ')})`);
+    } else if (!(isFiniteNumber(value) && value >= range.min && value <= range.max) || (key.endsWith('Bonus') && !Number.isInteger(value))) {
+      errors.push(`modifiers.${key} must be a number from ${range.min} to ${range.max}`);
+    }
+  }
+}
+
+function checkTick(tick, errors) {
+  if (tick === undefined) return;
+  if (!isPlainObject(tick)) {
+    errors.push('tick must be an object');
+    return;
+  }
+  
+  if (!(Number.isInteger(tick.intervalMs) && tick.intervalMs >= MIN_TICK_MS)) {
+    errors.push(`tick.intervalMs must be a whole number of milliseconds, at least ${MIN_TICK_MS}`);
+  }
+  if (!Array.isArray(tick.effects) || tick.effects.length === 0) {
+    errors.push('tick.effects must be a non-empty array');
+  } else {
+    checkEffects(tick.effects, 'tick.effects', errors);
+  }
+}
+
+/**
+ * Combine modifier sets: multipliers multiply, bonuses add
+ * @param {...Object} sets - Partial modifier sets (missing keys count as no change)
+ * @returns {Object} - A full modifier set
+ */
+function combineModifiers(...sets) {
+  const combined = { ...DEFAULT_MODIFIERS };
+  for (const set of sets) {
+    for (const [key, value] of Object.entries(set || {})) {
+      if (typeof value !== 'number') continue;
+      combined[key] = key.endsWith('Multiplier') ? (combined[key] ?? 1) * value : (combined[key] || 0) + value;
+    }
+  }
+  return combined;
+}
+
+/**
+ * Validate a definition and copy out the fields the interpreter understands
+ * Anything else (including handler functions) is dropped.
+ * @param {Object} definition - Parsed definition
+ * @param {Object} options - { requireId, allowInterval, locationExists: (id) => boolean }
+ * @returns {Object} - { valid, errors, event }
+ */
+function validateEventDefinition(definition, options = {}) {
+  const errors = [];
+  if (!isPlainObject(definition)) {
+    return { valid: false, errors: ['Event definition must be an object'], event: null };
+  }
+  
+  if (definition.id !== undefined || options.requireId) {
+    checkId(definition.id, 'id', errors);
+  }
+  checkText(definition.name, 'name', errors, true);
+  checkText(definition.description, 'description', errors);
+  checkText(definition.eventType, 'eventType', errors);
+  
+  if (!SCOPES.includes(definition.scope)) {
+    errors.push(`scope must be one of: ${SCOPES.join(', ')}`);
+  } else if (definition.scope === 'location') {
+    checkId(definition.locationId, 'locationId', errors);
+  } else if (definition.scope === 'player') {
+    checkId(definition.playerId, 'playerId', errors);
+  } else if (definition.scope === 'players') {
+    if (!Array.isArray(definition.playerIds) || definition.playerIds.length === 0) {
+      errors.push('playerIds must be a non-empty array');
+    } else {
+      definition.playerIds.forEach((playerId, i) => checkId(playerId, `playerIds[${i}]`, errors));
+    }
+  }
+  
+  checkTarget(definition.target, errors);
+  
+  checkEffects(definition.effects, 'effects', errors);
+  checkEffects(definition.endEffects, 'endEffects', errors);
+  checkModifiers(definition.modifiers, errors);
+  checkTick(definition.tick, errors);
+  const tickEffects = (isPlainObject(definition.tick) && Array.isArray(definition.tick.effects)) ? definition.tick.effects : [];
+  if ([...tickEffects, ...(Array.isArray(definition.endEffects) ? definition.endEffects : [])].some(effect => effect && effect.temporary)) {
+    errors.push('Only start effects can be temporary');
+  }
+  
+  if (definition.duration !== undefined && !(Number.isInteger(definition.duration) && definition.duration > 0 && definition.duration <= MAX_DURATION_MS)) {
+    errors.push(`duration must be a whole number of milliseconds up to ${MAX_DURATION_MS}`);
+  }
+  if (definition.interval !== undefined) {
+    if (!options.allowInterval) {
+      errors.push('interval is only supported in event definition files');
+    } else if (!(Number.isInteger(definition.interval) && definition.interval >= MIN_INTERVAL_MS)) {
+      errors.push(`interval must be a whole number of milliseconds, at least ${MIN_INTERVAL_MS}`);
+    }
+  }
+  let schedule = null;
+  if (definition.schedule !== undefined) {
+    const result = validateSchedule(definition.schedule);
+    if (!options.allowInterval) {
+      errors.push('schedule is only supported in event definition files');
+    } else if (definition.interval !== undefined) {
+      errors.push('Use either interval or schedule, not both');
+    } else if (!result.valid) {
+      errors.push(...result.errors);
+    } else if (result.schedule.intervalMs !== undefined && result.schedule.intervalMs < MIN_INTERVAL_MS) {
+      errors.push(`schedule.intervalMs must be at least ${MIN_INTERVAL_MS}`);
+    } else {
+      schedule = result.schedule;
+    }
+  }
+  // A scheduled window ends the event too, so it can stand in for a duration
+  const hasWindow = Boolean(schedule && schedule.windowMs);
+  if (Array.isArray(definition.effects) && definition.effects.some(effect => effect && effect.temporary) && definition.duration === undefined && !hasWindow) {
+    errors.push('Temporary effects need a duration');
+  }
+  if (['modifiers', 'tick', 'endEffects'].some(key => definition[key] !== undefined) && definition.duration === undefined && !hasWindow) {
+    errors.push('modifiers, tick and endEffects need a duration');
+  }
+  if (definition.eventData !== undefined && !isPlainObject(definition.eventData)) {
+    errors.push('eventData must be an object');
+  }
+  
+  // Unknown locations would silently match nobody, so reject them up front
+  if (options.locationExists && errors.length === 0) {
+    const locationIds = [
+      definition.scope === 'location' ? definition.locationId : null,
+      ...((definition.target && definition.target.locations) || []),
+      ...[...(definition.effects || []), ...tickEffects, ...(definition.endEffects || [])]
+        .filter(effect => effect.op === 'move').map(effect => effect.locationId)
+    ].filter(Boolean);
+    for (const locationId of locationIds) {
+      if (!options.locationExists(locationId)) {
+        errors.push(`Unknown location: ${locationId}`);
+      }
+    }
+  }
+  
+  if (errors.length > 0) {
+    return { valid: false, errors, event: null };
+  }
+  
+  const event = {
+    name: definition.name.trim(),
+    description: definition.description || '',
+    eventType: definition.eventType || 'custom',
+    scope: definition.scope,
+    eventData: definition.eventData || {}
+  };
+  for (const key of ['id', 'locationId', 'playerId', 'playerIds', 'target', 'effects', 'duration', 'interval', 'modifiers', 'tick', 'endEffects']) {
+    if (definition[key] !== undefined) {
+      event[key] = JSON.parse(JSON.stringify(definition[key]));
+    }
+  }
+  if (schedule) {
+    event.schedule = schedule;
+  }
+  if (definition.scope !== 'location') delete event.locationId;
+  if (definition.scope !== 'player') delete event.playerId;
+  if (definition.scope !== 'players') delete event.playerIds;
+  
+  return { valid: true, errors: [], event };
+}
+
+/**
+ * Read every .json/.yaml/.yml definition in a directory, in file name order
+ * Invalid files are reported and skipped so one bad file doesn't stop the rest.
+ * @param {string} [dir] - Defaults to server/game/events
+ * @param {Object} options - Passed to validateEventDefinition
+ * @returns {Object} - { events, errors: [{ file, errors }] }
+ */
+function loadEventDefinitions(dir = DEFAULT_DEFINITIONS_DIR, options = {}) {
+  const events = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) {
+    return { events, errors };
+  }
+  
+  const files = fs.readdirSync(dir).filter(file => /\.(json|ya?ml)$/i.test(file)).sort();
+  const seen = new Set();
+  for (const file of files) {
+    let definition;
+    try {
+      const text = fs.readFileSync(path.join(dir, file), 'utf8');
+      definition = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+      errors.push({ file, errors: [error.message] });
+      continue;
+    }
+    
+    const result = validateEventDefinition(definition, { ...options, requireId: true, allowInterval: true });
+    if (!result.valid) {
+      errors.push({ file, errors: result.errors });
+    } else if (seen.has(result.event.id)) {
+      errors.push({ file, errors: [`Duplicate event id: ${result.event.id}`] });
+    } else {
+      seen.add(result.event.id);
+      events.push(result.event);
+    }
+  }
+  
+  return { events, errors };
+}
+
+module.exports = {
+  DEFAULT_DEFINITIONS_DIR,
+  STATS,
+  STAT_CAPS,
+  MODIFIERS,
+  DEFAULT_MODIFIERS,
+  combineModifiers,
+  validateEventDefinition,
+  loadEventDefinitions
+};
@@ -2,26 +2,48 @@
  * Event Dispatcher
  * Central event handling system for game world events, player-specific events,
  * and location-based broadcasts. Supports both one-off and periodic (tick-based) events.
+ * Periodic events run on an interval, cron or calendar schedule (see EventSchedule.js);
+ * their schedule state is kept in the DatabaseAdapter so restarts neither repeat nor skip runs.
  */
 
+const { v4: uuidv4 } = require('uuid');
+const JsonFileAdapter = require('../database/JsonFileAdapter');
+const { DEFAULT_DEFINITIONS_DIR, STAT_CAPS, combineModifiers, validateEventDefinition, loadEventDefinitions } = require('./EventDefinitions');
+const { validateSchedule, nextScheduledTime, graceFor, jitterFor, upcomingTimes } = require('./EventSchedule');
+
 class EventDispatcher {
-  constructor(playerManager, locationManager) {
+  constructor(playerManager, locationManager, options = {}) {
     this.playerManager = playerManager;
     this.locationManager = locationManager;
     
     // Event queues
     this.oneOffEvents = []; // Events that execute once
-    this.periodicEvents = new Map(); // eventId -> { interval, lastRun, handler, enabled }
+    this.periodicEvents = new Map(); // eventId -> { event, schedule, interval, scheduledFor, nextRun, lastRun, enabled }
     this.scheduledEvents = []; // Events scheduled for future execution
+    this.activeEvents = new Map(); // activeEventId -> { event, temporary, startedAt, endsAt, nextTickAt } (timed world events)
     
     // Event handlers (callbacks to send messages to clients)
     this.broadcastHandler = null; // Function to broadcast to all clients
     this.broadcastToLocationHandler = null; // Function to broadcast to location
     this.sendToPlayerHandler = null; // Function to send to specific player
+    this.participantsHandler = null; // Function told which players an event affected
+    
+    // Event history is written to the DatabaseAdapter's event log (for debugging/admin)
+    this.database = options.database || new JsonFileAdapter({ eventsDir: options.dataDir });
+    // Currency handed out or taken by events is recorded here when set
+    this.economyLedger = options.economyLedger || null;
     
-    // Event history (for debugging/admin)
-    this.eventHistory = [];
-    this.maxHistorySize = 100;
+    // Saved schedule state; periodic events wait for it (see initialize) so a restart doesn't re-fire them
+    this.savedSchedules = {};
+    this.schedulesLoaded = false;
+    if (!options.database) {
+      // The default JSON adapter needs no setup, so its saved state can be read right away
+      this.initialize();
+    }
+    
+    // Declarative event definitions (JSON/YAML files, see EventDefinitions.js)
+    this.definitionsDir = options.definitionsDir || process.env.EVENT_DEFINITIONS_DIR || DEFAULT_DEFINITIONS_DIR;
+    this.definitions = new Map(); // id -> validated definition
     
     // Start event processing loop
     this.startEventLoop();
@@ -36,6 +58,13 @@ class EventDispatcher {
     this.sendToPlayerHandler = sendToPlayerHandler;
   }
   
+  /**
+   * Set handler called with the ids of players affected by an event
+   */
+  setParticipantsHandler(handler) {
+    this.participantsHandler = handler;
+  }
+  
   /**
    * Start the event processing loop (runs every second)
    */
@@ -78,14 +107,33 @@ class EventDispatcher {
       return true; // Keep in scheduled events
     });
     
+    // Tick and end timed world events
+    this.processActiveEvents(now);
+    
     // Process periodic events
+    if (!this.schedulesLoaded) return;
     this.periodicEvents.forEach((eventData, eventId) => {
-      if (!eventData.enabled) return;
+      if (!eventData.enabled || eventData.nextRun === null || now < eventData.nextRun) return;
       
-      const timeSinceLastRun = now - eventData.lastRun;
-      if (timeSinceLastRun >= eventData.interval) {
+      const { schedule, scheduledFor } = eventData;
+      const windowEnd = schedule.windowMs ? scheduledFor + schedule.windowMs : null;
+      const onTime = now - eventData.nextRun <= graceFor(schedule) && (windowEnd === null || now < windowEnd);
+      
+      // Move on to the next run and save it before executing, so a crash can't fire this run twice
+      if (onTime) {
         eventData.lastRun = now;
-        this.executeEvent(eventData.event);
+      } else {
+        console.log(`⏭️ Periodic event ${eventId} missed its ${new Date(scheduledFor).toISOString()} run, skipping`);
+      }
+      this.advanceSchedule(eventData, now, schedule.intervalMs ? scheduledFor : null);
+      this.saveScheduleState(eventId);
+      
+      if (onTime) {
+        this.executeEvent(windowEnd === null ? eventData.event : {
+          ...eventData.event,
+          duration: windowEnd - now,
+          eventData: { ...eventData.event.eventData, endsAt: windowEnd }
+        });
       }
     });
   }
@@ -101,19 +149,32 @@ class EventDispatcher {
         executedAt: Date.now()
       });
       
-      // Execute the event handler
+      // Execute the event handler, or interpret the definition's effects
+      let result = null;
       if (event.handler) {
-        const result = event.handler(this.playerManager, this.locationManager);
+        result = event.handler(this.playerManager, this.locationManager);
+      } else if (event.effects) {
+        result = this.interpretEffects(event);
+      }
+      
+      // If handler returns effects, apply them
+      if (result && result.playerEffects) {
+        this.applyPlayerEffects(result.playerEffects, event);
         
-        // If handler returns effects, apply them
-        if (result && result.playerEffects) {
-          this.applyPlayerEffects(result.playerEffects);
+        // Let listeners (e.g. achievements) know who took part (not when an event wears off)
+        if (this.participantsHandler && !event.endOf) {
+          this.participantsHandler(event, Object.keys(result.playerEffects));
         }
       }
       
       // Send notifications based on event scope
       this.notifyEvent(event);
       
+      // Events with a duration stay active until it is over, then their temporary effects are undone
+      if (event.duration && !event.endOf) {
+        this.startWorldEvent(event, (result && result.temporary) || {});
+      }
+      
       console.log(`⚡ Event executed: ${event.name} (${event.eventType})`);
     } catch (error) {
       console.error(`❌ Error executing event ${event.name}:`, error);
@@ -122,8 +183,10 @@ class EventDispatcher {
   
   /**
    * Apply effects to players
+   * @param {Object} playerEffects - playerId -> { stat: change }
+   * @param {Object} [event] - Event that caused the effects (for the economy ledger)
    */
-  applyPlayerEffects(playerEffects) {
+  applyPlayerEffects(playerEffects, event = null) {
     for (const [playerId, effects] of Object.entries(playerEffects)) {
       const player = this.playerManager.getPlayer(playerId);
       if (!player) continue;
@@ -142,8 +205,15 @@ class EventDispatcher {
       
       // Update player
       if (Object.keys(updates).length > 0) {
+        const moved = 'location' in updates && updates.location !== player.location;
+        this.recordCurrencyEffect(player, updates, event);
         this.playerManager.updatePlayer(playerId, updates);
         
+        // Keep location occupancy in step for players who are online
+        if (moved && this.locationManager.getPlayerLocation && this.locationManager.getPlayerLocation(playerId)) {
+          this.locationManager.placePlayer(playerId, updates.location);
+        }
+        
         // Notify player of updates
         if (this.sendToPlayerHandler) {
           this.sendToPlayerHandler(playerId, {
@@ -155,6 +225,379 @@ class EventDispatcher {
     }
   }
   
+  /**
+   * Players a declarative event applies to: its scope, narrowed by the target filters
+   */
+  selectTargets(event) {
+    let players = [];
+    switch (event.scope) {
+      case 'global':
+        players = this.playerManager.getAllPlayers();
+        break;
+      case 'location':
+        players = this.locationManager.getPlayersInLocation(event.locationId).map(id => this.playerManager.getPlayer(id));
+        break;
+      case 'player':
+        players = [this.playerManager.getPlayer(event.playerId)];
+        break;
+      case 'players':
+        players = event.playerIds.map(id => this.playerManager.getPlayer(id));
+        break;
+    }
+    
+    const target = event.target || {};
+    return players.filter(player => player && this.matchesTarget(player, target) &&
+      (target.chance === undefined || Math.random() < target.chance));
+  }
+  
+  /**
+   * Whether a player passes the level, location and jail filters of a target
+   */
+  matchesTarget(player, target = {}) {
+    return (target.minLevel === undefined || (player.level || 1) >= target.minLevel) &&
+      (target.maxLevel === undefined || (player.level || 1) <= target.maxLevel) &&
+      (!target.locations || target.locations.includes(player.location)) &&
+      (target.inJail === undefined || Boolean(player.inJail) === target.inJail);
+  }
+  
+  /**
+   * Work out the player updates of a declarative event
+   * Only the operations listed in EventDefinitions.js exist; nothing in a definition is executed.
+   * @returns {Object} - { playerEffects: playerId -> { stat: { set } }, temporary: playerId -> { stat: delta } }
+   */
+  interpretEffects(event) {
+    const playerEffects = {};
+    const temporary = {};
+    
+    for (const player of this.selectTargets(event)) {
+      const values = {}; // stat -> value after the effects so far
+      const read = (stat) => {
+        if (stat in values) return values[stat];
+        if (stat === 'currency') return ((player.shillings || 0) * 12) + (player.pennies || 0);
+        return player[stat] || 0;
+      };
+      const resolve = (bound) => (typeof bound === 'string' ? read(bound) : bound);
+      
+      for (const effect of event.effects) {
+        if (effect.op === 'grant_item') {
+          const inventory = values.inventory || [...(player.inventory || [])];
+          values.inventory = inventory.concat(Array(effect.quantity || 1).fill(effect.item));
+          continue;
+        }
+        if (effect.op === 'move') {
+          values.location = effect.locationId;
+          continue;
+        }
+        
+        const before = read(effect.stat);
+        let value = before;
+        if (effect.op === 'add') value = before + effect.amount;
+        if (effect.op === 'subtract') value = before - effect.amount;
+        if (effect.op === 'set') value = resolve(effect.value);
+        if (effect.min !== undefined) value = Math.max(value, resolve(effect.min));
+        if (effect.max !== undefined) value = Math.min(value, resolve(effect.max));
+        
+        // Stats never go negative or above their maximum
+        value = Math.max(0, Math.round(value));
+        const cap = STAT_CAPS[effect.stat] ? read(STAT_CAPS[effect.stat]) : 0;
+        if (cap > 0) {
+          value = Math.min(value, cap);
+        }
+        values[effect.stat] = value;
+        
+        if (effect.temporary && value !== before) {
+          temporary[player.id] = temporary[player.id] || {};
+          temporary[player.id][effect.stat] = (temporary[player.id][effect.stat] || 0) + (value - before);
+        }
+      }
+      
+      const effects = {};
+      for (const [stat, value] of Object.entries(values)) {
+        if (stat === 'currency') {
+          effects.shillings = { set: Math.floor(value / 12) };
+          effects.pennies = { set: value % 12 };
+        } else {
+          effects[stat] = { set: value };
+        }
+      }
+      if (Object.keys(effects).length > 0) {
+        playerEffects[player.id] = effects;
+      }
+    }
+    
+    return { playerEffects, temporary };
+  }
+  
+  /**
+   * Register a timed event as active until its duration is over
+   * While active, its modifiers apply (see getActiveModifiers) and its tick effects repeat.
+   * @param {Object} event - Event that has a duration
+   * @param {Object} temporary - playerId -> { stat: change to undo when it ends }
+   * @returns {Object} - The active event
+   */
+  startWorldEvent(event, temporary = {}) {
+    const now = Date.now();
+    const active = {
+      id: uuidv4(),
+      event,
+      temporary,
+      startedAt: now,
+      endsAt: now + event.duration,
+      nextTickAt: event.tick ? now + event.tick.intervalMs : null
+    };
+    this.activeEvents.set(active.id, active);
+    this.saveActiveEvent(active);
+    
+    this.sendToScope(event, {
+      type: 'world_event_started',
+      activeEvent: this.describeActiveEvent(active),
+      timestamp: now
+    });
+    console.log(`🌍 World event started: ${event.name} (until ${new Date(active.endsAt).toISOString()})`);
+    return active;
+  }
+  
+  /**
+   * Run due ticks and end expired world events
+   */
+  processActiveEvents(now) {
+    for (const active of Array.from(this.activeEvents.values())) {
+      if (active.nextTickAt !== null && now >= active.nextTickAt && now < active.endsAt) {
+        // Ticks missed while the loop was busy are not made up
+        active.nextTickAt = Math.max(active.nextTickAt + active.event.tick.intervalMs, now + 1);
+        this.tickWorldEvent(active);
+        this.saveActiveEvent(active);
+      }
+      if (now >= active.endsAt) {
+        this.endWorldEvent(active);
+      }
+    }
+  }
+  
+  /**
+   * Apply a world event's tick effects (e.g. a plague draining health)
+   */
+  tickWorldEvent(active) {
+    const { event } = active;
+    try {
+      const result = event.onTick
+        ? event.onTick(this.playerManager, this.locationManager)
+        : this.interpretEffects({ ...event, effects: event.tick.effects });
+      if (result && result.playerEffects) {
+        this.applyPlayerEffects(result.playerEffects, event);
+      }
+    } catch (error) {
+      console.error(`❌ Error in tick of event ${event.name}:`, error);
+    }
+  }
+  
+  /**
+   * End a world event: undo its temporary stat changes, then run its end effects
+   * @param {Object} active
+   * @param {string} reason - 'expired' or 'ended_by_admin'
+   */
+  endWorldEvent(active, reason = 'expired') {
+    this.activeEvents.delete(active.id);
+    this.database.deleteActiveEvent(active.id).catch(error => {
+      console.error('Error deleting active event:', error);
+    });
+    const { event, temporary } = active;
+    const endOf = event.id || event.name;
+    
+    if (Object.keys(temporary).length > 0) {
+      this.executeEvent({
+        name: `${event.name} Ends`,
+        description: `${event.name} has ended.`,
+        eventType: event.eventType,
+        scope: event.scope,
+        locationId: event.locationId,
+        playerId: event.playerId,
+        playerIds: event.playerIds,
+        endOf,
+        eventData: { endOf },
+        handler: (playerManager) => {
+          const playerEffects = {};
+          for (const [playerId, changes] of Object.entries(temporary)) {
+            const player = playerManager.getPlayer(playerId);
+            if (!player) continue;
+            
+            playerEffects[playerId] = {};
+            for (const [stat, change] of Object.entries(changes)) {
+              playerEffects[playerId][stat] = { set: Math.max(0, (player[stat] || 0) - change) };
+            }
+          }
+          return { playerEffects };
+        }
+      });
+    }
+    
+    try {
+      let result = null;
+      if (event.onEnd) {
+        result = event.onEnd(this.playerManager, this.locationManager);
+      } else if (event.endEffects) {
+        result = this.interpretEffects({ ...event, effects: event.endEffects });
+      }
+      if (result && result.playerEffects) {
+        this.applyPlayerEffects(result.playerEffects, event);
+      }
+    } catch (error) {
+      console.error(`❌ Error ending event ${event.name}:`, error);
+    }
+    
+    this.sendToScope(event, {
+      type: 'world_event_ended',
+      activeEvent: this.describeActiveEvent(active),
+      reason,
+      timestamp: Date.now()
+    });
+    console.log(`🌍 World event ended: ${event.name} (${reason})`);
+  }
+  
+  /**
+   * Save an active world event so a restart can resume it or undo its changes
+   * Function hooks (handler, onTick, onEnd) can't be saved; see restoreActiveEvents.
+   */
+  saveActiveEvent(active) {
+    this.database.saveActiveEvent(active).catch(error => {
+      console.error('Error saving active event:', error);
+    });
+  }
+  
+  /**
+   * Bring back the world events that were running before a restart
+   * Events still within their duration carry on; those that ended while the server was down
+   * are ended now, so their temporary changes (e.g. extra max energy) don't stick.
+   */
+  async restoreActiveEvents(now) {
+    let saved = [];
+    try {
+      saved = await this.database.getActiveEvents();
+    } catch (error) {
+      console.error('Error loading active events:', error);
+    }
+    
+    for (const active of saved) {
+      if (this.activeEvents.has(active.id)) continue;
+      
+      // Code-defined events get their hooks back from the registered definition
+      const registered = active.event.id && this.periodicEvents.get(active.event.id);
+      if (registered) {
+        active.event = { ...registered.event, ...active.event };
+      }
+      active.temporary = active.temporary || {};
+      this.activeEvents.set(active.id, active);
+      
+      if (now >= active.endsAt) {
+        this.endWorldEvent(active);
+      } else {
+        console.log(`🌍 World event resumed: ${active.event.name} (until ${new Date(active.endsAt).toISOString()})`);
+      }
+    }
+  }
+  
+  /**
+   * Admin: End an active world event early
+   */
+  endActiveEvent(activeEventId) {
+    const active = this.activeEvents.get(activeEventId);
+    if (!active) {
+      return { success: false, message: 'Active event not found' };
+    }
+    
+    this.endWorldEvent(active, 'ended_by_admin');
+    return { success: true, message: `Event ${active.event.name} ended` };
+  }
+  
+  /**
+   * Public view of an active world event
+   */
+  describeActiveEvent(active) {
+    const { event } = active;
+    return {
+      id: active.id,
+      eventId: event.id || null,
+      name: event.name,
+      description: event.description,
+      eventType: event.eventType,
+      scope: event.scope,
+      locationId: event.locationId || null,
+      modifiers: event.modifiers || {},
+      tickIntervalMs: event.tick ? event.tick.intervalMs : null,
+      startedAt: active.startedAt,
+      endsAt: active.endsAt,
+      data: event.eventData || {}
+    };
+  }
+  
+  /**
+   * Active world events, soonest to end first
+   * @param {Object} [player] - Only events that apply to this player
+   * @returns {Array}
+   */
+  getActiveEvents(player = null) {
+    return Array.from(this.activeEvents.values())
+      .filter(active => !player || this.eventAppliesTo(active.event, player))
+      .sort((a, b) => a.endsAt - b.endsAt)
+      .map(active => this.describeActiveEvent(active));
+  }
+  
+  /**
+   * Combined modifiers of the active world events that apply to a player
+   * GameManager and the other managers use these for XP, energy costs, yields and prices.
+   * @returns {Object} - A full modifier set (see MODIFIERS in EventDefinitions.js)
+   */
+  getActiveModifiers(player) {
+    const sets = [];
+    for (const active of this.activeEvents.values()) {
+      if (active.event.modifiers && this.eventAppliesTo(active.event, player)) {
+        sets.push(active.event.modifiers);
+      }
+    }
+    return combineModifiers(...sets);
+  }
+  
+  /**
+   * Whether an event's scope and target filters (other than chance) cover a player
+   */
+  eventAppliesTo(event, player) {
+    if (!player) return false;
+    switch (event.scope) {
+      case 'global':
+        break;
+      case 'location':
+        if (player.location !== event.locationId) return false;
+        break;
+      case 'player':
+        if (player.id !== event.playerId) return false;
+        break;
+      case 'players':
+        if (!(event.playerIds || []).includes(player.id)) return false;
+        break;
+      default:
+        return false;
+    }
+    return this.matchesTarget(player, event.target);
+  }
+  
+  /**
+   * Record the currency an event gave or took in the economy ledger
+   */
+  recordCurrencyEffect(player, updates, event) {
+    if (!this.economyLedger || (!('shillings' in updates) && !('pennies' in updates))) return;
+    
+    const shillings = 'shillings' in updates ? updates.shillings : player.shillings;
+    const pennies = 'pennies' in updates ? updates.pennies : player.pennies;
+    const delta = ((shillings * 12) + pennies) - ((player.shillings * 12) + player.pennies);
+    this.economyLedger.record({
+      playerId: player.id,
+      delta,
+      reason: event ? `event:${event.name}` : 'event',
+      source: 'EventDispatcher',
+      referenceId: event ? event.id || null : null
+    });
+  }
+  
   /**
    * Notify clients about an event
    */
@@ -165,29 +608,38 @@ class EventDispatcher {
       eventName: event.name,
       eventType: event.eventType,
       description: event.description,
+      scope: event.scope,
+      locationId: event.locationId || null,
       timestamp: Date.now(),
       data: event.eventData || {}
     };
     
+    this.sendToScope(event, message);
+  }
+  
+  /**
+   * Send a message to the clients an event's scope covers
+   */
+  sendToScope(event, message) {
     switch (event.scope) {
       case 'global':
         if (this.broadcastHandler) {
           this.broadcastHandler(message);
         }
         break;
-        
+      
       case 'location':
         if (this.broadcastToLocationHandler && event.locationId) {
           this.broadcastToLocationHandler(event.locationId, message);
         }
         break;
-        
+      
       case 'player':
         if (this.sendToPlayerHandler && event.playerId) {
           this.sendToPlayerHandler(event.playerId, message);
         }
         break;
-        
+      
       case 'players':
         if (this.sendToPlayerHandler && event.playerIds) {
           event.playerIds.forEach(playerId => {
@@ -221,16 +673,32 @@ class EventDispatcher {
   
   /**
    * Register a periodic (recurring) event
+   * @param {string} eventId
+   * @param {Object} event
+   * @param {number|Object} schedule - Interval in ms, or a schedule (see EventSchedule.js)
+   * @returns {boolean} - False if the schedule is invalid
    */
-  registerPeriodicEvent(eventId, event, intervalMs) {
-    this.periodicEvents.set(eventId, {
+  registerPeriodicEvent(eventId, event, schedule) {
+    const result = validateSchedule(schedule);
+    if (!result.valid) {
+      console.error(`❌ Periodic event ${eventId} not registered: ${result.errors.join('; ')}`);
+      return false;
+    }
+    
+    const eventData = {
       event: event,
-      interval: intervalMs,
-      lastRun: Date.now(),
+      schedule: result.schedule,
+      interval: result.schedule.intervalMs || null,
+      scheduledFor: null,
+      nextRun: null,
+      lastRun: null,
       enabled: true
-    });
+    };
+    this.periodicEvents.set(eventId, eventData);
+    this.restoreSchedule(eventId, eventData, Date.now());
     
-    console.log(`📅 Periodic event registered: ${eventId} (every ${intervalMs}ms)`);
+    console.log(`📅 Periodic event registered: ${eventId} (${this.describeSchedule(result.schedule)})`);
+    return true;
   }
   
   /**
@@ -252,6 +720,100 @@ class EventDispatcher {
     }
   }
   
+  /**
+   * Read saved schedule state and apply it to the periodic events registered so far,
+   * then resume (or end) the world events that were active before a restart
+   * Call once the database is open; periodic events don't run until then.
+   */
+  async initialize() {
+    try {
+      this.savedSchedules = await this.database.getEventSchedules();
+    } catch (error) {
+      console.error('Error loading event schedules:', error);
+    }
+    
+    this.schedulesLoaded = true;
+    const now = Date.now();
+    this.periodicEvents.forEach((eventData, eventId) => this.restoreSchedule(eventId, eventData, now));
+    await this.restoreActiveEvents(now);
+  }
+  
+  /**
+   * Pick up where a periodic event left off before a restart or reload
+   * Saved runs are only reused while the schedule is unchanged; otherwise the next run
+   * is worked out afresh from the last one.
+   */
+  restoreSchedule(eventId, eventData, now) {
+    const saved = this.savedSchedules[eventId];
+    if (saved) {
+      eventData.lastRun = saved.lastRun || null;
+      if (saved.schedule === JSON.stringify(eventData.schedule)) {
+        eventData.scheduledFor = saved.scheduledFor;
+        eventData.nextRun = saved.nextRun;
+        return;
+      }
+    }
+    
+    // Intervals count from the last run; calendar schedules take the next start,
+    // or the current one if its window is still open and it hasn't run yet
+    const { schedule, lastRun } = eventData;
+    if (schedule.intervalMs) {
+      this.advanceSchedule(eventData, lastRun || now, lastRun);
+    } else {
+      this.advanceSchedule(eventData, Math.max(now - (schedule.windowMs || 0), lastRun || 0));
+    }
+    this.saveScheduleState(eventId);
+  }
+  
+  /**
+   * Set the next run of a periodic event
+   * @param {Object} eventData
+   * @param {number} after - The next run is strictly after this time
+   * @param {number} [anchor] - Previous start; intervals stay in step with it instead of drifting
+   */
+  advanceSchedule(eventData, after, anchor = null) {
+    const next = nextScheduledTime(eventData.schedule, after, anchor);
+    eventData.scheduledFor = next;
+    eventData.nextRun = next === null ? null : next + jitterFor(eventData.schedule);
+  }
+  
+  /**
+   * Save a periodic event's schedule state
+   */
+  saveScheduleState(eventId) {
+    const eventData = this.periodicEvents.get(eventId);
+    // Until the saved state has been read, writing would overwrite it
+    if (!eventData || !this.schedulesLoaded) return;
+    
+    const state = {
+      schedule: JSON.stringify(eventData.schedule),
+      scheduledFor: eventData.scheduledFor,
+      nextRun: eventData.nextRun,
+      lastRun: eventData.lastRun
+    };
+    this.savedSchedules[eventId] = state;
+    this.database.saveEventSchedule(eventId, state).catch(error => {
+      console.error('Error saving event schedule:', error);
+    });
+  }
+  
+  /**
+   * Human-readable schedule for logs
+   */
+  describeSchedule(schedule) {
+    let text;
+    if (schedule.intervalMs) {
+      text = `every ${schedule.intervalMs}ms`;
+    } else if (schedule.cron) {
+      text = `cron "${schedule.cron}" UTC`;
+    } else {
+      text = `${schedule.at.length} date(s)`;
+    }
+    if (schedule.windowMs) text += `, lasting ${schedule.windowMs}ms`;
+    if (schedule.jitterMs) text += `, jitter ${schedule.jitterMs}ms`;
+    return text;
+  }
+  
   /**
    * Create a location-based event that affects all players in a location
    */
@@ -298,13 +860,79 @@ class EventDispatcher {
   
   /**
    * Admin: Manually inject an event
+   * The event is a declarative definition (see EventDefinitions.js); code handlers are not accepted.
    */
-  injectEvent(event) {
+  injectEvent(definition) {
+    const { valid, errors, event } = validateEventDefinition(definition, { locationExists: this.locationExists() });
+    if (!valid) {
+      return { success: false, message: `Invalid event: ${errors.join('; ')}` };
+    }
+    
     console.log(`🔧 Admin: Injecting event - ${event.name}`);
     this.queueEvent(event);
     return { success: true, message: `Event ${event.name} queued` };
   }
   
+  /**
+   * Location check for definitions, when the location manager knows its locations
+   */
+  locationExists() {
+    if (!this.locationManager || !this.locationManager.getLocation) {
+      return null;
+    }
+    return (locationId) => Boolean(this.locationManager.getLocation(locationId));
+  }
+  
+  /**
+   * Load event definitions from the definitions directory and register the periodic ones
+   * Definitions that were loaded before are replaced, so this also reloads after files change.
+   * @returns {Object} - { loaded, periodic, errors: [{ file, errors }] }
+   */
+  loadDefinitions() {
+    const { events, errors } = loadEventDefinitions(this.definitionsDir, { locationExists: this.locationExists() });
+    errors.forEach(({ file, errors: fileErrors }) => {
+      console.error(`❌ Event definition ${file} skipped: ${fileErrors.join('; ')}`);
+    });
+    
+    // Periodic events from a previous load that no longer exist stop running
+    for (const id of this.definitions.keys()) {
+      if (this.periodicEvents.has(id) && !events.some(event => event.id === id)) {
+        this.unregisterPeriodicEvent(id);
+      }
+    }
+    
+    this.definitions = new Map(events.map(event => [event.id, event]));
+    let periodic = 0;
+    for (const event of events) {
+      if (event.interval || event.schedule) {
+        // Saved state keeps the next run across reloads, and the on/off switch is kept too
+        const existing = this.periodicEvents.get(event.id);
+        if (existing) {
+          this.saveScheduleState(event.id);
+        }
+        if (this.registerPeriodicEvent(event.id, event, event.schedule || event.interval) && existing) {
+          this.periodicEvents.get(event.id).enabled = existing.enabled;
+        }
+        periodic++;
+      }
+    }
+    
+    return { loaded: events.length, periodic, errors };
+  }
+  
+  /**
+   * Queue a loaded definition by id
+   */
+  triggerDefinition(id) {
+    const event = this.definitions.get(id);
+    if (!event) {
+      return { success: false, message: `Unknown event definition: ${id}` };
+    }
+    
+    this.queueEvent(event);
+    return { success: true, message: `Event ${event.name} queued` };
+  }
+  
   /**
    * Admin: Get all registered periodic events
    */
@@ -315,75 +943,84 @@ class EventDispatcher {
         eventId,
         name: data.event.name,
         interval: data.interval,
+        schedule: data.schedule,
         enabled: data.enabled,
         lastRun: data.lastRun,
-        nextRun: data.lastRun + data.interval
+        nextRun: data.nextRun
       });
     });
     return events;
   }
   
   /**
-   * Admin: Get event history
+   * Admin: Upcoming runs of periodic and scheduled events, soonest first
+   * The first run of a periodic event includes its jitter; later ones are shown unjittered.
+   * @param {Object} options - { limit, perEvent }
+   * @returns {Array} - [{ eventId, name, runAt, endsAt, source }]
    */
-  getEventHistory(limit = 20) {
-    return this.eventHistory.slice(-limit);
+  getUpcomingRuns(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 200);
+    const perEvent = Math.min(Math.max(parseInt(options.perEvent) || 5, 1), 50);
+    const runs = [];
+    
+    this.periodicEvents.forEach((data, eventId) => {
+      if (!data.enabled || data.nextRun === null) return;
+      const { schedule } = data;
+      const anchor = schedule.intervalMs ? data.scheduledFor : null;
+      const starts = [data.scheduledFor, ...upcomingTimes(schedule, data.scheduledFor + 1, perEvent - 1, anchor)];
+      starts.forEach((start, i) => {
+        runs.push({
+          eventId,
+          name: data.event.name,
+          runAt: i === 0 ? data.nextRun : start,
+          endsAt: schedule.windowMs ? start + schedule.windowMs : null,
+          source: 'periodic'
+        });
+      });
+    });
+    
+    this.scheduledEvents.forEach(event => {
+      runs.push({
+        eventId: event.id || null,
+        name: event.name,
+        runAt: event.executeAt,
+        endsAt: event.duration ? event.executeAt + event.duration : null,
+        source: 'scheduled'
+      });
+    });
+    
+    return runs.sort((a, b) => a.runAt - b.runAt).slice(0, limit);
+  }
+  
+  /**
+   * Admin: Get event history (oldest first)
+   */
+  async getEventHistory(limit = 20) {
+    return this.database.getEventLog({ limit });
   }
   
   /**
-   * Add event to history (circular buffer)
+   * Add event to the persistent event log
    */
   addToHistory(event) {
-    this.eventHistory.push({
+    this.database.logEvent({
       name: event.name,
       eventType: event.eventType,
       scope: event.scope,
       executedAt: event.executedAt,
       locationId: event.locationId,
       playerId: event.playerId
+    }).catch(error => {
+      console.error('Error logging event:', error);
     });
-    
-    // Keep history size under limit
-    if (this.eventHistory.length > this.maxHistorySize) {
-      this.eventHistory.shift();
-    }
   }
   
   /**
-   * Initialize demo events
+   * Initialize demo events (loaded from the event definition files)
    */
   initializeDemoEvents() {
-    // Magic Storm - periodic event every 15 minutes in Town Square
-    const magicStormEvent = this.createLocationEvent(
-      'Magic Storm',
-      'A powerful magical storm erupts in the Town Square, draining mana from all wizards present!',
-      'town-square',
-      (playerManager, locationManager) => {
-        const playersInSquare = locationManager.getPlayersInLocation('town-square');
-        const playerEffects = {};
-        
-        playersInSquare.forEach(playerId => {
-          const player = playerManager.getPlayer(playerId);
-          if (player) {
-            // Drain 20 mana (min 0)
-            const manaDrain = 20;
-            const newMana = Math.max(0, player.mana - manaDrain);
-            playerEffects[playerId] = { mana: newMana - player.mana };
-          }
-        });
-        
-        return { playerEffects };
-      },
-      {
-        manaDrain: 20,
-        severity: 'moderate'
-      }
-    );
-    
-    // Register the Magic Storm to occur every 15 minutes
-    this.registerPeriodicEvent('magic-storm', magicStormEvent, 15 * 60 * 1000);
-    
-    console.log('✨ Demo events initialized');
+    const { loaded } = this.loadDefinitions();
+    console.log(`✨ Demo events initialized (${loaded} definitions)`);
   }
 }
 
@@ -0,0 +1,261 @@
+/**
+ * Event Schedule
+ * Works out when periodic events run: fixed intervals, cron expressions, calendar dates,
+ * time windows and jitter. All times are UTC.
+ *
+ * A schedule is one of:
+ *   { intervalMs: 900000 }                        // Every 15 minutes, anchored to the first run (no drift)
+ *   { cron: '0 18 * * sat' }                      // minute hour day-of-month month day-of-week
+ *   { at: ['2026-12-24T18:00:00Z'] }              // One-off calendar dates
+ * plus optional:
+ *   windowMs - each run lasts this long (e.g. a 4 hour festival); a run missed while the
+ *              server was down still starts if the window is open, and its temporary effects end with it
+ *   jitterMs - start each run up to this many ms late, at random
+ *   graceMs  - how late a missed run may still start (default: the window, or one hour)
+ */
+
+const DEFAULT_GRACE_MS = 60 * 60 * 1000; // 1 hour
+const MAX_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // 1 week (long enough for a weekend event)
+const MAX_JITTER_MS = 24 * 60 * 60 * 1000;
+const MAX_AT_DATES = 100;
+const MAX_CRON_SEARCH_YEARS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+function parseCronValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.min === 1 ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+    
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+      start = parseCronValue(bounds[0], field);
+      end = bounds.length === 2 ? parseCronValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+      if (end < start) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. '*\/15 * * * *' or '0 18 * * sat'
+ * @returns {Object} - { minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} - If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+  
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // 7 is another name for Sunday
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const dayMatches = cron.days.has(date.getUTCDate());
+  const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+  // Like cron: when both day fields are restricted, either one may match
+  if (!cron.anyDay && !cron.anyWeekday) {
+    return dayMatches || weekdayMatches;
+  }
+  return (cron.anyDay || dayMatches) && (cron.anyWeekday || weekdayMatches);
+}
+
+/**
+ * First time strictly after `after` that matches a parsed cron expression
+ * @returns {number|null} - Epoch ms, or null if nothing matches within a few years
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after + MAX_CRON_SEARCH_YEARS * 366 * 24 * 60 * MINUTE_MS;
+  
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a schedule, accepting a plain interval in ms for backward compatibility
+ * @param {number|Object} spec
+ * @returns {Object} - { valid, errors, schedule }
+ */
+function validateSchedule(spec) {
+  if (typeof spec === 'number') {
+    spec = { intervalMs: spec };
+  }
+  const errors = [];
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { valid: false, errors: ['schedule must be an object'], schedule: null };
+  }
+  
+  const kinds = ['intervalMs', 'cron', 'at'].filter(key => spec[key] !== undefined);
+  if (kinds.length !== 1) {
+    errors.push('schedule needs exactly one of intervalMs, cron or at');
+  }
+  
+  const schedule = {};
+  if (spec.intervalMs !== undefined) {
+    if (!(Number.isInteger(spec.intervalMs) && spec.intervalMs > 0)) {
+      errors.push('schedule.intervalMs must be a positive whole number');
+    }
+    schedule.intervalMs = spec.intervalMs;
+  }
+  if (spec.cron !== undefined) {
+    try {
+      parseCron(spec.cron);
+      schedule.cron = String(spec.cron).trim();
+    } catch (error) {
+      errors.push(`schedule.cron: ${error.message}`);
+    }
+  }
+  if (spec.at !== undefined) {
+    const dates = Array.isArray(spec.at) ? spec.at : [spec.at];
+    const times = dates.map(date => (typeof date === 'number' ? date : Date.parse(date)));
+    if (dates.length === 0 || dates.length > MAX_AT_DATES || times.some(time => !Number.isFinite(time))) {
+      errors.push(`schedule.at must be 1 to ${MAX_AT_DATES} ISO dates`);
+    }
+    schedule.at = times.sort((a, b) => a - b);
+  }
+  
+  for (const [key, max] of [['windowMs', MAX_WINDOW_MS], ['jitterMs', MAX_JITTER_MS], ['graceMs', Infinity]]) {
+    if (spec[key] === undefined) continue;
+    if (!(Number.isInteger(spec[key]) && spec[key] >= 0 && spec[key] <= max)) {
+      errors.push(`schedule.${key} must be a whole number of milliseconds${max !== Infinity ? ` up to ${max}` : ''}`);
+    }
+    schedule[key] = spec[key];
+  }
+  
+  if (errors.length > 0) {
+    return { valid: false, errors, schedule: null };
+  }
+  return { valid: true, errors: [], schedule };
+}
+
+/**
+ * Next scheduled start strictly after `after` (before jitter)
+ * @param {Object} schedule - Validated schedule
+ * @param {number} after - Epoch ms
+ * @param {number} [anchor] - A previous start; intervals stay in step with it
+ * @returns {number|null} - Epoch ms, or null when the schedule has no runs left
+ */
+function nextScheduledTime(schedule, after, anchor = null) {
+  if (schedule.intervalMs) {
+    if (anchor === null) {
+      return after + schedule.intervalMs;
+    }
+    const steps = Math.max(Math.floor((after - anchor) / schedule.intervalMs) + 1, 0);
+    return anchor + steps * schedule.intervalMs;
+  }
+  if (schedule.cron) {
+    return nextCronTime(parseCron(schedule.cron), after);
+  }
+  const next = schedule.at.find(time => time > after);
+  return next === undefined ? null : next;
+}
+
+/**
+ * How late a run may start and still go ahead
+ */
+function graceFor(schedule) {
+  if (schedule.graceMs !== undefined) return schedule.graceMs;
+  return schedule.windowMs || DEFAULT_GRACE_MS;
+}
+
+/**
+ * Random start delay for one run
+ */
+function jitterFor(schedule) {
+  return schedule.jitterMs ? Math.floor(Math.random() * schedule.jitterMs) : 0;
+}
+
+/**
+ * List the next scheduled starts (before jitter)
+ * @returns {Array<number>} - Up to `count` epoch ms values
+ */
+function upcomingTimes(schedule, from, count, anchor = null) {
+  const times = [];
+  let after = from - 1;
+  while (times.length < count) {
+    const next = nextScheduledTime(schedule, after, anchor);
+    if (next === null) break;
+    times.push(next);
+    after = next;
+  }
+  return times;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  validateSchedule,
+  nextScheduledTime,
+  graceFor,
+  jitterFor,
+  upcomingTimes
+};
@@ -0,0 +1,178 @@
+/**
+ * Event Subscription Manager
+ * Handles which event channels each player receives (stored on the player records so they
+ * survive reconnects and restarts)
+ *
+ * Channels:
+ *   all                - every event the player's scope covers (the default)
+ *   type:<eventType>   - e.g. type:weather, type:bonus, type:combat
+ *   location:<id>      - events held at a location
+ *   guild:<guildId>    - events tagged with the player's guild (eventData.guildId)
+ *
+ * Events aimed at the player alone (scope player/players) are always delivered.
+ */
+
+const MAX_CHANNELS = 20;
+const DEFAULT_CHANNELS = ['all'];
+const CHANNEL_PATTERN = /^(all|(type|location|guild):[a-z0-9][a-z0-9_-]{0,63})$/i;
+
+// Messages that carry an event and can be filtered
+const EVENT_MESSAGE_TYPES = ['game_event', 'world_event_started', 'world_event_ended'];
+
+class EventSubscriptionManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.guildManager = options.guildManager || null;
+    this.locationManager = options.locationManager || null;
+  }
+  
+  /**
+   * Get a player's channels (everything until they choose otherwise)
+   */
+  getChannels(playerId) {
+    const player = playerId ? this.playerManager.getPlayer(playerId) : null;
+    if (!player || !Array.isArray(player.eventSubscriptions)) {
+      return [...DEFAULT_CHANNELS];
+    }
+    return [...player.eventSubscriptions];
+  }
+  
+  /**
+   * Normalize a channel name, checking it refers to something the player may follow
+   * @returns {Object} - { success, channel, message }
+   */
+  validateChannel(playerId, channel) {
+    if (typeof channel !== 'string' || !CHANNEL_PATTERN.test(channel.trim())) {
+      return { success: false, message: `Invalid channel: ${String(channel).slice(0, 80)}` };
+    }
+    
+    const [prefix, id] = channel.trim().split(':');
+    const kind = prefix.toLowerCase();
+    const normalized = kind === 'all' ? 'all' : `${kind}:${id}`;
+    
+    if (kind === 'location' && this.locationManager && !this.locationManager.isValidLocation(id)) {
+      return { success: false, message: `Unknown location: ${id}` };
+    }
+    
+    if (kind === 'guild' && !this.isGuildMember(playerId, id)) {
+      return { success: false, message: 'You can only follow your own guild' };
+    }
+    
+    return { success: true, channel: normalized };
+  }
+  
+  isGuildMember(playerId, guildId) {
+    if (!this.guildManager) return false;
+    const guild = this.guildManager.getPlayerGuild(playerId);
+    return !!guild && guild.id === guildId;
+  }
+  
+  /**
+   * Subscribe to one or more channels
+   * @param {string} playerId
+   * @param {string|Array<string>} channels
+   * @param {Object} [options] - { replace: true } swaps the whole list instead of adding to it
+   * @returns {Object} - { success, channels, message }
+   */
+  subscribe(playerId, channels, options = {}) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const requested = Array.isArray(channels) ? channels : [channels || 'all'];
+    if (requested.length === 0 || requested.length > MAX_CHANNELS) {
+      return { success: false, message: `Subscribe to between 1 and ${MAX_CHANNELS} channels` };
+    }
+    
+    const valid = [];
+    for (const channel of requested) {
+      const result = this.validateChannel(playerId, channel);
+      if (!result.success) {
+        return { success: false, channels: this.getChannels(playerId), message: result.message };
+      }
+      valid.push(result.channel);
+    }
+    
+    // Following everything makes the narrower channels redundant
+    let updated = options.replace ? [] : this.getChannels(playerId);
+    if (valid.includes('all')) {
+      updated = ['all'];
+    } else {
+      updated = Array.from(new Set([...updated.filter(channel => channel !== 'all'), ...valid]));
+    }
+    
+    if (updated.length > MAX_CHANNELS) {
+      return { success: false, channels: this.getChannels(playerId), message: `You can follow at most ${MAX_CHANNELS} channels` };
+    }
+    
+    this.playerManager.updatePlayer(playerId, { eventSubscriptions: updated });
+    return { success: true, channels: updated, message: 'Subscribed to event notifications' };
+  }
+  
+  /**
+   * Unsubscribe from one or more channels ('all' stops every channel)
+   * @returns {Object} - { success, channels, message }
+   */
+  unsubscribe(playerId, channels) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const requested = (Array.isArray(channels) ? channels : [channels || 'all'])
+      .filter(channel => typeof channel === 'string')
+      .map(channel => channel.trim());
+    
+    let updated = [];
+    if (!requested.some(channel => channel.toLowerCase() === 'all')) {
+      const removed = new Set(requested.map(channel => channel.toLowerCase()));
+      updated = this.getChannels(playerId).filter(channel => !removed.has(channel.toLowerCase()));
+    }
+    
+    this.playerManager.updatePlayer(playerId, { eventSubscriptions: updated });
+    return {
+      success: true,
+      channels: updated,
+      message: updated.length === 0 ? 'Unsubscribed from event notifications' : 'Unsubscribed from the selected channels'
+    };
+  }
+  
+  /**
+   * Check if a player should receive a message
+   * Messages that are not events always go through.
+   */
+  wants(playerId, message) {
+    if (!message || !EVENT_MESSAGE_TYPES.includes(message.type)) {
+      return true;
+    }
+    
+    const event = message.activeEvent || message;
+    if (event.scope === 'player' || event.scope === 'players') {
+      return true;
+    }
+    
+    const channels = this.getChannels(playerId);
+    if (channels.includes('all')) {
+      return true;
+    }
+    
+    const data = event.data || {};
+    return channels.some(channel => {
+      const [kind, id] = channel.split(':');
+      switch (kind) {
+        case 'type':
+          return !!event.eventType && event.eventType.toLowerCase() === id.toLowerCase();
+        case 'location':
+          return event.locationId === id;
+        case 'guild':
+          // Former members stop receiving guild events straight away
+          return data.guildId === id && this.isGuildMember(playerId, id);
+        default:
+          return false;
+      }
+    });
+  }
+}
+
+module.exports = EventSubscriptionManager;
@@ -0,0 +1,296 @@
+/**
+ * Friend Manager
+ * Handles friend requests, friends lists and block lists (stored on the player records)
+ */
+
+const MAX_FRIENDS = 100;
+const MAX_PENDING_REQUESTS = 50;
+const MAX_BLOCKED = 200;
+
+class FriendManager {
+  constructor(playerManager) {
+    this.playerManager = playerManager;
+  }
+  
+  getFriendIds(player) {
+    return player.friends || [];
+  }
+  
+  getRequests(player) {
+    return player.friendRequests || { incoming: [], outgoing: [] };
+  }
+  
+  getBlockedIds(player) {
+    return player.blockedPlayers || [];
+  }
+  
+  /**
+   * Check if a player has blocked another
+   */
+  isBlocked(playerId, targetPlayerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    return !!player && this.getBlockedIds(player).includes(targetPlayerId);
+  }
+  
+  /**
+   * Check if two players are friends
+   */
+  areFriends(playerId, otherPlayerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    return !!player && this.getFriendIds(player).includes(otherPlayerId);
+  }
+  
+  /**
+   * Send a friend request (accepts straight away if the target already asked us)
+   */
+  sendRequest(playerId, targetPlayerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    const target = this.playerManager.getPlayer(targetPlayerId);
+    
+    if (!player || !target) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (playerId === targetPlayerId) {
+      return { success: false, message: 'You cannot befriend yourself' };
+    }
+    
+    if (this.getFriendIds(player).includes(targetPlayerId)) {
+      return { success: false, message: 'You are already friends' };
+    }
+    
+    if (this.getBlockedIds(player).includes(targetPlayerId)) {
+      return { success: false, message: 'Unblock this player before sending a request' };
+    }
+    
+    // Don't reveal that the target blocked us
+    if (this.getBlockedIds(target).includes(playerId)) {
+      return { success: false, message: 'Cannot send a friend request to this player' };
+    }
+    
+    if (this.getRequests(player).incoming.some(r => r.playerId === targetPlayerId)) {
+      return this.respondToRequest(playerId, targetPlayerId, true);
+    }
+    
+    if (this.getRequests(player).outgoing.some(r => r.playerId === targetPlayerId)) {
+      return { success: false, message: 'Friend request already sent' };
+    }
+    
+    const capError = this.checkFriendCap(player, target);
+    if (capError) {
+      return { success: false, message: capError };
+    }
+    
+    if (this.getRequests(player).outgoing.length >= MAX_PENDING_REQUESTS ||
+        this.getRequests(target).incoming.length >= MAX_PENDING_REQUESTS) {
+      return { success: false, message: 'Too many pending friend requests' };
+    }
+    
+    const createdAt = Date.now();
+    this.updateRequests(player, requests => {
+      requests.outgoing.push({ playerId: targetPlayerId, username: target.username, createdAt });
+    });
+    this.updateRequests(target, requests => {
+      requests.incoming.push({ playerId, username: player.username, createdAt });
+    });
+    
+    return { success: true, accepted: false, request: { from: playerId, to: targetPlayerId, createdAt } };
+  }
+  
+  /**
+   * Accept or decline a pending friend request
+   */
+  respondToRequest(playerId, requesterId, accept) {
+    const player = this.playerManager.getPlayer(playerId);
+    const requester = this.playerManager.getPlayer(requesterId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.getRequests(player).incoming.some(r => r.playerId === requesterId)) {
+      return { success: false, message: 'No pending friend request from this player' };
+    }
+    
+    if (accept && requester) {
+      const capError = this.checkFriendCap(player, requester);
+      if (capError) {
+        return { success: false, message: capError };
+      }
+    }
+    
+    this.clearRequests(player, requester, requesterId);
+    
+    if (!accept || !requester) {
+      return { success: true, accepted: false };
+    }
+    
+    this.playerManager.updatePlayer(playerId, { friends: [...this.getFriendIds(player), requesterId] });
+    this.playerManager.updatePlayer(requesterId, { friends: [...this.getFriendIds(requester), playerId] });
+    
+    return { success: true, accepted: true, friendId: requesterId };
+  }
+  
+  /**
+   * Remove a friend (both sides)
+   */
+  removeFriend(playerId, friendId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.getFriendIds(player).includes(friendId)) {
+      return { success: false, message: 'This player is not your friend' };
+    }
+    
+    this.unlink(player, friendId);
+    
+    return { success: true, friendId };
+  }
+  
+  /**
+   * Block a player: ends any friendship and pending requests between the two
+   */
+  blockPlayer(playerId, targetPlayerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    const target = this.playerManager.getPlayer(targetPlayerId);
+    
+    if (!player || !target) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (playerId === targetPlayerId) {
+      return { success: false, message: 'You cannot block yourself' };
+    }
+    
+    const blocked = this.getBlockedIds(player);
+    if (blocked.includes(targetPlayerId)) {
+      return { success: false, message: 'Player is already blocked' };
+    }
+    
+    if (blocked.length >= MAX_BLOCKED) {
+      return { success: false, message: `You can block at most ${MAX_BLOCKED} players` };
+    }
+    
+    const wasFriend = this.getFriendIds(player).includes(targetPlayerId);
+    if (wasFriend) {
+      this.unlink(player, targetPlayerId);
+    }
+    
+    // Pending requests in either direction
+    this.clearRequests(player, target, targetPlayerId);
+    this.clearRequests(target, player, playerId);
+    
+    this.playerManager.updatePlayer(playerId, { blockedPlayers: [...blocked, targetPlayerId] });
+    
+    return { success: true, wasFriend };
+  }
+  
+  /**
+   * Remove a player from the block list
+   */
+  unblockPlayer(playerId, targetPlayerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const blocked = this.getBlockedIds(player);
+    if (!blocked.includes(targetPlayerId)) {
+      return { success: false, message: 'Player is not blocked' };
+    }
+    
+    this.playerManager.updatePlayer(playerId, { blockedPlayers: blocked.filter(id => id !== targetPlayerId) });
+    
+    return { success: true };
+  }
+  
+  /**
+   * Get a player's friends (with presence), pending requests and block list
+   * @param {Function} isOnline - Presence lookup (playerId -> boolean)
+   */
+  getFriendsList(playerId, isOnline = () => false) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return null;
+    }
+    
+    const friends = this.getFriendIds(player)
+      .map(friendId => {
+        const friend = this.playerManager.getPlayer(friendId);
+        if (!friend) return null;
+        
+        const online = isOnline(friendId);
+        return {
+          id: friendId,
+          username: friend.username,
+          level: friend.level || 1,
+          location: online && !this.playerManager.isFieldHidden(friend, 'location') ? friend.location : null,
+          lastSeen: this.playerManager.isFieldHidden(friend, 'lastSeen') ? null : friend.lastLogin,
+          online
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.online - a.online || a.username.localeCompare(b.username));
+    
+    const requests = this.getRequests(player);
+    const blocked = this.getBlockedIds(player).map(blockedId => {
+      const blockedPlayer = this.playerManager.getPlayer(blockedId);
+      return { id: blockedId, username: blockedPlayer ? blockedPlayer.username : null };
+    });
+    
+    return {
+      friends,
+      incoming: [...requests.incoming],
+      outgoing: [...requests.outgoing],
+      blocked,
+      maxFriends: MAX_FRIENDS
+    };
+  }
+  
+  checkFriendCap(player, other) {
+    if (this.getFriendIds(player).length >= MAX_FRIENDS) {
+      return `You can have at most ${MAX_FRIENDS} friends`;
+    }
+    if (this.getFriendIds(other).length >= MAX_FRIENDS) {
+      return `${other.username} has too many friends`;
+    }
+    return null;
+  }
+  
+  updateRequests(player, change) {
+    const current = this.getRequests(player);
+    const requests = { incoming: [...current.incoming], outgoing: [...current.outgoing] };
+    change(requests);
+    this.playerManager.updatePlayer(player.id, { friendRequests: requests });
+  }
+  
+  /**
+   * Drop the request sent from requesterId to player (requester may no longer exist)
+   */
+  clearRequests(player, requester, requesterId) {
+    this.updateRequests(player, requests => {
+      requests.incoming = requests.incoming.filter(r => r.playerId !== requesterId);
+    });
+    
+    if (requester) {
+      this.updateRequests(requester, requests => {
+        requests.outgoing = requests.outgoing.filter(r => r.playerId !== player.id);
+      });
+    }
+  }
+  
+  unlink(player, friendId) {
+    this.playerManager.updatePlayer(player.id, { friends: this.getFriendIds(player).filter(id => id !== friendId) });
+    
+    const friend = this.playerManager.getPlayer(friendId);
+    if (friend) {
+      this.playerManager.updatePlayer(friendId, { friends: this.getFriendIds(friend).filter(id => id !== player.id) });
+    }
+  }
+}
+
+module.exports = FriendManager;
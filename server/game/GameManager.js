@@ -3,11 +3,28 @@
  * Handles game logic validation and processing
  */
 
+const { combineModifiers } = require('./EventDefinitions');
+
 class GameManager {
-  constructor(playerManager, locationManager, eventDispatcher = null) {
+  constructor(playerManager, locationManager, eventDispatcher = null, options = {}) {
     this.playerManager = playerManager;
     this.locationManager = locationManager;
     this.eventDispatcher = eventDispatcher;
+    this.craftingManager = options.craftingManager || null;
+    this.consumableManager = options.consumableManager || null;
+    this.jailManager = options.jailManager || null;
+    this.travelManager = options.travelManager || null;
+    this.economyLedger = options.economyLedger || null;
+  }
+  
+  /**
+   * Get modifiers for action calculations: the player's active buffs combined with
+   * the timed world events (Double XP, market crash...) that apply to them
+   */
+  getActionModifiers(player) {
+    const buffs = this.consumableManager ? this.consumableManager.getModifiers(player) : null;
+    const world = this.eventDispatcher ? this.eventDispatcher.getActiveModifiers(player) : null;
+    return combineModifiers(buffs, world);
   }
   
   validatePlayerUpdate(playerId, updates) {
@@ -16,8 +33,8 @@ class GameManager {
     
     const validatedUpdates = {};
     
-    // Only allow certain fields to be updated
-    const allowedFields = ['location', 'lastAction'];
+    // Only allow certain fields to be updated (location changes only on travel arrival)
+    const allowedFields = ['lastAction'];
     
     // Filter updates to only allowed fields
     for (const key of allowedFields) {
@@ -36,6 +53,22 @@ class GameManager {
       return { success: false, message: 'Player not found' };
     }
     
+    // Jailed players cannot act until released
+    if (this.jailManager && this.jailManager.isJailed(player)) {
+      return { success: false, message: this.jailManager.getJailedMessage(player) };
+    }
+    
+    // Travelers must arrive before acting
+    if (this.travelManager && this.travelManager.isTraveling(player)) {
+      return { success: false, message: 'You cannot do that while traveling' };
+    }
+    
+    // Actions are only available where the location registry allows them
+    const restriction = this.locationManager.getActionRestriction(player.location, actionType);
+    if (restriction) {
+      return { success: false, message: restriction };
+    }
+    
     switch (actionType) {
       case 'gather_resources':
         return this.handleGatherResources(player, actionData);
@@ -55,8 +88,10 @@ class GameManager {
   handleGatherResources(player, actionData) {
     const { location } = actionData;
     
+    const modifiers = this.getActionModifiers(player);
+    
     // Check energy
-    const energyCost = 10;
+    const energyCost = Math.ceil(10 * modifiers.energyCostMultiplier);
     if (player.energy < energyCost) {
       return { success: false, message: 'Not enough energy' };
     }
@@ -64,11 +99,15 @@ class GameManager {
     // Calculate resources gained (server-side to prevent cheating)
     const resourceTypes = ['herbs', 'wood', 'stone', 'crystal'];
     const resourceGained = resourceTypes[Math.floor(Math.random() * resourceTypes.length)];
-    const amount = Math.floor(Math.random() * 3) + 1;
+    const amount = Math.floor(Math.random() * 3) + 1 + modifiers.gatherYieldBonus;
     
     // Update player
+    const resources = { ...(player.resources || {}) };
+    resources[resourceGained] = (resources[resourceGained] || 0) + amount;
+    
     const updates = {
-      energy: player.energy - energyCost
+      energy: player.energy - energyCost,
+      resources
     };
     
     return {
@@ -84,48 +123,20 @@ class GameManager {
   handleCraftItem(player, actionData) {
     const { recipeId } = actionData;
     
-    // Crafting recipes (simplified)
-    const recipes = {
-      'health_potion': {
-        requires: { herbs: 3 },
-        energyCost: 15,
-        xpGain: 10
-      },
-      'mana_potion': {
-        requires: { crystal: 2 },
-        energyCost: 20,
-        xpGain: 15
-      }
-    };
-    
-    const recipe = recipes[recipeId];
-    if (!recipe) {
-      return { success: false, message: 'Invalid recipe' };
-    }
-    
-    // Check energy
-    if (player.energy < recipe.energyCost) {
-      return { success: false, message: 'Not enough energy' };
+    // Crafting is timed and owned by the CraftingManager; the job finishes later
+    if (!this.craftingManager) {
+      return { success: false, message: 'Crafting is not available' };
     }
     
-    // Check resources (simplified - would need proper inventory system)
-    // For now, just consume energy and give XP
-    
-    const updates = {
-      energy: player.energy - recipe.energyCost,
-      xp: player.xp + recipe.xpGain
-    };
-    
-    // Update crafted items count
-    if (!player.craftedItems) {
-      player.craftedItems = {};
+    const result = this.craftingManager.startCrafting(player.id, recipeId);
+    if (!result.success) {
+      return { success: false, message: result.message };
     }
-    player.craftedItems[recipeId] = (player.craftedItems[recipeId] || 0) + 1;
     
     return {
       success: true,
-      data: { item: recipeId },
-      playerUpdates: updates
+      data: { item: recipeId, job: result.job },
+      playerUpdates: result.playerUpdates
     };
   }
   
@@ -165,6 +176,8 @@ class GameManager {
       return { success: false, message: 'Invalid crime type' };
     }
     
+    const xpGain = Math.round(crime.xpGain * this.getActionModifiers(player).xpMultiplier);
+    
     // Check energy
     if (player.energy < crime.energyCost) {
       return { success: false, message: 'Not enough energy' };
@@ -184,22 +197,30 @@ class GameManager {
       
       updates.shillings = Math.floor(totalPennies / 12);
       updates.pennies = totalPennies % 12;
-      updates.xp = player.xp + crime.xpGain;
+      updates.xp = player.xp + xpGain;
+      
+      if (this.economyLedger) {
+        this.economyLedger.record({ playerId: player.id, delta: reward, reason: `crime:${crimeType}`, source: 'GameManager' });
+      }
       
       return {
         success: true,
         data: { 
           crimeSuccess: true, 
           reward: reward,
-          xpGained: crime.xpGain
+          xpGained: xpGain
         },
         playerUpdates: updates
       };
     } else {
       // Failed - go to jail
-      updates.inJail = true;
-      updates.jailUntil = Date.now() + crime.jailTime;
-      updates.location = 'jail';
+      if (this.jailManager) {
+        Object.assign(updates, this.jailManager.jailPlayer(player.id, crime.jailTime, crimeType).playerUpdates);
+      } else {
+        updates.inJail = true;
+        updates.jailUntil = Date.now() + crime.jailTime;
+        updates.location = 'jail';
+      }
       
       return {
         success: true,
@@ -234,6 +255,10 @@ class GameManager {
       pennies: newTotal % 12
     };
     
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId: player.id, delta: -cost, reason: 'heal', source: 'GameManager' });
+    }
+    
     return {
       success: true,
       data: { healed: healAmount },
@@ -256,8 +281,10 @@ class GameManager {
       return { success: false, message: 'Invalid stat' };
     }
     
+    const modifiers = this.getActionModifiers(player);
+    
     // Check energy
-    const energyCost = 20;
+    const energyCost = Math.ceil(20 * modifiers.energyCostMultiplier);
     if (player.energy < energyCost) {
       return { success: false, message: 'Not enough energy' };
     }
@@ -272,7 +299,7 @@ class GameManager {
       };
     }
     
-    const newStatValue = (player.stats[stat] || 10) + 1;
+    const newStatValue = (player.stats[stat] || 10) + 1 + modifiers.trainingBonus;
     const newTotal = totalPennies - cost;
     
     const updates = {
@@ -285,6 +312,10 @@ class GameManager {
       }
     };
     
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId: player.id, delta: -cost, reason: `train:${stat}`, source: 'GameManager' });
+    }
+    
     return {
       success: true,
       data: { stat: stat, newValue: newStatValue },
@@ -0,0 +1,611 @@
+/**
+ * Guild Manager
+ * Handles player guilds with invites, ranks and permissions, and a shared treasury
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Guild ranks, highest first (server-side so permissions cannot be spoofed)
+const RANKS = {
+  'leader': {
+    name: 'Leader',
+    order: 3,
+    permissions: ['invite', 'kick', 'promote', 'deposit', 'withdraw', 'disband']
+  },
+  'officer': {
+    name: 'Officer',
+    order: 2,
+    permissions: ['invite', 'kick', 'promote', 'deposit', 'withdraw']
+  },
+  'member': {
+    name: 'Member',
+    order: 1,
+    permissions: ['deposit']
+  },
+  'recruit': {
+    name: 'Recruit',
+    order: 0,
+    permissions: []
+  }
+};
+
+const GUILD_CREATION_COST = 10 * 12; // 10 shillings in pennies
+const MAX_GUILD_MEMBERS = 50;
+const INVITE_EXPIRY = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_TREASURY_LOG = 100;
+
+class GuildManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.guilds = new Map(); // guildId -> guildData
+    this.playerGuilds = new Map(); // playerId -> guildId
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'guilds');
+    this.economyLedger = options.economyLedger || null;
+    
+    // Ensure data directory exists
+    this.ensureDataDirectory();
+    
+    // Load guild data
+    this.loadGuilds();
+  }
+  
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+  
+  /**
+   * Get all rank definitions
+   */
+  getRanks() {
+    return Object.entries(RANKS).map(([id, rank]) => ({ id, ...rank }));
+  }
+  
+  /**
+   * Create a new guild with the creator as leader
+   */
+  createGuild(playerId, name, tag) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (this.playerGuilds.has(playerId)) {
+      return { success: false, message: 'You are already in a guild' };
+    }
+    
+    // Validate name and tag
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9' ]{3,30}$/.test(name.trim())) {
+      return { success: false, message: 'Guild name must be 3-30 letters, numbers or spaces' };
+    }
+    
+    if (typeof tag !== 'string' || !/^[A-Z0-9]{2,5}$/.test(tag)) {
+      return { success: false, message: 'Guild tag must be 2-5 uppercase letters or numbers' };
+    }
+    
+    const trimmedName = name.trim();
+    for (const guild of this.guilds.values()) {
+      if (guild.name.toLowerCase() === trimmedName.toLowerCase()) {
+        return { success: false, message: 'A guild with that name already exists' };
+      }
+      if (guild.tag === tag) {
+        return { success: false, message: 'A guild with that tag already exists' };
+      }
+    }
+    
+    // Check currency
+    const totalPennies = (player.shillings * 12) + player.pennies;
+    if (totalPennies < GUILD_CREATION_COST) {
+      return { success: false, message: 'Not enough currency to found a guild' };
+    }
+    
+    const newTotal = totalPennies - GUILD_CREATION_COST;
+    this.playerManager.updatePlayer(playerId, {
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    });
+    
+    const guildId = uuidv4();
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId, delta: -GUILD_CREATION_COST, reason: 'guild_creation', source: 'GuildManager', referenceId: guildId });
+    }
+    const guild = {
+      id: guildId,
+      name: trimmedName,
+      tag,
+      leaderId: playerId,
+      members: [{
+        playerId,
+        username: player.username,
+        rank: 'leader',
+        joinedAt: Date.now()
+      }],
+      invites: [],
+      treasury: { shillings: 0, pennies: 0 },
+      treasuryLog: [],
+      createdAt: Date.now()
+    };
+    
+    this.guilds.set(guildId, guild);
+    this.playerGuilds.set(playerId, guildId);
+    this.setPlayerMembership(playerId, guildId);
+    this.saveGuilds();
+    
+    return { success: true, guild };
+  }
+  
+  /**
+   * Get a guild by ID
+   */
+  getGuild(guildId) {
+    return this.guilds.get(guildId) || null;
+  }
+  
+  /**
+   * Get the guild a player belongs to
+   */
+  getPlayerGuild(playerId) {
+    const guildId = this.playerGuilds.get(playerId);
+    return guildId ? this.getGuild(guildId) : null;
+  }
+  
+  /**
+   * Get a public summary of all guilds
+   */
+  getAllGuilds() {
+    return Array.from(this.guilds.values()).map(guild => ({
+      id: guild.id,
+      name: guild.name,
+      tag: guild.tag,
+      leaderId: guild.leaderId,
+      memberCount: guild.members.length,
+      createdAt: guild.createdAt
+    }));
+  }
+  
+  /**
+   * Get a guild's member list, highest rank first
+   */
+  getRoster(guildId) {
+    const guild = this.getGuild(guildId);
+    if (!guild) {
+      return null;
+    }
+    
+    return guild.members
+      .map(member => ({ ...member, rankName: RANKS[member.rank].name }))
+      .sort((a, b) => RANKS[b.rank].order - RANKS[a.rank].order || a.joinedAt - b.joinedAt);
+  }
+  
+  /**
+   * Check if a player belongs to a guild
+   */
+  isMember(guildId, playerId) {
+    return this.playerGuilds.get(playerId) === guildId;
+  }
+  
+  /**
+   * Check if a player's rank grants a permission in their guild
+   */
+  hasPermission(guildId, playerId, permission) {
+    const member = this.getMember(guildId, playerId);
+    return !!member && RANKS[member.rank].permissions.includes(permission);
+  }
+  
+  getMember(guildId, playerId) {
+    const guild = this.getGuild(guildId);
+    if (!guild) return null;
+    return guild.members.find(m => m.playerId === playerId) || null;
+  }
+  
+  /**
+   * Invite a player to the inviter's guild
+   */
+  invitePlayer(inviterId, targetPlayerId) {
+    const guild = this.getPlayerGuild(inviterId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (!this.hasPermission(guild.id, inviterId, 'invite')) {
+      return { success: false, message: 'Your rank cannot invite players' };
+    }
+    
+    const target = this.playerManager.getPlayer(targetPlayerId);
+    if (!target) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (this.playerGuilds.has(targetPlayerId)) {
+      return { success: false, message: 'Player is already in a guild' };
+    }
+    
+    if (guild.members.length >= MAX_GUILD_MEMBERS) {
+      return { success: false, message: `Guild is full (max ${MAX_GUILD_MEMBERS} members)` };
+    }
+    
+    // Drop expired invites and replace any existing invite for this player
+    const now = Date.now();
+    guild.invites = guild.invites.filter(i => i.expiresAt > now && i.playerId !== targetPlayerId);
+    
+    const invite = {
+      playerId: targetPlayerId,
+      invitedBy: inviterId,
+      createdAt: now,
+      expiresAt: now + INVITE_EXPIRY
+    };
+    guild.invites.push(invite);
+    this.saveGuilds();
+    
+    return { success: true, guild, invite };
+  }
+  
+  /**
+   * Get pending invites for a player
+   */
+  getPlayerInvites(playerId) {
+    const now = Date.now();
+    const invites = [];
+    
+    for (const guild of this.guilds.values()) {
+      const invite = guild.invites.find(i => i.playerId === playerId && i.expiresAt > now);
+      if (invite) {
+        invites.push({ ...invite, guildId: guild.id, guildName: guild.name, guildTag: guild.tag });
+      }
+    }
+    
+    return invites;
+  }
+  
+  /**
+   * Accept or decline a guild invite
+   */
+  respondToInvite(playerId, guildId, accept) {
+    const guild = this.getGuild(guildId);
+    
+    if (!guild) {
+      return { success: false, message: 'Guild not found' };
+    }
+    
+    const now = Date.now();
+    const invite = guild.invites.find(i => i.playerId === playerId && i.expiresAt > now);
+    if (!invite) {
+      return { success: false, message: 'No pending invite from this guild' };
+    }
+    
+    guild.invites = guild.invites.filter(i => i.playerId !== playerId);
+    
+    if (!accept) {
+      this.saveGuilds();
+      return { success: true, guild, joined: false };
+    }
+    
+    if (this.playerGuilds.has(playerId)) {
+      this.saveGuilds();
+      return { success: false, message: 'You are already in a guild' };
+    }
+    
+    if (guild.members.length >= MAX_GUILD_MEMBERS) {
+      this.saveGuilds();
+      return { success: false, message: `Guild is full (max ${MAX_GUILD_MEMBERS} members)` };
+    }
+    
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    guild.members.push({
+      playerId,
+      username: player.username,
+      rank: 'recruit',
+      joinedAt: now
+    });
+    this.playerGuilds.set(playerId, guild.id);
+    this.setPlayerMembership(playerId, guild.id);
+    this.saveGuilds();
+    
+    return { success: true, guild, joined: true };
+  }
+  
+  /**
+   * Leave the player's guild (the leader must hand over leadership first unless alone)
+   */
+  leaveGuild(playerId) {
+    const guild = this.getPlayerGuild(playerId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (guild.leaderId === playerId) {
+      if (guild.members.length > 1) {
+        return { success: false, message: 'Transfer leadership before leaving the guild' };
+      }
+      return this.disbandGuild(playerId);
+    }
+    
+    this.removeMember(guild, playerId);
+    this.saveGuilds();
+    
+    return { success: true, guild };
+  }
+  
+  /**
+   * Remove a lower-ranked member from the guild
+   */
+  kickMember(actorId, targetPlayerId) {
+    const guild = this.getPlayerGuild(actorId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (!this.hasPermission(guild.id, actorId, 'kick')) {
+      return { success: false, message: 'Your rank cannot remove members' };
+    }
+    
+    const actor = this.getMember(guild.id, actorId);
+    const target = this.getMember(guild.id, targetPlayerId);
+    if (!target) {
+      return { success: false, message: 'Player is not in your guild' };
+    }
+    
+    if (RANKS[target.rank].order >= RANKS[actor.rank].order) {
+      return { success: false, message: 'You can only remove members below your rank' };
+    }
+    
+    this.removeMember(guild, targetPlayerId);
+    this.saveGuilds();
+    
+    return { success: true, guild };
+  }
+  
+  /**
+   * Change a member's rank (promoting to leader transfers leadership)
+   */
+  setMemberRank(actorId, targetPlayerId, rank) {
+    const guild = this.getPlayerGuild(actorId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (!RANKS[rank]) {
+      return { success: false, message: 'Invalid rank' };
+    }
+    
+    if (!this.hasPermission(guild.id, actorId, 'promote')) {
+      return { success: false, message: 'Your rank cannot change ranks' };
+    }
+    
+    if (actorId === targetPlayerId) {
+      return { success: false, message: 'You cannot change your own rank' };
+    }
+    
+    const actor = this.getMember(guild.id, actorId);
+    const target = this.getMember(guild.id, targetPlayerId);
+    if (!target) {
+      return { success: false, message: 'Player is not in your guild' };
+    }
+    
+    if (rank === 'leader') {
+      if (actor.rank !== 'leader') {
+        return { success: false, message: 'Only the leader can transfer leadership' };
+      }
+      actor.rank = 'officer';
+      target.rank = 'leader';
+      guild.leaderId = targetPlayerId;
+      this.saveGuilds();
+      return { success: true, guild };
+    }
+    
+    // Officers can only manage members below them and promote up to their own rank - 1
+    const actorOrder = RANKS[actor.rank].order;
+    if (RANKS[target.rank].order >= actorOrder || RANKS[rank].order >= actorOrder) {
+      return { success: false, message: 'You can only assign ranks below your own' };
+    }
+    
+    target.rank = rank;
+    this.saveGuilds();
+    
+    return { success: true, guild };
+  }
+  
+  /**
+   * Move currency from a member into the guild treasury
+   */
+  depositToTreasury(playerId, amount) {
+    const guild = this.getPlayerGuild(playerId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (!this.hasPermission(guild.id, playerId, 'deposit')) {
+      return { success: false, message: 'Your rank cannot deposit to the treasury' };
+    }
+    
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { success: false, message: 'Amount must be a positive number of pennies' };
+    }
+    
+    const player = this.playerManager.getPlayer(playerId);
+    const totalPennies = (player.shillings * 12) + player.pennies;
+    if (totalPennies < amount) {
+      return { success: false, message: 'Insufficient currency' };
+    }
+    
+    const newTotal = totalPennies - amount;
+    this.playerManager.updatePlayer(playerId, {
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    });
+    
+    this.adjustTreasury(guild, playerId, amount, 'deposit');
+    this.recordTreasuryTransfer(guild, playerId, -amount, 'guild_deposit');
+    this.saveGuilds();
+    
+    return { success: true, guild, treasury: guild.treasury };
+  }
+  
+  /**
+   * Move currency from the guild treasury to a member
+   */
+  withdrawFromTreasury(playerId, amount) {
+    const guild = this.getPlayerGuild(playerId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (!this.hasPermission(guild.id, playerId, 'withdraw')) {
+      return { success: false, message: 'Your rank cannot withdraw from the treasury' };
+    }
+    
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { success: false, message: 'Amount must be a positive number of pennies' };
+    }
+    
+    const treasuryPennies = (guild.treasury.shillings * 12) + guild.treasury.pennies;
+    if (treasuryPennies < amount) {
+      return { success: false, message: 'Insufficient funds in the treasury' };
+    }
+    
+    const player = this.playerManager.getPlayer(playerId);
+    const newTotal = (player.shillings * 12) + player.pennies + amount;
+    this.playerManager.updatePlayer(playerId, {
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    });
+    
+    this.adjustTreasury(guild, playerId, -amount, 'withdraw');
+    this.recordTreasuryTransfer(guild, playerId, amount, 'guild_withdraw');
+    this.saveGuilds();
+    
+    return { success: true, guild, treasury: guild.treasury };
+  }
+  
+  /**
+   * Disband a guild, paying the treasury out to the leader
+   */
+  disbandGuild(playerId) {
+    const guild = this.getPlayerGuild(playerId);
+    
+    if (!guild) {
+      return { success: false, message: 'You are not in a guild' };
+    }
+    
+    if (!this.hasPermission(guild.id, playerId, 'disband')) {
+      return { success: false, message: 'Only the leader can disband the guild' };
+    }
+    
+    const treasuryPennies = (guild.treasury.shillings * 12) + guild.treasury.pennies;
+    if (treasuryPennies > 0) {
+      const player = this.playerManager.getPlayer(playerId);
+      const newTotal = (player.shillings * 12) + player.pennies + treasuryPennies;
+      this.playerManager.updatePlayer(playerId, {
+        shillings: Math.floor(newTotal / 12),
+        pennies: newTotal % 12
+      });
+      this.recordTreasuryTransfer(guild, playerId, treasuryPennies, 'guild_disband_payout');
+    }
+    
+    const memberIds = guild.members.map(m => m.playerId);
+    for (const memberId of memberIds) {
+      this.playerGuilds.delete(memberId);
+      this.setPlayerMembership(memberId, null);
+    }
+    
+    this.guilds.delete(guild.id);
+    this.saveGuilds();
+    
+    return { success: true, guild, disbanded: true, memberIds };
+  }
+  
+  removeMember(guild, playerId) {
+    guild.members = guild.members.filter(m => m.playerId !== playerId);
+    this.playerGuilds.delete(playerId);
+    this.setPlayerMembership(playerId, null);
+  }
+  
+  /**
+   * Record currency moved between a player and a treasury (not created or destroyed)
+   */
+  recordTreasuryTransfer(guild, playerId, delta, reason) {
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId, delta, reason, source: 'GuildManager', referenceId: guild.id, flow: 'transfer' });
+    }
+  }
+  
+  adjustTreasury(guild, playerId, amount, action) {
+    const newTotal = (guild.treasury.shillings * 12) + guild.treasury.pennies + amount;
+    guild.treasury = {
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    };
+    
+    guild.treasuryLog.push({
+      playerId,
+      action,
+      amount: Math.abs(amount),
+      timestamp: Date.now()
+    });
+    guild.treasuryLog = guild.treasuryLog.slice(-MAX_TREASURY_LOG);
+  }
+  
+  /**
+   * Mirror membership onto the player record (works for offline players too)
+   */
+  setPlayerMembership(playerId, guildId) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) return;
+    
+    this.playerManager.updatePlayer(playerId, {
+      guilds: {
+        ...(player.guilds || {}),
+        memberships: guildId ? [guildId] : []
+      }
+    });
+  }
+  
+  /**
+   * Persistence methods
+   */
+  saveGuilds() {
+    try {
+      const data = Array.from(this.guilds.values());
+      fs.writeFileSync(
+        path.join(this.dataDir, 'guilds.json'),
+        JSON.stringify(data, null, 2)
+      );
+    } catch (error) {
+      console.error('Error saving guilds:', error);
+    }
+  }
+  
+  loadGuilds() {
+    try {
+      const filePath = path.join(this.dataDir, 'guilds.json');
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const guild of data) {
+          this.guilds.set(guild.id, guild);
+          for (const member of guild.members) {
+            this.playerGuilds.set(member.playerId, guild.id);
+          }
+        }
+        console.log(`Loaded ${data.length} guilds`);
+      }
+    } catch (error) {
+      console.error('Error loading guilds:', error);
+    }
+  }
+}
+
+module.exports = GuildManager;
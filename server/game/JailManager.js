@@ -0,0 +1,278 @@
+/**
+ * Jail Manager
+ * Handles server-enforced jail sentences, bail and jailbreak attempts
+ */
+
+// Sentences are stored on the player record (inJail, jailUntil) so they survive restarts
+const BAIL_PENNIES_PER_MINUTE = 6; // half a shilling per started minute remaining
+const MIN_BAIL = 12;
+const JAILBREAK_ENERGY_COST = 20;
+const JAILBREAK_BASE_CHANCE = 20; // percent, before dexterity
+const JAILBREAK_MAX_CHANCE = 75;
+const JAILBREAK_PENALTY = 10 * 60 * 1000; // added to the sentence when caught escaping
+const RELEASE_LOCATION = 'town-square';
+
+// Messages a jailed player cannot send (game actions are checked by GameManager)
+const RESTRICTED_MESSAGES = [
+  'move',
+  'change_location',
+  'travel_start',
+  'trade_propose',
+  'auction_create',
+  'auction_bid'
+];
+
+class JailManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.jailedPlayers = new Set(); // playerIds currently serving a sentence
+    this.economyLedger = options.economyLedger || null;
+    
+    // Rebuild the release index from loaded players
+    for (const player of this.playerManager.getAllPlayers()) {
+      if (player.inJail) {
+        this.jailedPlayers.add(player.id);
+      }
+    }
+    
+    // Start release monitoring
+    if (options.autoStart !== false) {
+      this.startJailMonitoring();
+    }
+  }
+  
+  /**
+   * Sentence a player to jail
+   */
+  jailPlayer(playerId, duration, reason = null) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const now = Date.now();
+    const updates = {
+      inJail: true,
+      jailUntil: now + duration,
+      jailDuration: duration,
+      jailReason: reason,
+      location: 'jail'
+    };
+    
+    this.playerManager.updatePlayer(playerId, updates);
+    this.jailedPlayers.add(playerId);
+    
+    return { success: true, playerUpdates: updates };
+  }
+  
+  /**
+   * Check if a player is serving a sentence
+   * Ended sentences no longer count; processReleases moves the player out and notifies them.
+   */
+  isJailed(player, now = Date.now()) {
+    return !!player && !!player.inJail && player.jailUntil > now;
+  }
+  
+  /**
+   * Get remaining sentence in ms
+   */
+  getRemainingTime(player, now = Date.now()) {
+    if (!player || !player.inJail) return 0;
+    return Math.max(0, player.jailUntil - now);
+  }
+  
+  /**
+   * Get a restriction message if a jailed player cannot send this message type
+   */
+  getRestriction(playerId, messageType) {
+    if (!RESTRICTED_MESSAGES.includes(messageType)) {
+      return null;
+    }
+    
+    const player = this.playerManager.getPlayer(playerId);
+    if (!this.isJailed(player)) {
+      return null;
+    }
+    
+    return this.getJailedMessage(player);
+  }
+  
+  getJailedMessage(player) {
+    const minutes = Math.ceil(this.getRemainingTime(player) / 60000);
+    return `You are in jail (${minutes} minute${minutes === 1 ? '' : 's'} remaining)`;
+  }
+  
+  /**
+   * Get the bail cost in pennies
+   */
+  getBailCost(player, now = Date.now()) {
+    const minutes = Math.ceil(this.getRemainingTime(player, now) / 60000);
+    return Math.max(MIN_BAIL, minutes * BAIL_PENNIES_PER_MINUTE);
+  }
+  
+  /**
+   * Pay bail to release a prisoner (payer may be the prisoner or another player)
+   */
+  payBail(payerId, prisonerId = payerId) {
+    const payer = this.playerManager.getPlayer(payerId);
+    const prisoner = this.playerManager.getPlayer(prisonerId);
+    
+    if (!payer || !prisoner) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.isJailed(prisoner)) {
+      return { success: false, message: 'Player is not in jail' };
+    }
+    
+    const cost = this.getBailCost(prisoner);
+    const totalPennies = (payer.shillings * 12) + payer.pennies;
+    if (totalPennies < cost) {
+      return { success: false, message: 'Not enough currency to pay bail' };
+    }
+    
+    const newTotal = totalPennies - cost;
+    this.playerManager.updatePlayer(payerId, {
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12
+    });
+    
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId: payerId, delta: -cost, reason: 'bail', source: 'JailManager', referenceId: prisonerId });
+    }
+    
+    const release = this.releasePlayer(prisonerId);
+    
+    return { success: true, cost, playerUpdates: release.playerUpdates };
+  }
+  
+  /**
+   * Try to escape; failure lengthens the sentence
+   */
+  attemptJailbreak(playerId, roll = Math.random() * 100) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.isJailed(player)) {
+      return { success: false, message: 'You are not in jail' };
+    }
+    
+    if (player.energy < JAILBREAK_ENERGY_COST) {
+      return { success: false, message: 'Not enough energy' };
+    }
+    
+    const dexterity = (player.stats && player.stats.dexterity) || 10;
+    const chance = Math.min(JAILBREAK_MAX_CHANCE, JAILBREAK_BASE_CHANCE + (dexterity - 10) * 2);
+    const escaped = roll < chance;
+    
+    const energy = player.energy - JAILBREAK_ENERGY_COST;
+    
+    if (escaped) {
+      this.playerManager.updatePlayer(playerId, { energy });
+      const release = this.releasePlayer(playerId);
+      return {
+        success: true,
+        escaped: true,
+        chance,
+        playerUpdates: { ...release.playerUpdates, energy }
+      };
+    }
+    
+    const updates = {
+      energy,
+      jailUntil: player.jailUntil + JAILBREAK_PENALTY,
+      jailDuration: (player.jailDuration || 0) + JAILBREAK_PENALTY
+    };
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    return { success: true, escaped: false, chance, penalty: JAILBREAK_PENALTY, playerUpdates: updates };
+  }
+  
+  /**
+   * Release a player from jail
+   */
+  releasePlayer(playerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    this.jailedPlayers.delete(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const updates = {
+      inJail: false,
+      jailUntil: null,
+      jailDuration: null,
+      jailReason: null,
+      location: RELEASE_LOCATION
+    };
+    
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    return { success: true, playerUpdates: updates };
+  }
+  
+  /**
+   * Release every player whose sentence has ended
+   * @returns {Array} - Release notifications
+   */
+  processReleases(now = Date.now()) {
+    const notifications = [];
+    
+    for (const playerId of Array.from(this.jailedPlayers)) {
+      const player = this.playerManager.getPlayer(playerId);
+      if (!player || !player.inJail) {
+        this.jailedPlayers.delete(playerId);
+        continue;
+      }
+      
+      if (player.jailUntil <= now) {
+        const release = this.releasePlayer(playerId);
+        notifications.push({
+          type: 'jail_released',
+          playerId,
+          playerUpdates: release.playerUpdates
+        });
+      }
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Monitor sentences and release finished ones
+   */
+  startJailMonitoring() {
+    // Check every 5 seconds for finished sentences
+    this.monitoringInterval = setInterval(() => {
+      const notifications = this.processReleases();
+      
+      // Return notifications for the server to deliver
+      if (notifications.length > 0 && this.notificationCallback) {
+        this.notificationCallback(notifications);
+      }
+    }, 5000);
+  }
+  
+  /**
+   * Set notification callback for release events
+   */
+  setNotificationCallback(callback) {
+    this.notificationCallback = callback;
+  }
+  
+  /**
+   * Stop monitoring (cleanup)
+   */
+  stopJailMonitoring() {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+    }
+  }
+}
+
+module.exports = JailManager;
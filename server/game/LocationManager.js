@@ -1,33 +1,180 @@
 /**
  * Location Manager
- * Handles player location tracking and validation
+ * Handles the location registry, player location tracking and validation
  */
 
+// Location registry shared by travel, game actions and the client (served at /api/locations)
+// - coordinates: map position used for travel distances
+// - neighbors: locations reachable directly; other journeys follow the shortest route
+// - requirements: level, guild membership and completed quests needed to enter
+// - actions: GameManager action types available at the location
+// - capacity: maximum players present at once (null for unlimited)
+const LOCATIONS = {
+  'town-square': {
+    name: 'Town Square',
+    coordinates: { x: 0, y: 0 },
+    neighbors: ['home', 'hospital', 'education', 'workshop', 'property', 'quests', 'crimes', 'jail',
+      'casino', 'newspaper', 'friends', 'magic-shop', 'tavern', 'fair-alley', 'guild-district'],
+    requirements: {},
+    actions: ['gather_resources'],
+    capacity: null
+  },
+  'home': {
+    name: 'My Home',
+    coordinates: { x: 2, y: 1 },
+    neighbors: ['town-square', 'hospital', 'education', 'workshop', 'property', 'quests', 'crimes', 'casino', 'friends', 'tavern'],
+    requirements: {},
+    actions: ['heal', 'craft_item'],
+    capacity: null
+  },
+  'hospital': {
+    name: 'Hospital',
+    coordinates: { x: -3, y: 2 },
+    neighbors: ['town-square', 'home', 'education', 'property', 'quests', 'crimes', 'magic-shop'],
+    requirements: {},
+    actions: ['heal'],
+    capacity: null
+  },
+  'education': {
+    name: 'Education',
+    coordinates: { x: 4, y: -1 },
+    neighbors: ['town-square', 'home', 'hospital', 'workshop', 'property', 'friends', 'fair-alley'],
+    requirements: {},
+    actions: ['train'],
+    capacity: 30
+  },
+  'workshop': {
+    name: 'Workshop',
+    coordinates: { x: 3, y: 1 },
+    neighbors: ['town-square', 'home', 'education'],
+    requirements: {},
+    actions: ['craft_item'],
+    capacity: 20
+  },
+  'guilds': {
+    name: 'Guild Hall',
+    coordinates: { x: -2, y: -4 },
+    neighbors: ['guild-district', 'property', 'tavern'],
+    requirements: { guild: true },
+    actions: ['train'],
+    capacity: null
+  },
+  'property': {
+    name: 'Property Management',
+    coordinates: { x: -2, y: -3 },
+    neighbors: ['town-square', 'home', 'hospital', 'education', 'guilds', 'tavern', 'guild-district'],
+    requirements: {},
+    actions: [],
+    capacity: null
+  },
+  'quests': {
+    name: 'Quest Board',
+    coordinates: { x: 1, y: 3 },
+    neighbors: ['town-square', 'home', 'hospital', 'casino', 'newspaper'],
+    requirements: {},
+    actions: ['gather_resources'],
+    capacity: null
+  },
+  'crimes': {
+    name: 'Criminal Activities',
+    coordinates: { x: -4, y: -2 },
+    neighbors: ['town-square', 'home', 'hospital', 'jail', 'guild-district', 'smuggling-routes'],
+    requirements: {},
+    actions: ['commit_crime'],
+    capacity: null
+  },
+  'jail': {
+    name: 'Jail',
+    coordinates: { x: -5, y: 0 },
+    neighbors: ['town-square', 'crimes'],
+    requirements: {},
+    actions: [],
+    capacity: null
+  },
+  'casino': {
+    name: 'The Golden Dice Casino',
+    coordinates: { x: 3, y: 3 },
+    neighbors: ['town-square', 'home', 'quests', 'fair-alley'],
+    requirements: { level: 5 },
+    actions: [],
+    capacity: 50
+  },
+  'newspaper': {
+    name: 'The Daily Wizard',
+    coordinates: { x: -1, y: 4 },
+    neighbors: ['town-square', 'quests', 'magic-shop'],
+    requirements: {},
+    actions: [],
+    capacity: null
+  },
+  'friends': {
+    name: 'Friends & Enemies',
+    coordinates: { x: 2, y: -2 },
+    neighbors: ['town-square', 'home', 'education'],
+    requirements: {},
+    actions: [],
+    capacity: null
+  },
+  'magic-shop': {
+    name: 'Magic Shop',
+    coordinates: { x: -2, y: 3 },
+    neighbors: ['town-square', 'hospital', 'newspaper'],
+    requirements: {},
+    actions: ['craft_item'],
+    capacity: 15
+  },
+  'tavern': {
+    name: 'The Drunken Wizard',
+    coordinates: { x: 1, y: -4 },
+    neighbors: ['town-square', 'home', 'property', 'guilds'],
+    requirements: {},
+    actions: ['heal'],
+    capacity: 25
+  },
+  'fair-alley': {
+    name: 'Fair Alleyway',
+    coordinates: { x: 5, y: 2 },
+    neighbors: ['town-square', 'education', 'casino'],
+    requirements: {},
+    actions: [],
+    capacity: null
+  },
+  'guild-district': {
+    name: 'Guild District',
+    coordinates: { x: -3, y: -4 },
+    neighbors: ['town-square', 'crimes', 'property', 'guilds', 'smuggling-routes'],
+    requirements: {},
+    actions: [],
+    capacity: null
+  },
+  'smuggling-routes': {
+    name: 'Smuggling Routes',
+    coordinates: { x: -6, y: -3 },
+    neighbors: ['crimes', 'guild-district'],
+    requirements: { level: 10 },
+    actions: ['gather_resources', 'commit_crime'],
+    capacity: 10
+  }
+};
+
 class LocationManager {
   constructor() {
     this.locations = new Map(); // locationId -> Set(playerId)
     
     // Initialize valid locations
-    this.validLocations = new Set([
-      'town-square',
-      'home',
-      'hospital',
-      'education',
-      'workshop',
-      'guilds',
-      'property',
-      'quests',
-      'crimes',
-      'jail',
-      'casino',
-      'newspaper',
-      'friends',
-      'magic-shop',
-      'tavern',
-      'fair-alley',
-      'guild-district',
-      'smuggling-routes'
-    ]);
+    this.validLocations = new Set(Object.keys(LOCATIONS));
+    
+    // Map coordinates used for travel distances
+    this.coordinates = {};
+    for (const [locationId, location] of Object.entries(LOCATIONS)) {
+      this.coordinates[locationId] = location.coordinates;
+    }
+    
+    // Actions governed by the registry; anything else is allowed everywhere
+    this.locationActions = new Set();
+    for (const location of Object.values(LOCATIONS)) {
+      location.actions.forEach(action => this.locationActions.add(action));
+    }
     
     // Initialize all locations
     this.validLocations.forEach(locationId => {
@@ -39,7 +186,161 @@ class LocationManager {
     return this.validLocations.has(locationId);
   }
   
+  /**
+   * Get a location's registry entry
+   */
+  getLocation(locationId) {
+    const location = LOCATIONS[locationId];
+    return location ? { id: locationId, ...location } : null;
+  }
+  
+  /**
+   * Get every location with its current occupancy and travel distances (for the client)
+   */
+  getAllLocations() {
+    return Object.keys(LOCATIONS).map(locationId => {
+      const distances = {};
+      for (const otherId of Object.keys(LOCATIONS)) {
+        if (otherId !== locationId) {
+          distances[otherId] = this.getDistance(locationId, otherId);
+        }
+      }
+      
+      return {
+        ...this.getLocation(locationId),
+        occupancy: this.getPlayersInLocation(locationId).length,
+        distances
+      };
+    });
+  }
+  
+  /**
+   * Get neighboring location ids
+   */
+  getNeighbors(locationId) {
+    const location = LOCATIONS[locationId];
+    return location ? [...location.neighbors] : [];
+  }
+  
+  /**
+   * Get the travel distance between two locations along the shortest route
+   * (0 if unknown, unreachable or the same)
+   */
+  getDistance(fromLocation, toLocation) {
+    if (!LOCATIONS[fromLocation] || !LOCATIONS[toLocation] || fromLocation === toLocation) {
+      return 0;
+    }
+    
+    // Dijkstra over the neighbor graph; the graph is small so a linear scan is enough
+    const distances = { [fromLocation]: 0 };
+    const visited = new Set();
+    
+    while (true) {
+      let current = null;
+      for (const [locationId, distance] of Object.entries(distances)) {
+        if (!visited.has(locationId) && (current === null || distance < distances[current])) {
+          current = locationId;
+        }
+      }
+      
+      if (current === null) {
+        return 0;
+      }
+      
+      if (current === toLocation) {
+        return Math.max(1, Math.round(distances[current]));
+      }
+      
+      visited.add(current);
+      for (const neighborId of LOCATIONS[current].neighbors) {
+        const candidate = distances[current] + this.getEdgeLength(current, neighborId);
+        if (distances[neighborId] === undefined || candidate < distances[neighborId]) {
+          distances[neighborId] = candidate;
+        }
+      }
+    }
+  }
+  
+  getEdgeLength(fromLocation, toLocation) {
+    const from = LOCATIONS[fromLocation].coordinates;
+    const to = LOCATIONS[toLocation].coordinates;
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+  
+  /**
+   * Check whether a player meets a location's requirements and there is room
+   * @returns {Object} - { allowed, message }
+   */
+  canEnter(player, locationId) {
+    const location = LOCATIONS[locationId];
+    if (!location) {
+      return { allowed: false, message: 'Invalid location' };
+    }
+    
+    const requirements = location.requirements;
+    if (requirements.level && (player.level || 1) < requirements.level) {
+      return { allowed: false, message: `You need to be level ${requirements.level} to enter ${location.name}` };
+    }
+    
+    const memberships = (player.guilds && player.guilds.memberships) || [];
+    if (requirements.guild && memberships.length === 0) {
+      return { allowed: false, message: `You must belong to a guild to enter ${location.name}` };
+    }
+    
+    if (requirements.quests && (player.questsCompleted || 0) < requirements.quests) {
+      return { allowed: false, message: `You need to complete ${requirements.quests} quests to enter ${location.name}` };
+    }
+    
+    if (!this.hasRoom(locationId, player.id)) {
+      return { allowed: false, message: `${location.name} is full` };
+    }
+    
+    return { allowed: true };
+  }
+  
+  /**
+   * Check if a location has space for another player (players already there always fit)
+   */
+  hasRoom(locationId, playerId = null) {
+    const location = LOCATIONS[locationId];
+    if (!location || location.capacity === null) {
+      return true;
+    }
+    
+    const players = this.locations.get(locationId);
+    if (playerId && players.has(playerId)) {
+      return true;
+    }
+    
+    return players.size < location.capacity;
+  }
+  
+  /**
+   * Get a restriction message if an action is not available at a location
+   */
+  getActionRestriction(locationId, actionType) {
+    if (!this.locationActions.has(actionType)) {
+      return null;
+    }
+    
+    const location = LOCATIONS[locationId];
+    if (location && location.actions.includes(actionType)) {
+      return null;
+    }
+    
+    return location ? `You cannot do that at ${location.name}` : 'You cannot do that here';
+  }
+  
+  /**
+   * Move a player between locations (fails if the destination is full)
+   */
   movePlayer(playerId, fromLocation, toLocation) {
+    if (!this.hasRoom(toLocation, playerId)) {
+      return false;
+    }
+    
     // Remove from old location
     if (fromLocation && this.locations.has(fromLocation)) {
       this.locations.get(fromLocation).delete(playerId);
@@ -54,6 +355,18 @@ class LocationManager {
     return true;
   }
   
+  /**
+   * Place a player at a location regardless of capacity (login, jail and release)
+   */
+  placePlayer(playerId, locationId) {
+    this.removePlayer(playerId);
+    
+    if (!this.locations.has(locationId)) {
+      this.locations.set(locationId, new Set());
+    }
+    this.locations.get(locationId).add(playerId);
+  }
+  
   removePlayer(playerId) {
     // Remove player from all locations
     this.locations.forEach((players) => {
@@ -6,10 +6,23 @@
 const fs = require('fs');
 const path = require('path');
 
+// Level curve (matches jsjs/player.js): XP needed for the next level is BASE * MULTIPLIER^level
+const XP_BASE = 100;
+const XP_MULTIPLIER = 1.5;
+
+// Profile fields a player may hide from others (username and level are always public)
+const HIDEABLE_PROFILE_FIELDS = ['guild', 'stats', 'achievements', 'activity', 'location', 'lastSeen'];
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// Player IDs name files in the data directory, so IDs that could point outside it are never loaded
+const SAFE_PLAYER_ID = /^[A-Za-z0-9_-]+$/;
+
 class PlayerManager {
   constructor(options = {}) {
     this.players = new Map(); // playerId -> playerData
-    this.dataDir = path.join(__dirname, '..', 'data', 'players');
+    this.searchIndex = null; // playerId -> search fields of every stored player (built on first search)
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'players');
     
     // Ensure data directory exists
     this.ensureDataDirectory();
@@ -44,6 +57,9 @@ class PlayerManager {
       mana: 100,
       maxMana: 100,
       location: 'town-square',
+      inJail: false,
+      jailUntil: null,
+      travel: null,
       stats: {
         intelligence: 10,
         endurance: 10,
@@ -51,17 +67,34 @@ class PlayerManager {
         dexterity: 10
       },
       inventory: [],
+      resources: {},
       equipment: {
         weapon: null,
         armor: null,
         accessory: null
       },
+      activeEffects: [],
+      consumableCooldowns: {},
       questsCompleted: 0,
+      quests: {
+        active: {},
+        completed: {}
+      },
       craftedItems: {},
+      achievements: [],
+      achievementStats: {},
       guilds: {
         memberships: []
       },
       friends: [],
+      friendRequests: {
+        incoming: [],
+        outgoing: []
+      },
+      blockedPlayers: [],
+      privacy: {
+        hiddenFields: []
+      },
       lastLogin: Date.now(),
       createdAt: Date.now()
     };
@@ -105,6 +138,55 @@ class PlayerManager {
     return true;
   }
   
+  /**
+   * Get XP required to advance from a level
+   */
+  getNextLevelXP(level) {
+    return Math.floor(XP_BASE * Math.pow(XP_MULTIPLIER, level));
+  }
+  
+  /**
+   * Advance a player's level while their XP covers the next level (extra XP carries over)
+   */
+  applyLevelUps(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { levelsGained: 0, playerUpdates: {} };
+    }
+    
+    let level = player.level || 1;
+    let xp = player.xp || 0;
+    let levelsGained = 0;
+    
+    while (xp >= this.getNextLevelXP(level)) {
+      xp -= this.getNextLevelXP(level);
+      level++;
+      levelsGained++;
+    }
+    
+    if (levelsGained === 0) {
+      return { levelsGained, playerUpdates: {} };
+    }
+    
+    // Each level raises the maximums and fully restores the player
+    const maxHealth = (player.maxHealth || 100) + 10 * levelsGained;
+    const maxMana = (player.maxMana || 50) + 5 * levelsGained;
+    const maxEnergy = (player.maxEnergy || 100) + 5 * levelsGained;
+    const updates = {
+      level,
+      xp,
+      maxHealth,
+      health: maxHealth,
+      maxMana,
+      mana: maxMana,
+      maxEnergy,
+      energy: maxEnergy
+    };
+    this.updatePlayer(playerId, updates);
+    
+    return { levelsGained, playerUpdates: updates };
+  }
+  
   removePlayer(playerId) {
     if (!this.players.has(playerId)) {
       return false;
@@ -117,6 +199,10 @@ class PlayerManager {
   }
   
   loadPlayer(playerId) {
+    if (typeof playerId !== 'string' || !SAFE_PLAYER_ID.test(playerId)) {
+      return null;
+    }
+    
     try {
       const playerFile = path.join(this.dataDir, `${playerId}.json`);
       if (fs.existsSync(playerFile)) {
@@ -136,6 +222,9 @@ class PlayerManager {
       
       const playerFile = path.join(this.dataDir, `${playerId}.json`);
       fs.writeFileSync(playerFile, JSON.stringify(player, null, 2));
+      if (this.searchIndex) {
+        this.searchIndex.set(playerId, this.toSearchEntry(player));
+      }
       return true;
     } catch (error) {
       console.error(`Error saving player ${playerId}:`, error);
@@ -147,6 +236,187 @@ class PlayerManager {
     return this.players.size;
   }
   
+  /**
+   * Search players by username prefix with optional level and guild filters
+   * @param {Object} criteria - { query, minLevel, maxLevel, guildId, offset, limit }
+   * @returns {Object} - { players, total, offset, limit }
+   */
+  searchPlayers(criteria = {}) {
+    const query = (criteria.query || '').toLowerCase();
+    const offset = Math.max(0, parseInt(criteria.offset, 10) || 0);
+    const limit = Math.min(MAX_SEARCH_LIMIT, Math.max(1, parseInt(criteria.limit, 10) || DEFAULT_SEARCH_LIMIT));
+    
+    // Players in memory may have changed since they were saved; the index covers the rest
+    const index = this.getSearchIndex();
+    const candidates = [
+      ...this.players.values(),
+      ...Array.from(index.entries()).filter(([playerId]) => !this.players.has(playerId)).map(([, entry]) => entry)
+    ];
+    
+    const matches = candidates.filter(player => {
+      const level = player.level || 1;
+      if (!player.username || !player.username.toLowerCase().startsWith(query)) return false;
+      if (criteria.minLevel && level < criteria.minLevel) return false;
+      if (criteria.maxLevel && level > criteria.maxLevel) return false;
+      
+      // Players hiding their guild never match a guild filter
+      if (criteria.guildId) {
+        const memberships = (player.guilds && player.guilds.memberships) || [];
+        if (!memberships.includes(criteria.guildId) || this.isFieldHidden(player, 'guild')) return false;
+      }
+      
+      return true;
+    });
+    
+    matches.sort((a, b) => a.username.localeCompare(b.username));
+    
+    // Only the players on the page are read from disk
+    const page = matches.slice(offset, offset + limit)
+      .map(match => this.players.get(match.id) || this.loadPlayer(match.id))
+      .filter(Boolean);
+    
+    return {
+      players: page.map(player => this.getPublicProfile(player, { summary: true })),
+      total: matches.length,
+      offset,
+      limit
+    };
+  }
+  
+  /**
+   * Get the search index, reading every stored player once to build it
+   * Saving a player keeps their entry up to date.
+   */
+  getSearchIndex() {
+    if (!this.searchIndex) {
+      this.searchIndex = new Map();
+      for (const player of this.getStoredPlayers()) {
+        this.searchIndex.set(player.id, this.toSearchEntry(player));
+      }
+    }
+    return this.searchIndex;
+  }
+  
+  /**
+   * The fields searchPlayers filters on
+   */
+  toSearchEntry(player) {
+    return {
+      id: player.id,
+      username: player.username,
+      level: player.level,
+      guilds: { memberships: [...((player.guilds && player.guilds.memberships) || [])] },
+      privacy: { hiddenFields: [...this.getHiddenFields(player)] }
+    };
+  }
+  
+  /**
+   * Get every stored player, including offline players that are not cached in memory
+   */
+  getStoredPlayers() {
+    const players = new Map(this.players);
+    
+    try {
+      for (const file of fs.readdirSync(this.dataDir)) {
+        const playerId = file.replace('.json', '');
+        if (file.endsWith('.json') && !players.has(playerId)) {
+          const playerData = this.loadPlayer(playerId);
+          if (playerData) {
+            players.set(playerId, playerData);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error listing players:', error);
+    }
+    
+    return Array.from(players.values());
+  }
+  
+  /**
+   * Build the public view of a player, leaving out fields they chose to hide
+   * @param {Object|string} playerOrId - Player data or ID
+   * @param {Object} options - { summary } for a search result instead of a full profile
+   * @returns {Object|null} - Public profile
+   */
+  getPublicProfile(playerOrId, options = {}) {
+    const player = typeof playerOrId === 'string' ? this.getPlayer(playerOrId) : playerOrId;
+    if (!player) {
+      return null;
+    }
+    
+    const memberships = (player.guilds && player.guilds.memberships) || [];
+    const profile = {
+      id: player.id,
+      username: player.username,
+      level: player.level || 1
+    };
+    
+    if (!this.isFieldHidden(player, 'guild')) {
+      profile.guildId = memberships[0] || null;
+    }
+    
+    if (options.summary) {
+      return profile;
+    }
+    
+    profile.joinDate = player.createdAt;
+    
+    if (!this.isFieldHidden(player, 'stats')) {
+      profile.stats = { ...player.stats };
+    }
+    
+    if (!this.isFieldHidden(player, 'achievements')) {
+      profile.achievements = [...(player.achievements || [])];
+    }
+    
+    if (!this.isFieldHidden(player, 'activity')) {
+      profile.activity = {
+        questsCompleted: player.questsCompleted || 0,
+        itemsCrafted: Object.values(player.craftedItems || {}).reduce((sum, count) => sum + count, 0)
+      };
+    }
+    
+    if (!this.isFieldHidden(player, 'location')) {
+      profile.location = player.location;
+    }
+    
+    if (!this.isFieldHidden(player, 'lastSeen')) {
+      profile.lastSeen = player.lastLogin;
+    }
+    
+    profile.hiddenFields = this.getHiddenFields(player);
+    
+    return profile;
+  }
+  
+  getHiddenFields(player) {
+    return (player.privacy && player.privacy.hiddenFields) || [];
+  }
+  
+  isFieldHidden(player, field) {
+    return this.getHiddenFields(player).includes(field);
+  }
+  
+  /**
+   * Choose which profile fields are hidden from other players
+   */
+  setProfilePrivacy(playerId, hiddenFields) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!Array.isArray(hiddenFields) || hiddenFields.some(field => !HIDEABLE_PROFILE_FIELDS.includes(field))) {
+      return { success: false, message: `Hidden fields must be chosen from: ${HIDEABLE_PROFILE_FIELDS.join(', ')}` };
+    }
+    
+    const privacy = { hiddenFields: [...new Set(hiddenFields)] };
+    this.updatePlayer(playerId, { privacy });
+    
+    return { success: true, privacy };
+  }
+  
   getAllPlayers() {
     return Array.from(this.players.values());
   }
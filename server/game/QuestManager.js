@@ -0,0 +1,416 @@
+/**
+ * Quest Manager
+ * Handles quest definitions, prerequisites, chained follow-ups and server-side objective progress
+ */
+
+// How much each happening advances an objective of the same type
+const OBJECTIVE_TYPES = {
+  'gather': (objective, data) => (!objective.resource || objective.resource === data.resource ? data.amount : 0),
+  'craft': (objective, data) => (!objective.item || objective.item === data.item ? 1 : 0),
+  'visit': (objective, data) => (objective.location === data.location ? 1 : 0),
+  'crime': (objective, data) => (!objective.successful || data.success ? 1 : 0),
+  'trade': () => 1,
+  'win_auction': () => 1,
+  'sell_auction': () => 1
+};
+
+// Quest definitions (server-side to prevent cheating)
+// - prerequisites: minimum level and quests that must be completed first
+// - objectives: all must reach their count; progress only counts while the quest is active
+// - rewards: xp, currency (in pennies) and resources
+// - next: follow-up quest started automatically on completion (if its prerequisites are met)
+const QUESTS = {
+  'herbalist-errand': {
+    name: "The Herbalist's Errand",
+    description: 'The hospital is running low on herbs. Gather some from around town.',
+    prerequisites: { level: 1, quests: [] },
+    objectives: [
+      { type: 'gather', resource: 'herbs', count: 5, description: 'Gather 5 herbs' }
+    ],
+    rewards: { xp: 20, currency: 24 },
+    next: 'healing-draught'
+  },
+  'healing-draught': {
+    name: 'A Healing Draught',
+    description: 'Brew a health potion and deliver it to the hospital.',
+    prerequisites: { level: 1, quests: ['herbalist-errand'] },
+    objectives: [
+      { type: 'craft', item: 'health_potion', count: 1, description: 'Craft a Health Potion' },
+      { type: 'visit', location: 'hospital', count: 1, description: 'Visit the Hospital' }
+    ],
+    rewards: { xp: 40, currency: 48, resources: { herbs: 3 } },
+    next: null
+  },
+  'timber-and-stone': {
+    name: 'Timber and Stone',
+    description: 'The workshop needs building materials.',
+    prerequisites: { level: 1, quests: [] },
+    objectives: [
+      { type: 'gather', resource: 'wood', count: 5, description: 'Gather 5 wood' },
+      { type: 'gather', resource: 'stone', count: 5, description: 'Gather 5 stone' }
+    ],
+    rewards: { xp: 25, currency: 36 },
+    next: 'wand-maker'
+  },
+  'wand-maker': {
+    name: 'The Wand Maker',
+    description: 'Prove your craft by making a crystal wand.',
+    prerequisites: { level: 3, quests: ['timber-and-stone'] },
+    objectives: [
+      { type: 'craft', item: 'crystal_wand', count: 1, description: 'Craft a Crystal Wand' }
+    ],
+    rewards: { xp: 80, currency: 120 },
+    next: null
+  },
+  'grand-tour': {
+    name: 'The Grand Tour',
+    description: 'Get to know the town and its people.',
+    prerequisites: { level: 1, quests: [] },
+    objectives: [
+      { type: 'visit', location: 'tavern', count: 1, description: 'Visit The Drunken Wizard' },
+      { type: 'visit', location: 'magic-shop', count: 1, description: 'Visit the Magic Shop' },
+      { type: 'visit', location: 'newspaper', count: 1, description: 'Visit The Daily Wizard' },
+      { type: 'visit', location: 'fair-alley', count: 1, description: 'Visit the Fair Alleyway' }
+    ],
+    rewards: { xp: 30, currency: 24 },
+    next: null
+  },
+  'market-debut': {
+    name: 'Market Debut',
+    description: 'Make your name as a trader.',
+    prerequisites: { level: 2, quests: [] },
+    objectives: [
+      { type: 'trade', count: 1, description: 'Complete a trade' },
+      { type: 'win_auction', count: 1, description: 'Win an auction' }
+    ],
+    rewards: { xp: 40, currency: 36 },
+    next: 'auctioneer'
+  },
+  'auctioneer': {
+    name: 'The Auctioneer',
+    description: 'Sell your wares to the highest bidder.',
+    prerequisites: { level: 2, quests: ['market-debut'] },
+    objectives: [
+      { type: 'sell_auction', count: 3, description: 'Sell 3 items at auction' }
+    ],
+    rewards: { xp: 60, currency: 60 },
+    next: null
+  },
+  'shady-dealings': {
+    name: 'Shady Dealings',
+    description: 'A hooded figure wants to see what you can do.',
+    prerequisites: { level: 3, quests: [] },
+    objectives: [
+      { type: 'crime', successful: true, count: 3, description: 'Pull off 3 successful crimes' }
+    ],
+    rewards: { xp: 40, currency: 60 },
+    next: 'smugglers-run'
+  },
+  'smugglers-run': {
+    name: "The Smuggler's Run",
+    description: 'Meet your contact on the smuggling routes and bring back their goods.',
+    prerequisites: { level: 10, quests: ['shady-dealings'] },
+    objectives: [
+      { type: 'visit', location: 'smuggling-routes', count: 1, description: 'Reach the Smuggling Routes' },
+      { type: 'gather', count: 10, description: 'Gather 10 resources' }
+    ],
+    rewards: { xp: 150, currency: 240, resources: { crystal: 5 } },
+    next: null
+  }
+};
+
+const MAX_ACTIVE_QUESTS = 5;
+const QUEST_BOARD_LOCATION = 'quests';
+
+class QuestManager {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.economyLedger = options.economyLedger || null;
+    // Timed world events (e.g. Double XP) scale quest XP when set
+    this.eventDispatcher = options.eventDispatcher || null;
+  }
+  
+  /**
+   * Get all quest definitions
+   */
+  getQuests() {
+    return Object.keys(QUESTS).map(questId => this.getQuest(questId));
+  }
+  
+  getQuest(questId) {
+    return this.isQuest(questId) ? { id: questId, ...QUESTS[questId] } : null;
+  }
+  
+  // Quest IDs come from clients, so ignore inherited keys like "constructor"
+  isQuest(questId) {
+    return Object.prototype.hasOwnProperty.call(QUESTS, questId);
+  }
+  
+  getQuestState(player) {
+    return player.quests || { active: {}, completed: {} };
+  }
+  
+  /**
+   * Check a quest's level and quest prerequisites
+   */
+  meetsPrerequisites(player, questId) {
+    const { prerequisites } = QUESTS[questId];
+    const completed = this.getQuestState(player).completed;
+    
+    return (player.level || 1) >= prerequisites.level &&
+      prerequisites.quests.every(requiredId => completed[requiredId]);
+  }
+  
+  /**
+   * Get quests a player can accept now
+   */
+  getAvailableQuests(player) {
+    const state = this.getQuestState(player);
+    
+    return Object.keys(QUESTS)
+      .filter(questId => !state.active[questId] && !state.completed[questId] && this.meetsPrerequisites(player, questId))
+      .map(questId => this.getQuest(questId));
+  }
+  
+  /**
+   * Get a player's active quests with progress, completed quests and available quests
+   */
+  getPlayerQuests(playerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) {
+      return null;
+    }
+    
+    const state = this.getQuestState(player);
+    const active = Object.entries(state.active)
+      .filter(([questId]) => this.isQuest(questId))
+      .map(([questId, entry]) => ({
+        ...this.getQuest(questId),
+        acceptedAt: entry.acceptedAt,
+        objectives: QUESTS[questId].objectives.map((objective, i) => ({ ...objective, progress: entry.progress[i] }))
+      }));
+    
+    return {
+      active,
+      completed: Object.keys(state.completed),
+      available: this.getAvailableQuests(player),
+      maxActive: MAX_ACTIVE_QUESTS
+    };
+  }
+  
+  /**
+   * Accept a quest from the quest board
+   */
+  acceptQuest(playerId, questId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.isQuest(questId)) {
+      return { success: false, message: 'Quest not found' };
+    }
+    
+    if (player.location !== QUEST_BOARD_LOCATION) {
+      return { success: false, message: 'Quests are accepted at the Quest Board' };
+    }
+    
+    const state = this.getQuestState(player);
+    if (state.active[questId]) {
+      return { success: false, message: 'You are already on this quest' };
+    }
+    
+    if (state.completed[questId]) {
+      return { success: false, message: 'You have already completed this quest' };
+    }
+    
+    if (!this.meetsPrerequisites(player, questId)) {
+      return { success: false, message: 'You do not meet the requirements for this quest' };
+    }
+    
+    if (Object.keys(state.active).length >= MAX_ACTIVE_QUESTS) {
+      return { success: false, message: `You can only have ${MAX_ACTIVE_QUESTS} active quests` };
+    }
+    
+    return { success: true, quest: this.startQuest(player, questId) };
+  }
+  
+  /**
+   * Give up an active quest (its progress is lost)
+   */
+  abandonQuest(playerId, questId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    const state = this.getQuestState(player);
+    if (!this.isQuest(questId) || !state.active[questId]) {
+      return { success: false, message: 'You are not on this quest' };
+    }
+    
+    const active = { ...state.active };
+    delete active[questId];
+    this.playerManager.updatePlayer(playerId, { quests: { ...state, active } });
+    
+    return { success: true };
+  }
+  
+  startQuest(player, questId) {
+    const state = this.getQuestState(player);
+    const entry = {
+      acceptedAt: Date.now(),
+      progress: QUESTS[questId].objectives.map(() => 0)
+    };
+    
+    this.playerManager.updatePlayer(player.id, {
+      quests: { ...state, active: { ...state.active, [questId]: entry } }
+    });
+    
+    return { ...this.getQuest(questId), acceptedAt: entry.acceptedAt };
+  }
+  
+  /**
+   * Map a GameManager action result onto quest objectives
+   */
+  recordActionResult(playerId, actionType, data = {}) {
+    if (actionType === 'gather_resources') {
+      return this.recordEvent(playerId, 'gather', { resource: data.resource, amount: data.amount });
+    }
+    
+    if (actionType === 'commit_crime') {
+      return this.recordEvent(playerId, 'crime', { success: data.crimeSuccess });
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Advance active quest objectives and complete quests whose objectives are all met
+   * @returns {Array} - Quest notifications (also sent to the notification callback)
+   */
+  recordEvent(playerId, eventType, data = {}) {
+    const player = this.playerManager.getPlayer(playerId);
+    const advance = OBJECTIVE_TYPES[eventType];
+    
+    if (!player || !advance) {
+      return [];
+    }
+    
+    const state = this.getQuestState(player);
+    const active = { ...state.active };
+    const progressed = [];
+    
+    for (const [questId, entry] of Object.entries(state.active)) {
+      if (!this.isQuest(questId)) continue;
+      const quest = QUESTS[questId];
+      
+      let changed = false;
+      const progress = quest.objectives.map((objective, i) => {
+        if (objective.type !== eventType || entry.progress[i] >= objective.count) {
+          return entry.progress[i];
+        }
+        
+        const amount = advance(objective, data);
+        if (amount > 0) changed = true;
+        return Math.min(objective.count, entry.progress[i] + amount);
+      });
+      
+      if (changed) {
+        active[questId] = { ...entry, progress };
+        progressed.push(questId);
+      }
+    }
+    
+    if (progressed.length === 0) {
+      return [];
+    }
+    
+    this.playerManager.updatePlayer(playerId, { quests: { ...state, active } });
+    
+    const notifications = [];
+    for (const questId of progressed) {
+      const { progress } = active[questId];
+      const finished = QUESTS[questId].objectives.every((objective, i) => progress[i] >= objective.count);
+      
+      if (finished) {
+        notifications.push(...this.completeQuest(playerId, questId));
+      } else {
+        notifications.push({ type: 'quest_progress', playerId, questId, progress });
+      }
+    }
+    
+    this.notify(notifications);
+    
+    return notifications;
+  }
+  
+  /**
+   * Grant a quest's rewards and start its follow-up
+   */
+  completeQuest(playerId, questId) {
+    const player = this.playerManager.getPlayer(playerId);
+    const quest = QUESTS[questId];
+    const state = this.getQuestState(player);
+    
+    const active = { ...state.active };
+    delete active[questId];
+    
+    // Timed world events such as Double XP scale the XP reward
+    const xpMultiplier = this.eventDispatcher ? this.eventDispatcher.getActiveModifiers(player).xpMultiplier : 1;
+    const rewards = { ...quest.rewards, xp: Math.round((quest.rewards.xp || 0) * xpMultiplier) };
+    const newTotal = (player.shillings * 12) + player.pennies + (rewards.currency || 0);
+    const resources = { ...(player.resources || {}) };
+    for (const [resource, amount] of Object.entries(rewards.resources || {})) {
+      resources[resource] = (resources[resource] || 0) + amount;
+    }
+    
+    const updates = {
+      quests: { ...state, active, completed: { ...state.completed, [questId]: Date.now() } },
+      questsCompleted: (player.questsCompleted || 0) + 1,
+      xp: (player.xp || 0) + (rewards.xp || 0),
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12,
+      resources
+    };
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId, delta: rewards.currency || 0, reason: 'quest_reward', source: 'QuestManager', referenceId: questId });
+    }
+    
+    const notifications = [{
+      type: 'quest_completed',
+      playerId,
+      quest: this.getQuest(questId),
+      rewards,
+      playerUpdates: updates
+    }];
+    
+    // Follow-ups wait at the quest board if the player is not ready for them yet
+    const nextId = quest.next;
+    if (nextId && this.isQuest(nextId) && this.meetsPrerequisites(player, nextId) &&
+        Object.keys(active).length < MAX_ACTIVE_QUESTS) {
+      notifications.push({ type: 'quest_started', playerId, quest: this.startQuest(player, nextId) });
+    }
+    
+    return notifications;
+  }
+  
+  notify(notifications) {
+    if (notifications.length > 0 && this.notificationCallback) {
+      this.notificationCallback(notifications);
+    }
+  }
+  
+  /**
+   * Set notification callback for quest progress and completion
+   */
+  setNotificationCallback(callback) {
+    this.notificationCallback = callback;
+  }
+}
+
+module.exports = QuestManager;
@@ -3,30 +3,58 @@
  * Handles player-to-player trading with validation and anti-exploit measures
  */
 
-const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const JsonFileAdapter = require('../database/JsonFileAdapter');
+const TransferService = require('./TransferService');
 
 class TradeManager {
-  constructor(playerManager) {
+  constructor(playerManager, options = {}) {
     this.playerManager = playerManager;
     this.activeTrades = new Map(); // tradeId -> tradeData
     this.playerTrades = new Map(); // playerId -> tradeId
-    this.tradeHistory = [];
-    this.dataDir = path.join(__dirname, '..', 'data', 'trades');
     
-    // Ensure data directory exists
-    this.ensureDataDirectory();
-    
-    // Load trade history and active trades
-    this.loadTradeHistory();
-    this.loadActiveTrades();
+    // Trades and history are stored through the DatabaseAdapter (JSON files when used standalone)
+    this.database = options.database || new JsonFileAdapter({ tradesDir: options.dataDir });
+    // Items and currency change hands through ledger-backed transfers
+    this.transferService = options.transferService || new TransferService(playerManager, { database: this.database });
   }
   
-  ensureDataDirectory() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
+  /**
+   * Load active trades from the database
+   */
+  async initialize() {
+    const trades = await this.database.getActiveTrades();
+    for (const trade of trades) {
+      // The server stopped while this trade was executing: settle it from the transfer ledger
+      if (trade.status === 'executing') {
+        await this.settleInterruptedTrade(trade);
+        continue;
+      }
+      
+      this.activeTrades.set(trade.id, trade);
+      this.playerTrades.set(trade.fromPlayerId, trade.id);
+      this.playerTrades.set(trade.toPlayerId, trade.id);
     }
+    console.log(`Loaded ${trades.length} active trades`);
+  }
+  
+  /**
+   * Complete or fail a trade that was executing when the server stopped
+   * Run after TransferService.recover() so its transfer is either committed or failed.
+   */
+  async settleInterruptedTrade(trade) {
+    const [transfer] = await this.database.getTransfers({ reference: trade.id, limit: 1 });
+    
+    if (transfer && transfer.status === 'committed') {
+      trade.status = 'completed';
+      trade.completedAt = transfer.finishedAt || Date.now();
+      trade.transferId = transfer.id;
+    } else {
+      trade.status = 'failed';
+      trade.failureReason = 'Interrupted before the exchange was recorded';
+    }
+    
+    this.persistTrade(trade);
   }
   
   /**
@@ -64,7 +92,7 @@ class TradeManager {
       toPlayerId,
       fromUsername: fromPlayer.username,
       toUsername: toPlayer.username,
-      status: 'proposed', // proposed, negotiating, confirmed, completed, cancelled, failed
+      status: 'proposed', // proposed, negotiating, confirmed, executing, completed, cancelled, failed
       fromOffer: offer,
       toOffer: { items: [], currency: 0 },
       fromConfirmed: false,
@@ -78,7 +106,7 @@ class TradeManager {
     this.playerTrades.set(fromPlayerId, tradeId);
     this.playerTrades.set(toPlayerId, tradeId);
     
-    this.saveActiveTrades();
+    this.persistTrade(trade);
     
     return { success: true, tradeId, trade };
   }
@@ -98,8 +126,8 @@ class TradeManager {
       return { success: false, message: 'You are not part of this trade' };
     }
     
-    // Can't update if trade is completed or cancelled
-    if (trade.status === 'completed' || trade.status === 'cancelled') {
+    // Can't update if trade is completed, cancelled or being executed
+    if (trade.status === 'completed' || trade.status === 'cancelled' || trade.status === 'executing') {
       return { success: false, message: 'Trade is already ' + trade.status };
     }
     
@@ -129,15 +157,15 @@ class TradeManager {
     trade.status = 'negotiating';
     trade.updatedAt = Date.now();
     
-    this.saveActiveTrades();
+    this.persistTrade(trade);
     
     return { success: true, trade };
   }
   
   /**
-   * Confirm a trade
+   * Confirm a trade (executes it once both players have confirmed)
    */
-  confirmTrade(playerId, tradeId) {
+  async confirmTrade(playerId, tradeId) {
     const trade = this.activeTrades.get(tradeId);
     
     if (!trade) {
@@ -149,8 +177,8 @@ class TradeManager {
       return { success: false, message: 'You are not part of this trade' };
     }
     
-    // Can't confirm if already completed or cancelled
-    if (trade.status === 'completed' || trade.status === 'cancelled') {
+    // Can't confirm if already completed, cancelled or being executed
+    if (trade.status === 'completed' || trade.status === 'cancelled' || trade.status === 'executing') {
       return { success: false, message: 'Trade is already ' + trade.status };
     }
     
@@ -168,7 +196,7 @@ class TradeManager {
       return this.executeTrade(tradeId);
     } else {
       trade.status = 'confirmed';
-      this.saveActiveTrades();
+      this.persistTrade(trade);
       return { success: true, trade, message: 'Waiting for other player to confirm' };
     }
   }
@@ -188,9 +216,9 @@ class TradeManager {
       return { success: false, message: 'You are not part of this trade' };
     }
     
-    // Can't cancel if already completed
-    if (trade.status === 'completed') {
-      return { success: false, message: 'Trade is already completed' };
+    // Can't cancel if already completed or being executed
+    if (trade.status === 'completed' || trade.status === 'executing') {
+      return { success: false, message: 'Trade is already ' + trade.status };
     }
     
     trade.status = 'cancelled';
@@ -198,22 +226,15 @@ class TradeManager {
     trade.cancelledBy = playerId;
     
     // Move to history
-    this.tradeHistory.push(trade);
-    this.saveTradeHistory();
-    
-    // Clean up
-    this.activeTrades.delete(tradeId);
-    this.playerTrades.delete(trade.fromPlayerId);
-    this.playerTrades.delete(trade.toPlayerId);
-    this.saveActiveTrades();
+    this.finishTrade(trade);
     
     return { success: true, message: 'Trade cancelled' };
   }
   
   /**
-   * Execute the trade (transfer items and currency)
+   * Execute the trade (transfer items and currency in one ledger transaction)
    */
-  executeTrade(tradeId) {
+  async executeTrade(tradeId) {
     const trade = this.activeTrades.get(tradeId);
     
     if (!trade) {
@@ -226,12 +247,7 @@ class TradeManager {
     if (!fromPlayer || !toPlayer) {
       trade.status = 'failed';
       trade.failureReason = 'Player not found';
-      this.tradeHistory.push(trade);
-      this.saveTradeHistory();
-      this.activeTrades.delete(tradeId);
-      this.playerTrades.delete(trade.fromPlayerId);
-      this.playerTrades.delete(trade.toPlayerId);
-      this.saveActiveTrades();
+      this.finishTrade(trade);
       return { success: false, message: 'Player not found' };
     }
     
@@ -242,64 +258,52 @@ class TradeManager {
     if (!fromValidation.valid || !toValidation.valid) {
       trade.status = 'failed';
       trade.failureReason = fromValidation.message || toValidation.message;
-      this.tradeHistory.push(trade);
-      this.saveTradeHistory();
-      this.activeTrades.delete(tradeId);
-      this.playerTrades.delete(trade.fromPlayerId);
-      this.playerTrades.delete(trade.toPlayerId);
-      this.saveActiveTrades();
+      this.finishTrade(trade);
       return { success: false, message: 'Validation failed: ' + trade.failureReason };
     }
     
-    // Execute the exchange atomically
-    try {
-      // Remove items/currency from fromPlayer
-      this.removeItems(fromPlayer, trade.fromOffer.items);
-      this.removeCurrency(fromPlayer, trade.fromOffer.currency);
-      
-      // Remove items/currency from toPlayer
-      this.removeItems(toPlayer, trade.toOffer.items);
-      this.removeCurrency(toPlayer, trade.toOffer.currency);
-      
-      // Add items/currency to fromPlayer
-      this.addItems(fromPlayer, trade.toOffer.items);
-      this.addCurrency(fromPlayer, trade.toOffer.currency);
-      
-      // Add items/currency to toPlayer
-      this.addItems(toPlayer, trade.fromOffer.items);
-      this.addCurrency(toPlayer, trade.fromOffer.currency);
-      
-      // Save player states
-      this.playerManager.updatePlayer(trade.fromPlayerId, fromPlayer);
-      this.playerManager.updatePlayer(trade.toPlayerId, toPlayer);
-      
-      // Mark trade as completed
-      trade.status = 'completed';
-      trade.completedAt = Date.now();
-      
-      // Move to history
-      this.tradeHistory.push(trade);
-      this.saveTradeHistory();
-      
-      // Clean up
-      this.activeTrades.delete(tradeId);
-      this.playerTrades.delete(trade.fromPlayerId);
-      this.playerTrades.delete(trade.toPlayerId);
-      this.saveActiveTrades();
-      
-      return { success: true, message: 'Trade completed successfully', trade };
-    } catch (error) {
-      console.error('Error executing trade:', error);
+    // Lock the trade against changes while the transfer runs
+    trade.status = 'executing';
+    this.persistTrade(trade);
+    
+    const fromOffer = trade.fromOffer || {};
+    const toOffer = trade.toOffer || {};
+    const result = await this.transferService.transfer({
+      type: 'trade',
+      source: 'TradeManager',
+      reference: trade.id,
+      changes: [
+        {
+          playerId: trade.fromPlayerId,
+          pennies: (toOffer.currency || 0) - (fromOffer.currency || 0),
+          removeItems: fromOffer.items || [],
+          addItems: toOffer.items || []
+        },
+        {
+          playerId: trade.toPlayerId,
+          pennies: (fromOffer.currency || 0) - (toOffer.currency || 0),
+          removeItems: toOffer.items || [],
+          addItems: fromOffer.items || []
+        }
+      ]
+    });
+    
+    if (!result.success) {
       trade.status = 'failed';
-      trade.failureReason = error.message;
-      this.tradeHistory.push(trade);
-      this.saveTradeHistory();
-      this.activeTrades.delete(tradeId);
-      this.playerTrades.delete(trade.fromPlayerId);
-      this.playerTrades.delete(trade.toPlayerId);
-      this.saveActiveTrades();
-      return { success: false, message: 'Trade execution failed: ' + error.message };
+      trade.failureReason = result.message;
+      this.finishTrade(trade);
+      return { success: false, message: 'Trade execution failed: ' + result.message };
     }
+    
+    // Mark trade as completed
+    trade.status = 'completed';
+    trade.completedAt = Date.now();
+    trade.transferId = result.transferId;
+    
+    // Move to history
+    this.finishTrade(trade);
+    
+    return { success: true, message: 'Trade completed successfully', trade };
   }
   
   /**
@@ -339,54 +343,6 @@ class TradeManager {
     return { valid: true };
   }
   
-  /**
-   * Helper: Remove items from player inventory
-   */
-  removeItems(player, items) {
-    if (!items || items.length === 0) return;
-    
-    for (const itemId of items) {
-      const index = player.inventory.indexOf(itemId);
-      if (index > -1) {
-        player.inventory.splice(index, 1);
-      }
-    }
-  }
-  
-  /**
-   * Helper: Add items to player inventory
-   */
-  addItems(player, items) {
-    if (!items || items.length === 0) return;
-    
-    player.inventory.push(...items);
-  }
-  
-  /**
-   * Helper: Remove currency from player
-   */
-  removeCurrency(player, amount) {
-    if (!amount || amount === 0) return;
-    
-    const totalPennies = (player.shillings * 12) + player.pennies;
-    const newTotal = totalPennies - amount;
-    
-    player.shillings = Math.floor(newTotal / 12);
-    player.pennies = newTotal % 12;
-  }
-  
-  /**
-   * Helper: Add currency to player
-   */
-  addCurrency(player, amount) {
-    if (!amount || amount === 0) return;
-    
-    const totalPennies = (player.shillings * 12) + player.pennies + amount;
-    
-    player.shillings = Math.floor(totalPennies / 12);
-    player.pennies = totalPennies % 12;
-  }
-  
   /**
    * Get trade by ID
    */
@@ -406,13 +362,10 @@ class TradeManager {
   }
   
   /**
-   * Get trade history for a player
+   * Get trade history for a player (newest first)
    */
-  getPlayerTradeHistory(playerId, limit = 20) {
-    return this.tradeHistory
-      .filter(trade => trade.fromPlayerId === playerId || trade.toPlayerId === playerId)
-      .slice(-limit)
-      .reverse();
+  async getPlayerTradeHistory(playerId, limit = 20) {
+    return this.database.getTradeHistory({ playerId, limit });
   }
   
   /**
@@ -422,76 +375,32 @@ class TradeManager {
     const now = Date.now();
     const staleTime = 30 * 60 * 1000; // 30 minutes
     
-    for (const [tradeId, trade] of this.activeTrades.entries()) {
-      if (now - trade.updatedAt > staleTime) {
+    for (const trade of this.activeTrades.values()) {
+      if (trade.status !== 'executing' && now - trade.updatedAt > staleTime) {
         trade.status = 'failed';
         trade.failureReason = 'Trade timeout';
-        this.tradeHistory.push(trade);
-        this.activeTrades.delete(tradeId);
-        this.playerTrades.delete(trade.fromPlayerId);
-        this.playerTrades.delete(trade.toPlayerId);
+        this.finishTrade(trade);
       }
     }
-    
-    this.saveActiveTrades();
-    this.saveTradeHistory();
   }
   
   /**
    * Persistence methods
    */
-  saveActiveTrades() {
-    try {
-      const data = Array.from(this.activeTrades.values());
-      fs.writeFileSync(
-        path.join(this.dataDir, 'active-trades.json'),
-        JSON.stringify(data, null, 2)
-      );
-    } catch (error) {
-      console.error('Error saving active trades:', error);
-    }
-  }
-  
-  loadActiveTrades() {
-    try {
-      const filePath = path.join(this.dataDir, 'active-trades.json');
-      if (fs.existsSync(filePath)) {
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        for (const trade of data) {
-          this.activeTrades.set(trade.id, trade);
-          this.playerTrades.set(trade.fromPlayerId, trade.id);
-          this.playerTrades.set(trade.toPlayerId, trade.id);
-        }
-        console.log(`Loaded ${data.length} active trades`);
-      }
-    } catch (error) {
-      console.error('Error loading active trades:', error);
-    }
+  persistTrade(trade) {
+    this.database.saveTrade(trade).catch(error => {
+      console.error('Error saving trade:', error);
+    });
   }
   
-  saveTradeHistory() {
-    try {
-      // Keep only last 1000 trades in history
-      const historyToSave = this.tradeHistory.slice(-1000);
-      fs.writeFileSync(
-        path.join(this.dataDir, 'trade-history.json'),
-        JSON.stringify(historyToSave, null, 2)
-      );
-    } catch (error) {
-      console.error('Error saving trade history:', error);
-    }
-  }
-  
-  loadTradeHistory() {
-    try {
-      const filePath = path.join(this.dataDir, 'trade-history.json');
-      if (fs.existsSync(filePath)) {
-        this.tradeHistory = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        console.log(`Loaded ${this.tradeHistory.length} trade history entries`);
-      }
-    } catch (error) {
-      console.error('Error loading trade history:', error);
-    }
+  /**
+   * Store a closed trade in history and release both players
+   */
+  finishTrade(trade) {
+    this.activeTrades.delete(trade.id);
+    this.playerTrades.delete(trade.fromPlayerId);
+    this.playerTrades.delete(trade.toPlayerId);
+    this.persistTrade(trade);
   }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * Transfer Service
+ * Moves items and pennies between players as ledger-backed transactions
+ *
+ * The transfer ledger is a write-ahead journal: every transfer is written to it as 'pending'
+ * before any player changes, then marked 'committed' once all affected players are saved.
+ * Player records live in PlayerManager's own files, outside any database transaction, so a
+ * crash can leave some players changed and others not. Transfers still pending on startup
+ * are checked again and replayed (or marked 'failed') by recover(). Players remember the ids
+ * of transfers applied to them, so a replay never applies a change twice.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const JsonFileAdapter = require('../database/JsonFileAdapter');
+
+const PENNIES_PER_SHILLING = 12;
+// Transfer ids kept on each player for replay de-duplication
+const APPLIED_TRANSFER_LIMIT = 50;
+
+class TransferService {
+  constructor(playerManager, options = {}) {
+    this.playerManager = playerManager;
+    this.database = options.database || new JsonFileAdapter({ dataDir: options.dataDir });
+    this.economyLedger = options.economyLedger || null;
+    
+    // Transfers run one at a time so validation and application see the same balances
+    this.queue = Promise.resolve();
+  }
+  
+  /**
+   * Run a transfer
+   * @param {Object} transfer - { type, source, reference, details, changes: [{ playerId, pennies, addItems, removeItems }] }
+   *   pennies is a signed amount; addItems/removeItems are item id lists; details is stored as-is;
+   *   source names the calling module for the economy ledger
+   * @returns {Promise<Object>} - { success, transferId, message }
+   */
+  transfer(transfer) {
+    const run = this.queue.then(() => this.execute(transfer));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+  
+  async execute({ type, source = null, reference = null, details = null, changes = [] }) {
+    const normalized = this.normalizeChanges(changes);
+    if (normalized.length === 0) {
+      return { success: false, message: 'Transfer has no changes' };
+    }
+    
+    const validation = this.validateChanges(normalized);
+    if (!validation.valid) {
+      return { success: false, message: validation.message };
+    }
+    
+    const transfer = {
+      id: uuidv4(),
+      type,
+      source,
+      reference,
+      details,
+      changes: normalized,
+      createdAt: Date.now()
+    };
+    
+    if (!await this.database.beginTransfer(transfer)) {
+      return { success: false, message: 'Transfer could not be recorded' };
+    }
+    
+    // Players may have been changed elsewhere while the ledger was written
+    const applied = this.applyTransfer(transfer);
+    if (!applied.valid) {
+      await this.database.finishTransfer(transfer.id, 'failed', applied.message);
+      return { success: false, message: applied.message };
+    }
+    
+    await this.database.finishTransfer(transfer.id, 'committed');
+    
+    return { success: true, transferId: transfer.id };
+  }
+  
+  /**
+   * Replay transfers that were recorded but never committed
+   * @returns {Promise<Object>} - { replayed, failed }
+   */
+  async recover() {
+    const pending = await this.database.getPendingTransfers();
+    let replayed = 0;
+    let failed = 0;
+    
+    for (const transfer of pending) {
+      const missing = transfer.changes.find(change => !this.playerManager.getPlayer(change.playerId));
+      if (missing) {
+        await this.database.finishTransfer(transfer.id, 'failed', `Player ${missing.playerId} not found during replay`);
+        failed++;
+        continue;
+      }
+      
+      // A transfer that no longer validates (the payer spent the pennies, the item is gone) fails
+      const applied = this.applyTransfer(transfer);
+      if (!applied.valid) {
+        const partial = transfer.changes.filter(change => this.hasApplied(change.playerId, transfer.id));
+        if (partial.length > 0) {
+          console.error(`❌ Transfer ${transfer.id} was half applied (to ${partial.map(change => change.playerId).join(', ')}) and cannot be finished: ${applied.message}`);
+        }
+        await this.database.finishTransfer(transfer.id, 'failed', `Replay failed: ${applied.message}`);
+        failed++;
+        continue;
+      }
+      
+      await this.database.finishTransfer(transfer.id, 'committed');
+      replayed++;
+    }
+    
+    if (pending.length > 0) {
+      console.log(`🔁 Replayed ${replayed} pending transfer(s), ${failed} failed`);
+    }
+    
+    return { replayed, failed };
+  }
+  
+  /**
+   * Merge changes per player and drop empty ones
+   */
+  normalizeChanges(changes) {
+    const byPlayer = new Map();
+    
+    for (const change of changes) {
+      if (!change || !change.playerId) continue;
+      
+      const merged = byPlayer.get(change.playerId) || { playerId: change.playerId, pennies: 0, addItems: [], removeItems: [] };
+      merged.pennies += Math.trunc(change.pennies || 0);
+      merged.addItems.push(...(change.addItems || []));
+      merged.removeItems.push(...(change.removeItems || []));
+      byPlayer.set(change.playerId, merged);
+    }
+    
+    return Array.from(byPlayer.values())
+      .filter(change => change.pennies !== 0 || change.addItems.length > 0 || change.removeItems.length > 0);
+  }
+  
+  /**
+   * Check that every player exists, can pay and owns the items being removed
+   */
+  validateChanges(changes) {
+    for (const change of changes) {
+      const player = this.playerManager.getPlayer(change.playerId);
+      if (!player) {
+        return { valid: false, message: 'Player not found' };
+      }
+      
+      if (this.getTotalPennies(player) + change.pennies < 0) {
+        return { valid: false, message: 'Insufficient currency' };
+      }
+      
+      const inventory = [...(player.inventory || [])];
+      for (const itemId of change.removeItems) {
+        const index = inventory.indexOf(itemId);
+        if (index === -1) {
+          return { valid: false, message: `Item ${itemId} not in inventory` };
+        }
+        inventory.splice(index, 1);
+      }
+    }
+    
+    return { valid: true };
+  }
+  
+  /**
+   * Apply a transfer to every player it touches (skipping players that already have it)
+   * Nothing is applied unless every remaining change still validates.
+   * @returns {Object} - { valid, message }
+   */
+  applyTransfer(transfer) {
+    const remaining = transfer.changes.filter(change => !this.hasApplied(change.playerId, transfer.id));
+    const validation = this.validateChanges(remaining);
+    if (!validation.valid) {
+      return validation;
+    }
+    
+    for (const change of remaining) {
+      const player = this.playerManager.getPlayer(change.playerId);
+      const applied = player.appliedTransfers || [];
+      
+      const inventory = [...(player.inventory || [])];
+      for (const itemId of change.removeItems) {
+        const index = inventory.indexOf(itemId);
+        if (index > -1) {
+          inventory.splice(index, 1);
+        }
+      }
+      inventory.push(...change.addItems);
+      
+      const total = this.getTotalPennies(player) + change.pennies;
+      this.playerManager.updatePlayer(change.playerId, {
+        inventory,
+        shillings: Math.floor(total / PENNIES_PER_SHILLING),
+        pennies: total % PENNIES_PER_SHILLING,
+        appliedTransfers: [...applied, transfer.id].slice(-APPLIED_TRANSFER_LIMIT)
+      });
+      
+      if (this.economyLedger) {
+        this.economyLedger.record({
+          playerId: change.playerId,
+          delta: change.pennies,
+          flow: 'transfer',
+          reason: transfer.type,
+          source: transfer.source || 'TransferService',
+          referenceId: transfer.reference || transfer.id
+        });
+      }
+    }
+    
+    return { valid: true };
+  }
+  
+  hasApplied(playerId, transferId) {
+    const player = this.playerManager.getPlayer(playerId);
+    return !!player && (player.appliedTransfers || []).includes(transferId);
+  }
+  
+  getTotalPennies(player) {
+    return ((player.shillings || 0) * PENNIES_PER_SHILLING) + (player.pennies || 0);
+  }
+  
+  /**
+   * Get recent transfers that changed a player (newest first)
+   */
+  async getPlayerTransfers(playerId, limit = 20) {
+    return this.database.getTransfers({ playerId, limit });
+  }
+}
+
+module.exports = TransferService;
@@ -0,0 +1,439 @@
+/**
+ * Travel Manager
+ * Handles server-validated timed travel between locations with en-route encounters
+ */
+
+// Travel methods (server-side to prevent cheating)
+const TRAVEL_METHODS = {
+  'walking': {
+    name: 'Walking',
+    speedMultiplier: 1.0,
+    energyMultiplier: 1.0,
+    cost: 0,
+    requiredLevel: 1
+  },
+  'mount': {
+    name: 'Mount',
+    speedMultiplier: 0.5, // half the travel time
+    energyMultiplier: 0.75,
+    cost: 50, // pennies
+    requiredLevel: 5
+  },
+  'portal': {
+    name: 'Magic Portal',
+    speedMultiplier: 0, // instant
+    energyMultiplier: 0,
+    cost: 200,
+    requiredLevel: 10
+  }
+};
+
+// Encounter types and their relative weights
+const ENCOUNTERS = [
+  { type: 'monster', weight: 30 },
+  { type: 'treasure', weight: 20 },
+  { type: 'weather', weight: 25 },
+  { type: 'npc', weight: 25 }
+];
+
+const MONSTERS = ['Goblin', 'Wild Wolf', 'Rogue Wizard', 'Dark Spirit'];
+const NPCS = ['traveling merchant', 'wandering bard', 'fellow wizard', 'mysterious stranger'];
+const WEATHER = [
+  { text: 'Heavy rain slows your travel.', timeChange: 5000 },
+  { text: 'Clear weather speeds up your journey.', timeChange: -3000 },
+  { text: 'Thick fog makes navigation difficult.', timeChange: 3000 }
+];
+
+const BASE_TRAVEL_TIME = 10 * 1000; // per distance unit
+const ENERGY_PER_DISTANCE = 2;
+const ENCOUNTER_INTERVAL = 10 * 1000; // one encounter roll per 10 seconds of travel
+const ENCOUNTER_CHANCE = 0.3;
+const MAX_ENCOUNTERS = 3;
+
+class TravelManager {
+  constructor(playerManager, locationManager, options = {}) {
+    this.playerManager = playerManager;
+    this.locationManager = locationManager;
+    this.travelingPlayers = new Set(); // playerIds with a journey in progress
+    this.economyLedger = options.economyLedger || null;
+    
+    // Rebuild the arrival index from loaded players (journeys live on the player record)
+    for (const player of this.playerManager.getAllPlayers()) {
+      if (player.travel) {
+        this.travelingPlayers.add(player.id);
+      }
+    }
+    
+    // Start travel monitoring
+    if (options.autoStart !== false) {
+      this.startTravelMonitoring();
+    }
+  }
+  
+  /**
+   * Get all travel method definitions
+   */
+  getTravelMethods() {
+    return Object.entries(TRAVEL_METHODS).map(([id, method]) => ({ id, ...method }));
+  }
+  
+  /**
+   * Work out distance, duration and costs for a journey
+   */
+  getTravelQuote(player, destination, method = 'walking') {
+    const methodData = TRAVEL_METHODS[method];
+    const distance = this.locationManager.getDistance(player.location, destination);
+    
+    if (!methodData || !distance) {
+      return null;
+    }
+    
+    // Dexterity shortens the journey slightly (0.5% per point, at most 50%)
+    const dexterity = (player.stats && player.stats.dexterity) || 0;
+    const dexBonus = Math.max(0.5, 1 - dexterity * 0.005);
+    const travelTime = methodData.speedMultiplier === 0
+      ? 0
+      : Math.max(1000, Math.round(distance * BASE_TRAVEL_TIME * methodData.speedMultiplier * dexBonus));
+    
+    return {
+      distance,
+      travelTime,
+      energyCost: Math.round(distance * ENERGY_PER_DISTANCE * methodData.energyMultiplier),
+      cost: methodData.cost
+    };
+  }
+  
+  /**
+   * Start a journey (costs are paid up front)
+   */
+  startTravel(playerId, destination, method = 'walking', rng = Math.random) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (this.isTraveling(player)) {
+      return { success: false, message: 'You are already traveling' };
+    }
+    
+    if (!this.locationManager.isValidLocation(destination)) {
+      return { success: false, message: 'Invalid location' };
+    }
+    
+    if (player.location === destination) {
+      return { success: false, message: 'You are already at this location' };
+    }
+    
+    const entry = this.locationManager.canEnter(player, destination);
+    if (!entry.allowed) {
+      return { success: false, message: entry.message };
+    }
+    
+    const methodData = TRAVEL_METHODS[method];
+    if (!methodData) {
+      return { success: false, message: 'Invalid travel method' };
+    }
+    
+    if ((player.level || 1) < methodData.requiredLevel) {
+      return { success: false, message: `You need to be level ${methodData.requiredLevel} to travel by ${methodData.name}` };
+    }
+    
+    const quote = this.getTravelQuote(player, destination, method);
+    if (!quote) {
+      return { success: false, message: 'No route to that location' };
+    }
+    
+    // Check energy and currency
+    if (player.energy < quote.energyCost) {
+      return { success: false, message: 'Not enough energy to travel' };
+    }
+    
+    const totalPennies = (player.shillings * 12) + player.pennies;
+    if (totalPennies < quote.cost) {
+      return { success: false, message: `Not enough currency to travel by ${methodData.name}` };
+    }
+    
+    const newTotal = totalPennies - quote.cost;
+    const now = Date.now();
+    const travel = {
+      from: player.location,
+      destination,
+      method,
+      startedAt: now,
+      arrivesAt: now + quote.travelTime,
+      cost: quote.cost,
+      encounters: this.rollEncounters(now, quote.travelTime, rng)
+    };
+    
+    const updates = {
+      energy: player.energy - quote.energyCost,
+      shillings: Math.floor(newTotal / 12),
+      pennies: newTotal % 12,
+      travel
+    };
+    this.playerManager.updatePlayer(playerId, updates);
+    this.travelingPlayers.add(playerId);
+    
+    if (this.economyLedger) {
+      this.economyLedger.record({ playerId, delta: -quote.cost, reason: `travel:${method}`, source: 'TravelManager', referenceId: destination });
+    }
+    
+    // Portals arrive straight away
+    if (quote.travelTime === 0) {
+      const arrival = this.completeTravel(playerId);
+      return { success: true, travel, quote, arrival, playerUpdates: { ...updates, ...arrival.playerUpdates } };
+    }
+    
+    return { success: true, travel, quote, playerUpdates: updates };
+  }
+  
+  /**
+   * Schedule encounters along the journey (resolved when the traveler reaches them)
+   */
+  rollEncounters(startedAt, travelTime, rng = Math.random) {
+    const encounters = [];
+    const segments = Math.floor(travelTime / ENCOUNTER_INTERVAL);
+    
+    for (let i = 0; i < segments && encounters.length < MAX_ENCOUNTERS; i++) {
+      if (rng() < ENCOUNTER_CHANCE) {
+        encounters.push({
+          at: startedAt + Math.round((i + 0.5) * ENCOUNTER_INTERVAL),
+          type: this.pickEncounterType(rng),
+          resolved: false
+        });
+      }
+    }
+    
+    return encounters;
+  }
+  
+  pickEncounterType(rng = Math.random) {
+    const totalWeight = ENCOUNTERS.reduce((sum, e) => sum + e.weight, 0);
+    let roll = rng() * totalWeight;
+    
+    for (const encounter of ENCOUNTERS) {
+      roll -= encounter.weight;
+      if (roll <= 0) {
+        return encounter.type;
+      }
+    }
+    
+    return ENCOUNTERS[ENCOUNTERS.length - 1].type;
+  }
+  
+  /**
+   * Resolve an encounter and work out its rewards or penalties
+   */
+  resolveEncounter(player, type, rng = Math.random) {
+    switch (type) {
+      case 'monster': {
+        const monster = MONSTERS[Math.floor(rng() * MONSTERS.length)];
+        const damage = Math.floor(rng() * 10) + 5;
+        const xpGained = 15;
+        return {
+          type,
+          message: `A wild ${monster} appeared! You fought it off.`,
+          damage,
+          xpGained,
+          // Encounters wound but never kill
+          playerUpdates: {
+            health: Math.max(1, player.health - damage),
+            xp: player.xp + xpGained
+          }
+        };
+      }
+      case 'treasure': {
+        const found = Math.floor(rng() * 50) + 10;
+        const newTotal = (player.shillings * 12) + player.pennies + found;
+        return {
+          type,
+          message: `You found ${Math.floor(found / 12)} shillings and ${found % 12} pennies on the road!`,
+          found,
+          playerUpdates: {
+            shillings: Math.floor(newTotal / 12),
+            pennies: newTotal % 12
+          }
+        };
+      }
+      case 'weather': {
+        const weather = WEATHER[Math.floor(rng() * WEATHER.length)];
+        return {
+          type,
+          message: weather.text,
+          timeChange: weather.timeChange,
+          playerUpdates: {}
+        };
+      }
+      default: {
+        const npc = NPCS[Math.floor(rng() * NPCS.length)];
+        return {
+          type: 'npc',
+          message: `You met a ${npc} on the road and had a brief chat.`,
+          playerUpdates: {}
+        };
+      }
+    }
+  }
+  
+  /**
+   * Finish a journey and put the player at the destination
+   */
+  completeTravel(playerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    this.travelingPlayers.delete(playerId);
+    
+    if (!player || !player.travel) {
+      return { success: false, message: 'Not traveling' };
+    }
+    
+    const { from, cost = 0 } = player.travel;
+    let destination = player.travel.destination;
+    let message = null;
+    
+    // Online travelers take their place in the same step as the capacity check, so two arriving
+    // together can't both claim the last one. Offline travelers are placed when they log in.
+    const current = this.locationManager.getPlayerLocation(playerId);
+    const arrived = current
+      ? this.locationManager.movePlayer(playerId, current, destination)
+      : this.locationManager.hasRoom(destination, playerId);
+    
+    const updates = {};
+    
+    // The destination filled up on the way; travelers are turned back and get their fare back
+    if (!arrived) {
+      message = `${this.locationManager.getLocation(destination).name} was full, so you returned`;
+      if (cost > 0) {
+        const totalPennies = (player.shillings * 12) + player.pennies + cost;
+        updates.shillings = Math.floor(totalPennies / 12);
+        updates.pennies = totalPennies % 12;
+        if (this.economyLedger) {
+          this.economyLedger.record({ playerId, delta: cost, reason: `travel:${player.travel.method}:refund`, source: 'TravelManager', referenceId: destination });
+        }
+      }
+      destination = from;
+    }
+    
+    updates.location = destination;
+    updates.travel = null;
+    this.playerManager.updatePlayer(playerId, updates);
+    
+    return { success: true, from, destination, message, playerUpdates: updates };
+  }
+  
+  /**
+   * Abandon a journey; the player stays where they started and costs are not refunded
+   */
+  cancelTravel(playerId) {
+    const player = this.playerManager.getPlayer(playerId);
+    
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    
+    if (!this.isTraveling(player)) {
+      return { success: false, message: 'You are not traveling' };
+    }
+    
+    const updates = { travel: null };
+    this.playerManager.updatePlayer(playerId, updates);
+    this.travelingPlayers.delete(playerId);
+    
+    return { success: true, playerUpdates: updates };
+  }
+  
+  /**
+   * Check if a player has a journey in progress
+   */
+  isTraveling(player) {
+    return !!(player && player.travel);
+  }
+  
+  /**
+   * Resolve due encounters and complete finished journeys
+   * @returns {Array} - Encounter and arrival notifications
+   */
+  processTravel(now = Date.now(), rng = Math.random) {
+    const notifications = [];
+    
+    for (const playerId of Array.from(this.travelingPlayers)) {
+      const player = this.playerManager.getPlayer(playerId);
+      if (!player || !player.travel) {
+        this.travelingPlayers.delete(playerId);
+        continue;
+      }
+      
+      const travel = player.travel;
+      for (const encounter of travel.encounters) {
+        if (encounter.resolved || encounter.at > now || encounter.at >= travel.arrivesAt) {
+          continue;
+        }
+        
+        const result = this.resolveEncounter(player, encounter.type, rng);
+        encounter.resolved = true;
+        if (result.timeChange) {
+          travel.arrivesAt = Math.max(now, travel.arrivesAt + result.timeChange);
+        }
+        
+        this.playerManager.updatePlayer(playerId, { ...result.playerUpdates, travel });
+        if (result.found && this.economyLedger) {
+          this.economyLedger.record({ playerId, delta: result.found, reason: 'travel_treasure', source: 'TravelManager' });
+        }
+        notifications.push({
+          type: 'travel_encounter',
+          playerId,
+          encounter: result,
+          arrivesAt: travel.arrivesAt,
+          playerUpdates: result.playerUpdates
+        });
+      }
+      
+      if (travel.arrivesAt <= now) {
+        const arrival = this.completeTravel(playerId);
+        notifications.push({
+          type: 'travel_arrived',
+          playerId,
+          from: arrival.from,
+          destination: arrival.destination,
+          message: arrival.message,
+          playerUpdates: arrival.playerUpdates
+        });
+      }
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Monitor journeys for encounters and arrivals
+   */
+  startTravelMonitoring() {
+    // Check every second; journeys are short
+    this.monitoringInterval = setInterval(() => {
+      const notifications = this.processTravel();
+      
+      // Return notifications for the server to deliver
+      if (notifications.length > 0 && this.notificationCallback) {
+        this.notificationCallback(notifications);
+      }
+    }, 1000);
+  }
+  
+  /**
+   * Set notification callback for travel events
+   */
+  setNotificationCallback(callback) {
+    this.notificationCallback = callback;
+  }
+  
+  /**
+   * Stop monitoring (cleanup)
+   */
+  stopTravelMonitoring() {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+    }
+  }
+}
+
+module.exports = TravelManager;
@@ -16,6 +16,19 @@ const LocationManager = require('./game/LocationManager');
 const EventDispatcher = require('./game/EventDispatcher');
 const TradeManager = require('./game/TradeManager');
 const AuctionManager = require('./game/AuctionManager');
+const TransferService = require('./game/TransferService');
+const EconomyLedger = require('./game/EconomyLedger');
+const GuildManager = require('./game/GuildManager');
+const CraftingManager = require('./game/CraftingManager');
+const ConsumableManager = require('./game/ConsumableManager');
+const JailManager = require('./game/JailManager');
+const TravelManager = require('./game/TravelManager');
+const AchievementManager = require('./game/AchievementManager');
+const FriendManager = require('./game/FriendManager');
+const EventSubscriptionManager = require('./game/EventSubscriptionManager');
+const ChatManager = require('./game/ChatManager');
+const QuestManager = require('./game/QuestManager');
+const { createDatabaseAdapter } = require('./database');
 const RateLimiter = require('./utils/RateLimiter');
 const InputValidator = require('./utils/InputValidator');
 const CsrfProtection = require('./utils/CsrfProtection');
@@ -36,14 +49,62 @@ class HighWizardryServer {
       metricsInterval: parseInt(process.env.METRICS_INTERVAL || '60000')
     });
     
+    // Shared store for trades, auctions and the event log (DATABASE_TYPE=json|sqlite|postgres)
+    this.database = createDatabaseAdapter();
+    // Every currency change is recorded here for the economy audit endpoints
+    this.economyLedger = new EconomyLedger({ database: this.database });
+    const economy = { economyLedger: this.economyLedger };
+    
     // Initialize managers
     this.authManager = new AuthManager();
     this.playerManager = new PlayerManager();
     this.locationManager = new LocationManager();
-    this.eventDispatcher = new EventDispatcher(this.playerManager, this.locationManager);
-    this.tradeManager = new TradeManager(this.playerManager);
-    this.auctionManager = new AuctionManager(this.playerManager);
-    this.gameManager = new GameManager(this.playerManager, this.locationManager, this.eventDispatcher);
+    this.eventDispatcher = new EventDispatcher(this.playerManager, this.locationManager, {
+      database: this.database,
+      ...economy
+    });
+    // Item and currency moves between players go through the transfer ledger
+    this.transferService = new TransferService(this.playerManager, { database: this.database, ...economy });
+    this.tradeManager = new TradeManager(this.playerManager, {
+      database: this.database,
+      transferService: this.transferService
+    });
+    this.guildManager = new GuildManager(this.playerManager, economy);
+    // Which event channels (type, location, guild) each player follows
+    this.eventSubscriptions = new EventSubscriptionManager(this.playerManager, {
+      guildManager: this.guildManager,
+      locationManager: this.locationManager
+    });
+    this.auctionManager = new AuctionManager(this.playerManager, {
+      guildManager: this.guildManager,
+      database: this.database,
+      transferService: this.transferService
+    });
+    // Timed world events (e.g. Double XP) scale crafting and quest XP
+    const worldEvents = { eventDispatcher: this.eventDispatcher };
+    this.craftingManager = new CraftingManager(this.playerManager, { ...economy, ...worldEvents });
+    this.consumableManager = new ConsumableManager(this.playerManager);
+    this.jailManager = new JailManager(this.playerManager, economy);
+    this.travelManager = new TravelManager(this.playerManager, this.locationManager, economy);
+    this.achievementManager = new AchievementManager(this.playerManager, economy);
+    this.friendManager = new FriendManager(this.playerManager);
+    // Chat channels: trade, guild, whispers and private rooms alongside global and local
+    this.chatManager = new ChatManager(this.playerManager, {
+      guildManager: this.guildManager,
+      friendManager: this.friendManager,
+      jailManager: this.jailManager
+    });
+    this.questManager = new QuestManager(this.playerManager, { ...economy, ...worldEvents });
+    this.gameManager = new GameManager(this.playerManager, this.locationManager, this.eventDispatcher, {
+      craftingManager: this.craftingManager,
+      consumableManager: this.consumableManager,
+      jailManager: this.jailManager,
+      travelManager: this.travelManager,
+      ...economy
+    });
+    
+    // Authenticated and pending client sessions (the wrapper objects, not raw sockets)
+    this.clients = new Set();
     
     // Initialize rate limiters
     this.authLimiter = new RateLimiter(5, 60000); // 5 auth attempts per minute
@@ -64,6 +125,7 @@ class HighWizardryServer {
       this.authLimiter.cleanup();
       this.actionLimiter.cleanup();
       this.chatLimiter.cleanup();
+      this.chatManager.cleanup();
     }, 5 * 60 * 1000);
     
     // Clean up stale trades every 5 minutes
@@ -76,10 +138,17 @@ class HighWizardryServer {
       notifications.forEach(notification => {
         if (notification.type === 'auction_closed' && notification.auction) {
           const auction = notification.auction;
+          if (auction.winnerId) {
+            this.achievementManager.recordEvent(auction.sellerId, 'auction_sold');
+            this.achievementManager.recordEvent(auction.winnerId, 'auction_won');
+            this.questManager.recordEvent(auction.sellerId, 'sell_auction');
+            this.questManager.recordEvent(auction.winnerId, 'win_auction');
+          }
+          
           // Notify seller
           const sellerClient = this.getClientByPlayerId(auction.sellerId);
           if (sellerClient) {
-            this.send(sellerClient.ws, {
+            this.sendToPlayer(auction.sellerId, {
               type: 'auction_closed',
               auction,
               role: 'seller'
@@ -89,7 +158,7 @@ class HighWizardryServer {
           if (auction.winnerId) {
             const winnerClient = this.getClientByPlayerId(auction.winnerId);
             if (winnerClient) {
-              this.send(winnerClient.ws, {
+              this.sendToPlayer(auction.winnerId, {
                 type: 'auction_closed',
                 auction,
                 role: 'winner'
@@ -100,21 +169,161 @@ class HighWizardryServer {
       });
     });
     
+    // Set up crafting notification callback (jobs also finish while players are offline)
+    this.craftingManager.setNotificationCallback((notifications) => {
+      notifications.forEach(notification => {
+        const client = this.getClientByPlayerId(notification.playerId);
+        if (client) {
+          this.sendToPlayer(notification.playerId, {
+            type: 'crafting_complete',
+            job: notification.job,
+            xpGained: notification.xpGained
+          });
+          this.sendToPlayer(notification.playerId, {
+            type: 'player_updated',
+            updates: notification.playerUpdates
+          });
+        }
+        
+        this.achievementManager.recordEvent(notification.playerId, 'item_crafted', { recipeId: notification.job.recipeId });
+        this.questManager.recordEvent(notification.playerId, 'craft', { item: notification.job.recipeId });
+        this.achievementManager.checkLevelUp(notification.playerId);
+      });
+    });
+    
+    // Set up consumable effect expiry callback
+    this.consumableManager.setNotificationCallback((notifications) => {
+      notifications.forEach(notification => {
+        const client = this.getClientByPlayerId(notification.playerId);
+        if (client) {
+          this.sendToPlayer(notification.playerId, {
+            type: 'effect_expired',
+            effect: notification.effect
+          });
+        }
+      });
+    });
+    
+    // Set up jail release callback (sentences also end while players are offline)
+    this.jailManager.setNotificationCallback((notifications) => {
+      notifications.forEach(notification => {
+        const client = this.getClientByPlayerId(notification.playerId);
+        if (client) {
+          this.locationManager.movePlayer(notification.playerId, 'jail', notification.playerUpdates.location);
+          this.sendToPlayer(notification.playerId, {
+            type: 'jail_released',
+            reason: 'sentence_served'
+          });
+          this.sendToPlayer(notification.playerId, {
+            type: 'player_updated',
+            updates: notification.playerUpdates
+          });
+        }
+      });
+    });
+    
+    // Set up travel callback for encounters and arrivals
+    this.travelManager.setNotificationCallback((notifications) => {
+      notifications.forEach(notification => {
+        const client = this.getClientByPlayerId(notification.playerId);
+        if (!client) return;
+        
+        if (notification.type === 'travel_encounter') {
+          this.sendToPlayer(notification.playerId, {
+            type: 'travel_encounter',
+            encounter: notification.encounter,
+            arrivesAt: notification.arrivesAt
+          });
+        } else if (notification.type === 'travel_arrived') {
+          this.sendToPlayer(notification.playerId, {
+            type: 'travel_arrived',
+            from: notification.from,
+            destination: notification.destination,
+            message: notification.message
+          });
+          this.completeLocationChange(client, notification.from, notification.destination);
+        }
+        
+        this.sendToPlayer(notification.playerId, {
+          type: 'player_updated',
+          updates: notification.playerUpdates
+        });
+        
+        // Encounters can grant XP
+        if (notification.type === 'travel_encounter') {
+          this.achievementManager.checkLevelUp(notification.playerId);
+        }
+      });
+    });
+    
+    // Set up achievement callback (also delivers level-ups)
+    this.achievementManager.setNotificationCallback((notifications) => {
+      notifications.forEach(notification => {
+        const client = this.getClientByPlayerId(notification.playerId);
+        if (!client) return;
+        
+        if (notification.type === 'achievement_earned') {
+          this.sendToPlayer(notification.playerId, {
+            type: 'achievement_earned',
+            achievement: notification.achievement
+          });
+        } else if (notification.type === 'level_up') {
+          this.sendToPlayer(notification.playerId, {
+            type: 'level_up',
+            level: notification.level
+          });
+        }
+        
+        this.sendToPlayer(notification.playerId, {
+          type: 'player_updated',
+          updates: notification.playerUpdates
+        });
+      });
+    });
+    
+    // Set up quest callback for progress, completions and follow-ups
+    this.questManager.setNotificationCallback((notifications) => {
+      notifications.forEach(notification => {
+        const client = this.getClientByPlayerId(notification.playerId);
+        if (client) {
+          const { playerId, playerUpdates, ...message } = notification;
+          this.sendToPlayer(notification.playerId, message);
+          
+          if (playerUpdates) {
+            this.sendToPlayer(notification.playerId, {
+              type: 'player_updated',
+              updates: playerUpdates
+            });
+          }
+        }
+        
+        // Quest rewards can grant XP
+        if (notification.type === 'quest_completed') {
+          this.achievementManager.checkLevelUp(notification.playerId);
+        }
+      });
+    });
+    
+    // Close live connections whose session was revoked or evicted by the session limit
+    this.authManager.setSessionRevokedCallback((session, reason) => {
+      this.disconnectSession(session.id, reason);
+    });
+    
     // Set up event dispatcher handlers
     this.eventDispatcher.setHandlers(
       // Broadcast to all
       (data) => this.broadcast(data),
       // Broadcast to location
       (locationId, data) => this.broadcastToLocation(locationId, data),
-      // Send to specific player
-      (playerId, data) => {
-        const client = this.getClientByPlayerId(playerId);
-        if (client) {
-          this.send(client.ws, data);
-        }
-      }
+      // Send to specific player (every open session)
+      (playerId, data) => this.sendToPlayer(playerId, data)
     );
     
+    // Players affected by world events count towards event achievements
+    this.eventDispatcher.setParticipantsHandler((event, playerIds) => {
+      playerIds.forEach(playerId => this.achievementManager.recordEvent(playerId, 'event_participated', { event: event.name }));
+    });
+    
     // Initialize demo events
     this.eventDispatcher.initializeDemoEvents();
     
@@ -193,6 +402,15 @@ class HighWizardryServer {
       legacyHeaders: false, // Disable the `X-RateLimit-*` headers
     });
 
+    // Route-specific rate limiter for the public player search
+    const playerSearchLimiter = rateLimit({
+      windowMs: 1 * 60 * 1000, // 1 minute
+      max: 20, // Limit each IP to 20 searches per minute
+      message: 'Too many searches. Please try again later.',
+      standardHeaders: true,
+      legacyHeaders: false,
+    });
+    
     // Route-specific rate limiter for verify-email endpoint
     const verifyEmailLimiter = rateLimit({
       windowMs: 1 * 60 * 1000, // 1 minute
@@ -255,25 +473,68 @@ class HighWizardryServer {
       res.json(result);
     });
     
+    // Session management: list and revoke your own sessions (Authorization: Bearer <token>)
+    this.app.get('/api/sessions', (req, res) => {
+      const auth = this.authenticateRequest(req);
+      if (!auth) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+      }
+      
+      const sessions = this.authManager.getSessions(auth.playerId).map(session => ({
+        ...session,
+        current: session.id === auth.sessionId
+      }));
+      res.json({ success: true, sessionLimit: this.authManager.sessionLimit, sessions });
+    });
+    
+    this.app.delete('/api/sessions/:sessionId', (req, res) => {
+      const auth = this.authenticateRequest(req);
+      if (!auth) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+      }
+      
+      const result = this.authManager.revokeSession(auth.playerId, req.params.sessionId);
+      res.status(result.success ? 200 : 404).json(result);
+    });
+    
+    this.app.post('/api/sessions/revoke-others', (req, res) => {
+      const auth = this.authenticateRequest(req);
+      if (!auth) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+      }
+      
+      const result = this.authManager.revokeOtherSessions(auth.playerId, auth.sessionId);
+      res.json(result);
+    });
+    
     // Event management endpoints (admin)
     this.app.get('/api/events/periodic', (req, res) => {
       const events = this.eventDispatcher.getPeriodicEvents();
       res.json({ success: true, events });
     });
     
-    this.app.get('/api/events/history', (req, res) => {
-      const limit = parseInt(req.query.limit) || 20;
-      const history = this.eventDispatcher.getEventHistory(limit);
-      res.json({ success: true, history });
+    // Timed world events in progress, with the modifiers they apply
+    this.app.get('/api/events/active', (req, res) => {
+      res.json({ success: true, events: this.eventDispatcher.getActiveEvents() });
     });
     
-    this.app.post('/api/events/inject', (req, res) => {
+    this.app.get('/api/events/history', async (req, res) => {
+      try {
+        const history = await this.eventDispatcher.getEventHistory(req.query.limit);
+        res.json({ success: true, history });
+      } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+      }
+    });
+    
+    // Accepts a declarative event definition (see server/game/EventDefinitions.js)
+    this.app.post('/api/events/inject', this.adminAuth.middleware(), (req, res) => {
       const { event } = req.body;
       if (!event || !event.name || !event.scope) {
         return res.status(400).json({ success: false, message: 'Invalid event data' });
       }
       const result = this.eventDispatcher.injectEvent(event);
-      res.json(result);
+      res.status(result.success ? 200 : 400).json(result);
     });
     
     // Admin endpoints for ban/mute management
@@ -417,6 +678,23 @@ class HighWizardryServer {
       res.json(result);
     });
     
+    // List a user's sessions
+    this.app.get('/api/admin/sessions', (req, res) => {
+      const { username } = req.query;
+      
+      if (!username) {
+        return res.status(400).json({ success: false, message: 'Username required' });
+      }
+      
+      const user = this.authManager.users.get(String(username).toLowerCase());
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      
+      const sessions = this.authManager.getSessions(user.id);
+      res.json({ success: true, playerId: user.id, username: user.username, sessions });
+    });
+    
     // List banned users
     this.app.get('/api/admin/banned-users', (req, res) => {
       const bannedUsers = this.authManager.getBannedUsers();
@@ -429,18 +707,84 @@ class HighWizardryServer {
       res.json({ success: true, mutedUsers });
     });
     
+    // Event definitions loaded from the definition files
+    this.app.get('/api/admin/events/definitions', (req, res) => {
+      const definitions = Array.from(this.eventDispatcher.definitions.values());
+      res.json({ success: true, definitions });
+    });
+    
+    // Re-read the event definition files (new events need no deploy)
+    this.app.post('/api/admin/events/reload', (req, res) => {
+      const result = this.eventDispatcher.loadDefinitions();
+      res.json({ success: result.errors.length === 0, ...result });
+    });
+    
+    // Queue a loaded event definition by id
+    this.app.post('/api/admin/events/trigger/:id', (req, res) => {
+      const result = this.eventDispatcher.triggerDefinition(req.params.id);
+      res.status(result.success ? 200 : 404).json(result);
+    });
+    
+    // End a timed world event early (its temporary effects are undone and end effects run)
+    this.app.post('/api/admin/events/active/:id/end', (req, res) => {
+      const result = this.eventDispatcher.endActiveEvent(req.params.id);
+      res.status(result.success ? 200 : 404).json(result);
+    });
+    
+    // Upcoming runs of periodic and scheduled events, soonest first
+    this.app.get('/api/admin/events/upcoming', (req, res) => {
+      const runs = this.eventDispatcher.getUpcomingRuns({ limit: req.query.limit, perEvent: req.query.perEvent });
+      res.json({ success: true, runs });
+    });
+    
+    // Economy audit: currency created/destroyed per day and the top earners
+    this.app.get('/api/admin/economy', async (req, res) => {
+      try {
+        const report = await this.economyLedger.getReport(req.query.days, req.query.limit);
+        res.json({ success: true, ...report });
+      } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+      }
+    });
+    
+    // Economy audit: every currency change of one player (online or not), newest first
+    this.app.get('/api/admin/economy/player', async (req, res) => {
+      try {
+        const { username, limit } = req.query;
+        let { playerId } = req.query;
+        if (!playerId && username) {
+          const user = this.authManager.users.get(String(username).toLowerCase());
+          playerId = user ? user.id : null;
+        }
+        
+        // Player IDs name files on disk, so only well-formed IDs are looked up
+        const player = playerId && InputValidator.validateUUID(playerId).valid ? this.playerManager.getPlayer(playerId) : null;
+        if (!player) {
+          return res.status(404).json({ success: false, message: 'Player not found' });
+        }
+        
+        const entries = await this.economyLedger.getPlayerLedger(player.id, limit);
+        res.json({ success: true, playerId: player.id, username: player.username, entries });
+      } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+      }
+    });
+    
     // Trade endpoints
-    this.app.get('/api/trades/history', (req, res) => {
+    this.app.get('/api/trades/history', async (req, res) => {
       // TODO: Add authentication middleware
       const playerId = req.query.playerId;
-      const limit = parseInt(req.query.limit) || 20;
       
       if (!playerId) {
         return res.status(400).json({ success: false, message: 'Player ID required' });
       }
       
-      const history = this.tradeManager.getPlayerTradeHistory(playerId, limit);
-      res.json({ success: true, history });
+      try {
+        const history = await this.tradeManager.getPlayerTradeHistory(playerId, req.query.limit);
+        res.json({ success: true, history });
+      } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+      }
     });
     
     // Auction endpoints
@@ -469,16 +813,109 @@ class HighWizardryServer {
       res.json({ success: true, auctions, bids });
     });
     
-    this.app.get('/api/auctions/history', (req, res) => {
+    // Achievements
+    this.app.get('/api/achievements', (req, res) => {
+      res.json({ success: true, achievements: this.achievementManager.getAchievements() });
+    });
+    
+    this.app.get('/api/players/:playerId/achievements', (req, res) => {
+      if (!InputValidator.validateUUID(req.params.playerId).valid) {
+        return res.status(400).json({ success: false, message: 'Invalid player ID' });
+      }
+      
+      const player = this.playerManager.getPlayer(req.params.playerId);
+      if (!player) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+      
+      if (this.playerManager.isFieldHidden(player, 'achievements')) {
+        return res.status(403).json({ success: false, message: 'This player keeps their achievements private' });
+      }
+      
+      res.json({ success: true, ...this.achievementManager.getPlayerAchievements(player.id) });
+    });
+    
+    // Player search and public profiles
+    this.app.get('/api/players/search', playerSearchLimiter, (req, res) => {
+      const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      if (query.length > 20 || !/^[a-zA-Z0-9_-]*$/.test(query)) {
+        return res.status(400).json({ success: false, message: 'Invalid search query' });
+      }
+      
+      const result = this.playerManager.searchPlayers({
+        query,
+        minLevel: parseInt(req.query.minLevel, 10) || null,
+        maxLevel: parseInt(req.query.maxLevel, 10) || null,
+        guildId: typeof req.query.guild === 'string' ? req.query.guild : null,
+        offset: req.query.offset,
+        limit: req.query.limit
+      });
+      
+      res.json({
+        success: true,
+        players: result.players.map(profile => this.decorateProfile(profile)),
+        total: result.total,
+        offset: result.offset,
+        limit: result.limit
+      });
+    });
+    
+    this.app.get('/api/players/:playerId/profile', (req, res) => {
+      if (!InputValidator.validateUUID(req.params.playerId).valid) {
+        return res.status(400).json({ success: false, message: 'Invalid player ID' });
+      }
+      
+      const profile = this.playerManager.getPublicProfile(req.params.playerId);
+      if (!profile) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+      
+      if (profile.achievements) {
+        profile.achievements = this.achievementManager.getPlayerAchievements(profile.id).earned;
+      }
+      
+      res.json({ success: true, profile: this.decorateProfile(profile) });
+    });
+    
+    // Quest definitions (objectives, prerequisites, rewards and follow-ups)
+    this.app.get('/api/quests', (req, res) => {
+      res.json({ success: true, quests: this.questManager.getQuests() });
+    });
+    
+    // Location registry (coordinates, neighbors, requirements, actions, capacity)
+    this.app.get('/api/locations', (req, res) => {
+      res.json({ success: true, locations: this.locationManager.getAllLocations() });
+    });
+    
+    // Guild endpoints
+    this.app.get('/api/guilds', (req, res) => {
+      const guilds = this.guildManager.getAllGuilds();
+      res.json({ success: true, guilds });
+    });
+    
+    this.app.get('/api/guilds/:guildId/roster', (req, res) => {
+      const roster = this.guildManager.getRoster(req.params.guildId);
+      
+      if (!roster) {
+        return res.status(404).json({ success: false, message: 'Guild not found' });
+      }
+      
+      res.json({ success: true, roster });
+    });
+    
+    this.app.get('/api/auctions/history', async (req, res) => {
       const playerId = req.query.playerId;
-      const limit = parseInt(req.query.limit) || 20;
       
       if (!playerId) {
         return res.status(400).json({ success: false, message: 'Player ID required' });
       }
       
-      const history = this.auctionManager.getPlayerAuctionHistory(playerId, limit);
-      res.json({ success: true, history });
+      try {
+        const history = await this.auctionManager.getPlayerAuctionHistory(playerId, req.query.limit);
+        res.json({ success: true, history });
+      } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+      }
     });
     
     // =========================================================================
@@ -500,6 +937,7 @@ class HighWizardryServer {
     
     // Create backup managers with notification callbacks
     this.backupManager = new BackupManager({
+      databaseAdapter: this.database,
       notificationCallback: (notification) => {
         // Broadcast backup events to all connected admin clients
         this.broadcast({
@@ -546,8 +984,12 @@ class HighWizardryServer {
     // Trigger manual backup (on-demand)
     this.app.post('/api/admin/backup/trigger', adminBackupLimiter, async (req, res) => {
       try {
-        console.log('📦 Admin triggered backup...');
-        const result = await this.backupManager.run({ silent: true });
+        const type = (req.body && req.body.type) || 'full';
+        if (!BackupManager.BACKUP_TYPES.includes(type)) {
+          return res.status(400).json({ success: false, message: `Invalid backup type. Expected one of: ${BackupManager.BACKUP_TYPES.join(', ')}` });
+        }
+        console.log(`📦 Admin triggered ${type} backup...`);
+        const result = await this.backupManager.run({ silent: true, type });
         res.json(result);
       } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -619,6 +1061,7 @@ class HighWizardryServer {
         const restore = new RestoreManager(timestamp, {
           force: true,
           preRestoreBackup: !skipPreBackup,
+          databaseAdapter: this.database,
           notificationCallback: (notification) => {
             this.broadcast({
               type: 'restore_notification',
@@ -642,40 +1085,29 @@ class HighWizardryServer {
       }
     });
     
-    // Download backup file
+    // Download backup file (JSON downloads carry SQLite snapshots base64-encoded)
+    // Encrypted archives are served as-is; plain backups are only bundled into an
+    // archive on the fly when BACKUP_ENCRYPTION_KEY is configured
     this.app.get('/api/admin/backup/download/:timestamp', adminBackupLimiter, (req, res) => {
       try {
         const { timestamp } = req.params;
-        // Validate timestamp: only allow 13 digit numbers (assuming backup timestamps are ms)
-        if (!/^\d{13}$/.test(timestamp)) {
+        if (!/^\d{8}-\d{6}$/.test(timestamp)) {
           return res.status(400).json({ success: false, message: 'Invalid backup timestamp format' });
         }
-        const backupDir = path.join(__dirname, '..', 'backups');
-        const manifestFile = path.join(backupDir, `${timestamp}-manifest.json`);
-        
-        if (!fs.existsSync(manifestFile)) {
+        const download = this.backupManager.getDownload(timestamp);
+        if (!download) {
           return res.status(404).json({ success: false, message: 'Backup not found' });
         }
         
-        // Create a combined backup object for download
-        const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
-        const backupData = {
-          manifest,
-          files: {}
-        };
-        
-        for (const file of manifest.files) {
-          if (!file.name.endsWith('-manifest.json')) {
-            const filePath = path.join(backupDir, file.name);
-            if (fs.existsSync(filePath)) {
-              backupData.files[file.name] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            }
-          }
+        res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}"`);
+        if (download.archive) {
+          res.setHeader('Content-Type', 'application/octet-stream');
+          return res.send(download.archive);
         }
         
+        // SQLite snapshots are base64-encoded in JSON downloads
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename="backup-${timestamp}.json"`);
-        res.json(backupData);
+        res.json(download.backup);
       } catch (error) {
         res.status(500).json({ success: false, message: error.message });
       }
@@ -718,12 +1150,16 @@ class HighWizardryServer {
         playerId: null,
         username: null,
         deviceId: null,
+        sessionId: null,
+        sessionToken: null,
         authenticated: false,
         lastPing: Date.now(),
         ip: clientIp,
+        userAgent: req.headers['user-agent'] || null,
         messageCount: 0,
         lastMessageTime: Date.now()
       };
+      this.clients.add(client);
       
       // Send welcome message
       this.send(ws, {
@@ -769,7 +1205,12 @@ class HighWizardryServer {
       // Handle disconnect
       ws.on('close', () => {
         console.log('Client disconnected');
-        if (client.playerId) {
+        this.clients.delete(client);
+        // The player stays online while any of their other sessions is open
+        if (client.playerId && !this.getClientByPlayerId(client.playerId)) {
+          // Tell friends before the player record leaves memory
+          this.notifyFriendsPresence(client.playerId, client.username, false);
+          
           this.playerManager.removePlayer(client.playerId);
           this.locationManager.removePlayer(client.playerId);
           
@@ -835,6 +1276,21 @@ class HighWizardryServer {
       return;
     }
     
+    // Keep the session's last-seen time current (throttled by the session store)
+    if (client.sessionToken) {
+      this.authManager.touchSession(client.sessionToken);
+    }
+    
+    // Jailed players cannot move or trade until released
+    const jailRestriction = this.jailManager.getRestriction(client.playerId, type);
+    if (jailRestriction) {
+      this.send(client.ws, {
+        type: 'error',
+        message: jailRestriction
+      });
+      return;
+    }
+    
     // Route authenticated messages
     switch (type) {
       case 'player_update':
@@ -844,12 +1300,56 @@ class HighWizardryServer {
       case 'change_location':
         this.handleLocationChange(client, data);
         break;
+      case 'travel_start':
+        this.handleTravelStart(client, data);
+        break;
+      case 'travel_cancel':
+        this.handleTravelCancel(client, data);
+        break;
       case 'chat':
         this.handleChat(client, data);
         break;
+      case 'chat_room_create':
+      case 'chat_room_join':
+      case 'chat_room_leave':
+      case 'chat_room_kick':
+      case 'chat_room_set_moderator':
+      case 'chat_room_set_password':
+      case 'chat_room_delete':
+        this.handleChatRoom(client, type, data);
+        break;
+      case 'chat_rooms_get':
+        this.send(client.ws, {
+          type: 'chat_rooms',
+          rooms: this.chatManager.getPlayerRooms(client.playerId)
+        });
+        break;
+      case 'party_invite':
+      case 'party_respond':
+      case 'party_leave':
+      case 'party_kick':
+        this.handleParty(client, type, data);
+        break;
+      case 'party_get': {
+        const party = this.chatManager.getPlayerParty(client.playerId);
+        this.send(client.ws, {
+          type: 'party',
+          party: party ? this.chatManager.getParty(party.id) : null
+        });
+        break;
+      }
       case 'action':
         this.handleAction(client, data);
         break;
+      case 'use_consumable':
+        this.handleUseConsumable(client, data);
+        break;
+      case 'jail_bail':
+        this.handleJailBail(client, data);
+        break;
+      case 'jail_break':
+        this.handleJailBreak(client, data);
+        break;
       case 'verify_email':
         this.handleEmailVerification(client, data);
         break;
@@ -900,6 +1400,76 @@ class HighWizardryServer {
       case 'auction_get':
         this.handleAuctionGet(client, data);
         break;
+      // Crafting messages
+      case 'crafting_get':
+        this.handleCraftingGet(client, data);
+        break;
+      case 'crafting_fast_track':
+        this.handleCraftingFastTrack(client, data);
+        break;
+      // Guild messages
+      case 'guild_create':
+        this.handleGuildCreate(client, data);
+        break;
+      case 'guild_invite':
+        this.handleGuildInvite(client, data);
+        break;
+      case 'guild_invite_respond':
+        this.handleGuildInviteRespond(client, data);
+        break;
+      case 'guild_leave':
+        this.handleGuildLeave(client, data);
+        break;
+      case 'guild_kick':
+        this.handleGuildKick(client, data);
+        break;
+      case 'guild_set_rank':
+        this.handleGuildSetRank(client, data);
+        break;
+      case 'guild_deposit':
+        this.handleGuildTreasury(client, data, 'deposit');
+        break;
+      case 'guild_withdraw':
+        this.handleGuildTreasury(client, data, 'withdraw');
+        break;
+      case 'guild_disband':
+        this.handleGuildDisband(client, data);
+        break;
+      case 'guild_get':
+        this.handleGuildGet(client, data);
+        break;
+      // Quest messages
+      case 'quest_get':
+        this.handleQuestGet(client);
+        break;
+      case 'quest_accept':
+        this.handleQuestAccept(client, data);
+        break;
+      case 'quest_abandon':
+        this.handleQuestAbandon(client, data);
+        break;
+      // Friend messages
+      case 'friend_request':
+        this.handleFriendRequest(client, data);
+        break;
+      case 'friend_respond':
+        this.handleFriendRespond(client, data);
+        break;
+      case 'friend_remove':
+        this.handleFriendRemove(client, data);
+        break;
+      case 'friend_block':
+        this.handleFriendBlock(client, data, true);
+        break;
+      case 'friend_unblock':
+        this.handleFriendBlock(client, data, false);
+        break;
+      case 'friends_get':
+        this.handleFriendsGet(client);
+        break;
+      case 'profile_privacy_update':
+        this.handleProfilePrivacyUpdate(client, data);
+        break;
       default:
         console.log('Unknown message type:', type);
     }
@@ -907,7 +1477,7 @@ class HighWizardryServer {
   
   // BUGFIX: Made async to properly await authentication calls and prevent race conditions
   async handleAuth(client, data) {
-    const { type, username, password, token, email, deviceId } = data;
+    const { type, username, password, token, email, deviceId, deviceLabel } = data;
     
     // Check if device is banned
     if (deviceId && this.authManager.isDeviceBanned(deviceId)) {
@@ -941,18 +1511,29 @@ class HighWizardryServer {
       return;
     }
     
+    // Recorded on the session so players can tell their devices apart
+    const sessionDetails = {
+      deviceLabel,
+      deviceId,
+      ip: client.ip,
+      userAgent: client.userAgent
+    };
+    
     try {
       if (type === 'register') {
         // Register new user - BUGFIX: Now using await for consistency
-        const result = await this.authManager.register(username, password, email);
+        const result = await this.authManager.register(username, password, email, sessionDetails);
         
         if (result.success) {
           client.authenticated = true;
           client.playerId = result.playerId;
           client.username = username;
+          client.sessionId = result.sessionId;
+          client.sessionToken = result.token;
           
           // Create player state
           const playerData = this.playerManager.createPlayer(result.playerId, username);
+          this.locationManager.placePlayer(result.playerId, playerData.location);
           
           // BUGFIX: Standardized auth_success response with all required fields
           this.send(client.ws, {
@@ -961,6 +1542,8 @@ class HighWizardryServer {
             username: username,
             token: result.token,
             playerData,
+            activeEvents: this.eventDispatcher.getActiveEvents(),
+            eventSubscriptions: this.eventSubscriptions.getChannels(result.playerId),
             emailVerified: result.emailVerified,
             needsEmailVerification: result.needsEmailVerification || false,
             needsEmailSetup: false, // New registrations always have email or explicitly no email
@@ -976,6 +1559,7 @@ class HighWizardryServer {
               playerId: result.playerId,
               username
             }, client.playerId);
+            this.notifyFriendsPresence(result.playerId, username, true);
           }
         } else {
           // BUGFIX: Standardized auth_failed response
@@ -994,18 +1578,21 @@ class HighWizardryServer {
         }
       } else if (type === 'login') {
         // Login existing user - BUGFIX: Now using await for consistency
-        const result = await this.authManager.login(username, password);
+        const result = await this.authManager.login(username, password, sessionDetails);
         
         if (result.success) {
           client.authenticated = true;
           client.playerId = result.playerId;
           client.username = result.username;
+          client.sessionId = result.sessionId;
+          client.sessionToken = result.token;
           
           // Load or create player state
           let playerData = this.playerManager.getPlayer(result.playerId);
           if (!playerData) {
             playerData = this.playerManager.createPlayer(result.playerId, result.username);
           }
+          this.locationManager.placePlayer(result.playerId, playerData.location);
           
           // BUGFIX: Standardized auth_success response with all required fields
           this.send(client.ws, {
@@ -1014,6 +1601,8 @@ class HighWizardryServer {
             username: result.username,
             token: result.token,
             playerData,
+            activeEvents: this.eventDispatcher.getActiveEvents(),
+            eventSubscriptions: this.eventSubscriptions.getChannels(result.playerId),
             emailVerified: result.emailVerified || false,
             needsEmailVerification: false, // Already checked in login()
             needsEmailSetup: result.needsEmailSetup || false,
@@ -1028,6 +1617,7 @@ class HighWizardryServer {
             playerId: result.playerId,
             username: result.username
           }, client.playerId);
+          this.notifyFriendsPresence(result.playerId, result.username, true);
         } else {
           // BUGFIX: Standardized auth_failed response
           this.send(client.ws, {
@@ -1086,12 +1676,17 @@ class HighWizardryServer {
           
           client.authenticated = true;
           client.playerId = result.playerId;
+          client.username = result.username;
+          client.sessionId = result.sessionId;
+          client.sessionToken = token;
+          this.authManager.touchSession(token, { ip: client.ip, userAgent: client.userAgent });
           
           // Load player state
           let playerData = this.playerManager.getPlayer(result.playerId);
           if (!playerData) {
             playerData = this.playerManager.createPlayer(result.playerId, result.username);
           }
+          this.locationManager.placePlayer(result.playerId, playerData.location);
           
           // BUGFIX: Standardized auth_success response with all required fields including ban/mute status
           this.send(client.ws, {
@@ -1100,6 +1695,8 @@ class HighWizardryServer {
             username: result.username,
             token: token,
             playerData,
+            activeEvents: this.eventDispatcher.getActiveEvents(),
+            eventSubscriptions: this.eventSubscriptions.getChannels(result.playerId),
             emailVerified: userData.emailVerified || false,
             needsEmailVerification: false, // Token auth means already verified
             needsEmailSetup: !userData.email,
@@ -1113,6 +1710,7 @@ class HighWizardryServer {
             playerId: result.playerId,
             username: result.username
           }, client.playerId);
+          this.notifyFriendsPresence(result.playerId, result.username, true);
         } else {
           // BUGFIX: Standardized auth_failed response
           this.send(client.ws, {
@@ -1168,43 +1766,21 @@ class HighWizardryServer {
   }
   
   handleLocationChange(client, data) {
-    const { locationId } = data;
-    
-    // Validate location ID format
-    const locationValidation = InputValidator.validateLocationId(locationId);
-    if (!locationValidation.valid) {
-      this.send(client.ws, {
-        type: 'error',
-        message: locationValidation.message
-      });
-      return;
-    }
-    
-    // Validate location exists
-    if (!this.locationManager.isValidLocation(locationValidation.sanitized)) {
-      this.send(client.ws, {
-        type: 'error',
-        message: 'Invalid location'
-      });
-      return;
-    }
-    
-    const player = this.playerManager.getPlayer(client.playerId);
-    if (!player) return;
-    
-    const oldLocation = player.location;
-    
-    // Update player location
-    this.playerManager.updatePlayer(client.playerId, { location: locationValidation.sanitized });
-    this.locationManager.movePlayer(client.playerId, oldLocation, locationValidation.sanitized);
-    
-    // Notify player of successful move
-    const playersInLocation = this.locationManager.getPlayersInLocation(locationValidation.sanitized);
-    this.send(client.ws, {
-      type: 'location_changed',
-      locationId: locationValidation.sanitized,
-      players: playersInLocation.map(pid => this.playerManager.getPlayer(pid))
-    });
+    // Moving between locations is a walking journey; arrival happens on the server
+    this.handleTravelStart(client, { destination: data.locationId, method: 'walking' });
+  }
+  
+  /**
+   * Notify both locations about an arrived player (TravelManager has already moved them)
+   */
+  completeLocationChange(client, oldLocation, newLocation) {
+    // Notify player of successful move
+    const playersInLocation = this.locationManager.getPlayersInLocation(newLocation);
+    this.send(client.ws, {
+      type: 'location_changed',
+      locationId: newLocation,
+      players: playersInLocation.map(pid => this.playerManager.getPlayer(pid))
+    });
     
     // Notify old location
     this.broadcastToLocation(oldLocation, {
@@ -1213,11 +1789,13 @@ class HighWizardryServer {
     }, client.playerId);
     
     // Notify new location
-    this.broadcastToLocation(locationValidation.sanitized, {
+    this.broadcastToLocation(newLocation, {
       type: 'player_joined',
       playerId: client.playerId,
       playerData: this.playerManager.getPlayer(client.playerId)
     }, client.playerId);
+    
+    this.questManager.recordEvent(client.playerId, 'visit', { location: newLocation });
   }
   
   handleChat(client, data) {
@@ -1264,6 +1842,40 @@ class HighWizardryServer {
       return;
     }
     
+    // Whispers go to an online player, by ID or username (only well-formed IDs are looked up)
+    let target = null;
+    if (channelValidation.sanitized === 'whisper') {
+      if (data.toPlayerId && !InputValidator.validateUUID(data.toPlayerId).valid) {
+        this.send(client.ws, {
+          type: 'error',
+          message: 'Player not found'
+        });
+        return;
+      }
+      target = data.toPlayerId
+        ? this.getClientByPlayerId(data.toPlayerId)
+        : this.getClientByUsername(data.to);
+      if (!target) {
+        this.send(client.ws, {
+          type: 'error',
+          message: 'Player is not online'
+        });
+        return;
+      }
+    }
+    
+    // Membership checks and the channel's own rate limit
+    const result = this.chatManager.prepareMessage(client.playerId, channelValidation.sanitized, {
+      toPlayerId: target ? target.playerId : null
+    });
+    if (!result.success) {
+      this.send(client.ws, {
+        type: 'error',
+        message: result.message
+      });
+      return;
+    }
+    
     const chatMessage = {
       type: 'chat_message',
       channel: channelValidation.sanitized,
@@ -1273,13 +1885,205 @@ class HighWizardryServer {
       timestamp: Date.now()
     };
     
-    if (channelValidation.sanitized === 'global') {
-      this.broadcast(chatMessage);
-    } else if (channelValidation.sanitized === 'local') {
-      this.broadcastToLocation(player.location, chatMessage);
+    if (target) {
+      chatMessage.to = target.username;
+      chatMessage.toPlayerId = target.playerId;
+    }
+    if (result.guildId) {
+      chatMessage.guildId = result.guildId;
+    }
+    
+    this.deliverChat(result.recipients, chatMessage);
+  }
+  
+  /**
+   * Send a chat message to the recipients ChatManager picked, skipping players who blocked the sender
+   */
+  deliverChat(recipients, chatMessage) {
+    const included = recipients.scope === 'location'
+      ? new Set(this.locationManager.getPlayersInLocation(recipients.locationId))
+      : new Set(recipients.playerIds || []);
+    
+    this.clients.forEach((client) => {
+      if (!client.playerId || (recipients.scope !== 'global' && !included.has(client.playerId))) {
+        return;
+      }
+      
+      if (this.chatManager.canReceive(client.playerId, chatMessage.playerId)) {
+        this.send(client.ws, chatMessage);
+      }
+    });
+  }
+  
+  /**
+   * Chat room management: create, join, leave, kick/ban, moderators, password and close
+   */
+  async handleChatRoom(client, type, data) {
+    // Rate limit room changes like other actions (joins also have their own limit)
+    if (!this.actionLimiter.isAllowed(client.playerId)) {
+      this.send(client.ws, {
+        type: 'error',
+        message: 'You are performing actions too quickly. Please slow down.'
+      });
+      return;
+    }
+    
+    const { name, password, playerId } = data;
+    const action = type.replace('chat_room_', '');
+    let result;
+    
+    switch (type) {
+      case 'chat_room_create':
+        result = await this.chatManager.createRoom(client.playerId, name, password || null);
+        break;
+      case 'chat_room_join':
+        result = await this.chatManager.joinRoom(client.playerId, name, password || null);
+        break;
+      case 'chat_room_leave':
+        result = this.chatManager.leaveRoom(client.playerId, name);
+        break;
+      case 'chat_room_kick':
+        result = this.chatManager.kickMember(client.playerId, name, playerId, data.ban === true);
+        break;
+      case 'chat_room_set_moderator':
+        result = this.chatManager.setModerator(client.playerId, name, playerId, data.moderator !== false);
+        break;
+      case 'chat_room_set_password':
+        result = await this.chatManager.setRoomPassword(client.playerId, name, password || null);
+        break;
+      case 'chat_room_delete':
+        result = this.chatManager.deleteRoom(client.playerId, name);
+        break;
+    }
+    
+    this.send(client.ws, {
+      type: 'chat_room_result',
+      action,
+      success: result.success,
+      message: result.message,
+      room: result.room || null
+    });
+    
+    if (!result.success) return;
+    
+    // Tell removed players, then bring the remaining members up to date
+    if (type === 'chat_room_kick') {
+      this.notifyRoomRemoved(playerId, name, data.ban === true ? 'banned' : 'kicked');
+    }
+    if (type === 'chat_room_delete') {
+      result.memberIds
+        .filter(memberId => memberId !== client.playerId)
+        .forEach(memberId => this.notifyRoomRemoved(memberId, name, 'closed'));
+    }
+    if (result.room) {
+      this.notifyRoomMembers(result.room, client.playerId);
+    }
+  }
+  
+  /**
+   * Party management: invite, accept or decline, leave and kick
+   */
+  handleParty(client, type, data) {
+    if (!this.actionLimiter.isAllowed(client.playerId)) {
+      this.send(client.ws, {
+        type: 'error',
+        message: 'You are performing actions too quickly. Please slow down.'
+      });
+      return;
+    }
+    
+    const { playerId, partyId } = data;
+    const action = type.replace('party_', '');
+    
+    // Player IDs name files on disk, so only well-formed IDs are looked up
+    if ((type === 'party_invite' || type === 'party_kick') && !InputValidator.validateUUID(playerId).valid) {
+      this.send(client.ws, { type: 'party_result', action, success: false, message: 'Player not found', party: null });
+      return;
+    }
+    
+    let result;
+    switch (type) {
+      case 'party_invite':
+        result = this.chatManager.inviteToParty(client.playerId, playerId);
+        break;
+      case 'party_respond':
+        result = this.chatManager.respondToPartyInvite(client.playerId, partyId, data.accept === true);
+        break;
+      case 'party_leave':
+        result = this.chatManager.leaveParty(client.playerId);
+        break;
+      case 'party_kick':
+        result = this.chatManager.kickFromParty(client.playerId, playerId);
+        break;
+    }
+    
+    this.send(client.ws, {
+      type: 'party_result',
+      action,
+      success: result.success,
+      accepted: result.accepted,
+      message: result.message,
+      party: result.party || null
+    });
+    
+    if (!result.success) return;
+    
+    if (type === 'party_invite' && this.getClientByPlayerId(playerId)) {
+      this.sendToPlayer(playerId, {
+        type: 'party_invitation',
+        partyId: result.party.id,
+        invitedBy: client.username
+      });
+    }
+    if (type === 'party_kick') {
+      this.notifyPartyRemoved(playerId, 'kicked');
+    }
+    if (result.disbanded) {
+      result.memberIds.forEach(memberId => this.notifyPartyRemoved(memberId, 'disbanded'));
+    } else if (result.party) {
+      result.party.members
+        .filter(memberId => memberId !== client.playerId && this.getClientByPlayerId(memberId))
+        .forEach(memberId => this.sendToPlayer(memberId, { type: 'party_updated', party: result.party }));
+    }
+  }
+  
+  notifyPartyRemoved(playerId, reason) {
+    if (this.getClientByPlayerId(playerId)) {
+      this.sendToPlayer(playerId, {
+        type: 'party_removed',
+        reason
+      });
+    }
+  }
+  
+  notifyRoomRemoved(playerId, name, reason) {
+    const targetClient = this.getClientByPlayerId(playerId);
+    if (targetClient) {
+      this.sendToPlayer(playerId, {
+        type: 'chat_room_removed',
+        name,
+        reason
+      });
     }
   }
   
+  /**
+   * Send the latest room state to its online members
+   */
+  notifyRoomMembers(room, excludePlayerId = null) {
+    room.members
+      .filter(memberId => memberId !== excludePlayerId)
+      .forEach(memberId => {
+        const memberClient = this.getClientByPlayerId(memberId);
+        if (memberClient) {
+          this.sendToPlayer(memberId, {
+            type: 'chat_room_updated',
+            room
+          });
+        }
+      });
+  }
+  
   handleAction(client, data) {
     // Rate limit actions
     if (!this.actionLimiter.isAllowed(client.playerId)) {
@@ -1291,6 +2095,8 @@ class HighWizardryServer {
     }
     
     const { actionType, actionData } = data;
+    const previousPlayer = this.playerManager.getPlayer(client.playerId);
+    const previousLocation = previousPlayer ? previousPlayer.location : null;
     
     // Process action on server and validate
     const result = this.gameManager.processAction(client.playerId, actionType, actionData);
@@ -1307,12 +2113,24 @@ class HighWizardryServer {
       if (result.playerUpdates) {
         this.playerManager.updatePlayer(client.playerId, result.playerUpdates);
         
+        // Keep location tracking in step with server-side moves (e.g. being sent to jail)
+        const newLocation = result.playerUpdates.location;
+        if (newLocation && newLocation !== previousLocation) {
+          this.locationManager.movePlayer(client.playerId, previousLocation, newLocation);
+        }
+        
         // Notify player of updates
         this.send(client.ws, {
           type: 'player_updated',
           updates: result.playerUpdates
         });
       }
+      
+      if (actionType === 'commit_crime') {
+        this.achievementManager.recordEvent(client.playerId, 'crime_committed', { success: result.data.crimeSuccess });
+      }
+      this.questManager.recordActionResult(client.playerId, actionType, result.data);
+      this.achievementManager.checkLevelUp(client.playerId);
     } else {
       this.send(client.ws, {
         type: 'action_result',
@@ -1322,6 +2140,36 @@ class HighWizardryServer {
     }
   }
   
+  handleUseConsumable(client, data) {
+    // Consumables share the action rate limit
+    if (!this.actionLimiter.isAllowed(client.playerId)) {
+      this.send(client.ws, {
+        type: 'error',
+        message: 'You are performing actions too quickly. Please slow down.'
+      });
+      return;
+    }
+    
+    const { itemId } = data;
+    
+    const result = this.consumableManager.useConsumable(client.playerId, itemId);
+    
+    this.send(client.ws, {
+      type: 'use_consumable_result',
+      success: result.success,
+      itemId,
+      effect: result.effect,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.send(client.ws, {
+        type: 'player_updated',
+        updates: result.playerUpdates
+      });
+    }
+  }
+  
   // BUGFIX: Made async for consistent async handling
   async handleEmailVerification(client, data) {
     const { username, code } = data;
@@ -1345,6 +2193,7 @@ class HighWizardryServer {
             playerId: client.playerId,
             username: userData.username
           }, client.playerId);
+          this.notifyFriendsPresence(client.playerId, userData.username, true);
         }
       }
     } catch (error) {
@@ -1442,27 +2291,25 @@ class HighWizardryServer {
   }
   
   handleEventSubscription(client, data) {
-    const { channel } = data;
+    const { channel, channels, replace } = data;
     
-    // For now, all authenticated clients automatically receive events
-    // This handler is for future expansion (e.g., selective event channels)
+    // Subscriptions are kept on the player record, so they come back on reconnect
+    const result = this.eventSubscriptions.subscribe(client.playerId, channels || channel, { replace: replace === true });
     
     this.send(client.ws, {
       type: 'event_subscription_result',
-      success: true,
-      channel: channel || 'all',
-      message: 'Subscribed to event notifications'
+      ...result
     });
   }
   
   handleEventUnsubscription(client, data) {
-    const { channel } = data;
+    const { channel, channels } = data;
+    
+    const result = this.eventSubscriptions.unsubscribe(client.playerId, channels || channel);
     
     this.send(client.ws, {
       type: 'event_unsubscription_result',
-      success: true,
-      channel: channel || 'all',
-      message: 'Unsubscribed from event notifications'
+      ...result
     });
   }
   
@@ -1485,7 +2332,7 @@ class HighWizardryServer {
     if (result.success) {
       const otherClient = this.getClientByPlayerId(toPlayerId);
       if (otherClient) {
-        this.send(otherClient.ws, {
+        this.sendToPlayer(toPlayerId, {
           type: 'trade_invitation',
           trade: result.trade
         });
@@ -1512,7 +2359,7 @@ class HighWizardryServer {
       
       const otherClient = this.getClientByPlayerId(otherPlayerId);
       if (otherClient) {
-        this.send(otherClient.ws, {
+        this.sendToPlayer(otherPlayerId, {
           type: 'trade_updated',
           trade: result.trade
         });
@@ -1520,10 +2367,10 @@ class HighWizardryServer {
     }
   }
   
-  handleTradeConfirm(client, data) {
+  async handleTradeConfirm(client, data) {
     const { tradeId } = data;
     
-    const result = this.tradeManager.confirmTrade(client.playerId, tradeId);
+    const result = await this.tradeManager.confirmTrade(client.playerId, tradeId);
     
     this.send(client.ws, {
       type: 'trade_confirm_result',
@@ -1532,6 +2379,13 @@ class HighWizardryServer {
       message: result.message
     });
     
+    if (result.success && result.trade && result.trade.status === 'completed') {
+      this.achievementManager.recordEvent(result.trade.fromPlayerId, 'trade_completed');
+      this.achievementManager.recordEvent(result.trade.toPlayerId, 'trade_completed');
+      this.questManager.recordEvent(result.trade.fromPlayerId, 'trade');
+      this.questManager.recordEvent(result.trade.toPlayerId, 'trade');
+    }
+    
     // If successful, notify the other player
     if (result.success && result.trade) {
       const otherPlayerId = result.trade.fromPlayerId === client.playerId ? 
@@ -1539,7 +2393,7 @@ class HighWizardryServer {
       
       const otherClient = this.getClientByPlayerId(otherPlayerId);
       if (otherClient) {
-        this.send(otherClient.ws, {
+        this.sendToPlayer(otherPlayerId, {
           type: 'trade_confirmed',
           trade: result.trade
         });
@@ -1553,7 +2407,7 @@ class HighWizardryServer {
           if (fromPlayer) {
             const fromClient = this.getClientByPlayerId(result.trade.fromPlayerId);
             if (fromClient) {
-              this.send(fromClient.ws, {
+              this.sendToPlayer(result.trade.fromPlayerId, {
                 type: 'player_updated',
                 playerId: result.trade.fromPlayerId,
                 updates: fromPlayer
@@ -1564,7 +2418,7 @@ class HighWizardryServer {
           if (toPlayer) {
             const toClient = this.getClientByPlayerId(result.trade.toPlayerId);
             if (toClient) {
-              this.send(toClient.ws, {
+              this.sendToPlayer(result.trade.toPlayerId, {
                 type: 'player_updated',
                 playerId: result.trade.toPlayerId,
                 updates: toPlayer
@@ -1595,7 +2449,7 @@ class HighWizardryServer {
       
       const otherClient = this.getClientByPlayerId(otherPlayerId);
       if (otherClient) {
-        this.send(otherClient.ws, {
+        this.sendToPlayer(otherPlayerId, {
           type: 'trade_cancelled',
           tradeId: tradeId
         });
@@ -1627,10 +2481,10 @@ class HighWizardryServer {
   /**
    * Auction Handlers
    */
-  handleAuctionCreate(client, data) {
+  async handleAuctionCreate(client, data) {
     const { item, startingBid, duration, options } = data;
     
-    const result = this.auctionManager.createAuction(
+    const result = await this.auctionManager.createAuction(
       client.playerId, 
       item, 
       startingBid, 
@@ -1664,10 +2518,10 @@ class HighWizardryServer {
     }
   }
   
-  handleAuctionBid(client, data) {
+  async handleAuctionBid(client, data) {
     const { auctionId, bidAmount } = data;
     
-    const result = this.auctionManager.placeBid(client.playerId, auctionId, bidAmount);
+    const result = await this.auctionManager.placeBid(client.playerId, auctionId, bidAmount);
     
     this.send(client.ws, {
       type: 'auction_bid_result',
@@ -1693,12 +2547,12 @@ class HighWizardryServer {
         });
       }
       
-      // Notify previous bidder if any
+      // Notify previous bidder if any (unless they just raised their own bid)
       if (result.auction.bids.length > 1) {
         const previousBid = result.auction.bids[result.auction.bids.length - 2];
         const previousBidderClient = this.getClientByPlayerId(previousBid.bidderId);
-        if (previousBidderClient) {
-          this.send(previousBidderClient.ws, {
+        if (previousBidderClient && previousBid.bidderId !== client.playerId) {
+          this.sendToPlayer(previousBid.bidderId, {
             type: 'auction_outbid',
             auction: result.auction
           });
@@ -1706,7 +2560,7 @@ class HighWizardryServer {
           // Update previous bidder's player data
           const previousBidder = this.playerManager.getPlayer(previousBid.bidderId);
           if (previousBidder) {
-            this.send(previousBidderClient.ws, {
+            this.sendToPlayer(previousBid.bidderId, {
               type: 'player_updated',
               playerId: previousBid.bidderId,
               updates: previousBidder
@@ -1717,10 +2571,10 @@ class HighWizardryServer {
     }
   }
   
-  handleAuctionCancel(client, data) {
+  async handleAuctionCancel(client, data) {
     const { auctionId } = data;
     
-    const result = this.auctionManager.cancelAuction(client.playerId, auctionId);
+    const result = await this.auctionManager.cancelAuction(client.playerId, auctionId);
     
     this.send(client.ws, {
       type: 'auction_cancel_result',
@@ -1769,102 +2623,774 @@ class HighWizardryServer {
   }
   
   /**
-   * Helper method to find a client by player ID
+   * Crafting Handlers
    */
-  getClientByPlayerId(playerId) {
-    for (const client of this.wss.clients) {
-      if (client.playerId === playerId) {
-        return client;
-      }
+  handleCraftingGet(client, data) {
+    this.send(client.ws, {
+      type: 'crafting_queue',
+      success: true,
+      queue: this.craftingManager.getPlayerQueue(client.playerId),
+      recipes: this.craftingManager.getRecipes(),
+      serverTime: Date.now()
+    });
+  }
+  
+  handleCraftingFastTrack(client, data) {
+    const { jobId } = data;
+    
+    const result = this.craftingManager.fastTrackCrafting(client.playerId, jobId);
+    
+    this.send(client.ws, {
+      type: 'crafting_fast_track_result',
+      success: result.success,
+      job: result.job,
+      cost: result.cost,
+      queue: this.craftingManager.getPlayerQueue(client.playerId),
+      message: result.message
+    });
+    
+    // The finished job itself goes through the crafting notification callback
+    // (item, XP, achievements, quests and level ups); only the payment is sent here
+    if (result.success) {
+      this.sendToPlayer(client.playerId, {
+        type: 'player_updated',
+        playerId: client.playerId,
+        updates: result.currency
+      });
     }
-    return null;
   }
   
   /**
-   * Check for connection flood from an IP
-   * @param {string} ip - Client IP address
-   * @returns {boolean} - True if connection is allowed
+   * Travel Handlers
    */
-  checkConnectionFlood(ip) {
-    const now = Date.now();
+  handleTravelStart(client, data) {
+    const { destination, method } = data;
     
-    if (!this.connectionAttempts.has(ip)) {
-      this.connectionAttempts.set(ip, []);
+    // Validate location ID format
+    const locationValidation = InputValidator.validateLocationId(destination);
+    if (!locationValidation.valid) {
+      this.send(client.ws, {
+        type: 'error',
+        message: locationValidation.message
+      });
+      return;
     }
     
-    const attempts = this.connectionAttempts.get(ip);
+    const result = this.travelManager.startTravel(client.playerId, locationValidation.sanitized, method || 'walking');
     
-    // Remove old attempts outside the window
-    const validAttempts = attempts.filter(ts => now - ts < this.connectionWindow);
+    this.send(client.ws, {
+      type: 'travel_started',
+      success: result.success,
+      travel: result.travel,
+      quote: result.quote,
+      message: result.message
+    });
     
-    // Check if limit exceeded
-    if (validAttempts.length >= this.maxConnectionsPerIP) {
-      return false;
+    if (result.success) {
+      this.send(client.ws, {
+        type: 'player_updated',
+        updates: result.playerUpdates
+      });
+      
+      // Instant travel (portals) arrives straight away
+      if (result.arrival) {
+        this.completeLocationChange(client, result.arrival.from, result.arrival.destination);
+      }
     }
+  }
+  
+  handleTravelCancel(client, data) {
+    const result = this.travelManager.cancelTravel(client.playerId);
     
-    // Record this connection
-    validAttempts.push(now);
-    this.connectionAttempts.set(ip, validAttempts);
+    this.send(client.ws, {
+      type: 'travel_cancel_result',
+      success: result.success,
+      message: result.message
+    });
     
-    return true;
+    if (result.success) {
+      this.send(client.ws, {
+        type: 'player_updated',
+        updates: result.playerUpdates
+      });
+    }
   }
   
   /**
-   * Check for WebSocket message flood from a client
-   * @param {Object} client - Client object
-   * @returns {boolean} - True if message is allowed
+   * Jail Handlers
    */
-  checkMessageFlood(client) {
-    const now = Date.now();
-    const timeSinceLastMessage = now - client.lastMessageTime;
+  handleJailBail(client, data) {
+    const prisonerId = data.prisonerId || client.playerId;
     
-    // Reset counter if enough time has passed (1 second)
-    if (timeSinceLastMessage > 1000) {
-      client.messageCount = 0;
+    // Player IDs name files on disk, so only well-formed IDs are looked up
+    if (!InputValidator.validateUUID(prisonerId).valid) {
+      this.send(client.ws, { type: 'jail_bail_result', success: false, prisonerId: null, message: 'Player not found' });
+      return;
     }
     
-    client.lastMessageTime = now;
-    client.messageCount++;
+    const result = this.jailManager.payBail(client.playerId, prisonerId);
     
-    // Allow up to 30 messages per second (generous limit)
-    return client.messageCount <= 30;
-  }
-  
-  send(ws, data) {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(data));
+    this.send(client.ws, {
+      type: 'jail_bail_result',
+      success: result.success,
+      prisonerId,
+      cost: result.cost,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.sendPlayerUpdate(client.playerId);
+      
+      const prisonerClient = this.getClientByPlayerId(prisonerId);
+      if (prisonerClient) {
+        this.locationManager.movePlayer(prisonerId, 'jail', result.playerUpdates.location);
+        this.sendToPlayer(prisonerId, {
+          type: 'jail_released',
+          reason: 'bail',
+          paidBy: client.username
+        });
+        if (prisonerId !== client.playerId) {
+          this.sendPlayerUpdate(prisonerId);
+        }
+      }
     }
   }
   
-  broadcast(data, excludePlayerId = null) {
-    this.wss.clients.forEach((client) => {
-      // Skip excluded player
-      if (excludePlayerId && client.playerId === excludePlayerId) {
+  handleJailBreak(client, data) {
+    // Jailbreaks share the action rate limit
+    if (!this.actionLimiter.isAllowed(client.playerId)) {
+      this.send(client.ws, {
+        type: 'error',
+        message: 'You are performing actions too quickly. Please slow down.'
+      });
+      return;
+    }
+    
+    const result = this.jailManager.attemptJailbreak(client.playerId);
+    
+    this.send(client.ws, {
+      type: 'jail_break_result',
+      success: result.success,
+      escaped: result.escaped,
+      penalty: result.penalty,
+      message: result.message
+    });
+    
+    if (result.success) {
+      if (result.escaped) {
+        this.locationManager.movePlayer(client.playerId, 'jail', result.playerUpdates.location);
+      }
+      this.send(client.ws, {
+        type: 'player_updated',
+        updates: result.playerUpdates
+      });
+    }
+  }
+  
+  /**
+   * Guild Handlers
+   */
+  handleGuildCreate(client, data) {
+    const { name, tag } = data;
+    
+    const result = this.guildManager.createGuild(client.playerId, name, tag);
+    
+    this.send(client.ws, {
+      type: 'guild_create_result',
+      success: result.success,
+      guild: result.guild,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.sendPlayerUpdate(client.playerId);
+    }
+  }
+  
+  handleGuildInvite(client, data) {
+    const { targetPlayerId } = data;
+    
+    // Player IDs name files on disk, so only well-formed IDs are looked up
+    if (!InputValidator.validateUUID(targetPlayerId).valid) {
+      this.send(client.ws, { type: 'guild_invite_result', success: false, message: 'Player not found' });
+      return;
+    }
+    
+    const result = this.guildManager.invitePlayer(client.playerId, targetPlayerId);
+    
+    this.send(client.ws, {
+      type: 'guild_invite_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    // Notify the invited player if online
+    if (result.success) {
+      const targetClient = this.getClientByPlayerId(targetPlayerId);
+      if (targetClient) {
+        this.sendToPlayer(targetPlayerId, {
+          type: 'guild_invitation',
+          guildId: result.guild.id,
+          guildName: result.guild.name,
+          guildTag: result.guild.tag,
+          invitedBy: client.username
+        });
+      }
+    }
+  }
+  
+  handleGuildInviteRespond(client, data) {
+    const { guildId, accept } = data;
+    
+    const result = this.guildManager.respondToInvite(client.playerId, guildId, !!accept);
+    
+    this.send(client.ws, {
+      type: 'guild_invite_respond_result',
+      success: result.success,
+      joined: result.joined,
+      guild: result.guild,
+      message: result.message
+    });
+    
+    if (result.success && result.joined) {
+      this.notifyGuildMembers(result.guild, client.playerId);
+    }
+  }
+  
+  handleGuildLeave(client, data) {
+    const result = this.guildManager.leaveGuild(client.playerId);
+    
+    this.send(client.ws, {
+      type: 'guild_leave_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    if (result.success) {
+      if (result.disbanded) {
+        this.sendPlayerUpdate(client.playerId);
+      } else {
+        this.notifyGuildMembers(result.guild);
+      }
+    }
+  }
+  
+  handleGuildKick(client, data) {
+    const { targetPlayerId } = data;
+    
+    const result = this.guildManager.kickMember(client.playerId, targetPlayerId);
+    
+    this.send(client.ws, {
+      type: 'guild_kick_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    if (result.success) {
+      const targetClient = this.getClientByPlayerId(targetPlayerId);
+      if (targetClient) {
+        this.sendToPlayer(targetPlayerId, {
+          type: 'guild_removed',
+          guildId: result.guild.id,
+          guildName: result.guild.name
+        });
+      }
+      this.notifyGuildMembers(result.guild);
+    }
+  }
+  
+  handleGuildSetRank(client, data) {
+    const { targetPlayerId, rank } = data;
+    
+    const result = this.guildManager.setMemberRank(client.playerId, targetPlayerId, rank);
+    
+    this.send(client.ws, {
+      type: 'guild_set_rank_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.notifyGuildMembers(result.guild);
+    }
+  }
+  
+  handleGuildTreasury(client, data, action) {
+    const amount = parseInt(data.amount);
+    
+    const result = action === 'deposit'
+      ? this.guildManager.depositToTreasury(client.playerId, amount)
+      : this.guildManager.withdrawFromTreasury(client.playerId, amount);
+    
+    this.send(client.ws, {
+      type: `guild_${action}_result`,
+      success: result.success,
+      treasury: result.treasury,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.sendPlayerUpdate(client.playerId);
+      this.notifyGuildMembers(result.guild);
+    }
+  }
+  
+  handleGuildDisband(client, data) {
+    const result = this.guildManager.disbandGuild(client.playerId);
+    
+    this.send(client.ws, {
+      type: 'guild_disband_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.sendPlayerUpdate(client.playerId);
+      result.memberIds
+        .filter(memberId => memberId !== client.playerId)
+        .forEach(memberId => {
+          const memberClient = this.getClientByPlayerId(memberId);
+          if (memberClient) {
+            this.sendToPlayer(memberId, {
+              type: 'guild_removed',
+              guildId: result.guild.id,
+              guildName: result.guild.name
+            });
+          }
+        });
+    }
+  }
+  
+  handleGuildGet(client, data) {
+    const guild = this.guildManager.getPlayerGuild(client.playerId);
+    
+    this.send(client.ws, {
+      type: 'guild_data',
+      success: true,
+      guild,
+      roster: guild ? this.guildManager.getRoster(guild.id) : [],
+      ranks: this.guildManager.getRanks(),
+      invites: this.guildManager.getPlayerInvites(client.playerId)
+    });
+  }
+  
+  /**
+   * Send the latest guild state to its online members
+   */
+  notifyGuildMembers(guild, excludePlayerId = null) {
+    const roster = this.guildManager.getRoster(guild.id);
+    if (!roster) return;
+    
+    roster.forEach(member => {
+      if (member.playerId === excludePlayerId) return;
+      const memberClient = this.getClientByPlayerId(member.playerId);
+      if (memberClient) {
+        this.sendToPlayer(member.playerId, {
+          type: 'guild_updated',
+          guild,
+          roster
+        });
+      }
+    });
+  }
+  
+  /**
+   * Quest Handlers
+   */
+  handleQuestGet(client) {
+    this.send(client.ws, {
+      type: 'quest_data',
+      success: true,
+      ...this.questManager.getPlayerQuests(client.playerId)
+    });
+  }
+  
+  handleQuestAccept(client, data) {
+    const { questId } = data;
+    
+    const result = this.questManager.acceptQuest(client.playerId, questId);
+    
+    this.send(client.ws, {
+      type: 'quest_accept_result',
+      success: result.success,
+      quest: result.quest,
+      message: result.message
+    });
+  }
+  
+  handleQuestAbandon(client, data) {
+    const { questId } = data;
+    
+    const result = this.questManager.abandonQuest(client.playerId, questId);
+    
+    this.send(client.ws, {
+      type: 'quest_abandon_result',
+      success: result.success,
+      questId,
+      message: result.message
+    });
+  }
+  
+  /**
+   * Friend Handlers
+   */
+  handleFriendRequest(client, data) {
+    const { targetPlayerId } = data;
+    
+    // Player IDs name files on disk, so only well-formed IDs are looked up
+    if (!InputValidator.validateUUID(targetPlayerId).valid) {
+      this.send(client.ws, { type: 'friend_request_result', success: false, message: 'Player not found' });
+      return;
+    }
+    
+    const result = this.friendManager.sendRequest(client.playerId, targetPlayerId);
+    
+    this.send(client.ws, {
+      type: 'friend_request_result',
+      success: result.success,
+      accepted: result.accepted,
+      message: result.message
+    });
+    
+    if (!result.success) return;
+    
+    // Sending a request to someone who already asked us accepts theirs
+    if (result.accepted) {
+      this.notifyFriendAccepted(client, targetPlayerId);
+    } else {
+      const targetClient = this.getClientByPlayerId(targetPlayerId);
+      if (targetClient) {
+        this.sendToPlayer(targetPlayerId, {
+          type: 'friend_request_received',
+          playerId: client.playerId,
+          username: client.username
+        });
+      }
+    }
+    
+    this.sendFriendsList(client.playerId);
+  }
+  
+  handleFriendRespond(client, data) {
+    const { playerId, accept } = data;
+    
+    if (!InputValidator.validateUUID(playerId).valid) {
+      this.send(client.ws, { type: 'friend_respond_result', success: false, message: 'Player not found' });
+      return;
+    }
+    
+    const result = this.friendManager.respondToRequest(client.playerId, playerId, !!accept);
+    
+    this.send(client.ws, {
+      type: 'friend_respond_result',
+      success: result.success,
+      accepted: result.accepted,
+      message: result.message
+    });
+    
+    if (!result.success) return;
+    
+    if (result.accepted) {
+      this.notifyFriendAccepted(client, playerId);
+    } else {
+      this.sendFriendsList(playerId);
+    }
+    
+    this.sendFriendsList(client.playerId);
+  }
+  
+  handleFriendRemove(client, data) {
+    const { playerId } = data;
+    
+    if (!InputValidator.validateUUID(playerId).valid) {
+      this.send(client.ws, { type: 'friend_remove_result', success: false, message: 'Player not found' });
+      return;
+    }
+    
+    const result = this.friendManager.removeFriend(client.playerId, playerId);
+    
+    this.send(client.ws, {
+      type: 'friend_remove_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    if (result.success) {
+      const friendClient = this.getClientByPlayerId(playerId);
+      if (friendClient) {
+        this.sendToPlayer(playerId, {
+          type: 'friend_removed',
+          playerId: client.playerId,
+          username: client.username
+        });
+      }
+      
+      this.sendFriendsList(client.playerId);
+      this.sendFriendsList(playerId);
+    }
+  }
+  
+  handleFriendBlock(client, data, block) {
+    const { playerId } = data;
+    
+    if (!InputValidator.validateUUID(playerId).valid) {
+      this.send(client.ws, { type: block ? 'friend_block_result' : 'friend_unblock_result', success: false, message: 'Player not found' });
+      return;
+    }
+    
+    const result = block
+      ? this.friendManager.blockPlayer(client.playerId, playerId)
+      : this.friendManager.unblockPlayer(client.playerId, playerId);
+    
+    this.send(client.ws, {
+      type: block ? 'friend_block_result' : 'friend_unblock_result',
+      success: result.success,
+      message: result.message
+    });
+    
+    if (result.success) {
+      this.sendFriendsList(client.playerId);
+      
+      // The blocked player just sees the friendship or request disappear
+      if (block) {
+        this.sendFriendsList(playerId);
+      }
+    }
+  }
+  
+  handleFriendsGet(client) {
+    this.send(client.ws, {
+      type: 'friends_list',
+      ...this.getFriendsList(client.playerId)
+    });
+  }
+  
+  getFriendsList(playerId) {
+    return this.friendManager.getFriendsList(playerId, (friendId) => !!this.getClientByPlayerId(friendId));
+  }
+  
+  /**
+   * Send a player's friends list to their client if online
+   */
+  sendFriendsList(playerId) {
+    const client = this.getClientByPlayerId(playerId);
+    const list = client ? this.getFriendsList(playerId) : null;
+    if (list) {
+      this.sendToPlayer(playerId, {
+        type: 'friends_list',
+        ...list
+      });
+    }
+  }
+  
+  notifyFriendAccepted(client, friendId) {
+    const friendClient = this.getClientByPlayerId(friendId);
+    if (friendClient) {
+      this.sendToPlayer(friendId, {
+        type: 'friend_request_accepted',
+        playerId: client.playerId,
+        username: client.username
+      });
+      this.sendFriendsList(friendId);
+    }
+  }
+  
+  /**
+   * Tell a player's online friends that they logged in or out
+   */
+  notifyFriendsPresence(playerId, username, online) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) return;
+    
+    for (const friendId of this.friendManager.getFriendIds(player)) {
+      const friendClient = this.getClientByPlayerId(friendId);
+      if (friendClient) {
+        this.sendToPlayer(friendId, {
+          type: online ? 'friend_online' : 'friend_offline',
+          playerId,
+          username
+        });
+      }
+    }
+  }
+  
+  /**
+   * Profile Handlers
+   */
+  handleProfilePrivacyUpdate(client, data) {
+    const result = this.playerManager.setProfilePrivacy(client.playerId, data.hiddenFields);
+    
+    this.send(client.ws, {
+      type: 'profile_privacy_result',
+      success: result.success,
+      privacy: result.privacy,
+      message: result.message
+    });
+  }
+  
+  /**
+   * Add guild details and online status to a public profile
+   */
+  decorateProfile(profile) {
+    const decorated = { ...profile, online: !!this.getClientByPlayerId(profile.id) };
+    
+    if (profile.guildId !== undefined) {
+      const guild = profile.guildId ? this.guildManager.getGuild(profile.guildId) : null;
+      decorated.guild = guild ? { id: guild.id, name: guild.name, tag: guild.tag } : null;
+      delete decorated.guildId;
+    }
+    
+    return decorated;
+  }
+  
+  /**
+   * Send a player's full data to their client if online
+   */
+  sendPlayerUpdate(playerId) {
+    const client = this.getClientByPlayerId(playerId);
+    const player = this.playerManager.getPlayer(playerId);
+    if (client && player) {
+      this.sendToPlayer(playerId, {
+        type: 'player_updated',
+        playerId,
+        updates: player
+      });
+    }
+  }
+  
+  /**
+   * Helper method to find a client by player ID
+   */
+  getClientByPlayerId(playerId) {
+    for (const client of this.clients) {
+      if (client.playerId === playerId) {
+        return client;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Helper method to find every open session of a player
+   */
+  getClientsByPlayerId(playerId) {
+    return Array.from(this.clients).filter(client => client.playerId === playerId);
+  }
+  
+  /**
+   * Send a message to every open session of a player
+   * @returns {boolean} - True if the player has at least one session
+   */
+  sendToPlayer(playerId, data) {
+    const clients = this.getClientsByPlayerId(playerId);
+    clients.forEach(client => this.send(client.ws, data));
+    return clients.length > 0;
+  }
+  
+  /**
+   * Helper method to find an authenticated client by username (case-insensitive)
+   */
+  getClientByUsername(username) {
+    if (typeof username !== 'string') {
+      return null;
+    }
+    
+    for (const client of this.clients) {
+      if (client.playerId && client.username && client.username.toLowerCase() === username.trim().toLowerCase()) {
+        return client;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Check for connection flood from an IP
+   * @param {string} ip - Client IP address
+   * @returns {boolean} - True if connection is allowed
+   */
+  checkConnectionFlood(ip) {
+    const now = Date.now();
+    
+    if (!this.connectionAttempts.has(ip)) {
+      this.connectionAttempts.set(ip, []);
+    }
+    
+    const attempts = this.connectionAttempts.get(ip);
+    
+    // Remove old attempts outside the window
+    const validAttempts = attempts.filter(ts => now - ts < this.connectionWindow);
+    
+    // Check if limit exceeded
+    if (validAttempts.length >= this.maxConnectionsPerIP) {
+      return false;
+    }
+    
+    // Record this connection
+    validAttempts.push(now);
+    this.connectionAttempts.set(ip, validAttempts);
+    
+    return true;
+  }
+  
+  /**
+   * Check for WebSocket message flood from a client
+   * @param {Object} client - Client object
+   * @returns {boolean} - True if message is allowed
+   */
+  checkMessageFlood(client) {
+    const now = Date.now();
+    const timeSinceLastMessage = now - client.lastMessageTime;
+    
+    // Reset counter if enough time has passed (1 second)
+    if (timeSinceLastMessage > 1000) {
+      client.messageCount = 0;
+    }
+    
+    client.lastMessageTime = now;
+    client.messageCount++;
+    
+    // Allow up to 30 messages per second (generous limit)
+    return client.messageCount <= 30;
+  }
+  
+  send(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(data));
+    }
+  }
+  
+  broadcast(data, excludePlayerId = null) {
+    this.clients.forEach((client) => {
+      // Skip excluded player
+      if (excludePlayerId && client.playerId === excludePlayerId) {
         return;
       }
       
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(data));
+      // Event messages only go to the players following a matching channel
+      if (!this.eventSubscriptions.wants(client.playerId, data)) {
+        return;
       }
+      
+      this.send(client.ws, data);
     });
   }
   
   broadcastToLocation(locationId, data, excludePlayerId = null) {
     const playersInLocation = this.locationManager.getPlayersInLocation(locationId);
     
-    this.wss.clients.forEach((client) => {
+    this.clients.forEach((client) => {
       if (client.playerId && 
           playersInLocation.includes(client.playerId) && 
           client.playerId !== excludePlayerId &&
-          client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(data));
+          this.eventSubscriptions.wants(client.playerId, data)) {
+        this.send(client.ws, data);
       }
     });
   }
   
   // Helper method to disconnect a player by username
   disconnectPlayer(username, reason = 'Disconnected') {
-    this.wss.clients.forEach((client) => {
+    this.clients.forEach((client) => {
       if (client.username && client.username.toLowerCase() === username.toLowerCase()) {
         this.send(client.ws, {
           type: 'force_disconnect',
@@ -1878,9 +3404,48 @@ class HighWizardryServer {
     });
   }
   
+  // Helper method to disconnect the connections using a session
+  disconnectSession(sessionId, reason = 'Session revoked') {
+    this.clients.forEach((client) => {
+      if (client.sessionId === sessionId) {
+        this.send(client.ws, {
+          type: 'force_disconnect',
+          reason: reason
+        });
+        client.authenticated = false;
+        client.sessionId = null;
+        client.sessionToken = null;
+        
+        setTimeout(() => {
+          client.ws.close(1008, reason);
+        }, 500);
+      }
+    });
+  }
+  
+  /**
+   * Resolve the session behind an `Authorization: Bearer <token>` header
+   * @returns {Object|null} - { playerId, username, sessionId }
+   */
+  authenticateRequest(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return null;
+    }
+    
+    const result = this.authManager.validateToken(match[1]);
+    if (!result.success) {
+      return null;
+    }
+    
+    this.authManager.touchSession(match[1], { ip: req.ip, userAgent: req.headers['user-agent'] });
+    return result;
+  }
+  
   // Helper method to disconnect all connections from an IP
   disconnectByIp(ip, reason = 'Disconnected') {
-    this.wss.clients.forEach((client) => {
+    this.clients.forEach((client) => {
       if (client.ip === ip) {
         this.send(client.ws, {
           type: 'force_disconnect',
@@ -1895,7 +3460,18 @@ class HighWizardryServer {
   }
   
   
-  start() {
+  async start() {
+    // Open the database and restore persisted trades and auctions before accepting players
+    if (!await this.database.initialize()) {
+      throw new Error(`Failed to initialize ${this.database.getType()} database`);
+    }
+    // Finish transfers interrupted by the last shutdown before trades and auctions reconcile with them
+    await this.transferService.recover();
+    await this.tradeManager.initialize();
+    await this.auctionManager.initialize();
+    // Periodic events pick up their saved schedules
+    await this.eventDispatcher.initialize();
+    
     this.server.listen(this.port, () => {
       console.log(`High Wizardry server running on port ${this.port}`);
       console.log(`Visit http://localhost:${this.port} to play`);
@@ -1939,6 +3515,9 @@ class HighWizardryServer {
         });
         console.log(`✅ Closed ${closeCount} WebSocket connection(s)`);
         
+        // Persist last-seen times and any pending session changes
+        this.authManager.sessions.flush();
+        
         // Save all player data
         console.log('Saving player data...');
         const saved = this.playerManager.savePlayers();
@@ -1995,6 +3574,9 @@ class HighWizardryServer {
 // Start server
 const port = process.env.PORT || 8080;
 const server = new HighWizardryServer(port);
-server.start();
+server.start().catch((error) => {
+  console.error('❌ Server failed to start:', error.message);
+  process.exit(1);
+});
 
 module.exports = HighWizardryServer;
@@ -11,11 +11,17 @@
  * - On-demand backup triggers
  * - Retention policies (configurable last N backups)
  * - Backup integrity verification with checksums
+ * - Incremental and differential backups (only files changed since a base backup)
+ * - Optional encrypted archives (gzip + AES-256-GCM, key from BACKUP_ENCRYPTION_KEY)
+ * - Consistent SQLite snapshots via the online backup API when DATABASE_TYPE=sqlite
  * - Point-in-time restore support
  * - Backup notifications via callbacks
  * 
  * Usage:
  *   node server/scripts/backup.js                    # Run backup now
+ *   node server/scripts/backup.js --incremental      # Store changes since the previous backup
+ *   node server/scripts/backup.js --differential     # Store changes since the last full backup
+ *   node server/scripts/backup.js --archive          # Write an encrypted, compressed archive
  *   node server/scripts/backup.js --schedule         # Start scheduled backups
  *   node server/scripts/backup.js --list             # List available backups
  *   node server/scripts/backup.js --verify <timestamp>  # Verify backup integrity
@@ -26,6 +32,11 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { ARCHIVE_SUFFIX, resolveArchiveKey, createArchive, readArchiveHeader, openArchive } = require('../utils/backupArchive');
+const { getDatabaseType, SQLiteAdapter } = require('../database');
+
+// SQLite database files start with this header
+const SQLITE_HEADER = 'SQLite format 3\0';
 
 // Load package.json version once at module load time
 let packageVersion = '1.0.0';
@@ -35,12 +46,18 @@ try {
   // Use default version if package.json cannot be loaded
 }
 
+// full: everything; incremental: changes since the previous backup; differential: changes since the last full backup
+const BACKUP_TYPES = ['full', 'incremental', 'differential'];
+
 class BackupManager {
   constructor(options = {}) {
     this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
     this.backupDir = options.backupDir || path.join(__dirname, '..', '..', 'backups');
     this.timestamp = this.generateTimestamp();
     this.serverVersion = packageVersion;
+    // Live database adapter (optional); otherwise the database file is detected from DATABASE_TYPE
+    this.databaseAdapter = options.databaseAdapter || null;
+    this.databaseType = options.databaseType || getDatabaseType();
     
     // Configuration with defaults
     this.config = {
@@ -51,6 +68,10 @@ class BackupManager {
       scheduledMinute: options.scheduledMinute || parseInt(process.env.BACKUP_SCHEDULED_MINUTE || '0', 10),
       // Enable/disable scheduled backups
       enableScheduled: options.enableScheduled !== false,
+      // Write backups as a single encrypted archive instead of plain JSON files
+      archive: options.archive !== undefined ? options.archive : process.env.BACKUP_ARCHIVE === 'true',
+      // Secret for encrypted archives
+      encryptionKey: resolveArchiveKey(options.encryptionKey),
       // Notification callback for backup events
       notificationCallback: options.notificationCallback || null
     };
@@ -63,8 +84,7 @@ class BackupManager {
   /**
    * Generate timestamp in YYYYMMDD-HHmmss format
    */
-  generateTimestamp() {
-    const now = new Date();
+  generateTimestamp(now = new Date()) {
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
     const day = String(now.getDate()).padStart(2, '0');
@@ -75,6 +95,22 @@ class BackupManager {
     return `${year}${month}${day}-${hours}${minutes}${seconds}`;
   }
 
+  /**
+   * Generate a timestamp that no existing backup uses (backups in the same second get the next free second)
+   */
+  generateUniqueTimestamp() {
+    let time = Date.now();
+    let timestamp = this.generateTimestamp(new Date(time));
+    
+    while (fs.existsSync(path.join(this.backupDir, `${timestamp}-manifest.json`)) ||
+           fs.existsSync(this.getArchivePath(timestamp))) {
+      time += 1000;
+      timestamp = this.generateTimestamp(new Date(time));
+    }
+    
+    return timestamp;
+  }
+
   /**
    * Ensure backup directory exists
    */
@@ -87,8 +123,9 @@ class BackupManager {
 
   /**
    * Backup users.json file
+   * @param {Function} include - Optional filter on source keys (used by incremental backups)
    */
-  backupUsers() {
+  backupUsers(include = () => true) {
     const usersFile = path.join(this.dataDir, 'users.json');
     
     if (!fs.existsSync(usersFile)) {
@@ -96,6 +133,11 @@ class BackupManager {
       return null;
     }
 
+    if (!include('users.json')) {
+      console.log('⏭️  users.json unchanged since base backup, skipping...');
+      return null;
+    }
+
     const backupFile = path.join(this.backupDir, `${this.timestamp}-users.json`);
     
     try {
@@ -111,8 +153,9 @@ class BackupManager {
 
   /**
    * Backup all player data files
+   * @param {Function} include - Optional filter on source keys (used by incremental backups)
    */
-  backupPlayers() {
+  backupPlayers(include = () => true) {
     const playersDir = path.join(this.dataDir, 'players');
     
     if (!fs.existsSync(playersDir)) {
@@ -120,13 +163,20 @@ class BackupManager {
       return null;
     }
 
-    const playerFiles = fs.readdirSync(playersDir).filter(f => f.endsWith('.json'));
+    const allPlayerFiles = fs.readdirSync(playersDir).filter(f => f.endsWith('.json'));
     
-    if (playerFiles.length === 0) {
+    if (allPlayerFiles.length === 0) {
       console.log('⚠️  No player files found, skipping...');
       return null;
     }
 
+    const playerFiles = allPlayerFiles.filter(f => include(`players/${f}`));
+    
+    if (playerFiles.length === 0) {
+      console.log('⏭️  No player changes since base backup, skipping...');
+      return null;
+    }
+
     const backupFile = path.join(this.backupDir, `${this.timestamp}-players.json`);
     
     try {
@@ -153,8 +203,9 @@ class BackupManager {
 
   /**
    * Backup any additional data files in the data directory
+   * @param {Function} include - Optional filter on source keys (used by incremental backups)
    */
-  backupAdditionalData() {
+  backupAdditionalData(include = () => true) {
     if (!fs.existsSync(this.dataDir)) {
       return [];
     }
@@ -173,8 +224,8 @@ class BackupManager {
           continue;
         }
         
-        // Skip non-JSON files
-        if (!file.endsWith('.json')) {
+        // Skip non-JSON files and files unchanged since the base backup
+        if (!file.endsWith('.json') || !include(file)) {
           continue;
         }
         
@@ -192,6 +243,50 @@ class BackupManager {
     return backedUpFiles;
   }
 
+  /**
+   * Find the SQLite database to snapshot, if SQLite is the active database
+   * @returns {Object|null} - { adapter } for a live adapter, { dbPath } for a database file, or null
+   */
+  getSQLiteSource() {
+    if (this.databaseAdapter && this.databaseAdapter.getType() === 'sqlite' && this.databaseAdapter.db) {
+      return { adapter: this.databaseAdapter };
+    }
+
+    if (String(this.databaseType).toLowerCase() !== 'sqlite') {
+      return null;
+    }
+
+    const dbPath = path.join(this.dataDir, 'highwizardry.db');
+    return fs.existsSync(dbPath) ? { dbPath } : null;
+  }
+
+  /**
+   * Snapshot the SQLite database with the online backup API (safe while the server is running)
+   * Snapshots are always complete, including in incremental and differential backups.
+   * @returns {Promise<string|null>} - Snapshot file or null if SQLite is not in use
+   */
+  async backupDatabase() {
+    const source = this.getSQLiteSource();
+    if (!source) {
+      return null;
+    }
+
+    const backupFile = path.join(this.backupDir, `${this.timestamp}-database.sqlite`);
+
+    try {
+      if (source.adapter) {
+        await source.adapter.backup(backupFile);
+      } else {
+        await SQLiteAdapter.snapshot(source.dbPath, backupFile);
+      }
+      console.log(`✅ Backed up SQLite database (${this.formatBytes(fs.statSync(backupFile).size)})`);
+      return backupFile;
+    } catch (error) {
+      console.error('❌ Error backing up SQLite database:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Format bytes to human-readable format
    */
@@ -215,10 +310,209 @@ class BackupManager {
     return hashSum.digest('hex');
   }
 
+  /**
+   * Checksum every source file in the data directory
+   * Keys are 'users.json', 'players/<id>.json' and '<file>.json' for additional data
+   * @returns {Object} - Map of source key to checksum
+   */
+  collectSources() {
+    const sources = {};
+    
+    if (!fs.existsSync(this.dataDir)) {
+      return sources;
+    }
+
+    for (const file of fs.readdirSync(this.dataDir)) {
+      const filePath = path.join(this.dataDir, file);
+      if (file.endsWith('.json') && fs.statSync(filePath).isFile()) {
+        sources[file] = this.calculateChecksum(filePath);
+      }
+    }
+
+    const playersDir = path.join(this.dataDir, 'players');
+    if (fs.existsSync(playersDir)) {
+      for (const file of fs.readdirSync(playersDir).filter(f => f.endsWith('.json'))) {
+        sources[`players/${file}`] = this.calculateChecksum(path.join(playersDir, file));
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Read the raw manifest for a backup
+   * @param {string} timestamp - Backup timestamp (YYYYMMDD-HHmmss)
+   * @returns {Object|null} - Manifest or null if missing/unreadable
+   */
+  readManifest(timestamp) {
+    if (!/^[0-9]{8}-[0-9]{6}$/.test(String(timestamp || ''))) {
+      return null;
+    }
+
+    const manifestFile = path.join(this.backupDir, `${timestamp}-manifest.json`);
+
+    try {
+      if (fs.existsSync(manifestFile)) {
+        return JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+      }
+      if (fs.existsSync(this.getArchivePath(timestamp))) {
+        const { files } = this.openArchive(timestamp);
+        return JSON.parse(files[`${timestamp}-manifest.json`]);
+      }
+    } catch {
+      // Unreadable manifest or archive (e.g. missing encryption key)
+    }
+
+    return null;
+  }
+
+  /**
+   * Path of the encrypted archive for a backup
+   */
+  getArchivePath(timestamp) {
+    return path.join(this.backupDir, `${timestamp}${ARCHIVE_SUFFIX}`);
+  }
+
+  /**
+   * Decrypt an archived backup
+   * @param {string} timestamp - Backup timestamp
+   * @returns {Object} - { header, files } with file contents keyed by backup file name
+   * @throws {Error} - If the key is missing or wrong, or the archive is corrupted
+   */
+  openArchive(timestamp) {
+    return openArchive(fs.readFileSync(this.getArchivePath(timestamp)), this.config.encryptionKey);
+  }
+
+  /**
+   * Bundle this backup's files into an encrypted archive and remove the plain copies
+   * @param {Array<string>} backedUpFiles - Files written by this backup (including the manifest)
+   * @returns {string} - Archive path
+   */
+  archiveBackup(backedUpFiles) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(this.backupDir, `${this.timestamp}-manifest.json`), 'utf8'));
+    const files = {};
+    for (const file of backedUpFiles) {
+      files[path.basename(file)] = file.endsWith('.sqlite') ? fs.readFileSync(file) : fs.readFileSync(file, 'utf8');
+    }
+
+    const archive = createArchive(files, {
+      version: manifest.version,
+      timestamp: manifest.timestamp,
+      date: manifest.date,
+      type: manifest.type,
+      base: manifest.base,
+      fileCount: manifest.files.length,
+      totalSize: manifest.totalSize,
+      serverVersion: manifest.serverVersion
+    }, this.config.encryptionKey);
+
+    const archiveFile = this.getArchivePath(this.timestamp);
+    fs.writeFileSync(archiveFile, archive, { mode: 0o600 });
+    for (const file of backedUpFiles) {
+      fs.unlinkSync(file);
+    }
+    console.log(`🔒 Created encrypted archive (${this.formatBytes(archive.length)})`);
+
+    return archiveFile;
+  }
+
+  /**
+   * Bundle a backup for download. Encrypted archives are returned as they are; plain backups
+   * become an archive when a key is configured, otherwise JSON with SQLite snapshots base64-encoded
+   * @param {string} timestamp - Backup timestamp (YYYYMMDD-HHMMSS)
+   * @returns {Object|null} - { fileName, archive } or { fileName, backup }, or null if not found
+   */
+  getDownload(timestamp) {
+    const archiveFile = this.getArchivePath(timestamp);
+    if (fs.existsSync(archiveFile)) {
+      return { fileName: path.basename(archiveFile), archive: fs.readFileSync(archiveFile) };
+    }
+
+    const manifestFile = path.join(this.backupDir, `${timestamp}-manifest.json`);
+    if (!fs.existsSync(manifestFile)) {
+      return null;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    const files = { [path.basename(manifestFile)]: fs.readFileSync(manifestFile, 'utf8') };
+    for (const file of manifest.files) {
+      const filePath = path.join(this.backupDir, path.basename(file.name));
+      if (fs.existsSync(filePath)) {
+        files[file.name] = file.name.endsWith('.sqlite') ? fs.readFileSync(filePath) : fs.readFileSync(filePath, 'utf8');
+      }
+    }
+
+    if (this.config.encryptionKey) {
+      const archive = createArchive(files, {
+        version: manifest.version,
+        timestamp: manifest.timestamp,
+        date: manifest.date,
+        type: manifest.type || 'full',
+        base: manifest.base || null,
+        fileCount: manifest.files.length,
+        totalSize: manifest.totalSize,
+        serverVersion: manifest.serverVersion
+      }, this.config.encryptionKey);
+      return { fileName: path.basename(archiveFile), archive };
+    }
+
+    const backup = { manifest, files: {} };
+    for (const file of manifest.files) {
+      const contents = files[file.name];
+      if (contents !== undefined && !file.name.endsWith('-manifest.json')) {
+        backup.files[file.name] = Buffer.isBuffer(contents) ? contents.toString('base64') : JSON.parse(contents);
+      }
+    }
+    return { fileName: `backup-${timestamp}.json`, backup };
+  }
+
+  /**
+   * Find the backup a new incremental or differential backup is based on
+   * Only manifests that record source checksums can serve as a base.
+   * @param {string} type - 'incremental' (previous backup) or 'differential' (last full backup)
+   * @returns {Object|null} - Base manifest or null if there is none
+   */
+  findBaseBackup(type) {
+    for (const backup of this.listBackups()) {
+      if (type === 'differential' && backup.type !== 'full') {
+        continue;
+      }
+      
+      // Older backups without source checksums cannot serve as a base
+      const manifest = this.readManifest(backup.timestamp);
+      return manifest && manifest.sources ? manifest : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk the base pointers from a backup back to its full backup
+   * @param {string} timestamp - Backup timestamp
+   * @returns {Array<string>|null} - Timestamps from the full backup to this one, or null if a link is missing
+   */
+  getBackupChain(timestamp) {
+    const chain = [];
+    let current = timestamp;
+
+    while (current) {
+      const manifest = this.readManifest(current);
+      if (!manifest || chain.includes(current)) {
+        return null;
+      }
+      chain.unshift(current);
+      current = manifest.type && manifest.type !== 'full' ? manifest.base : null;
+    }
+
+    return chain;
+  }
+
   /**
    * Create a manifest file with backup metadata and checksums
+   * @param {Array<string>} backedUpFiles - Files stored by this backup
+   * @param {Object} details - Backup type, base timestamp, source checksums and deleted sources
    */
-  createManifest(backedUpFiles) {
+  createManifest(backedUpFiles, details = {}) {
     const filesWithChecksums = backedUpFiles.map(file => {
       const stats = fs.existsSync(file) ? fs.statSync(file) : null;
       return {
@@ -233,8 +527,12 @@ class BackupManager {
       version: '2.0',
       timestamp: this.timestamp,
       date: new Date().toISOString(),
+      type: details.type || 'full',
+      base: details.base || null,
       files: filesWithChecksums,
       totalSize: filesWithChecksums.reduce((total, file) => total + file.size, 0),
+      sources: details.sources || this.collectSources(),
+      deleted: details.deleted || [],
       serverVersion: this.serverVersion
     };
 
@@ -284,6 +582,9 @@ class BackupManager {
         errors: ['Manifest file must be located inside backup directory']
       };
     }
+    if (!fs.existsSync(manifestFileResolved) && fs.existsSync(this.getArchivePath(normalizedTs))) {
+      return this.verifyArchive(normalizedTs);
+    }
     if (!fs.existsSync(manifestFileResolved)) {
       return { 
         success: false, 
@@ -342,18 +643,23 @@ class BackupManager {
           continue;
         }
 
-        // Verify JSON is valid
-        try {
-          JSON.parse(fs.readFileSync(filePathResolved, 'utf8'));
-        } catch {
+        // Verify JSON is valid (database snapshots must carry the SQLite header)
+        const formatError = this.checkFileFormat(file.name, fs.readFileSync(filePathResolved));
+        if (formatError) {
           results.failed++;
-          results.errors.push(`Invalid JSON in file: ${file.name}`);
+          results.errors.push(formatError);
           continue;
         }
 
         results.verified++;
       }
 
+      // Incremental and differential backups are useless without their chain
+      if (manifest.type && manifest.type !== 'full' && !this.getBackupChain(normalizedTs)) {
+        results.failed++;
+        results.errors.push(`Missing base backup in chain: ${manifest.base}`);
+      }
+
       results.success = results.failed === 0;
       results.message = results.success 
         ? `All ${results.verified} file(s) verified successfully`
@@ -371,6 +677,100 @@ class BackupManager {
     }
   }
 
+  /**
+   * Check that a backed-up file has the expected format
+   * @returns {string|null} - Error message or null if valid
+   */
+  checkFileFormat(name, buffer) {
+    if (name.endsWith('.sqlite')) {
+      return buffer.toString('latin1', 0, SQLITE_HEADER.length) === SQLITE_HEADER
+        ? null
+        : `Invalid SQLite database in file: ${name}`;
+    }
+
+    try {
+      JSON.parse(buffer.toString('utf8'));
+      return null;
+    } catch {
+      return `Invalid JSON in file: ${name}`;
+    }
+  }
+
+  /**
+   * Verify an archived backup: decryption authenticates the archive, then each file is checked against the manifest
+   * @param {string} timestamp - Normalized backup timestamp
+   * @returns {Object} - Verification result (same shape as verifyBackup)
+   */
+  verifyArchive(timestamp) {
+    let files;
+    try {
+      files = this.openArchive(timestamp).files;
+    } catch (error) {
+      return {
+        success: false,
+        message: `Error verifying backup: ${error.message}`,
+        verified: 0,
+        failed: 1,
+        errors: [error.message]
+      };
+    }
+
+    const manifest = JSON.parse(files[`${timestamp}-manifest.json`] || '{"files":[]}');
+    const results = {
+      success: true,
+      timestamp: manifest.timestamp,
+      date: manifest.date,
+      archived: true,
+      verified: 0,
+      failed: 0,
+      errors: []
+    };
+
+    for (const file of manifest.files) {
+      const contents = files[file.name];
+      if (contents === undefined) {
+        results.failed++;
+        results.errors.push(`Missing file in archive: ${file.name}`);
+        continue;
+      }
+
+      const buffer = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf8');
+      const actualChecksum = crypto.createHash('sha256').update(buffer).digest('hex');
+      if (file.checksum && actualChecksum !== file.checksum) {
+        results.failed++;
+        results.errors.push(`Checksum mismatch for ${file.name}: expected ${file.checksum}, got ${actualChecksum}`);
+        continue;
+      }
+
+      if (buffer.length !== file.size) {
+        results.failed++;
+        results.errors.push(`Size mismatch for ${file.name}: expected ${file.size}, got ${buffer.length}`);
+        continue;
+      }
+
+      const formatError = this.checkFileFormat(file.name, buffer);
+      if (formatError) {
+        results.failed++;
+        results.errors.push(formatError);
+        continue;
+      }
+
+      results.verified++;
+    }
+
+    if (manifest.type && manifest.type !== 'full' && !this.getBackupChain(timestamp)) {
+      results.failed++;
+      results.errors.push(`Missing base backup in chain: ${manifest.base}`);
+    }
+
+    results.success = results.failed === 0;
+    results.message = results.success
+      ? `All ${results.verified} file(s) verified successfully`
+      : `Verification failed: ${results.failed} file(s) have issues`;
+
+    return results;
+  }
+
   /**
    * List all available backups with metadata
    * @returns {Array} - Array of backup info objects
@@ -382,8 +782,9 @@ class BackupManager {
 
     const files = fs.readdirSync(this.backupDir);
     const manifests = files.filter(f => f.endsWith('-manifest.json'));
+    const archives = files.filter(f => f.endsWith(ARCHIVE_SUFFIX));
     
-    const backups = manifests.map(manifestFile => {
+    const plainBackups = manifests.map(manifestFile => {
       try {
         const manifestPath = path.join(this.backupDir, manifestFile);
         const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
@@ -392,13 +793,38 @@ class BackupManager {
           date: manifest.date,
           totalSize: manifest.totalSize,
           fileCount: manifest.files.length,
+          type: manifest.type || 'full',
+          base: manifest.base || null,
+          archived: false,
           version: manifest.version || '1.0',
           serverVersion: manifest.serverVersion || 'unknown'
         };
       } catch {
         return null;
       }
-    }).filter(Boolean);
+    });
+
+    // Archives are listed from their plaintext header, so no key is needed
+    const archivedBackups = archives.map(archiveFile => {
+      try {
+        const header = readArchiveHeader(path.join(this.backupDir, archiveFile));
+        return header && {
+          timestamp: header.timestamp,
+          date: header.date,
+          totalSize: fs.statSync(path.join(this.backupDir, archiveFile)).size,
+          fileCount: header.fileCount,
+          type: header.type || 'full',
+          base: header.base || null,
+          archived: true,
+          version: header.version || '1.0',
+          serverVersion: header.serverVersion || 'unknown'
+        };
+      } catch {
+        return null;
+      }
+    });
+
+    const backups = [...plainBackups, ...archivedBackups].filter(Boolean);
 
     // Sort by timestamp descending (newest first)
     backups.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
@@ -408,23 +834,37 @@ class BackupManager {
 
   /**
    * Apply retention policy - keep only the last N backups
+   * Base backups that a kept incremental or differential backup depends on are kept as well.
    * @param {number} keepCount - Number of backups to keep (default: config.retentionCount)
    * @returns {Object} - Cleanup result with deleted backup info
    */
   applyRetentionPolicy(keepCount = null) {
     const retainCount = keepCount || this.config.retentionCount;
     const backups = this.listBackups();
+    const byTimestamp = new Map(backups.map(b => [b.timestamp, b]));
+    const kept = new Set(backups.slice(0, retainCount).map(b => b.timestamp));
+    
+    for (const timestamp of [...kept]) {
+      let backup = byTimestamp.get(timestamp);
+      while (backup && backup.type !== 'full' && backup.base && !kept.has(backup.base)) {
+        kept.add(backup.base);
+        backup = byTimestamp.get(backup.base);
+      }
+    }
+    
+    const toDelete = backups.filter(b => !kept.has(b.timestamp));
+    const retainedBases = kept.size - Math.min(retainCount, backups.length);
     
-    if (backups.length <= retainCount) {
+    if (toDelete.length === 0) {
       return {
         success: true,
         message: `No cleanup needed. Have ${backups.length} backups, retention is ${retainCount}.`,
         deleted: 0,
-        remaining: backups.length
+        remaining: backups.length,
+        retainedBases
       };
     }
 
-    const toDelete = backups.slice(retainCount);
     const deleted = [];
 
     for (const backup of toDelete) {
@@ -442,10 +882,12 @@ class BackupManager {
 
     return {
       success: true,
-      message: `Deleted ${deleted.length} old backup(s). Kept ${retainCount} most recent.`,
+      message: `Deleted ${deleted.length} old backup(s). Kept ${retainCount} most recent` +
+        (retainedBases > 0 ? ` and ${retainedBases} base backup(s) they depend on.` : '.'),
       deleted: deleted.length,
       deletedTimestamps: deleted,
-      remaining: backups.length - deleted.length
+      remaining: backups.length - deleted.length,
+      retainedBases
     };
   }
 
@@ -474,16 +916,21 @@ class BackupManager {
     if (!resolvedManifestFile.startsWith(resolvedBackupDir)) {
       return null;
     }
-    if (!fs.existsSync(resolvedManifestFile)) {
-      return null;
-    }
     try {
-      const manifest = JSON.parse(fs.readFileSync(resolvedManifestFile, 'utf8'));
+      // Falls back to the manifest inside an encrypted archive
+      const manifest = this.readManifest(normalizedTs);
+      if (!manifest) {
+        return null;
+      }
       return {
         timestamp: manifest.timestamp,
         date: manifest.date,
         totalSize: manifest.totalSize,
         files: manifest.files,
+        type: manifest.type || 'full',
+        base: manifest.base || null,
+        deleted: manifest.deleted || [],
+        archived: !fs.existsSync(resolvedManifestFile),
         version: manifest.version || '1.0',
         serverVersion: manifest.serverVersion || 'unknown'
       };
@@ -610,8 +1057,26 @@ class BackupManager {
    * @returns {Object} - Backup result
    */
   async run(options = {}) {
+    const requestedType = options.type || 'full';
+    if (!BACKUP_TYPES.includes(requestedType)) {
+      return {
+        success: false,
+        message: `Invalid backup type: ${requestedType}. Expected one of: ${BACKUP_TYPES.join(', ')}`,
+        files: []
+      };
+    }
+
+    const archive = options.archive !== undefined ? options.archive : this.config.archive;
+    if (archive && !this.config.encryptionKey) {
+      return {
+        success: false,
+        message: 'BACKUP_ENCRYPTION_KEY must be set to create encrypted backup archives',
+        files: []
+      };
+    }
+
     // Generate fresh timestamp for this backup
-    this.timestamp = this.generateTimestamp();
+    this.timestamp = this.generateUniqueTimestamp();
     
     const isScheduled = options.scheduled || false;
     const silent = options.silent || false;
@@ -622,7 +1087,7 @@ class BackupManager {
       console.log('');
     }
 
-    this.notify('backup_started', { timestamp: this.timestamp, scheduled: isScheduled });
+    this.notify('backup_started', { timestamp: this.timestamp, scheduled: isScheduled, type: requestedType });
 
     // Ensure backup directory exists
     this.ensureBackupDirectory();
@@ -642,21 +1107,38 @@ class BackupManager {
       };
     }
 
+    // Incremental and differential backups only store sources whose checksum differs from the base
+    const sources = this.collectSources();
+    const base = requestedType === 'full' ? null : this.findBaseBackup(requestedType);
+    const type = base ? requestedType : 'full';
+    
+    if (requestedType !== 'full' && !base && !silent) {
+      console.log(`⚠️  No base backup found for ${requestedType} backup, running a full backup instead`);
+    }
+    
+    const include = key => !base || base.sources[key] !== sources[key];
+    const deleted = base ? Object.keys(base.sources).filter(key => !(key in sources)) : [];
+
     const backedUpFiles = [];
 
     // Backup users
-    const usersBackup = this.backupUsers();
+    const usersBackup = this.backupUsers(include);
     if (usersBackup) backedUpFiles.push(usersBackup);
 
     // Backup players
-    const playersBackup = this.backupPlayers();
+    const playersBackup = this.backupPlayers(include);
     if (playersBackup) backedUpFiles.push(playersBackup);
 
     // Backup any additional data
-    const additionalBackups = this.backupAdditionalData();
+    const additionalBackups = this.backupAdditionalData(include);
     backedUpFiles.push(...additionalBackups);
 
-    if (backedUpFiles.length === 0) {
+    // Snapshot the SQLite database when it is the active store
+    const databaseBackup = await this.backupDatabase();
+    if (databaseBackup) backedUpFiles.push(databaseBackup);
+
+    // An incremental backup with nothing changed is still a valid restore point
+    if (backedUpFiles.length === 0 && type === 'full') {
       const message = 'No data files found to backup.';
       if (!silent) {
         console.log('');
@@ -672,9 +1154,19 @@ class BackupManager {
     }
 
     // Create manifest with checksums
-    const manifestFile = this.createManifest(backedUpFiles);
+    const manifestFile = this.createManifest(backedUpFiles, {
+      type,
+      base: base ? base.timestamp : null,
+      sources,
+      deleted
+    });
     backedUpFiles.push(manifestFile);
 
+    // Replace the plain files with a single encrypted archive
+    if (archive) {
+      backedUpFiles.splice(0, backedUpFiles.length, this.archiveBackup(backedUpFiles));
+    }
+
     // Calculate total size
     const totalSize = backedUpFiles.reduce((total, file) => {
       return total + (fs.existsSync(file) ? fs.statSync(file).size : 0);
@@ -683,6 +1175,7 @@ class BackupManager {
     if (!silent) {
       console.log('');
       console.log('✅ Backup completed successfully!');
+      console.log(`🗂️  Type: ${type}${base ? ` (based on ${base.timestamp})` : ''}`);
       console.log(`📁 Backup location: ${this.backupDir}`);
       console.log(`📝 Backed up ${backedUpFiles.length} file(s)`);
       console.log(`💾 Total size: ${this.formatBytes(totalSize)}`);
@@ -692,6 +1185,9 @@ class BackupManager {
       success: true,
       message: 'Backup completed successfully',
       timestamp: this.timestamp,
+      type,
+      base: base ? base.timestamp : null,
+      archived: archive,
       files: backedUpFiles.map(f => path.basename(f)),
       totalSize,
       formattedSize: this.formatBytes(totalSize)
@@ -714,6 +1210,9 @@ if (require.main === module) {
     console.log('Usage: node server/scripts/backup.js [options]');
     console.log('');
     console.log('Options:');
+    console.log('  --incremental           Only store changes since the previous backup');
+    console.log('  --differential          Only store changes since the last full backup');
+    console.log('  --archive               Write an encrypted, gzip-compressed archive');
     console.log('  --list, -l              List all available backups');
     console.log('  --verify <timestamp>    Verify backup integrity');
     console.log('  --cleanup               Apply retention policy (delete old backups)');
@@ -725,9 +1224,12 @@ if (require.main === module) {
     console.log('  BACKUP_RETENTION_COUNT  Number of backups to keep (default: 30)');
     console.log('  BACKUP_SCHEDULED_HOUR   Hour for nightly backup (0-23, default: 3)');
     console.log('  BACKUP_SCHEDULED_MINUTE Minute for nightly backup (0-59, default: 0)');
+    console.log('  BACKUP_ARCHIVE          Write encrypted archives by default (true/false)');
+    console.log('  BACKUP_ENCRYPTION_KEY   Secret used to encrypt and decrypt archives');
     console.log('');
     console.log('Examples:');
     console.log('  node server/scripts/backup.js                    # Run backup now');
+    console.log('  node server/scripts/backup.js --incremental      # Incremental backup');
     console.log('  node server/scripts/backup.js --list             # List backups');
     console.log('  node server/scripts/backup.js --verify 20231118-143022');
     console.log('  node server/scripts/backup.js --cleanup          # Delete old backups');
@@ -745,6 +1247,7 @@ if (require.main === module) {
         const date = new Date(b.date);
         console.log(`${i + 1}. ${b.timestamp}`);
         console.log(`   Date: ${date.toLocaleString()}`);
+        console.log(`   Type: ${b.type}${b.base ? ` (based on ${b.base})` : ''}${b.archived ? ' [encrypted archive]' : ''}`);
         console.log(`   Files: ${b.fileCount} (${backup.formatBytes(b.totalSize)})`);
         console.log(`   Version: ${b.version}`);
         console.log('');
@@ -826,7 +1329,14 @@ if (require.main === module) {
     });
   } else {
     // Default: run backup now
-    backup.run().catch(error => {
+    let type = 'full';
+    if (args.includes('--incremental')) {
+      type = 'incremental';
+    } else if (args.includes('--differential')) {
+      type = 'differential';
+    }
+    const archive = args.includes('--archive') ? true : undefined;
+    backup.run({ type, archive }).catch(error => {
       console.error('❌ Backup failed:', error);
       backup.notify('backup_failed', { error: error.message });
       process.exit(1);
@@ -834,4 +1344,5 @@ if (require.main === module) {
   }
 }
 
-module.exports = BackupManager;
\ No newline at end of file
+module.exports = BackupManager;
+module.exports.BACKUP_TYPES = BACKUP_TYPES;
\ No newline at end of file
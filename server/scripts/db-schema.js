@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Database Schema Tool
+ * Applies, rolls back and reports versioned SQLite schema migrations
+ * 
+ * Usage:
+ *   node server/scripts/db-schema.js migrate [--to N]         # Apply pending migrations
+ *   node server/scripts/db-schema.js rollback [--steps N]     # Undo the newest migration(s)
+ *   node server/scripts/db-schema.js rollback --to N          # Roll back to version N
+ *   node server/scripts/db-schema.js status                   # Show applied and pending migrations
+ *   node server/scripts/db-schema.js create <name>            # Create a new migration file
+ * 
+ * Options:
+ *   --db <path>   SQLite database file (default: server/data/highwizardry.db)
+ */
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const Migrator = require('../database/Migrator');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'highwizardry.db');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function parseVersion(value, name) {
+  if (value === undefined) return undefined;
+  const version = parseInt(value, 10);
+  if (isNaN(version) || version < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return version;
+}
+
+function printStatus(status) {
+  console.log(`📋 Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+  console.log('');
+  
+  for (const migration of status.migrations) {
+    const mark = migration.applied ? '✅' : '⏳';
+    const when = migration.appliedAt ? `  (${new Date(migration.appliedAt).toISOString()})` : '';
+    console.log(`  ${mark} ${String(migration.version).padStart(3, '0')} ${migration.name}${when}`);
+  }
+  
+  for (const migration of status.unknown) {
+    console.log(`  ⚠️  ${String(migration.version).padStart(3, '0')} ${migration.name}  (applied by a newer server)`);
+  }
+  
+  console.log('');
+  console.log(`  Pending: ${status.pending}`);
+}
+
+/**
+ * Run a schema command
+ * @param {string} command - migrate, rollback, status or create
+ * @param {Object} options - { dbPath, migrationsDir, to, steps, name }
+ * @returns {Object} - { success, message }
+ */
+function run(command, options = {}) {
+  const migrationsDir = options.migrationsDir;
+  
+  if (command === 'create') {
+    // Creating a file does not need a database connection
+    const migrator = new Migrator(null, { migrationsDir });
+    const filePath = migrator.create(options.name);
+    console.log(`✅ Created migration: ${path.relative(process.cwd(), filePath)}`);
+    return { success: true, message: filePath };
+  }
+  
+  const dbPath = options.dbPath || DEFAULT_DB_PATH;
+  const db = new Database(dbPath);
+  
+  try {
+    const migrator = new Migrator(db, { migrationsDir });
+    let result;
+    
+    switch (command) {
+      case 'migrate':
+        result = migrator.migrate(options.to === undefined ? null : options.to);
+        result.applied.forEach(m => console.log(`  ⬆️  ${m.version} ${m.name}`));
+        break;
+      case 'rollback':
+        result = migrator.rollback({ steps: options.steps, to: options.to });
+        result.rolledBack.forEach(m => console.log(`  ⬇️  ${m.version} ${m.name}`));
+        break;
+      case 'status':
+        printStatus(migrator.status());
+        return { success: true, message: 'Status shown' };
+      default:
+        return { success: false, message: `Unknown command: ${command}` };
+    }
+    
+    console.log(`${result.success ? '✅' : '❌'} ${result.message} (schema version ${result.version})`);
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  
+  if (!command || args.includes('--help') || args.includes('-h')) {
+    console.log('High Wizardry Database Schema Tool');
+    console.log('');
+    console.log('Usage: node server/scripts/db-schema.js <command> [options]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  migrate [--to N]            Apply pending migrations (up to version N)');
+    console.log('  rollback [--steps N]        Roll back the newest N migrations (default 1)');
+    console.log('  rollback --to N             Roll back every migration newer than version N');
+    console.log('  status                      Show applied and pending migrations');
+    console.log('  create <name>               Create a new migration file');
+    console.log('');
+    console.log('Options:');
+    console.log('  --db <path>   SQLite database file (default: server/data/highwizardry.db)');
+    console.log('  --help, -h    Show this help message');
+    process.exit(command ? 0 : 1);
+  }
+  
+  try {
+    const result = run(command, {
+      dbPath: getOption(args, '--db'),
+      to: parseVersion(getOption(args, '--to'), '--to'),
+      steps: parseVersion(getOption(args, '--steps'), '--steps'),
+      name: args[1]
+    });
+    if (!result.success) {
+      console.error(`❌ ${result.message}`);
+    }
+    process.exit(result.success ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Schema command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = run;
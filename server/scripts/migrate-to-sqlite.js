@@ -9,6 +9,8 @@
  *   node server/scripts/migrate-to-sqlite.js --dry-run       # Preview migration without changes
  *   node server/scripts/migrate-to-sqlite.js --backup        # Create backup before migration
  *   node server/scripts/migrate-to-sqlite.js --force         # Overwrite existing SQLite database
+ *
+ * For users and players between any two backends, with verification and resume, see migrate.js.
  */
 
 const path = require('path');
@@ -134,6 +136,35 @@ async function migrate(options = {}) {
   }
   console.log(`   ✅ Migrated ${playersMigrated} players (${playersErrors} errors)`);
   
+  // Migrate trades, auctions (with bids) and the event log, oldest first
+  console.log('');
+  console.log('📤 Migrating trades, auctions and event log...');
+  const historyOptions = { limit: jsonAdapter.historyLimit };
+  const trades = [
+    ...(await jsonAdapter.getTradeHistory(historyOptions)).reverse(),
+    ...await jsonAdapter.getActiveTrades()
+  ];
+  const auctions = [
+    ...(await jsonAdapter.getAuctionHistory(historyOptions)).reverse(),
+    ...await jsonAdapter.getActiveAuctions()
+  ];
+  const events = await jsonAdapter.getEventLog(historyOptions);
+  let recordsErrors = 0;
+  
+  for (const trade of trades) {
+    if (!await sqliteAdapter.saveTrade(trade)) recordsErrors++;
+  }
+  for (const auction of auctions) {
+    if (!await sqliteAdapter.saveAuction(auction)) recordsErrors++;
+    for (const bid of auction.bids || []) {
+      if (!await sqliteAdapter.addBid(auction.id, bid)) recordsErrors++;
+    }
+  }
+  for (const entry of events) {
+    if (!await sqliteAdapter.logEvent(entry)) recordsErrors++;
+  }
+  console.log(`   ✅ Migrated ${trades.length} trades, ${auctions.length} auctions, ${events.length} events (${recordsErrors} errors)`);
+  
   // Close adapters
   await jsonAdapter.close();
   await sqliteAdapter.close();
@@ -146,10 +177,12 @@ async function migrate(options = {}) {
   console.log(`Database Path: ${dbPath}`);
   console.log(`Users Migrated: ${usersMigrated}/${users.size}`);
   console.log(`Players Migrated: ${playersMigrated}/${players.size}`);
-  console.log(`Total Errors: ${usersErrors + playersErrors}`);
+  console.log(`Trades/Auctions/Events Migrated: ${trades.length}/${auctions.length}/${events.length}`);
+  console.log(`Total Errors: ${usersErrors + playersErrors + recordsErrors}`);
   console.log('');
   
-  if (usersErrors === 0 && playersErrors === 0) {
+  const success = usersErrors === 0 && playersErrors === 0 && recordsErrors === 0;
+  if (success) {
     console.log('✅ Migration completed successfully!');
     console.log('');
     console.log('📝 Next steps:');
@@ -162,13 +195,14 @@ async function migrate(options = {}) {
     console.log('      you can archive or delete the old JSON files:');
     console.log(`      - ${path.join(dataDir, 'users.json')}`);
     console.log(`      - ${path.join(dataDir, 'players')}/ directory`);
+    console.log(`      - ${path.join(dataDir, 'trades')}/, auctions/ and events/ directories`);
   } else {
     console.log('⚠️  Migration completed with errors.');
     console.log('   Please review the errors above and fix any issues.');
   }
   
   return {
-    success: usersErrors === 0 && playersErrors === 0,
+    success,
     usersMigrated,
     playersMigrated,
     usersErrors,
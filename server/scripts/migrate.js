@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+
+/**
+ * Data Migration Tool
+ * Copies users and players from one database adapter to another (json, sqlite or postgres)
+ *
+ * Records are streamed in batches with exportData()/importData(). Progress is saved to a
+ * checkpoint file after every batch, so an interrupted run can continue with --resume.
+ * Importing replaces records with the same key, so repeating a batch is harmless.
+ * When the copy is done, record counts and a checksum of every record are compared.
+ *
+ * Usage:
+ *   node server/scripts/migrate.js --from json --to sqlite                  # Migrate data
+ *   node server/scripts/migrate.js --from sqlite --to postgres --to-path postgres://...
+ *   node server/scripts/migrate.js --from json --to sqlite --dry-run        # Count and checksum only
+ *   node server/scripts/migrate.js --from json --to sqlite --resume         # Continue an interrupted run
+ *
+ * Options:
+ *   --from-path / --to-path   json: data directory, sqlite: database file, postgres: connection string
+ *   --batch-size <n>          Records per batch (default 500)
+ *   --checkpoint <file>       Progress file (default server/data/migrate-checkpoint.json)
+ *
+ * The source should not be written to while migrating; resume continues by position.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { JsonFileAdapter, SQLiteAdapter, PostgresAdapter } = require('../database');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_CHECKPOINT_FILE = path.join(DATA_DIR, 'migrate-checkpoint.json');
+const DEFAULT_BATCH_SIZE = 500;
+const COLLECTIONS = ['users', 'players'];
+const ADAPTER_TYPES = ['json', 'sqlite', 'postgres'];
+// Mismatched keys listed per collection in the verification report
+const MAX_REPORTED_KEYS = 10;
+
+/**
+ * Create an adapter for a type and location
+ * @param {string} type - json, sqlite or postgres
+ * @param {string} [location] - Data directory, database file or connection string
+ */
+function createAdapter(type, location) {
+  switch (type) {
+    case 'json':
+      return new JsonFileAdapter({ dataDir: location || DATA_DIR, autoSave: false });
+    case 'sqlite': {
+      const dbPath = location || path.join(DATA_DIR, 'highwizardry.db');
+      return new SQLiteAdapter({ dataDir: path.dirname(dbPath), dbPath });
+    }
+    case 'postgres':
+      return new PostgresAdapter({ connectionString: location });
+    default:
+      throw new Error(`Unknown adapter type: ${type} (expected ${ADAPTER_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * JSON with object keys sorted, so equal records always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function checksumRecord(record) {
+  return crypto.createHash('sha256').update(stableStringify(record)).digest('hex');
+}
+
+/**
+ * Page through one collection of an adapter
+ * @returns {AsyncGenerator<Array>} - Batches of [key, record] pairs
+ */
+async function* readBatches(adapter, collection, batchSize, offset = 0) {
+  for (let position = offset; ; position += batchSize) {
+    const batch = await adapter.exportData({ collections: [collection], offset: position, limit: batchSize });
+    const entries = Object.entries(batch[collection] || {});
+    if (entries.length === 0) return;
+    yield entries;
+    if (entries.length < batchSize) return;
+  }
+}
+
+/**
+ * Checksum every record of a collection
+ * @returns {Promise<Map>} - key -> checksum
+ */
+async function checksumCollection(adapter, collection, batchSize) {
+  const checksums = new Map();
+  for await (const entries of readBatches(adapter, collection, batchSize)) {
+    for (const [key, record] of entries) {
+      checksums.set(key, checksumRecord(record));
+    }
+  }
+  return checksums;
+}
+
+/**
+ * Compare the records of a collection in two adapters
+ * @returns {Promise<Object>} - { sourceCount, targetCount, missing, mismatched, extra, ok }
+ */
+async function verifyCollection(source, target, collection, batchSize) {
+  const expected = await checksumCollection(source, collection, batchSize);
+  const actual = await checksumCollection(target, collection, batchSize);
+  const missing = [];
+  const mismatched = [];
+  
+  for (const [key, checksum] of expected) {
+    if (!actual.has(key)) {
+      missing.push(key);
+    } else if (actual.get(key) !== checksum) {
+      mismatched.push(key);
+    }
+  }
+  const extra = [...actual.keys()].filter(key => !expected.has(key));
+  
+  return {
+    sourceCount: expected.size,
+    targetCount: actual.size,
+    missing,
+    mismatched,
+    extra,
+    ok: missing.length === 0 && mismatched.length === 0 && extra.length === 0
+  };
+}
+
+function readCheckpoint(file) {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  } catch (error) {
+    throw new Error(`Checkpoint ${file} is unreadable: ${error.message}`);
+  }
+}
+
+/**
+ * Write the checkpoint atomically (write a temp file, then rename it over the old one)
+ */
+function writeCheckpoint(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+function describe(type, location) {
+  return location && type !== 'postgres' ? `${type} (${location})` : type;
+}
+
+/**
+ * Migrate users and players between two adapters
+ * @param {Object} options - { from, to, fromPath, toPath, batchSize, dryRun, resume, checkpointFile }
+ *   source/target may be passed as adapter instances instead of from/to types
+ * @returns {Promise<Object>} - { success, dryRun, migrated, verification, message }
+ */
+async function migrate(options = {}) {
+  const {
+    from,
+    to,
+    fromPath,
+    toPath,
+    dryRun = false,
+    resume = false,
+    checkpointFile = DEFAULT_CHECKPOINT_FILE
+  } = options;
+  const batchSize = Math.max(parseInt(options.batchSize) || DEFAULT_BATCH_SIZE, 1);
+  
+  if (!options.source && from === to && (fromPath || '') === (toPath || '')) {
+    return { success: false, message: 'Source and target are the same database' };
+  }
+  
+  console.log('🔄 High Wizardry Data Migration');
+  console.log(`   ${describe(from, fromPath)} → ${describe(to, toPath)}`);
+  console.log('');
+  
+  if (dryRun) {
+    console.log('📋 DRY RUN MODE - No changes will be made\n');
+  }
+  
+  // Resume only a run between the same two databases
+  let checkpoint = resume ? readCheckpoint(checkpointFile) : null;
+  if (resume && !checkpoint) {
+    return { success: false, message: `No checkpoint found at ${checkpointFile}` };
+  }
+  // Locations may hold credentials, so the checkpoint only keeps a hash of them
+  const fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify([from, fromPath || null, to, toPath || null]))
+    .digest('hex');
+  if (checkpoint && checkpoint.fingerprint !== fingerprint) {
+    return { success: false, message: 'Checkpoint belongs to a migration between different databases' };
+  }
+  
+  const source = options.source || createAdapter(from, fromPath);
+  if (!await source.initialize()) {
+    return { success: false, message: `Could not open source database (${from})` };
+  }
+  
+  let target = null;
+  try {
+    const totals = {
+      users: await source.getUserCount(),
+      players: await source.getPlayerCount()
+    };
+    console.log(`📂 Source has ${totals.users} users and ${totals.players} players`);
+    
+    if (dryRun) {
+      // Read and checksum everything, as the real run would, without touching the target
+      const counts = {};
+      for (const collection of COLLECTIONS) {
+        counts[collection] = (await checksumCollection(source, collection, batchSize)).size;
+      }
+      console.log('');
+      console.log('📋 DRY RUN - Would migrate:');
+      console.log(`   - ${counts.users} users`);
+      console.log(`   - ${counts.players} players`);
+      console.log(`   in batches of ${batchSize}`);
+      return { success: true, dryRun: true, migrated: counts, message: 'Dry run complete' };
+    }
+    
+    target = options.target || createAdapter(to, toPath);
+    if (!await target.initialize()) {
+      return { success: false, message: `Could not open target database (${to})` };
+    }
+    
+    if (checkpoint) {
+      console.log(`⏯️  Resuming from checkpoint (users: ${checkpoint.offsets.users}, players: ${checkpoint.offsets.players})`);
+    } else {
+      checkpoint = {
+        from,
+        to,
+        fingerprint,
+        batchSize,
+        offsets: { users: 0, players: 0 },
+        startedAt: new Date().toISOString()
+      };
+      writeCheckpoint(checkpointFile, checkpoint);
+    }
+    
+    // Copy each collection in batches, saving progress after every batch
+    const migrated = { users: 0, players: 0 };
+    for (const collection of COLLECTIONS) {
+      console.log('');
+      console.log(`📤 Migrating ${collection}...`);
+      
+      for await (const entries of readBatches(source, collection, batchSize, checkpoint.offsets[collection])) {
+        const result = await target.importData({ [collection]: Object.fromEntries(entries) });
+        if (result.errors.length > 0) {
+          return {
+            success: false,
+            migrated,
+            message: `Batch at ${collection} ${checkpoint.offsets[collection]} failed: ${result.errors.join('; ')}. Fix the problem and run again with --resume.`
+          };
+        }
+        
+        migrated[collection] += entries.length;
+        checkpoint.offsets[collection] += entries.length;
+        writeCheckpoint(checkpointFile, checkpoint);
+        console.log(`   ${checkpoint.offsets[collection]}/${totals[collection]} ${collection}`);
+      }
+    }
+    
+    // Compare counts and per-record checksums
+    console.log('');
+    console.log('🔍 Verifying...');
+    const verification = {};
+    for (const collection of COLLECTIONS) {
+      const report = await verifyCollection(source, target, collection, batchSize);
+      verification[collection] = report;
+      
+      console.log(`   ${report.ok ? '✅' : '❌'} ${collection}: ${report.targetCount}/${report.sourceCount} records match`);
+      for (const [label, keys] of [['missing', report.missing], ['different', report.mismatched], ['only in target', report.extra]]) {
+        if (keys.length > 0) {
+          const more = keys.length > MAX_REPORTED_KEYS ? `, +${keys.length - MAX_REPORTED_KEYS} more` : '';
+          console.log(`      ${keys.length} ${label}: ${keys.slice(0, MAX_REPORTED_KEYS).join(', ')}${more}`);
+        }
+      }
+    }
+    
+    const success = COLLECTIONS.every(collection => verification[collection].ok);
+    if (success) {
+      fs.rmSync(checkpointFile, { force: true });
+    }
+    
+    console.log('');
+    console.log(success ? '✅ Migration completed and verified!' : '⚠️  Migration finished but verification failed.');
+    
+    return {
+      success,
+      dryRun: false,
+      migrated,
+      verification,
+      message: success ? 'Migration verified' : 'Verification failed'
+    };
+  } finally {
+    // Closing a JSON adapter writes every file back, which a read-only source must not do
+    if (!(source instanceof JsonFileAdapter)) {
+      await source.close();
+    }
+    if (target) {
+      await target.close();
+    }
+  }
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const from = getOption(args, '--from');
+  const to = getOption(args, '--to');
+  
+  if (args.includes('--help') || args.includes('-h') || !from || !to) {
+    console.log('High Wizardry Data Migration Tool');
+    console.log('');
+    console.log('Copies users and players between database backends, with verification.');
+    console.log('');
+    console.log('Usage: node server/scripts/migrate.js --from <type> --to <type> [options]');
+    console.log('');
+    console.log(`Types: ${ADAPTER_TYPES.join(', ')}`);
+    console.log('');
+    console.log('Options:');
+    console.log('  --from-path <p>     Source location (json: data dir, sqlite: db file, postgres: URL)');
+    console.log('  --to-path <p>       Target location (postgres defaults to DATABASE_URL)');
+    console.log(`  --batch-size <n>    Records per batch (default ${DEFAULT_BATCH_SIZE})`);
+    console.log('  --dry-run           Count and checksum the source without writing');
+    console.log('  --resume            Continue an interrupted migration from its checkpoint');
+    console.log('  --checkpoint <f>    Progress file (default server/data/migrate-checkpoint.json)');
+    console.log('  --help, -h          Show this help message');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node server/scripts/migrate.js --from json --to sqlite --dry-run');
+    console.log('  node server/scripts/migrate.js --from sqlite --to postgres --to-path postgres://localhost/highwizardry');
+    process.exit(from && to ? 0 : 1);
+  }
+  
+  migrate({
+    from,
+    to,
+    fromPath: getOption(args, '--from-path'),
+    toPath: getOption(args, '--to-path'),
+    batchSize: getOption(args, '--batch-size'),
+    checkpointFile: getOption(args, '--checkpoint'),
+    dryRun: args.includes('--dry-run'),
+    resume: args.includes('--resume')
+  })
+    .then((result) => {
+      if (!result.success) {
+        console.error(`❌ ${result.message}`);
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = migrate;
+module.exports.checksumRecord = checksumRecord;
+module.exports.createAdapter = createAdapter;
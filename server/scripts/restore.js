@@ -8,6 +8,9 @@
  * 
  * Features:
  * - Point-in-time restore from any backup
+ * - Incremental/differential backups are rebuilt from their full backup plus chain
+ * - Encrypted backup archives are read transparently (key from BACKUP_ENCRYPTION_KEY)
+ * - SQLite snapshots are copied into the database with the online backup API
  * - Backup integrity verification before restore
  * - Pre-restore backup of current data
  * - Detailed restore progress and notifications
@@ -29,6 +32,8 @@ const path = require('path');
 const readline = require('readline');
 const crypto = require('crypto');
 const BackupManager = require('./backup');
+const { ARCHIVE_SUFFIX, resolveArchiveKey, readArchiveHeader, openArchive } = require('../utils/backupArchive');
+const { SQLiteAdapter } = require('../database');
 
 /**
  * Validate backup timestamp format (YYYYMMDD-HHmmss)
@@ -61,6 +66,11 @@ class RestoreManager {
     this.timestamp = timestamp;
     this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
     this.backupDir = options.backupDir || path.join(__dirname, '..', '..', 'backups');
+    // Live SQLite adapter (optional); restores go through its connection's database file
+    this.databaseAdapter = options.databaseAdapter || null;
+    this.dbPath = this.databaseAdapter && this.databaseAdapter.dbPath
+      ? this.databaseAdapter.dbPath
+      : path.join(this.dataDir, 'highwizardry.db');
     
     // Configuration
     this.config = {
@@ -68,6 +78,8 @@ class RestoreManager {
       preRestoreBackup: options.preRestoreBackup !== false,
       // Skip confirmation prompts
       force: options.force || false,
+      // Secret for encrypted backup archives
+      encryptionKey: resolveArchiveKey(options.encryptionKey),
       // Notification callback
       notificationCallback: options.notificationCallback || null
     };
@@ -207,6 +219,8 @@ class RestoreManager {
           totalSize: manifest.totalSize || 0,
           files: Array.isArray(manifest.files) ? manifest.files : [],
           filename: mf,
+          type: manifest.type || 'full',
+          base: manifest.base || null,
           version: manifest.version || '1.0',
           serverVersion: manifest.serverVersion || 'unknown'
         });
@@ -216,6 +230,32 @@ class RestoreManager {
       }
     }
 
+    // Encrypted archives are listed from their plaintext header
+    for (const af of files.filter(f => f.endsWith(ARCHIVE_SUFFIX))) {
+      try {
+        const header = readArchiveHeader(path.join(this.backupDir, af));
+        if (!header || !isValidBackupTimestamp(header.timestamp)) {
+          continue;
+        }
+
+        backups.push({
+          timestamp: header.timestamp,
+          date: header.date || '',
+          totalSize: fs.statSync(path.join(this.backupDir, af)).size,
+          files: [],
+          fileCount: header.fileCount || 0,
+          filename: af,
+          type: header.type || 'full',
+          base: header.base || null,
+          archived: true,
+          version: header.version || '1.0',
+          serverVersion: header.serverVersion || 'unknown'
+        });
+      } catch {
+        continue;
+      }
+    }
+
     // Sort newest first (descending)
     backups.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
 
@@ -323,6 +363,168 @@ class RestoreManager {
     }
   }
 
+  /**
+   * Check whether a backup is stored as an encrypted archive
+   */
+  isArchived(timestamp) {
+    return !fs.existsSync(path.join(this.backupDir, `${timestamp}-manifest.json`)) &&
+      fs.existsSync(path.join(this.backupDir, `${timestamp}${ARCHIVE_SUFFIX}`));
+  }
+
+  /**
+   * Open a backup (plain files or encrypted archive)
+   * @param {string} timestamp - Validated backup timestamp
+   * @returns {Object|null} - { manifest, readFile(name) } or null if the backup does not exist
+   * @throws {Error} - If an archive cannot be decrypted
+   */
+  readBackup(timestamp) {
+    if (this.isArchived(timestamp)) {
+      const { files } = openArchive(
+        fs.readFileSync(path.join(this.backupDir, `${timestamp}${ARCHIVE_SUFFIX}`)),
+        this.config.encryptionKey
+      );
+      return {
+        manifest: JSON.parse(files[`${timestamp}-manifest.json`]),
+        readFile: name => files[name]
+      };
+    }
+
+    const manifestFile = path.join(this.backupDir, `${timestamp}-manifest.json`);
+    if (!fs.existsSync(manifestFile)) {
+      return null;
+    }
+
+    return {
+      manifest: JSON.parse(fs.readFileSync(manifestFile, 'utf8')),
+      readFile: name => {
+        const filePath = path.join(this.backupDir, path.basename(name));
+        return name.endsWith('.sqlite') ? fs.readFileSync(filePath) : fs.readFileSync(filePath, 'utf8');
+      }
+    };
+  }
+
+  /**
+   * Resolve the chain of backups needed to rebuild a point in time
+   * Follows each manifest's base pointer back to a full backup.
+   * @param {string} timestamp - Backup timestamp
+   * @param {Array<string>} errors - Optional array that receives the reason a chain could not be resolved
+   * @returns {Array<Object>|null} - [{ timestamp, manifest, readFile }] from the full backup to this one, or null if a link is missing
+   */
+  getBackupChain(timestamp, errors = []) {
+    const chain = [];
+    let current = timestamp;
+
+    while (current) {
+      if (!isValidBackupTimestamp(current) || chain.some(link => link.timestamp === current)) {
+        errors.push(`Invalid backup chain link: ${current}`);
+        return null;
+      }
+
+      let backup;
+      try {
+        backup = this.readBackup(current);
+      } catch (error) {
+        errors.push(`${current}: ${error.message}`);
+        return null;
+      }
+
+      if (!backup) {
+        errors.push(`Base backup missing: ${current}`);
+        return null;
+      }
+
+      chain.unshift({ timestamp: current, ...backup });
+      current = backup.manifest.type && backup.manifest.type !== 'full' ? backup.manifest.base : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Verify the integrity of every backup in a chain
+   * @param {Array<Object>} chain - Chain from getBackupChain()
+   * @returns {Object} - Combined verification result
+   */
+  verifyBackupChain(chain) {
+    const results = { success: true, verified: 0, failed: 0, errors: [] };
+
+    for (const link of chain) {
+      const verification = this.verifyBackupIntegrity(link.timestamp);
+      results.verified += verification.verified || 0;
+      results.failed += verification.failed || 0;
+      if (!verification.success) {
+        results.success = false;
+        const errors = verification.errors && verification.errors.length > 0 ? verification.errors : [verification.error];
+        results.errors.push(...errors.filter(Boolean).map(e => `${link.timestamp}: ${e}`));
+      }
+    }
+
+    results.message = results.success
+      ? `All ${results.verified} file(s) in ${chain.length} backup(s) verified successfully`
+      : `Verification failed: ${results.failed} file(s) have issues`;
+
+    return results;
+  }
+
+  /**
+   * Combine a backup chain into the state it represents
+   * Later links override earlier ones; sources deleted along the way are dropped.
+   * @param {Array<Object>} chain - Chain from getBackupChain()
+   * @returns {Object} - { users, players, files, database, deleted } with file contents rather than paths
+   */
+  resolveChainState(chain) {
+    const state = {
+      users: null,
+      database: null,
+      players: Object.create(null),
+      files: Object.create(null),
+      deleted: new Set()
+    };
+
+    for (const { timestamp, manifest, readFile } of chain) {
+      for (const key of manifest.deleted || []) {
+        state.deleted.add(key);
+        if (key === 'users.json') {
+          state.users = null;
+        } else if (key.startsWith('players/')) {
+          delete state.players[path.basename(key, '.json')];
+        } else {
+          delete state.files[key];
+        }
+      }
+
+      const prefix = `${timestamp}-`;
+      for (const file of manifest.files || []) {
+        if (!file.name.startsWith(prefix)) {
+          continue;
+        }
+
+        const name = file.name.slice(prefix.length);
+
+        if (name === 'manifest.json') {
+          continue;
+        } else if (name === 'database.sqlite') {
+          // Database snapshots are always complete, so the latest one wins
+          state.database = readFile(file.name);
+        } else if (name === 'users.json') {
+          state.users = readFile(file.name);
+          state.deleted.delete(name);
+        } else if (name === 'players.json') {
+          const players = JSON.parse(readFile(file.name));
+          for (const [playerId, playerData] of Object.entries(players)) {
+            state.players[playerId] = playerData;
+            state.deleted.delete(`players/${playerId}.json`);
+          }
+        } else {
+          state.files[name] = readFile(file.name);
+          state.deleted.delete(name);
+        }
+      }
+    }
+
+    return state;
+  }
+
   /**
    * Create a pre-restore backup of current data
    * @returns {Object} - Backup result
@@ -330,7 +532,11 @@ class RestoreManager {
   createPreRestoreBackup() {
     const backup = new BackupManager({
       dataDir: this.dataDir,
-      backupDir: this.backupDir
+      backupDir: this.backupDir,
+      encryptionKey: this.config.encryptionKey,
+      databaseAdapter: this.databaseAdapter,
+      // Snapshot the current database whenever there is one to overwrite
+      databaseType: fs.existsSync(this.dbPath) ? 'sqlite' : undefined
     });
     
     console.log('📦 Creating pre-restore backup of current data...');
@@ -461,6 +667,16 @@ class RestoreManager {
       return { success: false, verified: 0, failed: 0, error: 'Invalid timestamp format' };
     }
 
+    // Archives are authenticated on decryption and checked against the manifest inside
+    if (this.isArchived(timestamp)) {
+      const backup = new BackupManager({
+        dataDir: this.dataDir,
+        backupDir: this.backupDir,
+        encryptionKey: this.config.encryptionKey
+      });
+      return backup.verifyArchive(timestamp);
+    }
+
     // Ensure backupDir is canonical
     const backupDirReal = fs.realpathSync(this.backupDir);
 
@@ -531,25 +747,37 @@ class RestoreManager {
     }
 
     // Construct and resolve manifest path; ensure it does not escape backupDir
-    const manifestPath = path.resolve(this.backupDir, `${this.timestamp}-manifest.json`);
-    let manifestPathReal;
-    try {
-      manifestPathReal = fs.realpathSync(manifestPath);
-    } catch (e) {
-      return { success: false, wouldRestore: [], error: 'Manifest not found or inaccessible' };
-    }
-    if (!manifestPathReal.startsWith(backupDirReal)) {
-      return { success: false, wouldRestore: [], error: 'Manifest path escaped backup directory' };
+    const archived = this.isArchived(this.timestamp);
+    if (!archived) {
+      const manifestPath = path.resolve(this.backupDir, `${this.timestamp}-manifest.json`);
+      let manifestPathReal;
+      try {
+        manifestPathReal = fs.realpathSync(manifestPath);
+      } catch (e) {
+        return { success: false, wouldRestore: [], error: 'Manifest not found or inaccessible' };
+      }
+      if (!manifestPathReal.startsWith(backupDirReal)) {
+        return { success: false, wouldRestore: [], error: 'Manifest path escaped backup directory' };
+      }
     }
 
     try {
-      const manifest = JSON.parse(fs.readFileSync(manifestPathReal, 'utf8'));
-      const wouldRestore = (manifest.files || []).map(f => f.name);
+      const chainErrors = [];
+      const chain = this.getBackupChain(this.timestamp, chainErrors);
+      if (!chain) {
+        return { success: false, wouldRestore: [], error: `Backup chain is incomplete: ${chainErrors.join('; ')}` };
+      }
+      const manifest = chain[chain.length - 1].manifest;
+
+      const wouldRestore = chain.flatMap(link => (link.manifest.files || []).map(f => f.name));
       
       return {
         success: true,
         wouldRestore,
         timestamp: this.timestamp,
+        type: manifest.type || 'full',
+        archived,
+        chain: chain.map(link => link.timestamp),
         date: manifest.date
       };
     } catch (error) {
@@ -575,10 +803,11 @@ class RestoreManager {
       const date = new Date(backup.date);
       const formattedDate = date.toLocaleString();
       const size = this.formatBytes(backup.totalSize);
-      const fileCount = backup.files.length;
+      const fileCount = backup.archived ? backup.fileCount : backup.files.length;
       
       console.log(`${index + 1}. ${backup.timestamp}`);
       console.log(`   Date: ${formattedDate}`);
+      console.log(`   Type: ${backup.type}${backup.base ? ` (based on ${backup.base})` : ''}${backup.archived ? ' [encrypted archive]' : ''}`);
       console.log(`   Files: ${fileCount} (${size})`);
       console.log('');
     });
@@ -615,8 +844,9 @@ class RestoreManager {
     const manifestBackup = path.join(this.backupDir, `${this.timestamp}-manifest.json`);
 
     const manifestPath = getSafeFilePath(manifestBackup, this.backupDir);
+    const archivePath = getSafeFilePath(path.join(this.backupDir, `${this.timestamp}${ARCHIVE_SUFFIX}`), this.backupDir);
 
-    if (!manifestPath) {
+    if (!manifestPath && !archivePath) {
       console.error(`❌ Backup not found or invalid path: ${this.timestamp}`);
       console.log('\nRun this command to see available backups:');
       console.log('  node server/scripts/restore.js --list');
@@ -626,7 +856,8 @@ class RestoreManager {
     return {
       users: getSafeFilePath(usersBackup, this.backupDir),
       players: getSafeFilePath(playersBackup, this.backupDir),
-      manifest: manifestPath
+      manifest: manifestPath,
+      archive: archivePath
     };
   }
 
@@ -637,7 +868,8 @@ class RestoreManager {
     const existing = {
       users: false,
       players: false,
-      playerCount: 0
+      playerCount: 0,
+      database: fs.existsSync(this.dbPath)
     };
 
     const usersFile = path.join(this.dataDir, 'users.json');
@@ -695,6 +927,43 @@ class RestoreManager {
     }
   }
 
+  /**
+   * Write users.json from backup contents
+   */
+  restoreUsersData(contents) {
+    if (contents === null) {
+      console.log('⚠️  No users backup found in this backup set, skipping...');
+      return false;
+    }
+
+    const targetFile = path.join(this.dataDir, 'users.json');
+
+    try {
+      fs.writeFileSync(targetFile, contents);
+      console.log(`✅ Restored users.json (${this.formatBytes(Buffer.byteLength(contents))})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error restoring users.json:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Swap a SQLite snapshot into the database
+   * The snapshot is integrity-checked and copied with the online backup API,
+   * so a running server's connection picks up the restored data.
+   */
+  async restoreDatabase(snapshot) {
+    try {
+      await SQLiteAdapter.restoreSnapshot(snapshot, this.dbPath);
+      console.log(`✅ Restored SQLite database (${this.formatBytes(snapshot.length)})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error restoring SQLite database:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Restore player data
    */
@@ -704,13 +973,28 @@ class RestoreManager {
       return false;
     }
 
-    const playersDir = path.join(this.dataDir, 'players');
-
     try {
       // Read the combined players backup
       const data = fs.readFileSync(backupFile, 'utf8');
-      const players = JSON.parse(data);
+      return this.restorePlayerData(JSON.parse(data));
+    } catch (error) {
+      console.error('❌ Error restoring players:', error.message);
+      return false;
+    }
+  }
 
+  /**
+   * Write player records ({ playerId: data }) to individual player files
+   */
+  restorePlayerData(players) {
+    if (Object.keys(players).length === 0) {
+      console.log('⚠️  No players found in this backup set, skipping...');
+      return false;
+    }
+
+    const playersDir = path.join(this.dataDir, 'players');
+
+    try {
       let restoredCount = 0;
       let totalSize = 0;
 
@@ -730,6 +1014,62 @@ class RestoreManager {
     }
   }
 
+  /**
+   * Restore additional data files ({ 'guilds.json': contents })
+   * @returns {number} - Number of files restored
+   */
+  restoreAdditionalFiles(files) {
+    let restoredCount = 0;
+
+    for (const [name, contents] of Object.entries(files)) {
+      if (path.basename(name) !== name || !name.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        fs.writeFileSync(path.join(this.dataDir, name), contents);
+        restoredCount++;
+      } catch (error) {
+        console.error(`❌ Error restoring ${name}:`, error.message);
+      }
+    }
+
+    if (restoredCount > 0) {
+      console.log(`✅ Restored ${restoredCount} additional data file(s)`);
+    }
+
+    return restoredCount;
+  }
+
+  /**
+   * Remove data files that had been deleted at the restored point in time
+   * @param {Set<string>} keys - Source keys ('users.json', 'players/<id>.json', '<file>.json')
+   * @returns {number} - Number of files removed
+   */
+  removeDeletedSources(keys) {
+    let removedCount = 0;
+
+    for (const key of keys) {
+      const isPlayer = key.startsWith('players/');
+      const name = isPlayer ? key.slice('players/'.length) : key;
+      if (path.basename(name) !== name || !name.endsWith('.json')) {
+        continue;
+      }
+
+      const target = isPlayer ? path.join(this.dataDir, 'players', name) : path.join(this.dataDir, name);
+      if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+        removedCount++;
+      }
+    }
+
+    if (removedCount > 0) {
+      console.log(`🗑️  Removed ${removedCount} file(s) deleted before this backup`);
+    }
+
+    return removedCount;
+  }
+
   /**
    * Format bytes to human-readable format
    */
@@ -772,11 +1112,24 @@ class RestoreManager {
       return result;
     }
 
+    // Incremental and differential backups need every backup back to their full backup
+    const chainErrors = [];
+    const chain = this.getBackupChain(this.timestamp, chainErrors);
+    if (!chain) {
+      const result = {
+        success: false,
+        message: `Backup chain for ${this.timestamp} is incomplete`,
+        errors: chainErrors
+      };
+      this.notify('restore_failed', result);
+      return result;
+    }
+
     // Verify integrity before restore
     if (!silent) {
       console.log('🔍 Verifying backup integrity...');
     }
-    const verification = this.verifyBackupIntegrity(this.timestamp);
+    const verification = this.verifyBackupChain(chain);
     
     if (!verification.success) {
       if (!silent) {
@@ -797,10 +1150,10 @@ class RestoreManager {
       console.log('');
     }
 
-    // Load manifest
-    const manifest = JSON.parse(fs.readFileSync(backup.manifest, 'utf8'));
+    const manifest = chain[chain.length - 1].manifest;
     if (!silent) {
       console.log(`📝 Backup date: ${new Date(manifest.date).toLocaleString()}`);
+      console.log(`🗂️  Type: ${manifest.type || 'full'} (${chain.length} backup(s) in chain)`);
       console.log(`📁 Files in backup: ${manifest.files.length}`);
       console.log(`💾 Total size: ${this.formatBytes(manifest.totalSize)}`);
       console.log('');
@@ -808,8 +1161,10 @@ class RestoreManager {
 
     // Check for existing data
     const existing = this.checkExistingData();
+    const hasExistingData = existing.users || existing.players || existing.database;
+    const state = this.resolveChainState(chain);
     
-    if ((existing.users || existing.players) && !this.config.force) {
+    if (hasExistingData && !this.config.force) {
       if (!silent) {
         console.log('⚠️  WARNING: Existing data will be overwritten!');
         console.log('');
@@ -820,6 +1175,9 @@ class RestoreManager {
         if (existing.players) {
           console.log(`   - ${existing.playerCount} player file(s) will be replaced`);
         }
+        if (existing.database && state.database) {
+          console.log('   - the SQLite database will be replaced');
+        }
         
         console.log('');
         console.log('This action cannot be undone. Consider backing up current data first.');
@@ -849,7 +1207,7 @@ class RestoreManager {
     }
 
     // Create pre-restore backup if configured and there's existing data
-    if (this.config.preRestoreBackup && (existing.users || existing.players)) {
+    if (this.config.preRestoreBackup && hasExistingData) {
       try {
         await this.createPreRestoreBackup();
         if (!silent) {
@@ -870,23 +1228,40 @@ class RestoreManager {
       console.log('');
     }
 
+    // Swap in the database first so a bad snapshot leaves everything untouched
+    if (state.database && !(await this.restoreDatabase(state.database))) {
+      const result = {
+        success: false,
+        message: 'SQLite database snapshot could not be restored'
+      };
+      this.notify('restore_failed', result);
+      return result;
+    }
+
     const results = {
-      users: this.restoreUsers(backup.users),
-      players: this.restorePlayers(backup.players)
+      database: !!state.database,
+      users: this.restoreUsersData(state.users),
+      players: this.restorePlayerData(state.players),
+      files: this.restoreAdditionalFiles(state.files),
+      removed: this.removeDeletedSources(state.deleted)
     };
 
     if (!silent) {
       console.log('');
     }
     
-    if (results.users || results.players) {
+    if (results.database || results.users || results.players || results.files > 0) {
       const result = {
         success: true,
         message: 'Restore completed successfully',
         timestamp: this.timestamp,
+        chain: chain.map(link => link.timestamp),
         restored: {
+          database: results.database,
           users: results.users,
-          players: results.players
+          players: results.players,
+          files: results.files,
+          removed: results.removed
         }
       };
       
@@ -110,9 +110,9 @@ class InputValidator {
 
     const trimmed = channel.trim().toLowerCase();
 
-    // Whitelist valid channels
-    const validChannels = ['global', 'local', 'guild', 'party', 'whisper'];
-    if (!validChannels.includes(trimmed)) {
+    // Whitelist valid channels, plus user-created rooms (room:<name>)
+    const validChannels = ['global', 'local', 'trade', 'guild', 'party', 'whisper'];
+    if (!validChannels.includes(trimmed) && !/^room:[a-z0-9][a-z0-9_-]{2,31}$/.test(trimmed)) {
       return { valid: false, sanitized: null, message: 'Invalid channel' };
     }
 
@@ -0,0 +1,166 @@
+/**
+ * Backup Archive Utilities
+ *
+ * Bundles the files of one backup into a single gzip-compressed, AES-256-GCM
+ * encrypted archive. The archive starts with a plaintext header line (no game
+ * data, only listing metadata) which is authenticated together with the payload.
+ *
+ * Layout: "HWBACKUP1\n" + JSON header + "\n" + ciphertext
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const ARCHIVE_MAGIC = 'HWBACKUP1';
+const ARCHIVE_SUFFIX = '-backup.enc';
+const CIPHER = 'aes-256-gcm';
+const HEADER_READ_LIMIT = 64 * 1024;
+
+/**
+ * Resolve the archive encryption secret
+ * @param {string} [secret] - Explicit secret, falls back to BACKUP_ENCRYPTION_KEY
+ * @returns {string|null}
+ */
+function resolveArchiveKey(secret) {
+  return secret || process.env.BACKUP_ENCRYPTION_KEY || null;
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * Create an encrypted archive
+ * @param {Object} files - Map of file name to file contents (string, or Buffer for binary files)
+ * @param {Object} metadata - Listing metadata stored in the plaintext header
+ * @param {string} secret - Encryption secret
+ * @returns {Buffer}
+ */
+function createArchive(files, metadata, secret) {
+  if (!secret) {
+    throw new Error('BACKUP_ENCRYPTION_KEY must be set to create encrypted backup archives');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const header = {
+    ...metadata,
+    format: 'hw-backup-archive',
+    cipher: CIPHER,
+    compression: 'gzip',
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64')
+  };
+
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(secret, salt), iv);
+  // The header is not encrypted, but tampering with it breaks authentication
+  cipher.setAAD(Buffer.from(JSON.stringify(header)));
+  const text = {};
+  const binary = {};
+  for (const [name, contents] of Object.entries(files)) {
+    if (Buffer.isBuffer(contents)) {
+      binary[name] = contents.toString('base64');
+    } else {
+      text[name] = contents;
+    }
+  }
+  const payload = zlib.gzipSync(Buffer.from(JSON.stringify({ files: text, binary })));
+  const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+  header.authTag = cipher.getAuthTag().toString('base64');
+
+  return Buffer.concat([
+    Buffer.from(`${ARCHIVE_MAGIC}\n${JSON.stringify(header)}\n`),
+    ciphertext
+  ]);
+}
+
+/**
+ * Split an archive buffer into its header and ciphertext
+ * @returns {Object|null} - { header, ciphertext } or null if not an archive
+ */
+function parseArchive(buffer) {
+  const magicEnd = buffer.indexOf('\n');
+  if (magicEnd === -1 || buffer.toString('utf8', 0, magicEnd) !== ARCHIVE_MAGIC) {
+    return null;
+  }
+
+  const headerEnd = buffer.indexOf('\n', magicEnd + 1);
+  if (headerEnd === -1) {
+    return null;
+  }
+
+  try {
+    return {
+      header: JSON.parse(buffer.toString('utf8', magicEnd + 1, headerEnd)),
+      ciphertext: buffer.subarray(headerEnd + 1)
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read only the plaintext header of an archive file (no key needed)
+ * @param {string} filePath - Archive path
+ * @returns {Object|null}
+ */
+function readArchiveHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_READ_LIMIT);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEADER_READ_LIMIT, 0);
+    const parsed = parseArchive(buffer.subarray(0, bytesRead));
+    return parsed ? parsed.header : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Decrypt and decompress an archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {string} secret - Encryption secret
+ * @returns {Object} - { header, files } where files maps file name to contents (Buffer for binary files)
+ * @throws {Error} - If the archive is malformed, the key is wrong or the data was tampered with
+ */
+function openArchive(buffer, secret) {
+  if (!secret) {
+    throw new Error('BACKUP_ENCRYPTION_KEY is required to read encrypted backup archives');
+  }
+
+  const parsed = parseArchive(buffer);
+  if (!parsed || parsed.header.cipher !== CIPHER) {
+    throw new Error('Not a valid backup archive');
+  }
+
+  const { authTag, ...authenticatedHeader } = parsed.header;
+  let payload;
+  try {
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      deriveKey(secret, Buffer.from(parsed.header.salt, 'base64')),
+      Buffer.from(parsed.header.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(JSON.stringify(authenticatedHeader)));
+    decipher.setAuthTag(Buffer.from(authTag || '', 'base64'));
+    payload = Buffer.concat([decipher.update(parsed.ciphertext), decipher.final()]);
+  } catch {
+    throw new Error('Unable to decrypt backup archive: wrong key or corrupted data');
+  }
+
+  const { files, binary = {} } = JSON.parse(zlib.gunzipSync(payload).toString('utf8'));
+  for (const [name, contents] of Object.entries(binary)) {
+    files[name] = Buffer.from(contents, 'base64');
+  }
+  return { header: parsed.header, files };
+}
+
+module.exports = {
+  ARCHIVE_SUFFIX,
+  resolveArchiveKey,
+  createArchive,
+  readArchiveHeader,
+  openArchive
+};
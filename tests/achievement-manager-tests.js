@@ -0,0 +1,178 @@
+/**
+ * Achievement Manager Test Suite
+ * Tests awarding achievements from server-side happenings, rewards, level-ups and notifications
+ */
+
+const AchievementManager = require('../server/game/AchievementManager');
+const PlayerManager = require('../server/game/PlayerManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Test suite
+class AchievementManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🏆 Achievement Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      try {
+        // Fresh managers for each test
+        this.playerManager = new PlayerManager({ autoLoad: false });
+        this.achievementManager = new AchievementManager(this.playerManager);
+
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Awards an achievement with its rewards', this.testAwardWithRewards);
+    this.addTest('Awards each achievement only once', this.testAwardOnce);
+    this.addTest('Counts successful crimes separately', this.testCrimeCounters);
+    this.addTest('Levels up from XP and awards level achievements', this.testLevelUp);
+    this.addTest('Sends achievement_earned notifications', this.testNotifications);
+    this.addTest('Reports earned achievements for profiles', this.testPlayerAchievements);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  createPlayer(playerId) {
+    return this.playerManager.createPlayer(playerId, playerId);
+  }
+
+  // Test: Rewards
+  testAwardWithRewards() {
+    const player = this.createPlayer('achievement-player-1');
+    const pennyTotal = (player.shillings * 12) + player.pennies;
+
+    const notifications = this.achievementManager.recordEvent(player.id, 'trade_completed');
+
+    assertEqual(notifications.length, 1, 'One achievement should be earned');
+    assertEqual(notifications[0].achievement.id, 'first-trade', 'First trade achievement should be earned');
+    assertEqual(player.achievementStats.tradesCompleted, 1, 'Trade counter should be stored on the player');
+    assertEqual(player.achievements[0].id, 'first-trade', 'Achievement should be stored on the player');
+    assertEqual(player.xp, 10, 'XP reward should be granted');
+    assertEqual((player.shillings * 12) + player.pennies, pennyTotal + 12, 'Currency reward should be granted');
+  }
+
+  // Test: No repeats
+  testAwardOnce() {
+    const player = this.createPlayer('achievement-player-2');
+
+    this.achievementManager.recordEvent(player.id, 'item_crafted');
+    const second = this.achievementManager.recordEvent(player.id, 'item_crafted');
+
+    assertEqual(second.length, 0, 'Achievement should not be awarded twice');
+    assertEqual(player.achievements.length, 1, 'Only one achievement should be stored');
+    assertEqual(player.achievementStats.itemsCrafted, 2, 'Every craft should still be counted');
+  }
+
+  // Test: Crime counters
+  testCrimeCounters() {
+    const player = this.createPlayer('achievement-player-3');
+    player.achievementStats = { crimesCommitted: 30, crimesSucceeded: 24 };
+
+    const failed = this.achievementManager.recordEvent(player.id, 'crime_committed', { success: false });
+    assert(!failed.some(n => n.achievement && n.achievement.id === 'criminal-mastermind'), 'Failed crimes do not count');
+
+    const succeeded = this.achievementManager.recordEvent(player.id, 'crime_committed', { success: true });
+    assert(succeeded.some(n => n.achievement && n.achievement.id === 'criminal-mastermind'), 'Successful crime should count');
+  }
+
+  // Test: Level-ups
+  testLevelUp() {
+    const player = this.createPlayer('achievement-player-4');
+    player.level = 4;
+    player.xp = this.playerManager.getNextLevelXP(4) + 5;
+
+    const notifications = this.achievementManager.checkLevelUp(player.id);
+
+    assertEqual(notifications[0].type, 'level_up', 'Level-up should be reported');
+    assertEqual(player.level, 5, 'Player should reach level 5');
+    assertEqual(player.health, player.maxHealth, 'Level-up restores health');
+    assert(notifications.some(n => n.achievement && n.achievement.id === 'novice-wizard'), 'Level 5 achievement should be earned');
+    assertEqual(player.xp, 5 + 25, 'Extra XP and the achievement reward should carry over');
+
+    assertEqual(this.achievementManager.checkLevelUp(player.id).length, 0, 'No level-up without enough XP');
+  }
+
+  // Test: Notification callback
+  testNotifications() {
+    const player = this.createPlayer('achievement-player-5');
+    const received = [];
+    this.achievementManager.setNotificationCallback(notifications => received.push(...notifications));
+
+    this.achievementManager.recordEvent(player.id, 'auction_won');
+    this.achievementManager.recordEvent(player.id, 'unknown_event');
+
+    assertEqual(received.length, 1, 'Callback should receive the earned achievement');
+    assertEqual(received[0].type, 'achievement_earned', 'Notification type should be achievement_earned');
+    assertEqual(received[0].playerId, player.id, 'Notification should name the player');
+  }
+
+  // Test: Profile data
+  testPlayerAchievements() {
+    const player = this.createPlayer('achievement-player-6');
+    this.achievementManager.recordEvent(player.id, 'auction_sold');
+    this.achievementManager.recordEvent(player.id, 'event_participated');
+
+    const result = this.achievementManager.getPlayerAchievements(player.id);
+
+    assertEqual(result.earned.length, 2, 'Both achievements should be listed');
+    assertEqual(result.total, this.achievementManager.getAchievements().length, 'Total should cover all definitions');
+    assert(result.earned[0].condition === undefined, 'Conditions should not be exposed');
+    assertEqual(this.achievementManager.getPlayerAchievements('nobody'), null, 'Unknown players have no achievements');
+  }
+}
+
+// Run tests
+const tests = new AchievementManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
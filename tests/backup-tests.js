@@ -9,6 +9,8 @@ const fs = require('fs');
 const path = require('path');
 const BackupManager = require('../server/scripts/backup');
 const RestoreManager = require('../server/scripts/restore');
+const { SQLiteAdapter } = require('../server/database');
+const { openArchive } = require('../server/utils/backupArchive');
 
 console.log('💾 High Wizardry Backup & Restore Test Suite\n');
 
@@ -379,6 +381,333 @@ async function runTests() {
     assert(restoredData.testuser1, 'Original user should exist after restore');
   });
   
+  // =============================================================================
+  // Incremental & Differential Backup Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing Incremental & Differential Backups\n');
+  
+  const chainDataDir = path.join(testDataDir, 'chain-data');
+  const chainBackupDir = path.join(testBackupDir, 'chain');
+  const chainPlayersDir = path.join(chainDataDir, 'players');
+  const writeChainPlayer = (id, fields) => {
+    fs.writeFileSync(path.join(chainPlayersDir, `${id}.json`), JSON.stringify({ id, ...fields }, null, 2));
+  };
+  const readChainManifest = (timestamp) => {
+    return JSON.parse(fs.readFileSync(path.join(chainBackupDir, `${timestamp}-manifest.json`), 'utf8'));
+  };
+  const newChainManager = () => new BackupManager({ dataDir: chainDataDir, backupDir: chainBackupDir });
+  
+  fs.mkdirSync(chainPlayersDir, { recursive: true });
+  fs.writeFileSync(path.join(chainDataDir, 'users.json'), JSON.stringify({ alice: { id: 'p1' } }, null, 2));
+  writeChainPlayer('p1', { level: 1 });
+  writeChainPlayer('p2', { level: 1 });
+  
+  let fullTimestamp = null;
+  let incrementalTimestamp = null;
+  
+  await asyncTest('Incremental backup falls back to full when there is no base', async () => {
+    const result = await newChainManager().run({ silent: true, type: 'incremental' });
+    
+    assert(result.success, 'Backup should succeed');
+    assert(result.type === 'full', `Expected full backup, got ${result.type}`);
+    assert(result.base === null, 'Full backup should have no base');
+    
+    const manifest = readChainManifest(result.timestamp);
+    assert(manifest.sources['users.json'], 'Manifest should record source checksums');
+    assert(manifest.sources['players/p1.json'], 'Manifest should record player checksums');
+    fullTimestamp = result.timestamp;
+  });
+  
+  await asyncTest('Incremental backup stores only changed files', async () => {
+    writeChainPlayer('p1', { level: 2 });
+    
+    const result = await newChainManager().run({ silent: true, type: 'incremental' });
+    
+    assert(result.success, 'Backup should succeed');
+    assert(result.type === 'incremental', `Expected incremental backup, got ${result.type}`);
+    assert(result.base === fullTimestamp, 'Incremental should point at the full backup');
+    assert(!result.files.includes(`${result.timestamp}-users.json`), 'Unchanged users.json should not be stored');
+    
+    const players = JSON.parse(fs.readFileSync(path.join(chainBackupDir, `${result.timestamp}-players.json`), 'utf8'));
+    assert(Object.keys(players).length === 1 && players.p1.level === 2, 'Only the changed player should be stored');
+    incrementalTimestamp = result.timestamp;
+  });
+  
+  await asyncTest('Differential backup is based on the last full backup', async () => {
+    writeChainPlayer('p2', { level: 5 });
+    
+    const result = await newChainManager().run({ silent: true, type: 'differential' });
+    
+    assert(result.type === 'differential', `Expected differential backup, got ${result.type}`);
+    assert(result.base === fullTimestamp, 'Differential should point at the full backup');
+    
+    const players = JSON.parse(fs.readFileSync(path.join(chainBackupDir, `${result.timestamp}-players.json`), 'utf8'));
+    assert(players.p1 && players.p2, 'Differential should store every change since the full backup');
+  });
+  
+  await asyncTest('Incremental backup records deleted and added files', async () => {
+    fs.unlinkSync(path.join(chainPlayersDir, 'p2.json'));
+    fs.writeFileSync(path.join(chainDataDir, 'guilds.json'), JSON.stringify({ g1: { name: 'Owls' } }));
+    
+    const result = await newChainManager().run({ silent: true, type: 'incremental' });
+    const manifest = readChainManifest(result.timestamp);
+    
+    assert(manifest.deleted.includes('players/p2.json'), 'Deleted player should be recorded');
+    assert(result.files.includes(`${result.timestamp}-guilds.json`), 'New data file should be stored');
+    assert(!fs.existsSync(path.join(chainBackupDir, `${result.timestamp}-players.json`)), 'No player changes should mean no players file');
+    incrementalTimestamp = result.timestamp;
+  });
+  
+  await asyncTest('RestoreManager rebuilds point-in-time state from a backup chain', async () => {
+    // Move on past the restore point
+    writeChainPlayer('p1', { level: 99 });
+    writeChainPlayer('p2', { level: 99 });
+    fs.unlinkSync(path.join(chainDataDir, 'guilds.json'));
+    
+    const restore = new RestoreManager(incrementalTimestamp, {
+      dataDir: chainDataDir,
+      backupDir: chainBackupDir,
+      force: true,
+      preRestoreBackup: false
+    });
+    
+    const dryRun = restore.testRestore();
+    assert(dryRun.success, 'Test restore should succeed');
+    // incremental -> differential (previous backup) -> full
+    assert(dryRun.chain.length === 3 && dryRun.chain[0] === fullTimestamp, 'Chain should start at the full backup');
+    
+    const result = await restore.run({ silent: true, returnResult: true });
+    assert(result.success, `Restore should succeed: ${result.message}`);
+    
+    const p1 = JSON.parse(fs.readFileSync(path.join(chainPlayersDir, 'p1.json'), 'utf8'));
+    assert(p1.level === 2, `Player should be restored to level 2, got ${p1.level}`);
+    assert(!fs.existsSync(path.join(chainPlayersDir, 'p2.json')), 'Player deleted before the restore point should be removed');
+    assert(fs.existsSync(path.join(chainDataDir, 'guilds.json')), 'Data file added in the chain should be restored');
+  });
+  
+  await asyncTest('Retention policy keeps base backups needed by kept incrementals', async () => {
+    const backup = newChainManager();
+    const before = backup.listBackups().length;
+    
+    const result = backup.applyRetentionPolicy(1);
+    
+    assert(result.deleted === 1, `Only the first incremental should be deleted, got ${result.deleted}`);
+    assert(result.remaining === before - 1, 'Every link of the kept chain should remain');
+    assert(result.retainedBases === 2, `Expected 2 retained bases, got ${result.retainedBases}`);
+    assert(backup.verifyBackup(incrementalTimestamp).success, 'Kept incremental should still verify');
+  });
+  
+  await asyncTest('Backup with a missing base fails verification and restore', async () => {
+    fs.unlinkSync(path.join(chainBackupDir, `${fullTimestamp}-manifest.json`));
+    
+    const verification = newChainManager().verifyBackup(incrementalTimestamp);
+    assert(!verification.success, 'Verification should fail without the base backup');
+    
+    const restore = new RestoreManager(incrementalTimestamp, {
+      dataDir: chainDataDir,
+      backupDir: chainBackupDir,
+      force: true,
+      preRestoreBackup: false
+    });
+    const result = await restore.run({ silent: true, returnResult: true });
+    assert(!result.success, 'Restore should fail without the base backup');
+  });
+  
+  await asyncTest('BackupManager rejects unknown backup types', async () => {
+    const result = await newChainManager().run({ silent: true, type: 'partial' });
+    assert(!result.success, 'Unknown backup type should be rejected');
+  });
+  
+  // =============================================================================
+  // Encrypted Archive Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing Encrypted Backup Archives\n');
+  
+  const archiveBackupDir = path.join(testBackupDir, 'archive');
+  const archiveKey = 'test-archive-secret-key';
+  const newArchiveManager = (options = {}) => new BackupManager({
+    dataDir: chainDataDir,
+    backupDir: archiveBackupDir,
+    archive: true,
+    encryptionKey: archiveKey,
+    ...options
+  });
+  let archiveTimestamp = null;
+  
+  await asyncTest('Archive backup requires an encryption key', async () => {
+    const result = await newArchiveManager({ encryptionKey: null }).run({ silent: true });
+    assert(!result.success, 'Archive backup without a key should fail');
+    assert(result.message.includes('BACKUP_ENCRYPTION_KEY'), 'Message should mention the key');
+  });
+  
+  await asyncTest('Archive backup writes a single encrypted file', async () => {
+    const result = await newArchiveManager().run({ silent: true });
+    
+    assert(result.success && result.archived, 'Archive backup should succeed');
+    assert(result.files.length === 1, `Expected one archive file, got ${result.files.length}`);
+    
+    const raw = fs.readFileSync(path.join(archiveBackupDir, result.files[0]));
+    assert(!raw.includes('alice'), 'Archive should not contain plaintext user data');
+    assert(fs.readdirSync(archiveBackupDir).length === 1, 'Plain backup files should be removed');
+    archiveTimestamp = result.timestamp;
+  });
+  
+  await asyncTest('Archived backups are listed and verified', async () => {
+    const backup = newArchiveManager();
+    const listed = backup.listBackups();
+    assert(listed.length === 1 && listed[0].archived, 'Archive should be listed without decrypting');
+    assert(backup.verifyBackup(archiveTimestamp).success, 'Archive should verify with the right key');
+    
+    const wrongKey = newArchiveManager({ encryptionKey: 'wrong-key' }).verifyBackup(archiveTimestamp);
+    assert(!wrongKey.success, 'Archive should not verify with the wrong key');
+  });
+  
+  await asyncTest('Tampered archives fail verification', async () => {
+    const archiveFile = path.join(archiveBackupDir, `${archiveTimestamp}-backup.enc`);
+    const original = fs.readFileSync(archiveFile);
+    const tampered = Buffer.from(original);
+    tampered[tampered.length - 1] ^= 0xff;
+    fs.writeFileSync(archiveFile, tampered);
+    
+    const result = newArchiveManager().verifyBackup(archiveTimestamp);
+    fs.writeFileSync(archiveFile, original);
+    
+    assert(!result.success, 'Tampered archive should fail verification');
+  });
+  
+  await asyncTest('Incremental archives use the archived base', async () => {
+    writeChainPlayer('p1', { level: 7 });
+    
+    const result = await newArchiveManager().run({ silent: true, type: 'incremental' });
+    assert(result.type === 'incremental', `Expected incremental backup, got ${result.type}`);
+    assert(result.base === archiveTimestamp, 'Incremental archive should point at the archived full backup');
+    archiveTimestamp = result.timestamp;
+  });
+  
+  await asyncTest('RestoreManager restores from encrypted archives transparently', async () => {
+    writeChainPlayer('p1', { level: 50 });
+    
+    const options = { dataDir: chainDataDir, backupDir: archiveBackupDir, force: true, preRestoreBackup: false };
+    const withoutKey = new RestoreManager(archiveTimestamp, { ...options, encryptionKey: null });
+    assert(!withoutKey.verifyBackupIntegrity(archiveTimestamp).success, 'Verification should fail without a key');
+    
+    const restore = new RestoreManager(archiveTimestamp, { ...options, encryptionKey: archiveKey });
+    assert(restore.verifyBackupIntegrity(archiveTimestamp).success, 'Archive should verify');
+    
+    const dryRun = restore.testRestore();
+    assert(dryRun.success && dryRun.archived && dryRun.chain.length === 2, 'Test restore should resolve the archived chain');
+    
+    const result = await restore.run({ silent: true, returnResult: true });
+    assert(result.success, `Restore should succeed: ${result.message}`);
+    
+    const p1 = JSON.parse(fs.readFileSync(path.join(chainPlayersDir, 'p1.json'), 'utf8'));
+    assert(p1.level === 7, `Player should be restored to level 7, got ${p1.level}`);
+  });
+  
+  // =============================================================================
+  // SQLite Online Backup Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing SQLite Online Backup & Restore\n');
+  
+  const sqliteDataDir = path.join(testDataDir, 'sqlite-data');
+  const sqliteBackupDir = path.join(testBackupDir, 'sqlite');
+  const adapter = new SQLiteAdapter({ dataDir: sqliteDataDir });
+  await adapter.initialize();
+  await adapter.createUser('wizard', { id: 'sq-1', username: 'Wizard', email: 'wizard@example.com' });
+  await adapter.createPlayer('sq-1', { id: 'sq-1', username: 'Wizard', level: 3 });
+  let sqliteTimestamp = null;
+  
+  await asyncTest('BackupManager snapshots the live SQLite database', async () => {
+    const backup = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir, databaseAdapter: adapter });
+    const result = await backup.run({ silent: true });
+    
+    assert(result.success, 'Backup should succeed');
+    assert(result.files.includes(`${result.timestamp}-database.sqlite`), 'Backup should include a database snapshot');
+    assert(backup.verifyBackup(result.timestamp).success, 'Snapshot should verify');
+    sqliteTimestamp = result.timestamp;
+  });
+  
+  await asyncTest('BackupManager detects SQLite from the database type', async () => {
+    const backup = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir, databaseType: 'sqlite' });
+    const result = await backup.run({ silent: true });
+    assert(result.files.includes(`${result.timestamp}-database.sqlite`), 'Database file should be snapshotted while open');
+    
+    const jsonOnly = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir, databaseType: 'json' });
+    assert(jsonOnly.getSQLiteSource() === null, 'JSON mode should not snapshot the database');
+  });
+  
+  await asyncTest('RestoreManager swaps the snapshot into the live database', async () => {
+    await adapter.updatePlayer('sq-1', { level: 40 });
+    await adapter.createPlayer('sq-2', { id: 'sq-2', username: 'Latecomer', level: 1 });
+    const backupsBefore = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir }).listBackups().length;
+    
+    const restore = new RestoreManager(sqliteTimestamp, {
+      dataDir: sqliteDataDir,
+      backupDir: sqliteBackupDir,
+      databaseAdapter: adapter,
+      force: true
+    });
+    const result = await restore.run({ silent: true, returnResult: true });
+    
+    assert(result.success && result.restored.database, `Restore should succeed: ${result.message}`);
+    const player = await adapter.getPlayer('sq-1');
+    assert(player.level === 3, `Live connection should see the restored level, got ${player.level}`);
+    assert(!(await adapter.getPlayer('sq-2')), 'Players created after the snapshot should be gone');
+    
+    const backupsAfter = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir }).listBackups().length;
+    assert(backupsAfter === backupsBefore + 1, 'A pre-restore backup should be created');
+  });
+  
+  await asyncTest('RestoreManager rejects a corrupt SQLite snapshot', async () => {
+    const snapshotFile = path.join(sqliteBackupDir, `${sqliteTimestamp}-database.sqlite`);
+    fs.writeFileSync(snapshotFile, Buffer.alloc(fs.statSync(snapshotFile).size));
+    await adapter.updatePlayer('sq-1', { level: 41 });
+    
+    const restore = new RestoreManager(sqliteTimestamp, {
+      dataDir: sqliteDataDir,
+      backupDir: sqliteBackupDir,
+      databaseAdapter: adapter,
+      force: true,
+      preRestoreBackup: false
+    });
+    const result = await restore.run({ silent: true, returnResult: true });
+    
+    assert(!result.success, 'Restore should fail for a corrupt snapshot');
+    assert((await adapter.getPlayer('sq-1')).level === 41, 'Live database should be left untouched');
+  });
+  
+  await asyncTest('SQLite snapshots round-trip through encrypted archives', async () => {
+    const archiveOptions = { dataDir: sqliteDataDir, backupDir: sqliteBackupDir, encryptionKey: archiveKey };
+    const result = await new BackupManager({ ...archiveOptions, databaseAdapter: adapter, archive: true }).run({ silent: true });
+    assert(result.success && result.archived, 'Archive backup should succeed');
+    
+    await adapter.updatePlayer('sq-1', { level: 99 });
+    const restore = new RestoreManager(result.timestamp, { ...archiveOptions, databaseAdapter: adapter, force: true, preRestoreBackup: false });
+    const restored = await restore.run({ silent: true, returnResult: true });
+    
+    assert(restored.success, `Restore should succeed: ${restored.message}`);
+    assert((await adapter.getPlayer('sq-1')).level === 41, 'Archived snapshot should be restored');
+  });
+  
+  await asyncTest('SQLite backups can be downloaded as JSON or as an archive', async () => {
+    const result = await new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir, databaseAdapter: adapter }).run({ silent: true });
+    const snapshotName = `${result.timestamp}-database.sqlite`;
+    const snapshot = fs.readFileSync(path.join(sqliteBackupDir, snapshotName));
+    
+    const plain = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir }).getDownload(result.timestamp);
+    assert(plain.backup && plain.fileName === `backup-${result.timestamp}.json`, 'Plain backups should download as JSON');
+    assert(Buffer.from(plain.backup.files[snapshotName], 'base64').equals(snapshot), 'Snapshot should be base64-encoded intact');
+    
+    const encrypted = new BackupManager({ dataDir: sqliteDataDir, backupDir: sqliteBackupDir, encryptionKey: archiveKey }).getDownload(result.timestamp);
+    const { files } = openArchive(encrypted.archive, archiveKey);
+    assert(Buffer.isBuffer(files[snapshotName]) && files[snapshotName].equals(snapshot), 'Archive should carry the snapshot byte for byte');
+  });
+  
+  await adapter.close();
+  
   // =============================================================================
   // Edge Case Tests
   // =============================================================================
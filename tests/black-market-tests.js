@@ -0,0 +1,108 @@
+/**
+ * Black Market Tests
+ * Tests for client-side vendor pricing under world events (priceMultiplier)
+ */
+
+// Browser globals the module expects
+const storage = new Map();
+global.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+global.document = { getElementById: () => null, addEventListener: () => {} };
+
+const playerData = { gold: 10000, inventory: {} };
+global.Player = {
+  getData: () => playerData,
+  removeGold: amount => {
+    playerData.gold -= amount;
+    return true;
+  },
+  updateData: updates => Object.assign(playerData, updates)
+};
+
+const BlackMarket = require('../jsjs/black-market');
+
+console.log('🕵️ Black Market Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const crash = { id: 'active-1', scope: 'global', modifiers: { priceMultiplier: 0.5 } };
+
+// =============================================================================
+// Pricing Tests
+// =============================================================================
+
+console.log('📝 Testing prices\n');
+
+test('Prices follow the vendor markup without world events', () => {
+  BlackMarket.setWorldEvents([]);
+  const [item] = BlackMarket.getVendorInventory('goblin-outpost');
+  assert(item.price === Math.floor(item.basePrice * 1.10), `Goblin Outpost marks up 10%, got ${item.price}`);
+});
+
+test('Active world events scale vendor prices', () => {
+  BlackMarket.setWorldEvents([crash]);
+  const [item] = BlackMarket.getVendorInventory('shady-alley');
+  assert(item.price === Math.round(item.basePrice * 0.5), `Market crash should halve prices, got ${item.price}`);
+
+  BlackMarket.setWorldEvents([crash, { id: 'active-2', scope: 'global', modifiers: { priceMultiplier: 3 } }]);
+  assert(BlackMarket.getVendorInventory('shady-alley')[0].price === Math.round(item.basePrice * 1.5), 'Multipliers should multiply');
+});
+
+test('Events at other locations leave prices alone', () => {
+  BlackMarket.setWorldEvents([{ ...crash, scope: 'location', locationId: 'tavern' }]);
+  const [item] = BlackMarket.getVendorInventory('shady-alley');
+  assert(item.price === item.basePrice, 'Location events only change prices there');
+});
+
+test('Purchases charge the event price and remember it for resale', () => {
+  BlackMarket.setWorldEvents([crash]);
+  const [item] = BlackMarket.getVendorInventory('shady-alley');
+  const goldBefore = playerData.gold;
+
+  assert(BlackMarket.purchaseItem('shady-alley', item.id), 'Purchase should succeed');
+  assert(goldBefore - playerData.gold === item.price, `Should pay ${item.price}, paid ${goldBefore - playerData.gold}`);
+  const bought = playerData.inventory.smuggledGoods.find(good => good.id === item.id);
+  assert(bought && bought.price === item.price, 'Smuggled goods should record the price paid');
+});
+
+// =============================================================================
+// Summary
+// =============================================================================
+
+console.log('\n' + '='.repeat(50));
+console.log('📊 Test Summary');
+console.log('='.repeat(50));
+console.log(`Total Tests: ${passed + failed}`);
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed === 0) {
+  console.log('\n🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n❌ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,299 @@
+/**
+ * Chat Manager Tests
+ * Tests for chat channels: membership checks, per-channel rate limits, whispers and rooms
+ */
+
+const path = require('path');
+const fs = require('fs');
+const ChatManager = require('../server/game/ChatManager');
+const PlayerManager = require('../server/game/PlayerManager');
+const GuildManager = require('../server/game/GuildManager');
+const FriendManager = require('../server/game/FriendManager');
+const JailManager = require('../server/game/JailManager');
+const InputValidator = require('../server/utils/InputValidator');
+
+console.log('💬 Chat Manager Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'chat-manager-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+function createManagers(playerIds) {
+  cleanup();
+  const playerManager = new PlayerManager({ dataDir: path.join(testDataDir, 'players'), autoLoad: false });
+  playerIds.forEach(playerId => playerManager.createPlayer(playerId, playerId));
+  const guildManager = new GuildManager(playerManager, { dataDir: path.join(testDataDir, 'guilds') });
+  const friendManager = new FriendManager(playerManager);
+  const jailManager = new JailManager(playerManager);
+  const chatManager = new ChatManager(playerManager, {
+    guildManager,
+    friendManager,
+    jailManager,
+    dataDir: path.join(testDataDir, 'chat')
+  });
+  return { playerManager, guildManager, friendManager, jailManager, chatManager };
+}
+
+async function runTests() {
+  // =============================================================================
+  // Channel Tests
+  // =============================================================================
+
+  console.log('📝 Testing channels\n');
+
+  await test('Channel names are validated', async () => {
+    for (const channel of ['global', 'local', 'trade', 'guild', 'party', 'whisper', 'room:wizards']) {
+      assert(InputValidator.validateChannel(channel).valid, `Should accept ${channel}`);
+    }
+    for (const channel of ['room:', 'room:a', 'room:<b>', 'admin']) {
+      assert(!InputValidator.validateChannel(channel).valid, `Should reject ${channel}`);
+    }
+  });
+
+  await test('Global, local and trade reach the right audience', async () => {
+    const { chatManager, playerManager } = createManagers(['alice']);
+    assert(chatManager.prepareMessage('alice', 'global').recipients.scope === 'global', 'Global goes to everyone');
+    const local = chatManager.prepareMessage('alice', 'local').recipients;
+    assert(local.scope === 'location' && local.locationId === 'town-square', 'Local goes to the location');
+    assert(chatManager.prepareMessage('alice', 'trade').success, 'Trade should be open');
+
+    playerManager.updatePlayer('alice', { inJail: true, jailUntil: Date.now() + 60000 });
+    assert(!chatManager.prepareMessage('alice', 'trade').success, 'Jailed players cannot advertise');
+  });
+
+  await test('Guild chat only reaches guild members', async () => {
+    const { chatManager, guildManager } = createManagers(['leader', 'loner']);
+    assert(!chatManager.prepareMessage('loner', 'guild').success, 'Players outside a guild cannot use guild chat');
+
+    const guild = guildManager.createGuild('leader', 'Night Owls', 'OWL').guild;
+    const result = chatManager.prepareMessage('leader', 'guild');
+    assert(result.success && result.guildId === guild.id, 'Guild chat should be tagged with the guild');
+    assert(result.recipients.playerIds.join(',') === 'leader', 'Only members should receive it');
+  });
+
+  await test('Each channel has its own rate limit', async () => {
+    const { chatManager } = createManagers(['alice']);
+    assert(chatManager.prepareMessage('alice', 'trade').success, 'First advert should go through');
+    assert(chatManager.prepareMessage('alice', 'trade').success, 'Second advert should go through');
+    const limited = chatManager.prepareMessage('alice', 'trade');
+    assert(!limited.success && limited.message.includes('too quickly'), 'Third advert should be limited');
+    assert(chatManager.prepareMessage('alice', 'local').success, 'Other channels are unaffected');
+  });
+
+  // =============================================================================
+  // Party Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing parties\n');
+
+  await test('Party chat only reaches party members', async () => {
+    const { chatManager } = createManagers(['leader', 'friend', 'stranger']);
+    assert(!chatManager.prepareMessage('leader', 'party').success, 'Players outside a party cannot use party chat');
+
+    const invited = chatManager.inviteToParty('leader', 'friend');
+    assert(invited.success && invited.party.leaderId === 'leader', 'Inviting starts a party');
+    assert(!chatManager.prepareMessage('friend', 'party').success, 'Invitations are not membership');
+    assert(!chatManager.respondToPartyInvite('stranger', invited.party.id, true).success, 'Only invited players can join');
+
+    const joined = chatManager.respondToPartyInvite('friend', invited.party.id, true);
+    assert(joined.success && joined.accepted, 'Invitation should be accepted');
+    const result = chatManager.prepareMessage('friend', 'party');
+    assert(result.success && result.partyId === invited.party.id, 'Party chat should be tagged with the party');
+    assert(result.recipients.playerIds.join(',') === 'leader,friend', 'Only members should receive it');
+  });
+
+  await test('Party chat has its own rate limit', async () => {
+    const { chatManager } = createManagers(['leader', 'friend']);
+    const { party } = chatManager.inviteToParty('leader', 'friend');
+    chatManager.respondToPartyInvite('friend', party.id, true);
+    for (let i = 0; i < 10; i++) {
+      assert(chatManager.prepareMessage('leader', 'party').success, `Message ${i + 1} should go through`);
+    }
+    const limited = chatManager.prepareMessage('leader', 'party');
+    assert(!limited.success && limited.message.includes('party chat too quickly'), 'Eleventh message should be limited');
+    assert(chatManager.prepareMessage('leader', 'global').success, 'Other channels are unaffected');
+  });
+
+  await test('Only leaders invite or kick and small parties disband', async () => {
+    const { chatManager, friendManager } = createManagers(['leader', 'a', 'b', 'blocker']);
+    const { party } = chatManager.inviteToParty('leader', 'a');
+    chatManager.respondToPartyInvite('a', party.id, true);
+    assert(!chatManager.inviteToParty('a', 'b').success, 'Members cannot invite');
+    assert(!chatManager.inviteToParty('b', 'a').success, 'Players already in a party cannot be invited');
+    friendManager.blockPlayer('blocker', 'leader');
+    const blocked = chatManager.inviteToParty('leader', 'blocker');
+    assert(!blocked.success && !blocked.message.includes('block'), 'Blocked leaders should not learn about the block');
+
+    chatManager.inviteToParty('leader', 'b');
+    chatManager.respondToPartyInvite('b', party.id, true);
+    assert(!chatManager.kickFromParty('a', 'b').success, 'Members cannot kick');
+    const kicked = chatManager.kickFromParty('leader', 'b');
+    assert(kicked.success && kicked.party.members.join(',') === 'leader,a', 'Leader removes a member');
+
+    const left = chatManager.leaveParty('leader');
+    assert(left.success && left.disbanded && left.memberIds.join(',') === 'a', 'A party of one disbands');
+    assert(!chatManager.prepareMessage('a', 'party').success, 'Party chat ends with the party');
+  });
+
+  await test('Leaders leaving hand the party on and parties persist', async () => {
+    const { chatManager, playerManager } = createManagers(['leader', 'a', 'b']);
+    const { party } = chatManager.inviteToParty('leader', 'a');
+    chatManager.inviteToParty('leader', 'b');
+    chatManager.respondToPartyInvite('a', party.id, true);
+    chatManager.respondToPartyInvite('b', party.id, true);
+
+    const left = chatManager.leaveParty('leader');
+    assert(left.success && left.party.leaderId === 'a', 'The longest-standing member takes over');
+
+    const reloaded = new ChatManager(playerManager, { dataDir: path.join(testDataDir, 'chat') });
+    assert(reloaded.getParty(party.id).members.join(',') === 'a,b', 'Parties should be reloaded');
+  });
+
+  // =============================================================================
+  // Whisper Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing whispers\n');
+
+  await test('Whispers go to the target and echo to the sender', async () => {
+    const { chatManager } = createManagers(['alice', 'bob']);
+    const result = chatManager.prepareMessage('alice', 'whisper', { toPlayerId: 'bob' });
+    assert(result.success && result.recipients.playerIds.join(',') === 'bob,alice', 'Both players should get the message');
+    assert(!chatManager.prepareMessage('alice', 'whisper', { toPlayerId: 'alice' }).success, 'No whispering to yourself');
+    assert(!chatManager.prepareMessage('alice', 'whisper', { toPlayerId: 'nobody' }).success, 'Unknown players are rejected');
+  });
+
+  await test('Blocking stops whispers both ways and hides other chat', async () => {
+    const { chatManager, friendManager } = createManagers(['alice', 'bob']);
+    friendManager.blockPlayer('bob', 'alice');
+
+    const toBob = chatManager.prepareMessage('alice', 'whisper', { toPlayerId: 'bob' });
+    assert(!toBob.success && !toBob.message.includes('block'), 'Blocked senders should not learn about the block');
+    const toAlice = chatManager.prepareMessage('bob', 'whisper', { toPlayerId: 'alice' });
+    assert(!toAlice.success && toAlice.message.includes('Unblock'), 'Blockers must unblock first');
+    assert(!chatManager.canReceive('bob', 'alice') && chatManager.canReceive('alice', 'bob'), 'Blocked players are hidden from the blocker only');
+  });
+
+  // =============================================================================
+  // Room Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing rooms\n');
+
+  await test('Password-protected rooms check the password on join', async () => {
+    const { chatManager } = createManagers(['owner', 'guest']);
+    assert(!(await chatManager.createRoom('owner', 'No Spaces')).success, 'Room names are validated');
+    const created = await chatManager.createRoom('owner', 'Wizards', 'secret-words');
+    assert(created.success && created.room.name === 'wizards' && created.room.hasPassword, 'Room should be created');
+    assert(!JSON.stringify(created.room).includes('secret'), 'Password should not leak');
+    assert(!(await chatManager.createRoom('guest', 'wizards')).success, 'Names are unique');
+
+    assert(!chatManager.prepareMessage('guest', 'room:wizards').success, 'Non-members cannot post');
+    assert(!(await chatManager.joinRoom('guest', 'wizards', 'wrong')).success, 'Wrong password should be rejected');
+    assert((await chatManager.joinRoom('guest', 'WIZARDS', 'secret-words')).success, 'Right password should let the player in');
+    const result = chatManager.prepareMessage('guest', 'room:wizards');
+    assert(result.success && result.recipients.playerIds.join(',') === 'owner,guest', 'Members receive room messages');
+  });
+
+  await test('Room passwords are bcrypt hashes and join attempts are limited', async () => {
+    const { chatManager } = createManagers(['owner', 'guesser']);
+    await chatManager.createRoom('owner', 'vault', 'open-sesame');
+    assert(/^\$2[aby]\$/.test(chatManager.rooms.get('vault').password), 'Password should be stored as a bcrypt hash');
+
+    for (let i = 0; i < 5; i++) {
+      const attempt = await chatManager.joinRoom('guesser', 'vault', `guess-${i}`);
+      assert(attempt.message === 'Incorrect room password', 'Wrong guesses are rejected');
+    }
+    const limited = await chatManager.joinRoom('guesser', 'vault', 'open-sesame');
+    assert(!limited.success && limited.message.includes('too quickly'), 'Further attempts should be limited');
+  });
+
+  await test('Owners manage moderators and moderators manage members', async () => {
+    const { chatManager } = createManagers(['owner', 'mod', 'member', 'troll']);
+    await chatManager.createRoom('owner', 'tavern-talk');
+    for (const playerId of ['mod', 'member', 'troll']) {
+      await chatManager.joinRoom(playerId, 'tavern-talk');
+    }
+
+    assert(!chatManager.setModerator('mod', 'tavern-talk', 'member', true).success, 'Only owners appoint moderators');
+    assert(chatManager.setModerator('owner', 'tavern-talk', 'mod', true).success, 'Owner appoints a moderator');
+    assert(!chatManager.kickMember('member', 'tavern-talk', 'troll').success, 'Members cannot kick');
+    assert(chatManager.kickMember('mod', 'tavern-talk', 'troll', true).success, 'Moderators can ban members');
+    assert(!(await chatManager.joinRoom('troll', 'tavern-talk')).success, 'Banned players cannot rejoin');
+    assert(!chatManager.kickMember('mod', 'tavern-talk', 'owner').success, 'Nobody can kick the owner');
+    assert(chatManager.kickMember('owner', 'tavern-talk', 'mod').success, 'Owners can remove moderators');
+  });
+
+  await test('Owners leaving hand the room on and rooms persist', async () => {
+    const { chatManager, playerManager } = createManagers(['owner', 'mod', 'member']);
+    await chatManager.createRoom('owner', 'study-group', 'hunter22');
+    await chatManager.joinRoom('member', 'study-group', 'hunter22');
+    await chatManager.joinRoom('mod', 'study-group', 'hunter22');
+    chatManager.setModerator('owner', 'study-group', 'mod', true);
+
+    const left = chatManager.leaveRoom('owner', 'study-group');
+    assert(left.success && left.room.ownerId === 'mod', 'Moderators take over before members');
+    assert(!(await chatManager.setRoomPassword('member', 'study-group', null)).success, 'Only the owner changes the password');
+    assert((await chatManager.setRoomPassword('mod', 'study-group', null)).success, 'New owner can remove the password');
+
+    const reloaded = new ChatManager(playerManager, { dataDir: path.join(testDataDir, 'chat') });
+    const room = reloaded.getRoom('study-group');
+    assert(room && room.ownerId === 'mod' && !room.hasPassword && room.members.join(',') === 'member,mod', 'Rooms should be reloaded');
+
+    const closed = reloaded.deleteRoom('mod', 'study-group');
+    assert(closed.success && closed.memberIds.includes('member'), 'Owner closes the room');
+    assert(reloaded.getPlayerRooms('member').length === 0, 'Room should be gone');
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
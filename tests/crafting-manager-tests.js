@@ -0,0 +1,240 @@
+/**
+ * Crafting Manager Test Suite
+ * Tests timed crafting jobs, queue scheduling, fast-tracking and offline completion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CraftingManager = require('../server/game/CraftingManager');
+const GameManager = require('../server/game/GameManager');
+const PlayerManager = require('../server/game/PlayerManager');
+const LocationManager = require('../server/game/LocationManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Crafting jobs are persisted to a scratch directory, not the server's data directory
+const testDataDir = path.join('/tmp', 'crafting-test-data');
+
+// Test suite
+class CraftingManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🔨 Crafting Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      try {
+        // Fresh managers for each test without persisted state
+        this.playerManager = new PlayerManager({ autoLoad: false });
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+        this.craftingManager = new CraftingManager(this.playerManager, {
+          dataDir: testDataDir,
+          autoStart: false
+        });
+
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Starts a job and consumes resources', this.testStartCrafting);
+    this.addTest('Rejects crafting without resources', this.testMissingResources);
+    this.addTest('Queues jobs one after another', this.testSequentialQueue);
+    this.addTest('Completes finished jobs', this.testProcessCompletedJobs);
+    this.addTest('Completes jobs for offline players', this.testOfflineCompletion);
+    this.addTest('Fast-tracks a job for currency', this.testFastTrack);
+    this.addTest('Delivers fast-tracked jobs like finished ones', this.testFastTrackNotifies);
+    this.addTest('Rejects fast-track without currency', this.testFastTrackInsufficientFunds);
+    this.addTest('Routes craft_item action through the queue', this.testGameManagerCraftItem);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  createCrafter(playerId) {
+    const player = this.playerManager.createPlayer(playerId, playerId);
+    player.resources = { herbs: 10, crystal: 10, wood: 10, stone: 10 };
+    return player;
+  }
+
+  // Test: Start crafting
+  testStartCrafting() {
+    const player = this.createCrafter('craft-player-1');
+
+    const result = this.craftingManager.startCrafting(player.id, 'health_potion');
+
+    assert(result.success === true, 'Crafting should start');
+    assertEqual(player.resources.herbs, 7, 'Herbs should be consumed');
+    assertEqual(player.energy, 85, 'Energy should be consumed');
+    assert(result.job.finishesAt > Date.now(), 'Job should finish in the future');
+    assertEqual(this.craftingManager.getPlayerQueue(player.id).length, 1, 'Queue should have one job');
+  }
+
+  // Test: Missing resources
+  testMissingResources() {
+    const player = this.createCrafter('craft-player-2');
+    player.resources = { herbs: 1 };
+
+    const result = this.craftingManager.startCrafting(player.id, 'health_potion');
+
+    assert(result.success === false, 'Crafting should fail');
+    assert(result.message.includes('herbs'), 'Error message should name the missing resource');
+    assertEqual(player.resources.herbs, 1, 'Resources should not be consumed');
+  }
+
+  // Test: Sequential queue
+  testSequentialQueue() {
+    const player = this.createCrafter('craft-player-3');
+
+    const first = this.craftingManager.startCrafting(player.id, 'health_potion');
+    const second = this.craftingManager.startCrafting(player.id, 'mana_potion');
+
+    assert(second.success === true, 'Second job should be queued');
+    assertEqual(second.job.startsAt, first.job.finishesAt, 'Second job should start when the first finishes');
+  }
+
+  // Test: Completion
+  testProcessCompletedJobs() {
+    const player = this.createCrafter('craft-player-4');
+    const { job } = this.craftingManager.startCrafting(player.id, 'health_potion');
+
+    const early = this.craftingManager.processCompletedJobs(job.finishesAt - 1);
+    assertEqual(early.length, 0, 'Job should not complete early');
+
+    const notifications = this.craftingManager.processCompletedJobs(job.finishesAt);
+    assertEqual(notifications.length, 1, 'Job should complete');
+    assertEqual(notifications[0].type, 'crafting_complete', 'Notification type should be crafting_complete');
+    assert(player.inventory.includes('health_potion'), 'Item should be added to inventory');
+    assertEqual(player.craftedItems.health_potion, 1, 'Crafted count should increase');
+    assertEqual(player.xp, 10, 'XP should be granted');
+    assertEqual(this.craftingManager.getPlayerQueue(player.id).length, 0, 'Queue should be empty');
+  }
+
+  // Test: Offline completion
+  testOfflineCompletion() {
+    const player = this.createCrafter('craft-player-5');
+    const { job } = this.craftingManager.startCrafting(player.id, 'mana_potion');
+
+    // Player logs out: saved to disk and dropped from memory
+    this.playerManager.removePlayer(player.id);
+
+    const notifications = this.craftingManager.processCompletedJobs(job.finishesAt);
+    assertEqual(notifications.length, 1, 'Job should complete while offline');
+
+    const reloaded = this.playerManager.loadPlayer(player.id);
+    assert(reloaded.inventory.includes('mana_potion'), 'Item should be persisted for the offline player');
+  }
+
+  // Test: Fast-track
+  testFastTrack() {
+    const player = this.createCrafter('craft-player-6');
+    const { job } = this.craftingManager.startCrafting(player.id, 'crystal_wand');
+    const queued = this.craftingManager.startCrafting(player.id, 'health_potion').job;
+    const pennyTotal = (player.shillings * 12) + player.pennies;
+
+    const result = this.craftingManager.fastTrackCrafting(player.id, job.id);
+
+    assert(result.success === true, 'Fast-track should succeed');
+    assertEqual(result.cost, 36, 'Three minutes should cost 36 pennies');
+    assertEqual((player.shillings * 12) + player.pennies, pennyTotal - 36, 'Cost should be deducted');
+    assert(player.inventory.includes('crystal_wand'), 'Item should be granted immediately');
+    assert(queued.startsAt <= Date.now(), 'Next job should move up the queue');
+    assertEqual(result.currency.shillings * 12 + result.currency.pennies, pennyTotal - 36, 'Only the new currency should be returned');
+  }
+
+  // Test: Fast-tracked jobs are delivered like jobs that finish on time
+  testFastTrackNotifies() {
+    const player = this.createCrafter('craft-player-9');
+    const { job } = this.craftingManager.startCrafting(player.id, 'crystal_wand');
+    const delivered = [];
+    this.craftingManager.setNotificationCallback(notifications => delivered.push(...notifications));
+
+    this.craftingManager.fastTrackCrafting(player.id, job.id);
+
+    assertEqual(delivered.length, 1, 'Completion should go through the notification callback');
+    assertEqual(delivered[0].type, 'crafting_complete', 'Notification should be a completion');
+    assertEqual(delivered[0].job.id, job.id, 'Notification should be for the fast-tracked job');
+    assert(delivered[0].playerUpdates.inventory.includes('crystal_wand'), 'Notification should carry the item');
+  }
+
+  // Test: Fast-track without currency
+  testFastTrackInsufficientFunds() {
+    const player = this.createCrafter('craft-player-7');
+    const { job } = this.craftingManager.startCrafting(player.id, 'arcane_staff');
+    player.shillings = 0;
+    player.pennies = 0;
+
+    const result = this.craftingManager.fastTrackCrafting(player.id, job.id);
+
+    assert(result.success === false, 'Fast-track should fail');
+    assertEqual(this.craftingManager.getPlayerQueue(player.id).length, 1, 'Job should stay queued');
+  }
+
+  // Test: GameManager integration
+  testGameManagerCraftItem() {
+    const player = this.createCrafter('craft-player-8');
+    player.location = 'workshop';
+    const gameManager = new GameManager(this.playerManager, new LocationManager(), null, {
+      craftingManager: this.craftingManager
+    });
+
+    const result = gameManager.processAction(player.id, 'craft_item', { recipeId: 'health_potion' });
+
+    assert(result.success === true, 'craft_item should succeed');
+    assert(result.data.job !== undefined, 'Result should include the queued job');
+    assert(!player.inventory.includes('health_potion'), 'Item should not be granted before the timer ends');
+  }
+}
+
+// Run tests
+const tests = new CraftingManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+/**
+ * Data Migration Tests
+ * Tests for the adapter-to-adapter migrate tool (batches, verification, dry run, resume)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { JsonFileAdapter, SQLiteAdapter, PostgresAdapter } = require('../server/database');
+const migrate = require('../server/scripts/migrate');
+const PgStandIn = require('./helpers/pg-standin');
+
+console.log('🚚 Data Migration Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDir = path.join('/tmp', 'data-migration-test');
+const jsonDir = path.join(testDir, 'json');
+const checkpointFile = path.join(testDir, 'checkpoint.json');
+const PLAYER_COUNT = 7;
+
+function cleanup() {
+  fs.rmSync(testDir, { recursive: true, force: true });
+}
+
+// JSON data directory with PLAYER_COUNT users and players
+async function seedJson() {
+  const adapter = new JsonFileAdapter({ dataDir: jsonDir, autoSave: false });
+  await adapter.initialize();
+  for (let i = 0; i < PLAYER_COUNT; i++) {
+    const id = `player-${i}`;
+    await adapter.createUser(`Wizard${i}`, { id, username: `Wizard${i}`, email: `wizard${i}@example.com`, passwordHash: 'hash' });
+    await adapter.createPlayer(id, { id, username: `Wizard${i}`, level: i + 1, inventory: ['wand'], stats: { strength: i, defense: 2 } });
+  }
+  await adapter.close();
+}
+
+function sqlitePath(name) {
+  return path.join(testDir, `${name}.db`);
+}
+
+async function runQuietly(options) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await migrate({ checkpointFile, batchSize: 3, ...options });
+  } finally {
+    console.log = log;
+  }
+}
+
+async function runTests() {
+  cleanup();
+  await seedJson();
+
+  await test('Migrates users and players from JSON to SQLite and verifies them', async () => {
+    const result = await runQuietly({ from: 'json', fromPath: jsonDir, to: 'sqlite', toPath: sqlitePath('full') });
+    assert(result.success, result.message);
+    assert(result.migrated.users === PLAYER_COUNT && result.migrated.players === PLAYER_COUNT, 'Every record should be copied');
+    assert(result.verification.players.sourceCount === PLAYER_COUNT && result.verification.players.ok, 'Checksums should match');
+    assert(!fs.existsSync(checkpointFile), 'Checkpoint should be removed after a verified run');
+
+    const sqlite = new SQLiteAdapter({ dataDir: testDir, dbPath: sqlitePath('full') });
+    await sqlite.initialize();
+    const player = await sqlite.getPlayer('player-3');
+    assert(player.stats.strength === 3 && player.lastUpdate === undefined, 'Players should be copied as-is');
+    assert((await sqlite.getUserByEmail('wizard3@example.com')).id === 'player-3', 'Users should be found by email');
+    await sqlite.close();
+  });
+
+  await test('Dry run reads the source without writing anything', async () => {
+    const result = await runQuietly({ from: 'json', fromPath: jsonDir, to: 'sqlite', toPath: sqlitePath('dry'), dryRun: true });
+    assert(result.success && result.dryRun, 'Dry run should succeed');
+    assert(result.migrated.users === PLAYER_COUNT, 'Dry run should count the records');
+    assert(!fs.existsSync(sqlitePath('dry')), 'Target database should not be created');
+    assert(!fs.existsSync(checkpointFile), 'No checkpoint should be written');
+  });
+
+  await test('Resumes an interrupted migration from its checkpoint', async () => {
+    const options = { from: 'json', fromPath: jsonDir, to: 'sqlite', toPath: sqlitePath('resume') };
+    const target = new SQLiteAdapter({ dataDir: testDir, dbPath: sqlitePath('resume') });
+    const importData = target.importData.bind(target);
+    let batches = 0;
+    target.importData = async (batch) => {
+      if (++batches === 4) {
+        return { usersImported: 0, playersImported: 0, errors: ['Connection lost'] };
+      }
+      return importData(batch);
+    };
+
+    const interrupted = await runQuietly({ ...options, target });
+    assert(!interrupted.success && /--resume/.test(interrupted.message), 'Failed batch should stop the run');
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    assert(checkpoint.offsets.users === PLAYER_COUNT && checkpoint.offsets.players === 0, 'Checkpoint should record finished batches only');
+    assert(!JSON.stringify(checkpoint).includes(jsonDir), 'Checkpoint should not store database locations');
+
+    const restarted = await runQuietly({ ...options, from: 'sqlite', resume: true });
+    assert(!restarted.success && /different databases/.test(restarted.message), 'Checkpoint should not resume another migration');
+
+    const resumed = await runQuietly({ ...options, resume: true });
+    assert(resumed.success, resumed.message);
+    assert(resumed.migrated.users === 0 && resumed.migrated.players === PLAYER_COUNT, 'Only the remaining records should be copied');
+    assert(resumed.verification.users.ok && resumed.verification.players.ok, 'Resumed migration should verify');
+  });
+
+  await test('Verification reports records that differ or only exist in the target', async () => {
+    const target = new SQLiteAdapter({ dataDir: testDir, dbPath: sqlitePath('dirty') });
+    await target.initialize();
+    await target.createPlayer('stray-player', { id: 'stray-player', username: 'Stray' });
+    await target.close();
+
+    // Corrupt one record on its way into the target
+    const dirty = new SQLiteAdapter({ dataDir: testDir, dbPath: sqlitePath('dirty') });
+    const importData = dirty.importData.bind(dirty);
+    dirty.importData = async (batch) => {
+      if (batch.players && batch.players['player-1']) {
+        batch.players['player-1'] = { ...batch.players['player-1'], level: 99 };
+      }
+      return importData(batch);
+    };
+
+    const result = await runQuietly({ from: 'json', fromPath: jsonDir, to: 'sqlite', toPath: sqlitePath('dirty'), target: dirty });
+    assert(!result.success, 'Verification should fail');
+    const report = result.verification.players;
+    assert(report.mismatched.length === 1 && report.mismatched[0] === 'player-1', 'Changed record should be reported');
+    assert(report.extra.length === 1 && report.extra[0] === 'stray-player', 'Extra record should be reported');
+    assert(report.targetCount === PLAYER_COUNT + 1, 'Counts should be compared');
+    fs.rmSync(checkpointFile, { force: true });
+  });
+
+  await test('Migrates from SQLite to PostgreSQL', async () => {
+    const server = new PgStandIn();
+    const target = new PostgresAdapter({ connect: () => server.connect() });
+    const result = await runQuietly({ from: 'sqlite', fromPath: sqlitePath('full'), to: 'postgres', target });
+    assert(result.success, result.message);
+
+    const check = new PostgresAdapter({ connect: () => server.connect() });
+    await check.initialize();
+    assert(await check.getPlayerCount() === PLAYER_COUNT, 'Players should be in PostgreSQL');
+    assert((await check.getUser('wizard5')).email === 'wizard5@example.com', 'Users should be in PostgreSQL');
+    await check.close();
+  });
+
+  await test('Refuses to migrate a database onto itself', async () => {
+    const result = await runQuietly({ from: 'json', fromPath: jsonDir, to: 'json', toPath: jsonDir });
+    assert(!result.success && /same database/.test(result.message), 'Should refuse');
+  });
+
+  await test('Checksums ignore key order', async () => {
+    const a = migrate.checksumRecord({ id: 'x', stats: { hp: 1, mp: 2 } });
+    const b = migrate.checksumRecord({ stats: { mp: 2, hp: 1 }, id: 'x' });
+    assert(a === b, 'Same record should have the same checksum');
+    assert(a !== migrate.checksumRecord({ id: 'x', stats: { hp: 1, mp: 3 } }), 'Changed record should not');
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -1,11 +1,15 @@
 /**
  * Database Adapter Tests
- * Tests for JSON and SQLite database adapters
+ * Tests for JSON, SQLite and PostgreSQL database adapters
+ * PostgreSQL runs against an in-process stand-in (tests/helpers/pg-standin.js)
  */
 
 const path = require('path');
 const fs = require('fs');
-const { JsonFileAdapter, SQLiteAdapter, createDatabaseAdapter } = require('../server/database');
+const { JsonFileAdapter, SQLiteAdapter, PostgresAdapter, createDatabaseAdapter } = require('../server/database');
+const ConnectionPool = require('../server/database/ConnectionPool');
+const { clampPageLimit } = require('../server/database/DatabaseAdapter');
+const PgStandIn = require('./helpers/pg-standin');
 
 console.log('💾 Database Adapter Test Suite\n');
 
@@ -342,6 +346,422 @@ async function runTests() {
     await adapter.close();
   });
   
+  // =============================================================================
+  // PostgresAdapter Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing PostgresAdapter\n');
+  
+  // One stand-in server shared by every adapter instance, like a real database
+  const pgServer = new PgStandIn();
+  const createPostgresAdapter = () => new PostgresAdapter({ connect: () => pgServer.connect() });
+  
+  await test('PostgresAdapter initializes and applies migrations', async () => {
+    const adapter = createPostgresAdapter();
+    const result = await adapter.initialize();
+    assert(result === true, 'Should return true on success');
+    assert(adapter.isConnected === true, 'Should be connected');
+    assert(adapter.getType() === 'postgres', 'Should return postgres type');
+    
+    const versions = await adapter.query('SELECT version FROM schema_migrations ORDER BY version');
+    assert(versions.length === 6 && versions[5].version === 6, 'All migrations should be applied');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter creates user', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    const result = await adapter.createUser('pguser', testUser);
+    assert(result === true, 'Should return true on success');
+    
+    const user = await adapter.getUser('PGUser');
+    assert(user !== null, 'User should exist');
+    assert(user.email === testUser.email, 'Email should match');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter prevents duplicate users', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    const result = await adapter.createUser('pguser', testUser);
+    assert(result === false, 'Should return false for duplicate');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter finds user by email and player ID', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    assert(await adapter.getUserByEmail('TEST@example.com') !== null, 'User should be found by email');
+    assert(await adapter.getUserByPlayerId(testUser.id) !== null, 'User should be found by player ID');
+    assert(await adapter.getUserCount() === 1, 'Should count users');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter updates user', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    const result = await adapter.updateUser('pguser', { banned: true });
+    assert(result === true, 'Should return true on success');
+    
+    const user = await adapter.getUser('pguser');
+    assert(user.banned === true, 'Banned should be updated');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter creates and updates player', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    assert(await adapter.createPlayer('pg-player-123', testPlayer) === true, 'Should create player');
+    assert(await adapter.createPlayer('pg-player-123', testPlayer) === false, 'Should reject duplicate player');
+    assert(await adapter.updatePlayer('pg-player-123', { level: 15 }) === true, 'Should update player');
+    
+    const player = await adapter.getPlayer('pg-player-123');
+    assert(player.level === 15, 'Level should be updated');
+    
+    const players = await adapter.getAllPlayers();
+    assert(players.size === 1 && players.has('pg-player-123'), 'Should get all players');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter health check works', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    const healthy = await adapter.healthCheck();
+    assert(healthy === true, 'Should be healthy');
+    
+    await adapter.close();
+    
+    const unhealthy = await adapter.healthCheck();
+    assert(unhealthy === false, 'Should be unhealthy after close');
+  });
+  
+  await test('PostgresAdapter deletes user and player', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    assert(await adapter.deleteUser('pguser') === true, 'Should delete user');
+    assert(await adapter.getUser('pguser') === null, 'User should not exist after delete');
+    assert(await adapter.deletePlayer('pg-player-123') === true, 'Should delete player');
+    assert(await adapter.getPlayerCount() === 0, 'Player should not exist after delete');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter reports economy totals from BIGINT columns', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    
+    const day = Date.UTC(2026, 0, 2, 12);
+    await adapter.appendEconomyEntry({ playerId: 'p1', delta: 40, flow: 'source', reason: 'quest', source: 'QuestManager', createdAt: day });
+    await adapter.appendEconomyEntry({ playerId: 'p1', delta: -15, flow: 'sink', reason: 'heal', source: 'GameManager', createdAt: day });
+    
+    const [totals] = await adapter.getEconomyDailyTotals({ since: 0 });
+    assert(totals.day === '2026-01-02' && totals.created === 40 && totals.destroyed === 15, 'Daily totals should be numbers per UTC day');
+    const [earner] = await adapter.getEconomyTopEarners({ since: 0 });
+    assert(earner.playerId === 'p1' && earner.net === 25, 'Top earner net should be a number');
+    
+    await adapter.close();
+  });
+  
+  await test('PostgresAdapter refuses a schema newer than the server', async () => {
+    const adapter = createPostgresAdapter();
+    await adapter.initialize();
+    await adapter.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)', [99, 'future', Date.now()]);
+    await adapter.close();
+    
+    const newer = createPostgresAdapter();
+    assert(await newer.initialize() === false, 'Should not start against a newer schema');
+    
+    const pool = new ConnectionPool(() => pgServer.connect());
+    await pool.query('DELETE FROM schema_migrations WHERE version = $1', [99]);
+    await pool.end();
+  });
+  
+  // =============================================================================
+  // Connection Pool Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing ConnectionPool\n');
+  
+  await test('ConnectionPool never opens more than max connections', async () => {
+    const server = new PgStandIn({ latencyMs: 5 });
+    const pool = new ConnectionPool(() => server.connect(), { max: 2 });
+    
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) => pool.query('SELECT $1 AS value', [i])));
+    assert(results.every((result, i) => Number(result.rows[0].value) === i), 'Every query should get its own result');
+    assert(server.peakConnections === 2, `Should open at most 2 connections (opened ${server.peakConnections})`);
+    assert(pool.stats().idle === 2, 'Connections should be returned to the pool');
+    
+    await pool.end();
+    assert(server.connections === 0, 'Ending the pool should close its connections');
+    server.close();
+  });
+  
+  await test('ConnectionPool rolls back a failed transaction', async () => {
+    const server = new PgStandIn();
+    const pool = new ConnectionPool(() => server.connect(), { max: 2 });
+    await pool.query('CREATE TABLE items (id TEXT PRIMARY KEY)');
+    
+    let failed = false;
+    try {
+      await pool.transaction(async (client) => {
+        await client.query('INSERT INTO items (id) VALUES ($1)', ['orb']);
+        await client.query('INSERT INTO items (id) VALUES ($1)', ['orb']);
+      });
+    } catch (error) {
+      failed = error.code === '23505';
+    }
+    
+    assert(failed, 'Transaction should surface the constraint error');
+    const { rows } = await pool.query('SELECT COUNT(*) AS count FROM items');
+    assert(Number(rows[0].count) === 0, 'No rows from the failed transaction should remain');
+    
+    await pool.end();
+    server.close();
+  });
+  
+  await test('ConnectionPool times out when every connection is busy', async () => {
+    const server = new PgStandIn();
+    const pool = new ConnectionPool(() => server.connect(), { max: 1, acquireTimeoutMs: 20 });
+    const held = await pool.acquire();
+    
+    let timedOut = false;
+    try {
+      await pool.acquire();
+    } catch (error) {
+      timedOut = /Timed out/.test(error.message);
+    }
+    assert(timedOut, 'Second caller should time out');
+    
+    pool.release(held);
+    await pool.end();
+    server.close();
+  });
+  
+  // =============================================================================
+  // Trade, Auction & Event Storage Tests (all adapters)
+  // =============================================================================
+  
+  const economyServer = new PgStandIn();
+  const storageAdapters = [
+    ['JsonFileAdapter', () => new JsonFileAdapter({ dataDir: path.join(testDataDir, 'economy-json') })],
+    ['SQLiteAdapter', () => new SQLiteAdapter({ dataDir: path.join(testDataDir, 'economy-sqlite') })],
+    ['PostgresAdapter', () => new PostgresAdapter({ connect: () => economyServer.connect() })]
+  ];
+  
+  for (const [name, createAdapter] of storageAdapters) {
+    console.log(`\n📝 Testing ${name} trades, auctions and events\n`);
+    
+    await test(`${name} saves active trades and moves closed trades to history`, async () => {
+      const adapter = createAdapter();
+      await adapter.initialize();
+      
+      const trade = { id: 'trade-1', fromPlayerId: 'p1', toPlayerId: 'p2', status: 'proposed', createdAt: Date.now() };
+      assert(await adapter.saveTrade(trade), 'Should save trade');
+      trade.status = 'negotiating';
+      await adapter.saveTrade(trade);
+      await adapter.saveTrade({ id: 'trade-2', fromPlayerId: 'p3', toPlayerId: 'p1', status: 'proposed', createdAt: Date.now() });
+      
+      let active = await adapter.getActiveTrades();
+      assert(active.length === 2, 'Should have 2 active trades');
+      assert(active.find(t => t.id === 'trade-1').status === 'negotiating', 'Update should be stored');
+      
+      trade.status = 'completed';
+      await adapter.saveTrade(trade);
+      active = await adapter.getActiveTrades();
+      assert(active.length === 1, 'Completed trade should no longer be active');
+      
+      const history = await adapter.getTradeHistory({ playerId: 'p2' });
+      assert(history.length === 1 && history[0].id === 'trade-1', 'Completed trade should be in history');
+      assert((await adapter.getTradeHistory({ playerId: 'p3' })).length === 0, 'Active trades are not history');
+      assert((await adapter.getTrade('trade-1')).status === 'completed', 'getTrade should find closed trades');
+      
+      await adapter.close();
+    });
+    
+    await test(`${name} stores auctions with their bids`, async () => {
+      const adapter = createAdapter();
+      await adapter.initialize();
+      
+      const auction = {
+        id: 'auction-1', sellerId: 'p1', item: { type: 'item', id: 'wand' }, bids: [],
+        status: 'active', scope: 'global', createdAt: Date.now(), endsAt: Date.now() + 60000
+      };
+      await adapter.saveAuction(auction);
+      
+      const bid = { bidderId: 'p2', bidderUsername: 'Bidder', amount: 15, timestamp: Date.now() };
+      auction.bids.push(bid);
+      assert(await adapter.addBid('auction-1', bid), 'Should add bid');
+      await adapter.saveAuction(auction);
+      
+      const bids = await adapter.getBids('auction-1');
+      assert(bids.length === 1 && bids[0].amount === 15, 'Bid should be stored once');
+      
+      const active = await adapter.getActiveAuctions();
+      assert(active.length === 1 && active[0].bids.length === 1, 'Active auction should include bids');
+      
+      auction.status = 'completed';
+      auction.winnerId = 'p2';
+      await adapter.saveAuction(auction);
+      assert((await adapter.getActiveAuctions()).length === 0, 'Completed auction should no longer be active');
+      
+      const history = await adapter.getAuctionHistory({ playerId: 'p2' });
+      assert(history.length === 1 && history[0].bids.length === 1, 'Winner history should include the auction and its bids');
+      
+      await adapter.close();
+    });
+    
+    await test(`${name} appends to and reads the event log`, async () => {
+      const adapter = createAdapter();
+      await adapter.initialize();
+      
+      for (let i = 0; i < 5; i++) {
+        await adapter.logEvent({ name: `Event ${i}`, eventType: i % 2 ? 'global' : 'location', scope: 'global', executedAt: Date.now() + i });
+      }
+      
+      const recent = await adapter.getEventLog({ limit: 3 });
+      assert(recent.length === 3, 'Should respect limit');
+      assert(recent[0].name === 'Event 2' && recent[2].name === 'Event 4', 'Should return newest entries, oldest first');
+      
+      const global = await adapter.getEventLog({ eventType: 'global' });
+      assert(global.length === 2, 'Should filter by event type');
+      
+      await adapter.close();
+    });
+    
+    await test(`${name} keeps history page sizes between 1 and 100`, async () => {
+      const adapter = createAdapter();
+      await adapter.initialize();
+      
+      assert((await adapter.getEventLog({ limit: -1 })).length === 1, 'Negative limits should return one entry');
+      assert((await adapter.getEventLog({ limit: '1000' })).length === 5, 'Large limits should be capped, not rejected');
+      assert((await adapter.getTradeHistory({ limit: -1 })).length === 1, 'Negative limits should not skip trades');
+      assert((await adapter.getAuctionHistory({ limit: 'all' })).length === 1, 'Invalid limits fall back to the default');
+      assert(clampPageLimit('1000') === 100 && clampPageLimit(0) === 20, 'Limits are capped at 100 and default to 20');
+      
+      await adapter.close();
+    });
+    
+    await test(`${name} saves and removes active world events`, async () => {
+      const adapter = createAdapter();
+      await adapter.initialize();
+      
+      const now = Date.now();
+      const fair = { id: 'active-1', event: { id: 'fair', name: 'Fair' }, temporary: { p1: { maxEnergy: 20 } }, startedAt: now, endsAt: now + 60000, nextTickAt: null };
+      await adapter.saveActiveEvent(fair);
+      await adapter.saveActiveEvent({ ...fair, id: 'active-2', endsAt: now + 1000 });
+      fair.nextTickAt = now + 5000;
+      await adapter.saveActiveEvent(fair);
+      
+      let active = await adapter.getActiveEvents();
+      assert(active.length === 2 && active[0].id === 'active-2', 'Should list events ending soonest first');
+      assert(active[1].temporary.p1.maxEnergy === 20 && active[1].nextTickAt === now + 5000, 'Undo deltas and updates should be stored');
+      
+      assert(await adapter.deleteActiveEvent('active-2'), 'Should delete active event');
+      active = await adapter.getActiveEvents();
+      assert(active.length === 1 && active[0].id === 'active-1', 'Deleted event should be gone');
+      
+      await adapter.close();
+    });
+    
+    await test(`${name} keeps trades and auctions across reconnects`, async () => {
+      const adapter = createAdapter();
+      await adapter.initialize();
+      
+      assert((await adapter.getActiveTrades()).length === 1, 'Active trade should persist');
+      assert((await adapter.getAuctionHistory()).length === 1, 'Auction history should persist');
+      assert((await adapter.getEventLog()).length === 5, 'Event log should persist');
+      assert((await adapter.getActiveEvents()).length === 1, 'Active world events should persist');
+      
+      await adapter.close();
+    });
+  }
+  
+  await test('TradeManager persists through the adapter and reloads active trades', async () => {
+    const TradeManager = require('../server/game/TradeManager');
+    const players = {
+      alice: { id: 'alice', username: 'Alice', inventory: ['orb'], shillings: 1, pennies: 0 },
+      bob: { id: 'bob', username: 'Bob', inventory: [], shillings: 0, pennies: 6 }
+    };
+    const playerManager = { getPlayer: id => players[id], updatePlayer: () => true };
+    const adapter = new SQLiteAdapter({ dataDir: path.join(testDataDir, 'economy-manager') });
+    await adapter.initialize();
+    
+    const manager = new TradeManager(playerManager, { database: adapter });
+    const { tradeId } = manager.proposeTrade('alice', 'bob', { items: ['orb'], currency: 0 });
+    
+    const reloaded = new TradeManager(playerManager, { database: adapter });
+    await reloaded.initialize();
+    assert(reloaded.getPlayerActiveTrade('bob').id === tradeId, 'Active trade should be reloaded');
+    
+    reloaded.cancelTrade('bob', tradeId);
+    const history = await reloaded.getPlayerTradeHistory('alice');
+    assert(history.length === 1 && history[0].status === 'cancelled', 'Cancelled trade should be in history');
+    
+    await adapter.close();
+  });
+  
+  // =============================================================================
+  // Export & Import Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing exportData/importData between adapters\n');
+  
+  await test('exportData pages and importData copies records between all adapters', async () => {
+    const json = new JsonFileAdapter({ dataDir: path.join(testDataDir, 'export-json'), autoSave: false });
+    await json.initialize();
+    for (const name of ['carol', 'alice', 'bob']) {
+      await json.createUser(name, { ...testUser, id: `${name}-id`, username: name, email: `${name}@example.com` });
+      await json.createPlayer(`${name}-id`, { ...testPlayer, id: `${name}-id`, username: name, inventory: ['wand'] });
+    }
+    
+    const exportServer = new PgStandIn();
+    const postgres = new PostgresAdapter({ connect: () => exportServer.connect() });
+    await postgres.initialize();
+    const sqlite = new SQLiteAdapter({ dataDir: path.join(testDataDir, 'export-sqlite') });
+    await sqlite.initialize();
+    
+    const copy = async (from, to) => {
+      for (let offset = 0; ; offset += 2) {
+        const batch = await from.exportData({ offset, limit: 2 });
+        if (Object.keys(batch.users).length === 0 && Object.keys(batch.players).length === 0) break;
+        const result = await to.importData(batch);
+        assert(result.errors.length === 0, `Import should succeed: ${result.errors.join(', ')}`);
+      }
+    };
+    
+    const firstPage = await json.exportData({ collections: ['users'], limit: 2 });
+    assert(Object.keys(firstPage.users).join(',') === 'alice,bob' && !firstPage.players, 'Pages should be ordered by key');
+    
+    await copy(json, postgres);
+    await copy(postgres, sqlite);
+    
+    const original = await json.exportData();
+    const copied = await sqlite.exportData();
+    assert(JSON.stringify(copied.users) === JSON.stringify(original.users), 'Users should survive the round trip unchanged');
+    assert(JSON.stringify(copied.players) === JSON.stringify(original.players), 'Players should survive the round trip unchanged');
+    assert((await sqlite.getUserByEmail('bob@example.com')).id === 'bob-id', 'Imported users should be indexed by email');
+    
+    await copy(json, postgres);
+    assert(await postgres.getUserCount() === 3, 'Importing again should update, not duplicate');
+    
+    await json.close();
+    await postgres.close();
+    await sqlite.close();
+  });
+  
   // =============================================================================
   // Factory Function Tests
   // =============================================================================
@@ -363,6 +783,15 @@ async function runTests() {
     assert(adapter instanceof SQLiteAdapter, 'Should be SQLiteAdapter');
   });
   
+  await test('createDatabaseAdapter returns PostgresAdapter for type=postgres', async () => {
+    const connect = () => pgServer.connect();
+    const adapter = createDatabaseAdapter({ type: 'postgres', postgres: { connect, poolSize: 3 } });
+    assert(adapter instanceof PostgresAdapter, 'Should be PostgresAdapter');
+    assert(await adapter.initialize() === true, 'Should initialize with the given client factory');
+    assert(adapter.getPoolStats().max === 3, 'Should use the configured pool size');
+    await adapter.close();
+  });
+  
   // Clean up
   cleanup();
   
@@ -0,0 +1,263 @@
+/**
+ * Economy Ledger Tests
+ * Tests for the append-only economy ledger and the modules that write to it
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { JsonFileAdapter, SQLiteAdapter, PostgresAdapter } = require('../server/database');
+const EconomyLedger = require('../server/game/EconomyLedger');
+const TransferService = require('../server/game/TransferService');
+const GameManager = require('../server/game/GameManager');
+const EventDispatcher = require('../server/game/EventDispatcher');
+const PgStandIn = require('./helpers/pg-standin');
+
+console.log('📒 Economy Ledger Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'economy-test-data');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+// Minimal in-memory player manager
+function createPlayers(players) {
+  const byId = new Map(players.map(player => [player.id, { inventory: [], shillings: 0, pennies: 0, ...player }]));
+  return {
+    getPlayer: id => byId.get(id),
+    getAllPlayers: () => Array.from(byId.values()),
+    updatePlayer: (id, updates) => {
+      Object.assign(byId.get(id), updates);
+      return true;
+    }
+  };
+}
+
+async function createAdapter(type, name) {
+  const dataDir = path.join(testDataDir, name);
+  const adapter = type === 'sqlite' ? new SQLiteAdapter({ dataDir }) : new JsonFileAdapter({ dataDir });
+  await adapter.initialize();
+  return adapter;
+}
+
+// Let fire-and-forget ledger writes finish
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Adapter Tests
+  // =============================================================================
+
+  for (const type of ['json', 'sqlite']) {
+    console.log(`📝 Testing ${type} economy ledger\n`);
+
+    await test(`${type}: totals per day, top earners and player entries`, async () => {
+      const adapter = await createAdapter(type, `ledger-${type}`);
+      const today = Date.UTC(2026, 0, 2, 12);
+      const yesterday = today - DAY_MS;
+
+      await adapter.appendEconomyEntry({ playerId: 'alice', delta: 100, flow: 'source', reason: 'crime:heist', source: 'GameManager', createdAt: yesterday });
+      await adapter.appendEconomyEntry({ playerId: 'alice', delta: -30, flow: 'sink', reason: 'heal', source: 'GameManager', createdAt: today });
+      await adapter.appendEconomyEntry({ playerId: 'alice', delta: -20, flow: 'transfer', reason: 'trade', source: 'TradeManager', referenceId: 't1', createdAt: today });
+      await adapter.appendEconomyEntry({ playerId: 'bob', delta: 20, flow: 'transfer', reason: 'trade', source: 'TradeManager', referenceId: 't1', createdAt: today });
+
+      const daily = await adapter.getEconomyDailyTotals({ since: 0 });
+      assert(daily.length === 2, 'Should have two days');
+      assert(daily[0].day === '2026-01-01' && daily[0].created === 100, 'First day should show currency created');
+      assert(daily[1].destroyed === 30 && daily[1].transferred === 20 && daily[1].created === 0, 'Trades should not count as created');
+
+      const earners = await adapter.getEconomyTopEarners({ since: 0 });
+      assert(earners.length === 2 && earners[0].playerId === 'alice' && earners[0].net === 50, 'Alice should top the earners');
+      assert(earners[1].playerId === 'bob' && earners[1].created === 0, 'Bob earned by trading only');
+
+      const entries = await adapter.getEconomyEntries({ playerId: 'alice' });
+      assert(entries.length === 3 && entries[0].reason === 'trade' && entries[0].referenceId === 't1', 'Entries should be newest first');
+
+      const recent = await adapter.getEconomyDailyTotals({ since: today - 1000 });
+      assert(recent.length === 1, 'since should filter old entries');
+
+      await adapter.close();
+    });
+  }
+
+  await test('sqlite: ledger rows cannot be changed or deleted', async () => {
+    const adapter = await createAdapter('sqlite', 'ledger-sqlite');
+    let blocked = 0;
+    for (const sql of ['UPDATE economy_ledger SET delta = 0', 'DELETE FROM economy_ledger']) {
+      try {
+        adapter.db.prepare(sql).run();
+      } catch {
+        blocked++;
+      }
+    }
+    assert(blocked === 2, 'Updates and deletes should be rejected');
+    await adapter.close();
+  });
+
+  // The stand-in mirrors the migration's raise-only trigger; its PL/pgSQL is not run
+  await test('postgres: ledger rows cannot be changed or deleted', async () => {
+    const server = new PgStandIn();
+    const adapter = new PostgresAdapter({ connect: () => server.connect() });
+    await adapter.initialize();
+    await adapter.appendEconomyEntry({ playerId: 'alice', delta: 5, flow: 'source', reason: 'crime:heist', source: 'GameManager' });
+
+    let blocked = 0;
+    for (const sql of ['UPDATE economy_ledger SET delta = 0', 'DELETE FROM economy_ledger']) {
+      try {
+        await adapter.query(sql);
+      } catch (error) {
+        if (error.message.includes('append-only')) blocked++;
+      }
+    }
+    assert(blocked === 2, 'Updates and deletes should be rejected by the trigger');
+    const entries = await adapter.getEconomyEntries({ playerId: 'alice' });
+    assert(entries.length === 1 && entries[0].delta === 5, 'The entry should be unchanged');
+
+    await adapter.close();
+    server.close();
+  });
+
+  await test('json: entries survive a restart', async () => {
+    const adapter = await createAdapter('json', 'ledger-json');
+    const entries = await adapter.getEconomyEntries({});
+    assert(entries.length === 4, 'Ledger should be reloaded from disk');
+  });
+
+  // =============================================================================
+  // Recording Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing currency sources and sinks\n');
+
+  await test('Records crime rewards and heal costs', async () => {
+    const adapter = await createAdapter('sqlite', 'game');
+    const ledger = new EconomyLedger({ database: adapter });
+    const playerManager = createPlayers([{ id: 'alice', energy: 100, xp: 0, health: 10, maxHealth: 100, shillings: 5 }]);
+    const locationManager = { getActionRestriction: () => null };
+    const gameManager = new GameManager(playerManager, locationManager, null, { economyLedger: ledger });
+
+    const originalRandom = Math.random;
+    Math.random = () => 0;
+    let crime;
+    try {
+      crime = gameManager.processAction('alice', 'commit_crime', { crimeType: 'heist' });
+    } finally {
+      Math.random = originalRandom;
+    }
+    playerManager.updatePlayer('alice', crime.playerUpdates);
+    gameManager.processAction('alice', 'heal', { amount: 'full', cost: 24 });
+    await flush();
+
+    const entries = await ledger.getPlayerLedger('alice');
+    assert(entries.length === 2, 'Both changes should be recorded');
+    assert(entries[1].reason === 'crime:heist' && entries[1].delta === crime.data.reward && entries[1].flow === 'source', 'Crime reward should be a source');
+    assert(entries[0].reason === 'heal' && entries[0].delta === -24 && entries[0].flow === 'sink', 'Heal cost should be a sink');
+
+    await adapter.close();
+  });
+
+  await test('Records currency given by events', async () => {
+    const adapter = await createAdapter('json', 'events');
+    const ledger = new EconomyLedger({ database: adapter });
+    const playerManager = createPlayers([{ id: 'alice', pennies: 4 }, { id: 'bob' }]);
+    const dispatcher = new EventDispatcher(playerManager, {}, { database: adapter, economyLedger: ledger });
+    dispatcher.stopEventLoop();
+
+    dispatcher.executeEvent({
+      id: 'rain-1',
+      name: 'Gold Rain',
+      scope: 'global',
+      eventType: 'bonus',
+      handler: manager => ({
+        playerEffects: Object.fromEntries(manager.getAllPlayers().map(player => [player.id, { pennies: 50 }]))
+      })
+    });
+    await flush();
+
+    const report = await ledger.getReport(1);
+    assert(report.totals.created === 100, 'Gold rain should create 100 pennies');
+    const [entry] = await ledger.getPlayerLedger('alice');
+    assert(entry.reason === 'event:Gold Rain' && entry.referenceId === 'rain-1', 'Entry should name the event');
+  });
+
+  await test('Records trades as transfers, not created currency', async () => {
+    const adapter = await createAdapter('sqlite', 'transfers');
+    const ledger = new EconomyLedger({ database: adapter });
+    const playerManager = createPlayers([{ id: 'alice', inventory: ['orb'] }, { id: 'bob', shillings: 1 }]);
+    const service = new TransferService(playerManager, { database: adapter, economyLedger: ledger });
+
+    await service.transfer({
+      type: 'trade',
+      source: 'TradeManager',
+      reference: 'trade-1',
+      changes: [
+        { playerId: 'alice', pennies: 12, removeItems: ['orb'] },
+        { playerId: 'bob', pennies: -12, addItems: ['orb'] }
+      ]
+    });
+    await flush();
+
+    const report = await ledger.getReport(1);
+    assert(report.totals.created === 0 && report.totals.transferred === 12, 'Trade should only move currency');
+    assert(report.topEarners[0].playerId === 'alice', 'Seller should be the top earner');
+    const [entry] = await ledger.getPlayerLedger('bob');
+    assert(entry.source === 'TradeManager' && entry.referenceId === 'trade-1' && entry.delta === -12, 'Entry should reference the trade');
+
+    await adapter.close();
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,294 @@
+/**
+ * Event Definition Tests
+ * Tests for declarative event definitions and their interpreter in EventDispatcher
+ */
+
+const path = require('path');
+const fs = require('fs');
+const EventDispatcher = require('../server/game/EventDispatcher');
+const LocationManager = require('../server/game/LocationManager');
+const { validateEventDefinition, loadEventDefinitions } = require('../server/game/EventDefinitions');
+
+console.log('📜 Event Definition Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'event-definition-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+// Minimal in-memory player manager
+function createPlayers(players) {
+  const byId = new Map(players.map(player => [player.id, {
+    level: 1, xp: 0, inventory: [], shillings: 0, pennies: 0, health: 100, maxHealth: 100,
+    energy: 100, maxEnergy: 100, mana: 100, maxMana: 100, location: 'town-square', inJail: false,
+    ...player
+  }]));
+  return {
+    getPlayer: id => byId.get(id),
+    getAllPlayers: () => Array.from(byId.values()),
+    updatePlayer: (id, updates) => {
+      Object.assign(byId.get(id), updates);
+      return true;
+    }
+  };
+}
+
+function createDispatcher(players, options = {}) {
+  const playerManager = createPlayers(players);
+  const locationManager = new LocationManager();
+  players.forEach(player => locationManager.placePlayer(player.id, player.location || 'town-square'));
+  const dispatcher = new EventDispatcher(playerManager, locationManager, { dataDir: path.join(testDataDir, 'events'), ...options });
+  dispatcher.stopEventLoop();
+  const messages = [];
+  dispatcher.setHandlers(() => {}, () => {}, (playerId, message) => messages.push({ playerId, message }));
+  return { dispatcher, playerManager, locationManager, messages };
+}
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Validation Tests
+  // =============================================================================
+
+  console.log('📝 Testing validation\n');
+
+  await test('Rejects unknown operations, stats and scopes', async () => {
+    const result = validateEventDefinition({
+      name: 'Bad',
+      scope: 'everyone',
+      effects: [{ op: 'eval', code: 'process.exit()' }, { op: 'add', stat: 'passwordHash', amount: 1 }]
+    });
+    assert(!result.valid, 'Definition should be rejected');
+    assert(result.errors.some(error => error.startsWith('scope')), 'Scope should be reported');
+    assert(result.errors.some(error => error.startsWith('effects[0].op')), 'Unknown op should be reported');
+    assert(result.errors.some(error => error.startsWith('effects[1].stat')), 'Unknown stat should be reported');
+  });
+
+  await test('Keeps only known fields and drops handlers', async () => {
+    const result = validateEventDefinition({
+      name: 'Fine',
+      scope: 'global',
+      handler: () => ({}),
+      extra: true,
+      effects: [{ op: 'add', stat: 'energy', amount: 5 }]
+    });
+    assert(result.valid, 'Definition should be valid');
+    assert(!('handler' in result.event) && !('extra' in result.event), 'Unknown fields should be dropped');
+    assert(result.event.eventType === 'custom', 'eventType should default to custom');
+  });
+
+  await test('Rejects temporary effects without a duration and intervals outside files', async () => {
+    const temporary = validateEventDefinition({ name: 'Boost', scope: 'global', effects: [{ op: 'add', stat: 'mana', amount: 5, temporary: true }] });
+    assert(!temporary.valid, 'Temporary effects need a duration');
+    const periodic = validateEventDefinition({ name: 'Tick', scope: 'global', interval: 60000 });
+    assert(!periodic.valid, 'Intervals are only allowed in files');
+  });
+
+  await test('Bundled definition files are valid and Magic Storm repeats every 15 minutes', async () => {
+    const { events, errors } = loadEventDefinitions();
+    assert(errors.length === 0, `Bundled files should load: ${JSON.stringify(errors)}`);
+    const storm = events.find(event => event.id === 'magic-storm');
+    assert(storm && storm.interval === 15 * 60 * 1000, 'Magic Storm should be periodic');
+  });
+
+  // =============================================================================
+  // Interpreter Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing the interpreter\n');
+
+  await test('Add, subtract, set and clamp respect bounds and maximums', async () => {
+    const { dispatcher, playerManager } = createDispatcher([{ id: 'alice', mana: 10, health: 40, energy: 90 }]);
+    dispatcher.executeEvent({
+      name: 'Mixed',
+      scope: 'player',
+      playerId: 'alice',
+      effects: [
+        { op: 'subtract', stat: 'mana', amount: 20 },
+        { op: 'add', stat: 'energy', amount: 50 },
+        { op: 'set', stat: 'xp', value: 12 },
+        { op: 'clamp', stat: 'health', min: 'maxHealth' }
+      ]
+    });
+
+    const alice = playerManager.getPlayer('alice');
+    assert(alice.mana === 0, 'Mana should not go negative');
+    assert(alice.energy === 100, 'Energy should be capped at maxEnergy');
+    assert(alice.xp === 12, 'XP should be set');
+    assert(alice.health === 100, 'Health should be clamped up to maxHealth');
+  });
+
+  await test('Currency is counted in pennies and normalized', async () => {
+    const { dispatcher, playerManager } = createDispatcher([{ id: 'alice', shillings: 1, pennies: 10 }]);
+    dispatcher.executeEvent({ name: 'Gold Rain', scope: 'global', effects: [{ op: 'add', stat: 'currency', amount: 50 }] });
+
+    const alice = playerManager.getPlayer('alice');
+    assert(alice.shillings === 6 && alice.pennies === 0, 'Currency should carry pennies into shillings');
+  });
+
+  await test('Grants items and moves online players', async () => {
+    const { dispatcher, playerManager, locationManager, messages } = createDispatcher([{ id: 'alice', inventory: ['wand'] }]);
+    dispatcher.executeEvent({
+      name: 'Summons',
+      scope: 'global',
+      effects: [{ op: 'grant_item', item: 'healing-potion', quantity: 2 }, { op: 'move', locationId: 'hospital' }]
+    });
+
+    const alice = playerManager.getPlayer('alice');
+    assert(alice.inventory.join(',') === 'wand,healing-potion,healing-potion', 'Items should be added');
+    assert(alice.location === 'hospital', 'Player should be moved');
+    assert(locationManager.getPlayerLocation('alice') === 'hospital', 'Occupancy should follow the move');
+    assert(messages.some(({ message }) => message.type === 'player_updated' && message.updates.location === 'hospital'), 'Player should be told');
+  });
+
+  await test('Target filters narrow the scope', async () => {
+    const { dispatcher, playerManager } = createDispatcher([
+      { id: 'novice', level: 1 },
+      { id: 'adept', level: 5 },
+      { id: 'prisoner', level: 5, inJail: true, location: 'jail' }
+    ]);
+    dispatcher.executeEvent({
+      name: 'Adept Bonus',
+      scope: 'global',
+      target: { minLevel: 3, inJail: false },
+      effects: [{ op: 'add', stat: 'xp', amount: 10 }]
+    });
+
+    assert(playerManager.getPlayer('novice').xp === 0, 'Low level players should be skipped');
+    assert(playerManager.getPlayer('adept').xp === 10, 'Matching players should be affected');
+    assert(playerManager.getPlayer('prisoner').xp === 0, 'Jailed players should be skipped');
+  });
+
+  await test('Temporary effects are undone when the duration ends', async () => {
+    const { dispatcher, playerManager } = createDispatcher([{ id: 'alice', mana: 100 }]);
+    dispatcher.executeEvent({
+      name: 'Lunar Eclipse',
+      scope: 'global',
+      duration: 20,
+      effects: [
+        { op: 'add', stat: 'maxMana', amount: 30, temporary: true },
+        { op: 'add', stat: 'mana', amount: 30, temporary: true }
+      ]
+    });
+    const alice = playerManager.getPlayer('alice');
+    assert(alice.maxMana === 130 && alice.mana === 130, 'Boost should apply');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    dispatcher.processEvents();
+    assert(alice.maxMana === 100 && alice.mana === 100, 'Boost should wear off');
+  });
+
+  // =============================================================================
+  // Injection and Loading Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing injection and loading\n');
+
+  await test('Injected definitions are validated and interpreted', async () => {
+    const { dispatcher, playerManager } = createDispatcher([{ id: 'alice', location: 'tavern', energy: 50 }]);
+
+    const invalid = dispatcher.injectEvent({ name: 'Nowhere', scope: 'location', locationId: 'atlantis' });
+    assert(!invalid.success && invalid.message.includes('Unknown location'), 'Unknown locations should be rejected');
+
+    const result = dispatcher.injectEvent({
+      name: 'Tavern Party',
+      scope: 'location',
+      locationId: 'tavern',
+      handler: () => { throw new Error('Handlers must not run'); },
+      effects: [{ op: 'add', stat: 'energy', amount: 25 }]
+    });
+    assert(result.success, 'Valid definition should be queued');
+    dispatcher.processEvents();
+    assert(playerManager.getPlayer('alice').energy === 75, 'Effects should be applied');
+  });
+
+  await test('Reloading definitions reports bad files and drops removed periodic events', async () => {
+    const definitionsDir = path.join(testDataDir, 'definitions');
+    fs.mkdirSync(definitionsDir, { recursive: true });
+    fs.writeFileSync(path.join(definitionsDir, 'tick.json'), JSON.stringify({ id: 'tick', name: 'Tick', scope: 'global', interval: 60000 }));
+    fs.writeFileSync(path.join(definitionsDir, 'broken.json'), '{ not json');
+    fs.writeFileSync(path.join(definitionsDir, 'bad.json'), JSON.stringify({ id: 'bad', name: 'Bad', scope: 'global', effects: [{ op: 'delete' }] }));
+
+    const { dispatcher } = createDispatcher([], { definitionsDir });
+    const first = dispatcher.loadDefinitions();
+    assert(first.loaded === 1 && first.periodic === 1, 'Valid file should load');
+    assert(first.errors.map(error => error.file).sort().join(',') === 'bad.json,broken.json', 'Bad files should be reported');
+    assert(dispatcher.getPeriodicEvents().some(event => event.eventId === 'tick'), 'Periodic event should be registered');
+    assert(dispatcher.triggerDefinition('tick').success && !dispatcher.triggerDefinition('nope').success, 'Loaded definitions can be triggered by id');
+
+    fs.unlinkSync(path.join(definitionsDir, 'tick.json'));
+    dispatcher.loadDefinitions();
+    assert(!dispatcher.getPeriodicEvents().some(event => event.eventId === 'tick'), 'Removed periodic event should stop');
+  });
+
+  await test('Loads YAML definition files', async () => {
+    const definitionsDir = path.join(testDataDir, 'yaml-definitions');
+    fs.mkdirSync(definitionsDir, { recursive: true });
+    fs.writeFileSync(path.join(definitionsDir, 'fair.yaml'), [
+      'id: fair',
+      'name: Fair',
+      'scope: location',
+      'locationId: tavern',
+      'duration: 600000',
+      'effects:',
+      '  - { op: add, stat: maxEnergy, amount: 20, temporary: true }'
+    ].join('\n'));
+    fs.writeFileSync(path.join(definitionsDir, 'broken.yml'), 'id: [unclosed');
+
+    const { events, errors } = loadEventDefinitions(definitionsDir);
+    assert(events.length === 1 && events[0].id === 'fair' && events[0].effects[0].amount === 20, 'YAML file should load');
+    assert(errors.length === 1 && errors[0].file === 'broken.yml', 'Invalid YAML should be reported');
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+/**
+ * Event Schedule Tests
+ * Tests for cron, calendar and windowed schedules and their persisted state in EventDispatcher
+ */
+
+const path = require('path');
+const fs = require('fs');
+const EventDispatcher = require('../server/game/EventDispatcher');
+const JsonFileAdapter = require('../server/database/JsonFileAdapter');
+const { parseCron, nextCronTime, validateSchedule, nextScheduledTime, upcomingTimes } = require('../server/game/EventSchedule');
+const { validateEventDefinition, loadEventDefinitions } = require('../server/game/EventDefinitions');
+
+console.log('🗓️ Event Schedule Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'event-schedule-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+const iso = time => new Date(time).toISOString();
+
+// Dispatcher without a running loop, sharing one events directory per name so restarts can be simulated
+async function createDispatcher(name) {
+  const database = new JsonFileAdapter({ eventsDir: path.join(testDataDir, name) });
+  const dispatcher = new EventDispatcher({ getAllPlayers: () => [], getPlayer: () => null }, {}, { database });
+  dispatcher.stopEventLoop();
+  const broadcasts = [];
+  // Only count event notifications, not world event start/end messages
+  dispatcher.setHandlers(message => message.type === 'game_event' && broadcasts.push(message), () => {}, () => {});
+  await dispatcher.initialize();
+  return { dispatcher, broadcasts };
+}
+
+async function withClock(time, fn) {
+  const realNow = Date.now;
+  Date.now = () => time;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+function tick(time) {
+  return { name: 'Tick', description: 'Tick', eventType: 'global', scope: 'global', effects: [], eventData: { time } };
+}
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Schedule Tests
+  // =============================================================================
+
+  console.log('📝 Testing schedules\n');
+
+  await test('Parses cron ranges, steps, lists and names', async () => {
+    const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+    assert([...cron.minutes].join(',') === '0,15,30,45', 'Steps should expand');
+    assert(cron.hours.size === 9 && cron.hours.has(9) && cron.hours.has(17), 'Ranges should be inclusive');
+    assert([...cron.months].join(',') === '1,7', 'Month names should map to numbers');
+    assert([...cron.weekdays].join(',') === '1,2,3,4,5', 'Day names should map to numbers');
+    assert(parseCron('0 0 * * 7').weekdays.has(0), '7 should mean Sunday');
+
+    for (const bad of ['* * * *', '60 * * * *', '* * * * funday', '*/0 * * * *', '5-1 * * * *']) {
+      assert(!validateSchedule({ cron: bad }).valid, `${bad} should be rejected`);
+    }
+  });
+
+  await test('Finds the next cron time in UTC', async () => {
+    const friday = Date.parse('2026-10-16T20:00:00Z');
+    const saturday = nextCronTime(parseCron('0 18 * * sat'), friday);
+    assert(iso(saturday) === '2026-10-17T18:00:00.000Z', `Expected Saturday 18:00, got ${iso(saturday)}`);
+    assert(iso(nextCronTime(parseCron('0 18 * * sat'), saturday)) === '2026-10-24T18:00:00.000Z', 'Runs should be strictly after the given time');
+    assert(iso(nextCronTime(parseCron('30 0 29 2 *'), friday)) === '2028-02-29T00:30:00.000Z', 'Leap days should be found');
+    assert(nextCronTime(parseCron('0 0 31 2 *'), friday) === null, 'Impossible dates should give up');
+  });
+
+  await test('Validates schedules and normalizes calendar dates', async () => {
+    assert(validateSchedule(60000).schedule.intervalMs === 60000, 'A number should be an interval');
+    assert(!validateSchedule({ intervalMs: 60000, cron: '* * * * *' }).valid, 'Only one kind of schedule is allowed');
+    assert(validateSchedule({ cron: '0 18 * * fri', windowMs: 54 * 60 * 60 * 1000 }).valid, 'Weekend-long windows are allowed');
+    assert(!validateSchedule({ cron: '0 18 * * sat', windowMs: 8 * 24 * 60 * 60 * 1000 }).valid, 'Windows are capped at a week');
+
+    const { schedule } = validateSchedule({ at: ['2026-12-25T00:00:00Z', '2026-12-24T18:00:00Z'] });
+    assert(schedule.at[0] === Date.parse('2026-12-24T18:00:00Z'), 'Dates should be sorted epoch times');
+    assert(nextScheduledTime(schedule, schedule.at[1]) === null, 'No runs are left after the last date');
+    assert(!validateSchedule({ at: ['not a date'] }).valid, 'Bad dates should be rejected');
+  });
+
+  await test('Intervals stay in step with their anchor', async () => {
+    const anchor = Date.parse('2026-10-18T12:00:00Z');
+    const late = anchor + 15 * 60 * 1000 + 4321;
+    const next = nextScheduledTime({ intervalMs: 15 * 60 * 1000 }, late, anchor);
+    assert(next === anchor + 30 * 60 * 1000, 'A late run should not shift later runs');
+    assert(upcomingTimes({ intervalMs: 1000 }, anchor, 3, anchor).join(',') === [anchor, anchor + 1000, anchor + 2000].join(','), 'Upcoming times should start from the given time');
+  });
+
+  await test('Definitions accept schedules in files only', async () => {
+    const definition = { id: 'fair', name: 'Fair', scope: 'global', schedule: { cron: '0 18 * * sat', windowMs: 60000 }, effects: [{ op: 'add', stat: 'energy', amount: 5, temporary: true }] };
+    assert(!validateEventDefinition(definition).valid, 'Schedules should be rejected outside files');
+    const result = validateEventDefinition(definition, { allowInterval: true });
+    assert(result.valid && result.event.schedule.cron === '0 18 * * sat', 'A window should stand in for a duration');
+    assert(!validateEventDefinition({ ...definition, interval: 60000 }, { allowInterval: true }).valid, 'Interval and schedule cannot be combined');
+
+    const festival = loadEventDefinitions().events.find(event => event.id === 'fair-alley-festival');
+    assert(festival && festival.schedule.windowMs === 4 * 60 * 60 * 1000, 'Fair Alley festival should run for four hours');
+  });
+
+  // =============================================================================
+  // Dispatcher Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing scheduled periodic events\n');
+
+  await test('Interval runs survive a restart without firing twice', async () => {
+    const start = Date.parse('2026-10-18T12:00:00Z');
+    const first = await withClock(start, () => createDispatcher('restart'));
+    await withClock(start, () => first.dispatcher.registerPeriodicEvent('storm', tick(), 15 * 60 * 1000));
+    await withClock(start + 15 * 60 * 1000 + 500, () => first.dispatcher.processEvents());
+    assert(first.broadcasts.length === 1, 'First run should fire');
+
+    // Restart half a second later: the run already happened, so nothing fires
+    const second = await withClock(start + 15 * 60 * 1000 + 1000, async () => {
+      const restarted = await createDispatcher('restart');
+      restarted.dispatcher.registerPeriodicEvent('storm', tick(), 15 * 60 * 1000);
+      restarted.dispatcher.processEvents();
+      return restarted;
+    });
+    assert(second.broadcasts.length === 0, 'Restart should not re-fire the run');
+    const storm = second.dispatcher.getPeriodicEvents()[0];
+    assert(storm.nextRun === start + 30 * 60 * 1000, 'Next run should keep the original rhythm');
+  });
+
+  await test('A run due during downtime fires once after a restart, and long-missed runs are skipped', async () => {
+    const start = Date.parse('2026-10-18T12:00:00Z');
+    await withClock(start, async () => {
+      const { dispatcher } = await createDispatcher('downtime');
+      dispatcher.registerPeriodicEvent('storm', tick(), 15 * 60 * 1000);
+    });
+
+    const late = await withClock(start + 20 * 60 * 1000, async () => {
+      const restarted = await createDispatcher('downtime');
+      restarted.dispatcher.registerPeriodicEvent('storm', tick(), 15 * 60 * 1000);
+      restarted.dispatcher.processEvents();
+      restarted.dispatcher.processEvents();
+      return restarted;
+    });
+    assert(late.broadcasts.length === 1, 'The missed run should fire exactly once');
+
+    const stale = await withClock(start + 5 * 60 * 60 * 1000, async () => {
+      const restarted = await createDispatcher('downtime');
+      restarted.dispatcher.registerPeriodicEvent('storm', tick(), 15 * 60 * 1000);
+      restarted.dispatcher.processEvents();
+      return restarted;
+    });
+    assert(stale.broadcasts.length === 0, 'Runs older than the grace period should be skipped');
+    assert(stale.dispatcher.getPeriodicEvents()[0].nextRun === start + 5 * 60 * 60 * 1000 + 15 * 60 * 1000, 'Next run should move past now');
+  });
+
+  await test('Windowed events start inside an open window and end with it', async () => {
+    const saturday = Date.parse('2026-10-17T18:00:00Z');
+    await withClock(saturday + 60 * 60 * 1000, async () => {
+      const { dispatcher, broadcasts } = await createDispatcher('window');
+      dispatcher.registerPeriodicEvent('festival', tick(), { cron: '0 18 * * sat', windowMs: 4 * 60 * 60 * 1000 });
+      dispatcher.processEvents();
+
+      assert(broadcasts.length === 1, 'Festival should start in the open window');
+      assert(broadcasts[0].data.endsAt === saturday + 4 * 60 * 60 * 1000, 'Clients should be told when it ends');
+      assert(dispatcher.getPeriodicEvents()[0].nextRun === saturday + 7 * 24 * 60 * 60 * 1000, 'Next run should be the following Saturday');
+    });
+
+    await withClock(saturday + 5 * 60 * 60 * 1000, async () => {
+      const { dispatcher, broadcasts } = await createDispatcher('closed-window');
+      dispatcher.registerPeriodicEvent('festival', tick(), { cron: '0 18 * * sat', windowMs: 4 * 60 * 60 * 1000 });
+      dispatcher.processEvents();
+      assert(broadcasts.length === 0, 'A closed window should not start');
+    });
+  });
+
+  await test('Jitter delays runs within its bound', async () => {
+    const start = Date.parse('2026-10-18T12:00:00Z');
+    await withClock(start, async () => {
+      const { dispatcher } = await createDispatcher('jitter');
+      for (let i = 0; i < 20; i++) {
+        dispatcher.registerPeriodicEvent(`tick-${i}`, tick(), { cron: '0 13 * * *', jitterMs: 60000 });
+      }
+      const offsets = dispatcher.getPeriodicEvents().map(event => event.nextRun - Date.parse('2026-10-18T13:00:00Z'));
+      assert(offsets.every(offset => offset >= 0 && offset < 60000), 'Jitter should stay within jitterMs');
+      assert(new Set(offsets).size > 1, 'Jitter should vary between runs');
+    });
+  });
+
+  await test('Calendar dates run once and upcoming runs are listed in order', async () => {
+    const now = Date.parse('2026-10-18T12:00:00Z');
+    await withClock(now, async () => {
+      const { dispatcher } = await createDispatcher('upcoming');
+      dispatcher.registerPeriodicEvent('eclipse', tick(), { at: ['2026-10-18T12:30:00Z'] });
+      dispatcher.registerPeriodicEvent('storm', tick(), 15 * 60 * 1000);
+      dispatcher.scheduleEvent(tick(), 20 * 60 * 1000);
+      assert(!dispatcher.registerPeriodicEvent('broken', tick(), { cron: 'whenever' }), 'Invalid schedules should not register');
+
+      const runs = dispatcher.getUpcomingRuns({ limit: 5 });
+      assert(runs.length === 5, 'Runs should be limited');
+      assert(runs.map(run => run.runAt).every((time, i, times) => i === 0 || times[i - 1] <= time), 'Runs should be sorted');
+      assert(runs.filter(run => run.eventId === 'eclipse').length === 1, 'A single date should be listed once');
+      assert(runs.some(run => run.source === 'scheduled' && run.runAt === now + 20 * 60 * 1000), 'Scheduled one-off events should be listed');
+    });
+
+    await withClock(Date.parse('2026-10-18T12:31:00Z'), async () => {
+      const { dispatcher, broadcasts } = await createDispatcher('upcoming');
+      dispatcher.registerPeriodicEvent('eclipse', tick(), { at: ['2026-10-18T12:30:00Z'] });
+      dispatcher.processEvents();
+      dispatcher.processEvents();
+      assert(broadcasts.length === 1, 'The date should fire once');
+      assert(dispatcher.getPeriodicEvents().find(event => event.eventId === 'eclipse').nextRun === null, 'No runs should remain');
+    });
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+/**
+ * Event Subscription Tests
+ * Tests for per-player event channels: validation, filtering and persistence
+ */
+
+const path = require('path');
+const fs = require('fs');
+const EventSubscriptionManager = require('../server/game/EventSubscriptionManager');
+const EventDispatcher = require('../server/game/EventDispatcher');
+const PlayerManager = require('../server/game/PlayerManager');
+const LocationManager = require('../server/game/LocationManager');
+const GuildManager = require('../server/game/GuildManager');
+
+console.log('📡 Event Subscription Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'event-subscription-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+function createManagers(playerIds) {
+  const playerManager = new PlayerManager({ dataDir: path.join(testDataDir, 'players'), autoLoad: false });
+  const locationManager = new LocationManager();
+  const guildManager = new GuildManager(playerManager, { dataDir: path.join(testDataDir, 'guilds') });
+  playerIds.forEach(playerId => {
+    playerManager.createPlayer(playerId, playerId);
+    locationManager.placePlayer(playerId, 'town-square');
+  });
+  const subscriptions = new EventSubscriptionManager(playerManager, { guildManager, locationManager });
+  return { playerManager, locationManager, guildManager, subscriptions };
+}
+
+// Deliver dispatcher messages the way the server's broadcast helpers do
+function createDispatcher(managers, playerIds) {
+  const { playerManager, locationManager, subscriptions } = managers;
+  const dispatcher = new EventDispatcher(playerManager, locationManager, { dataDir: path.join(testDataDir, 'events') });
+  dispatcher.stopEventLoop();
+  const received = new Map(playerIds.map(playerId => [playerId, []]));
+  const deliver = (playerId, message) => {
+    if (subscriptions.wants(playerId, message)) {
+      received.get(playerId).push(message);
+    }
+  };
+  dispatcher.setHandlers(
+    message => playerIds.forEach(playerId => deliver(playerId, message)),
+    (locationId, message) => locationManager.getPlayersInLocation(locationId).forEach(playerId => deliver(playerId, message)),
+    (playerId, message) => received.get(playerId).push(message)
+  );
+  return { dispatcher, received };
+}
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Channel Tests
+  // =============================================================================
+
+  console.log('📝 Testing channels\n');
+
+  await test('Players follow everything until they choose channels', async () => {
+    const { subscriptions } = createManagers(['alice']);
+    assert(subscriptions.getChannels('alice').join(',') === 'all', 'Default should be all');
+    assert(subscriptions.getChannels(null).join(',') === 'all', 'Unauthenticated clients get the default');
+
+    const result = subscriptions.subscribe('alice', ['type:weather', 'location:tavern'], { replace: true });
+    assert(result.success, result.message);
+    assert(result.channels.join(',') === 'type:weather,location:tavern', `Unexpected channels: ${result.channels}`);
+
+    const added = subscriptions.subscribe('alice', 'TYPE:bonus');
+    assert(added.channels.join(',') === 'type:weather,location:tavern,type:bonus', 'Channels should be added and normalized');
+  });
+
+  await test('Invalid channels, unknown locations and other guilds are rejected', async () => {
+    const { subscriptions } = createManagers(['alice']);
+    assert(!subscriptions.subscribe('alice', 'weather').success, 'Channels need a kind');
+    assert(!subscriptions.subscribe('alice', 'type:<script>').success, 'Odd characters should be rejected');
+    assert(!subscriptions.subscribe('alice', 'location:atlantis').success, 'Unknown locations should be rejected');
+    assert(!subscriptions.subscribe('alice', 'guild:someone-elses').success, 'Other guilds should be rejected');
+    assert(!subscriptions.subscribe('alice', Array.from({ length: 21 }, (_, i) => `type:t${i}`)).success, 'Too many channels should be rejected');
+    assert(subscriptions.getChannels('alice').join(',') === 'all', 'Failed requests should change nothing');
+  });
+
+  await test('Unsubscribing removes channels and all stops everything', async () => {
+    const { subscriptions } = createManagers(['alice']);
+    subscriptions.subscribe('alice', ['type:weather', 'type:combat'], { replace: true });
+    assert(subscriptions.unsubscribe('alice', 'type:weather').channels.join(',') === 'type:combat', 'One channel should be removed');
+    assert(subscriptions.unsubscribe('alice', 'all').channels.length === 0, 'All channels should be removed');
+    assert(subscriptions.subscribe('alice', 'all').channels.join(',') === 'all', 'Players can follow everything again');
+  });
+
+  // =============================================================================
+  // Filtering Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing filtering\n');
+
+  await test('Events only reach players following a matching channel', async () => {
+    const managers = createManagers(['alice', 'bob', 'carol']);
+    const { subscriptions, locationManager } = managers;
+    subscriptions.subscribe('alice', 'type:weather', { replace: true });
+    subscriptions.subscribe('bob', 'location:tavern', { replace: true });
+    locationManager.movePlayer('bob', 'town-square', 'tavern');
+    const { dispatcher, received } = createDispatcher(managers, ['alice', 'bob', 'carol']);
+
+    dispatcher.executeEvent({ name: 'Storm', scope: 'global', eventType: 'weather' });
+    dispatcher.executeEvent({ name: 'Party', scope: 'location', locationId: 'tavern', eventType: 'social' });
+    dispatcher.executeEvent({ name: 'Duel', scope: 'global', eventType: 'combat' });
+
+    const names = playerId => received.get(playerId).filter(message => message.type === 'game_event').map(message => message.eventName).join(',');
+    assert(names('alice') === 'Storm', `Alice follows weather, got ${names('alice')}`);
+    assert(names('bob') === 'Party', `Bob follows the tavern, got ${names('bob')}`);
+    assert(names('carol') === 'Storm,Duel', `Carol follows everything in her scope, got ${names('carol')}`);
+  });
+
+  await test('Timed world event announcements are filtered too', async () => {
+    const managers = createManagers(['alice']);
+    managers.subscriptions.subscribe('alice', 'type:bonus', { replace: true });
+    const { dispatcher, received } = createDispatcher(managers, ['alice']);
+
+    dispatcher.executeEvent({ name: 'Double XP', scope: 'global', eventType: 'bonus', duration: 60000, modifiers: { xpMultiplier: 2 } });
+    dispatcher.executeEvent({ name: 'Plague', scope: 'global', eventType: 'disease', duration: 60000 });
+    const started = received.get('alice').filter(message => message.type === 'world_event_started');
+    assert(started.length === 1 && started[0].activeEvent.name === 'Double XP', 'Only the bonus event should be announced');
+  });
+
+  await test('Personal events always arrive and non-event messages are never filtered', async () => {
+    const managers = createManagers(['alice']);
+    managers.subscriptions.unsubscribe('alice', 'all');
+    const { dispatcher, received } = createDispatcher(managers, ['alice']);
+
+    dispatcher.executeEvent({ name: 'Whisper', scope: 'player', playerId: 'alice', eventType: 'custom' });
+    dispatcher.executeEvent({ name: 'Storm', scope: 'global', eventType: 'weather' });
+    assert(received.get('alice').map(message => message.eventName).join(',') === 'Whisper', 'Only the personal event should arrive');
+    assert(managers.subscriptions.wants('alice', { type: 'chat_message' }), 'Chat should not be filtered');
+  });
+
+  await test('Guild channels follow membership', async () => {
+    const managers = createManagers(['leader', 'member']);
+    const { guildManager, subscriptions } = managers;
+    const guild = guildManager.createGuild('leader', 'Night Owls', 'OWL').guild;
+    assert(guild, 'Guild should be created');
+
+    const result = subscriptions.subscribe('leader', `guild:${guild.id}`, { replace: true });
+    assert(result.success, result.message);
+    const message = { type: 'game_event', scope: 'global', eventType: 'custom', data: { guildId: guild.id } };
+    assert(subscriptions.wants('leader', message), 'Members get their guild events');
+    assert(!subscriptions.wants('leader', { ...message, data: {} }), 'Other events are filtered');
+
+    guildManager.playerGuilds.delete('leader');
+    assert(!subscriptions.wants('leader', message), 'Former members stop receiving guild events');
+  });
+
+  // =============================================================================
+  // Persistence Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing persistence\n');
+
+  await test('Subscriptions are restored after a restart', async () => {
+    const { subscriptions } = createManagers(['alice']);
+    subscriptions.subscribe('alice', ['type:weather', 'location:tavern'], { replace: true });
+
+    const playerManager = new PlayerManager({ dataDir: path.join(testDataDir, 'players') });
+    const restored = new EventSubscriptionManager(playerManager, { locationManager: new LocationManager() });
+    assert(restored.getChannels('alice').join(',') === 'type:weather,location:tavern', 'Channels should be loaded from the player record');
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
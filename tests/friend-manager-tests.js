@@ -0,0 +1,216 @@
+/**
+ * Friend Manager Test Suite
+ * Tests friend requests, removal, blocking, the friend cap and presence in the friends list
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FriendManager = require('../server/game/FriendManager');
+const PlayerManager = require('../server/game/PlayerManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Test suite
+class FriendManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🤝 Friend Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      // Fresh managers for each test
+      this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friend-manager-'));
+      this.playerManager = new PlayerManager({ autoLoad: false, dataDir: this.dataDir });
+      this.friendManager = new FriendManager(this.playerManager);
+      this.alice = this.playerManager.createPlayer('friend-alice', 'alice');
+      this.bob = this.playerManager.createPlayer('friend-bob', 'bob');
+
+      try {
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      } finally {
+        fs.rmSync(this.dataDir, { recursive: true, force: true });
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Sends and accepts friend requests', this.testAcceptRequest);
+    this.addTest('Declines and rejects invalid requests', this.testDeclineRequest);
+    this.addTest('Crossing requests become a friendship', this.testCrossingRequests);
+    this.addTest('Removes friends from both lists', this.testRemoveFriend);
+    this.addTest('Blocking ends friendships and stops requests', this.testBlock);
+    this.addTest('Enforces the friend cap', this.testFriendCap);
+    this.addTest('Lists friends with presence', this.testFriendsList);
+    this.addTest('Ignores player IDs that point outside the data directory', this.testPathTraversal);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  // Test: Request and accept
+  testAcceptRequest() {
+    const sent = this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    assert(sent.success && !sent.accepted, 'Request should be pending');
+    assertEqual(this.bob.friendRequests.incoming[0].username, 'alice', 'Bob should see the request');
+    assertEqual(this.alice.friendRequests.outgoing[0].playerId, this.bob.id, 'Alice should see her sent request');
+
+    const accepted = this.friendManager.respondToRequest(this.bob.id, this.alice.id, true);
+    assert(accepted.success && accepted.accepted, 'Request should be accepted');
+    assert(this.friendManager.areFriends(this.alice.id, this.bob.id), 'Alice should list Bob');
+    assert(this.friendManager.areFriends(this.bob.id, this.alice.id), 'Bob should list Alice');
+    assertEqual(this.bob.friendRequests.incoming.length, 0, 'Request should be cleared');
+    assertEqual(this.alice.friendRequests.outgoing.length, 0, 'Sent request should be cleared');
+  }
+
+  // Test: Decline and invalid requests
+  testDeclineRequest() {
+    assert(!this.friendManager.sendRequest(this.alice.id, this.alice.id).success, 'Cannot befriend yourself');
+    assert(!this.friendManager.sendRequest(this.alice.id, 'missing').success, 'Unknown players cannot be befriended');
+
+    this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    assert(!this.friendManager.sendRequest(this.alice.id, this.bob.id).success, 'Duplicate requests are rejected');
+
+    const declined = this.friendManager.respondToRequest(this.bob.id, this.alice.id, false);
+    assert(declined.success && !declined.accepted, 'Request should be declined');
+    assert(!this.friendManager.areFriends(this.alice.id, this.bob.id), 'Declined players are not friends');
+    assert(!this.friendManager.respondToRequest(this.bob.id, this.alice.id, true).success, 'Request is gone');
+  }
+
+  // Test: Crossing requests
+  testCrossingRequests() {
+    this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    const result = this.friendManager.sendRequest(this.bob.id, this.alice.id);
+    assert(result.success && result.accepted, 'Second request should accept the first');
+    assert(this.friendManager.areFriends(this.alice.id, this.bob.id), 'Players should be friends');
+  }
+
+  // Test: Remove
+  testRemoveFriend() {
+    this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    this.friendManager.respondToRequest(this.bob.id, this.alice.id, true);
+
+    assert(this.friendManager.removeFriend(this.bob.id, this.alice.id).success, 'Remove should succeed');
+    assertEqual(this.alice.friends.length, 0, 'Alice should lose Bob too');
+    assert(!this.friendManager.removeFriend(this.bob.id, this.alice.id).success, 'Cannot remove a non-friend');
+  }
+
+  // Test: Block list
+  testBlock() {
+    this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    this.friendManager.respondToRequest(this.bob.id, this.alice.id, true);
+
+    const blocked = this.friendManager.blockPlayer(this.bob.id, this.alice.id);
+    assert(blocked.success && blocked.wasFriend, 'Block should succeed');
+    assert(!this.friendManager.areFriends(this.alice.id, this.bob.id), 'Blocking ends the friendship');
+    assert(this.friendManager.isBlocked(this.bob.id, this.alice.id), 'Alice should be blocked');
+
+    const fromBlocked = this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    assert(!fromBlocked.success, 'Blocked players cannot send requests');
+    assert(!fromBlocked.message.includes('block'), 'Block should not be revealed');
+    assert(!this.friendManager.sendRequest(this.bob.id, this.alice.id).success, 'Blocker must unblock first');
+
+    assert(this.friendManager.unblockPlayer(this.bob.id, this.alice.id).success, 'Unblock should succeed');
+    assert(this.friendManager.sendRequest(this.alice.id, this.bob.id).success, 'Requests work after unblocking');
+
+    // Blocking also clears pending requests
+    this.friendManager.blockPlayer(this.bob.id, this.alice.id);
+    assertEqual(this.bob.friendRequests.incoming.length, 0, 'Incoming request should be cleared');
+    assertEqual(this.alice.friendRequests.outgoing.length, 0, 'Outgoing request should be cleared');
+  }
+
+  // Test: Friend cap
+  testFriendCap() {
+    const { maxFriends } = this.friendManager.getFriendsList(this.alice.id);
+    this.alice.friends = Array.from({ length: maxFriends }, (_, i) => `someone-${i}`);
+
+    const result = this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    assert(!result.success, 'Full friends lists cannot send requests');
+    assert(result.message.includes(String(maxFriends)), 'Message should mention the cap');
+
+    this.alice.friends = [];
+    this.friendManager.sendRequest(this.alice.id, this.bob.id);
+    this.bob.friends = Array.from({ length: maxFriends }, (_, i) => `someone-${i}`);
+    assert(!this.friendManager.respondToRequest(this.bob.id, this.alice.id, true).success,
+      'Full friends lists cannot accept requests');
+  }
+
+  // Test: Friends list
+  testFriendsList() {
+    const carol = this.playerManager.createPlayer('friend-carol', 'carol');
+    for (const friend of [this.bob, carol]) {
+      this.friendManager.sendRequest(this.alice.id, friend.id);
+      this.friendManager.respondToRequest(friend.id, this.alice.id, true);
+    }
+
+    const list = this.friendManager.getFriendsList(this.alice.id, (playerId) => playerId === carol.id);
+    assertEqual(list.friends.length, 2, 'Both friends should be listed');
+    assertEqual(list.friends[0].username, 'carol', 'Online friends come first');
+    assert(list.friends[0].online && !list.friends[1].online, 'Presence should come from the lookup');
+    assertEqual(list.friends[1].location, null, 'Offline friends have no location');
+  }
+
+  // Test: IDs like ../users must not load other data files as players
+  testPathTraversal() {
+    const playersDir = path.join(this.dataDir, 'players');
+    fs.mkdirSync(playersDir);
+    fs.writeFileSync(path.join(this.dataDir, 'users.json'), JSON.stringify({ id: 'users', passwordHash: 'secret' }));
+    const playerManager = new PlayerManager({ autoLoad: false, dataDir: playersDir });
+    const friendManager = new FriendManager(playerManager);
+    playerManager.createPlayer('friend-carol', 'carol');
+
+    assert(!friendManager.sendRequest('friend-carol', '../users').success, 'Request should be rejected');
+    assert(!friendManager.blockPlayer('friend-carol', '../users').success, 'Block should be rejected');
+    assertEqual(playerManager.players.has('../users'), false, 'The file should not be cached as a player');
+  }
+}
+
+// Run tests
+const tests = new FriendManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -6,6 +6,7 @@
 const GameManager = require('../server/game/GameManager');
 const PlayerManager = require('../server/game/PlayerManager');
 const LocationManager = require('../server/game/LocationManager');
+const ConsumableManager = require('../server/game/ConsumableManager');
 
 // Test utilities
 function assert(condition, message) {
@@ -76,6 +77,7 @@ class GameManagerTests {
   registerTests() {
     this.addTest('Validates player updates correctly', this.testValidatePlayerUpdate);
     this.addTest('Rejects invalid player update fields', this.testRejectInvalidFields);
+    this.addTest('Player updates cannot move a player', this.testPlayerUpdateCannotMove);
     this.addTest('Processes gather resources action', this.testGatherResources);
     this.addTest('Handles low energy in gather resources', this.testLowEnergyGather);
     this.addTest('Processes heal action correctly', this.testHealAction);
@@ -83,6 +85,10 @@ class GameManagerTests {
     this.addTest('Handles unknown action type', this.testUnknownAction);
     this.addTest('Validates action with null player', this.testNullPlayer);
     this.addTest('Handles concurrent actions safely', this.testConcurrentActions);
+    this.addTest('Uses consumable from inventory with cooldown', this.testUseConsumable);
+    this.addTest('Applies consumable buffs to gather and train', this.testConsumableBuffs);
+    this.addTest('Expires consumable buffs', this.testConsumableBuffExpiry);
+    this.addTest('Restricts actions to locations that allow them', this.testLocationActions);
   }
 
   addTest(name, fn) {
@@ -95,7 +101,7 @@ class GameManagerTests {
     this.playerManager.createPlayer(playerId, 'TestPlayer');
 
     const updates = {
-      location: 'town-square',
+      location: 'forest',
       lastAction: Date.now(),
       // These should be filtered out
       gold: 99999,
@@ -105,7 +111,7 @@ class GameManagerTests {
 
     const validated = this.gameManager.validatePlayerUpdate(playerId, updates);
 
-    assert(validated.location === 'town-square', 'Location should be validated');
+    assert(!('location' in validated), 'Location should be filtered (only travel moves players)');
     assert('lastAction' in validated, 'lastAction should be validated');
     assert(!('gold' in validated), 'Gold should be filtered');
     assert(!('level' in validated), 'Level should be filtered');
@@ -129,6 +135,17 @@ class GameManagerTests {
     assert(Object.keys(validated).length === 0, 'Invalid fields should be rejected');
   }
 
+  // Test: player_update cannot skip travel
+  testPlayerUpdateCannotMove() {
+    const playerId = 'test-player-move';
+    this.playerManager.createPlayer(playerId, 'TestMover');
+
+    const validated = this.gameManager.validatePlayerUpdate(playerId, { location: 'forest' });
+    this.playerManager.updatePlayer(playerId, validated);
+
+    assert(this.playerManager.getPlayer(playerId).location === 'town-square', 'Player should stay put until a journey arrives');
+  }
+
   // Test: Gather resources action
   testGatherResources() {
     const playerId = 'test-player-3';
@@ -163,6 +180,7 @@ class GameManagerTests {
   testHealAction() {
     const playerId = 'test-player-5';
     const player = this.playerManager.createPlayer(playerId, 'TestPlayer5');
+    player.location = 'hospital';
     player.health = 50;
     player.maxHealth = 100;
 
@@ -178,6 +196,7 @@ class GameManagerTests {
   testPreventOverHealing() {
     const playerId = 'test-player-6';
     const player = this.playerManager.createPlayer(playerId, 'TestPlayer6');
+    player.location = 'hospital';
     player.health = 90;
     player.maxHealth = 100;
 
@@ -229,6 +248,84 @@ class GameManagerTests {
       assert(result !== undefined, `Action ${index} should return a result`);
     });
   }
+
+  // Test: Use consumable
+  testUseConsumable() {
+    const playerId = 'test-player-9';
+    const player = this.playerManager.createPlayer(playerId, 'TestPlayer9');
+    const consumableManager = new ConsumableManager(this.playerManager, { autoStart: false });
+    player.health = 40;
+    player.inventory = ['health_potion'];
+
+    const result = consumableManager.useConsumable(playerId, 'health_potion');
+
+    assert(result.success === true, 'Consumable should be used');
+    assertEqual(player.health, 90, 'Health should be restored');
+    assert(!player.inventory.includes('health_potion'), 'Potion should be removed from inventory');
+
+    player.inventory = ['health_potion'];
+    const again = consumableManager.useConsumable(playerId, 'health_potion');
+    assert(again.success === false, 'Consumable should be on cooldown');
+    assert(again.message.includes('cooldown'), 'Error message should mention cooldown');
+
+    const missing = consumableManager.useConsumable(playerId, 'mana_potion');
+    assert(missing.success === false, 'Cannot use items not in inventory');
+  }
+
+  // Test: Buffs feed into actions
+  testConsumableBuffs() {
+    const playerId = 'test-player-10';
+    const player = this.playerManager.createPlayer(playerId, 'TestPlayer10');
+    const consumableManager = new ConsumableManager(this.playerManager, { autoStart: false });
+    const gameManager = new GameManager(this.playerManager, this.locationManager, null, {
+      consumableManager
+    });
+    player.inventory = ['stamina_elixir', 'scroll_of_insight'];
+
+    consumableManager.useConsumable(playerId, 'stamina_elixir');
+    consumableManager.useConsumable(playerId, 'scroll_of_insight');
+    assertEqual(player.activeEffects.length, 2, 'Both buffs should be active');
+
+    const gather = gameManager.processAction(playerId, 'gather_resources', { location: 'forest' });
+    assertEqual(gather.playerUpdates.energy, 100 - 8, 'Stamina elixir should reduce energy cost');
+
+    player.location = 'education';
+    const train = gameManager.processAction(playerId, 'train', { stat: 'intelligence', cost: 0 });
+    assertEqual(train.data.newValue, 12, 'Scroll of insight should add a bonus stat point');
+  }
+
+  // Test: Buff expiry
+  testConsumableBuffExpiry() {
+    const playerId = 'test-player-11';
+    const player = this.playerManager.createPlayer(playerId, 'TestPlayer11');
+    const consumableManager = new ConsumableManager(this.playerManager, { autoStart: false });
+    player.inventory = ['scroll_of_foraging'];
+
+    const { effect } = consumableManager.useConsumable(playerId, 'scroll_of_foraging');
+
+    // Only look at this player's notifications; players loaded from disk may also have expired effects
+    const notifications = consumableManager.processExpiredEffects(effect.expiresAt)
+      .filter(notification => notification.playerId === playerId);
+    assertEqual(notifications.length, 1, 'Expiry should be reported');
+    assertEqual(notifications[0].type, 'effect_expired', 'Notification type should be effect_expired');
+    assertEqual(player.activeEffects.length, 0, 'Effect should be removed from the player');
+    assertEqual(consumableManager.getModifiers(player).gatherYieldBonus, 0, 'Modifiers should reset');
+  }
+
+  // Test: Location actions
+  testLocationActions() {
+    const playerId = 'test-player-12';
+    const player = this.playerManager.createPlayer(playerId, 'TestPlayer12');
+    player.health = 50;
+
+    const blocked = this.gameManager.processAction(playerId, 'heal', { amount: 10 });
+    assert(blocked.success === false, 'Cannot heal in the town square');
+    assert(blocked.message.includes('Town Square'), 'Error message should name the location');
+
+    player.location = 'hospital';
+    const healed = this.gameManager.processAction(playerId, 'heal', { amount: 10 });
+    assert(healed.success === true, 'Can heal at the hospital');
+  }
 }
 
 // Run tests
@@ -0,0 +1,272 @@
+/**
+ * Guild Manager Test Suite
+ * Tests guild creation, invites, ranks and permissions, treasury and guild auctions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GuildManager = require('../server/game/GuildManager');
+const AuctionManager = require('../server/game/AuctionManager');
+const PlayerManager = require('../server/game/PlayerManager');
+const JsonFileAdapter = require('../server/database/JsonFileAdapter');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Guilds are persisted to a scratch directory, not the server's data directory
+const testDataDir = path.join('/tmp', 'guild-test-data');
+
+// Test suite
+class GuildManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🏰 Guild Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      try {
+        // Fresh managers for each test without persisted state
+        this.playerManager = new PlayerManager({ autoLoad: false });
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+        this.guildManager = new GuildManager(this.playerManager, { dataDir: testDataDir });
+
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Creates a guild and charges the founder', this.testCreateGuild);
+    this.addTest('Rejects duplicate guild names', this.testDuplicateName);
+    this.addTest('Invites and accepts new members', this.testInviteAndAccept);
+    this.addTest('Enforces rank permissions', this.testRankPermissions);
+    this.addTest('Transfers leadership', this.testTransferLeadership);
+    this.addTest('Deposits and withdraws from the treasury', this.testTreasury);
+    this.addTest('Disbands a guild and pays out the treasury', this.testDisband);
+    this.addTest('Persists guilds across restarts', this.testPersistence);
+    this.addTest('Restricts guild auctions to members', this.testGuildAuctions);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  createPlayer(playerId) {
+    return this.playerManager.createPlayer(playerId, playerId);
+  }
+
+  // Founder plus one accepted recruit
+  createGuildWithMember() {
+    this.createPlayer('guild-leader');
+    this.createPlayer('guild-recruit');
+    const { guild } = this.guildManager.createGuild('guild-leader', 'Order of the Owl', 'OWL');
+    this.guildManager.invitePlayer('guild-leader', 'guild-recruit');
+    this.guildManager.respondToInvite('guild-recruit', guild.id, true);
+    return guild;
+  }
+
+  // Test: Create guild
+  testCreateGuild() {
+    const player = this.createPlayer('guild-player-1');
+    const pennyTotal = (player.shillings * 12) + player.pennies;
+
+    const result = this.guildManager.createGuild(player.id, 'Silver Circle', 'SLV');
+
+    assert(result.success === true, 'Guild should be created');
+    assertEqual(result.guild.leaderId, player.id, 'Founder should lead the guild');
+    assertEqual((player.shillings * 12) + player.pennies, pennyTotal - 120, 'Founding cost should be deducted');
+    assertEqual(player.guilds.memberships[0], result.guild.id, 'Membership should be stored on the player');
+
+    const again = this.guildManager.createGuild(player.id, 'Second Guild', 'TWO');
+    assert(again.success === false, 'Player cannot found a second guild');
+  }
+
+  // Test: Duplicate names
+  testDuplicateName() {
+    this.createPlayer('guild-player-2');
+    this.createPlayer('guild-player-3');
+    this.guildManager.createGuild('guild-player-2', 'Silver Circle', 'SLV');
+
+    const result = this.guildManager.createGuild('guild-player-3', 'silver circle', 'SC');
+
+    assert(result.success === false, 'Duplicate name should be rejected');
+    assert(result.message.includes('name'), 'Error message should mention the name');
+  }
+
+  // Test: Invites
+  testInviteAndAccept() {
+    const guild = this.createGuildWithMember();
+
+    const roster = this.guildManager.getRoster(guild.id);
+    assertEqual(roster.length, 2, 'Roster should have two members');
+    assertEqual(roster[0].rank, 'leader', 'Leader should be listed first');
+    assertEqual(roster[1].rank, 'recruit', 'New members join as recruits');
+    assertEqual(this.guildManager.getPlayerInvites('guild-recruit').length, 0, 'Invite should be consumed');
+
+    this.createPlayer('guild-outsider');
+    const uninvited = this.guildManager.respondToInvite('guild-outsider', guild.id, true);
+    assert(uninvited.success === false, 'Cannot join without an invite');
+  }
+
+  // Test: Permissions
+  testRankPermissions() {
+    const guild = this.createGuildWithMember();
+    this.createPlayer('guild-target');
+
+    const invite = this.guildManager.invitePlayer('guild-recruit', 'guild-target');
+    assert(invite.success === false, 'Recruits cannot invite');
+
+    const kick = this.guildManager.kickMember('guild-recruit', 'guild-leader');
+    assert(kick.success === false, 'Recruits cannot kick');
+
+    this.guildManager.setMemberRank('guild-leader', 'guild-recruit', 'officer');
+    assert(this.guildManager.hasPermission(guild.id, 'guild-recruit', 'invite'), 'Officers can invite');
+    assert(!this.guildManager.hasPermission(guild.id, 'guild-recruit', 'disband'), 'Officers cannot disband');
+
+    const kickLeader = this.guildManager.kickMember('guild-recruit', 'guild-leader');
+    assert(kickLeader.success === false, 'Officers cannot kick the leader');
+
+    const kicked = this.guildManager.kickMember('guild-leader', 'guild-recruit');
+    assert(kicked.success === true, 'Leader can kick officers');
+    assert(!this.guildManager.isMember(guild.id, 'guild-recruit'), 'Kicked player should leave the guild');
+  }
+
+  // Test: Leadership transfer
+  testTransferLeadership() {
+    const guild = this.createGuildWithMember();
+
+    const leave = this.guildManager.leaveGuild('guild-leader');
+    assert(leave.success === false, 'Leader cannot leave while others remain');
+
+    const result = this.guildManager.setMemberRank('guild-leader', 'guild-recruit', 'leader');
+
+    assert(result.success === true, 'Leadership should transfer');
+    assertEqual(guild.leaderId, 'guild-recruit', 'New leader should be recorded');
+    assertEqual(this.guildManager.getMember(guild.id, 'guild-leader').rank, 'officer', 'Old leader becomes an officer');
+  }
+
+  // Test: Treasury
+  testTreasury() {
+    const guild = this.createGuildWithMember();
+    const leader = this.playerManager.getPlayer('guild-leader');
+    const pennyTotal = (leader.shillings * 12) + leader.pennies;
+
+    const deposit = this.guildManager.depositToTreasury('guild-leader', 30);
+    assert(deposit.success === true, 'Deposit should succeed');
+    assertEqual(guild.treasury.shillings, 2, 'Treasury shillings should be updated');
+    assertEqual(guild.treasury.pennies, 6, 'Treasury pennies should be updated');
+    assertEqual((leader.shillings * 12) + leader.pennies, pennyTotal - 30, 'Deposit should be deducted');
+
+    const recruitWithdraw = this.guildManager.withdrawFromTreasury('guild-recruit', 10);
+    assert(recruitWithdraw.success === false, 'Recruits cannot withdraw');
+
+    const overdraw = this.guildManager.withdrawFromTreasury('guild-leader', 31);
+    assert(overdraw.success === false, 'Cannot withdraw more than the treasury holds');
+
+    const withdraw = this.guildManager.withdrawFromTreasury('guild-leader', 30);
+    assert(withdraw.success === true, 'Withdraw should succeed');
+    assertEqual((leader.shillings * 12) + leader.pennies, pennyTotal, 'Withdrawal should be credited');
+    assertEqual(guild.treasuryLog.length, 2, 'Treasury movements should be logged');
+  }
+
+  // Test: Disband
+  testDisband() {
+    const guild = this.createGuildWithMember();
+    const leader = this.playerManager.getPlayer('guild-leader');
+    this.guildManager.depositToTreasury('guild-leader', 24);
+    const pennyTotal = (leader.shillings * 12) + leader.pennies;
+
+    const result = this.guildManager.disbandGuild('guild-leader');
+
+    assert(result.success === true, 'Disband should succeed');
+    assertEqual(this.guildManager.getGuild(guild.id), null, 'Guild should be removed');
+    assertEqual((leader.shillings * 12) + leader.pennies, pennyTotal + 24, 'Treasury should be paid to the leader');
+    assertEqual(this.playerManager.getPlayer('guild-recruit').guilds.memberships.length, 0, 'Members should be released');
+  }
+
+  // Test: Persistence
+  testPersistence() {
+    const guild = this.createGuildWithMember();
+
+    const reloaded = new GuildManager(this.playerManager, { dataDir: testDataDir });
+
+    assert(reloaded.isMember(guild.id, 'guild-recruit'), 'Membership should survive a restart');
+    assertEqual(reloaded.getRoster(guild.id).length, 2, 'Roster should survive a restart');
+  }
+
+  // Test: Guild auctions
+  async testGuildAuctions() {
+    const guild = this.createGuildWithMember();
+    this.createPlayer('guild-outsider');
+    this.playerManager.getPlayer('guild-leader').inventory = ['crystal_wand'];
+
+    const auctionManager = new AuctionManager(this.playerManager, {
+      guildManager: this.guildManager,
+      database: new JsonFileAdapter({ dataDir: testDataDir }),
+      autoStart: false
+    });
+
+    const outsiderListing = await auctionManager.createAuction('guild-outsider', { type: 'currency', amount: 12 }, 10,
+      10 * 60 * 1000, { scope: 'guild', guildId: guild.id });
+    assert(outsiderListing.success === false, 'Non-members cannot list guild auctions');
+
+    const { auction } = await auctionManager.createAuction('guild-leader', { type: 'item', id: 'crystal_wand' }, 10,
+      10 * 60 * 1000, { scope: 'guild', guildId: guild.id });
+
+    const outsiderBid = await auctionManager.placeBid('guild-outsider', auction.id, 20);
+    assert(outsiderBid.success === false, 'Non-members cannot bid');
+
+    const memberBid = await auctionManager.placeBid('guild-recruit', auction.id, 20);
+    assert(memberBid.success === true, 'Members can bid');
+  }
+}
+
+// Run tests
+const tests = new GuildManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * PostgreSQL Stand-in
+ * In-process replacement for a PostgreSQL server, for testing PostgresAdapter without one
+ *
+ * Each stand-in is one "server" backed by an in-memory SQLite database. connect() returns
+ * clients with the node-postgres query(text, params) / end() API. Queries are translated
+ * to SQLite ($n placeholders, BIGSERIAL), and BEGIN..COMMIT blocks on one client hold a lock
+ * so other clients wait, as row locks would. PL/pgSQL functions are not run: a function whose
+ * body is a single RAISE EXCEPTION is remembered, and BEFORE triggers calling it become SQLite
+ * triggers that abort with the same message. Any other function or trigger is skipped, so
+ * triggers with real logic still need a PostgreSQL server to test.
+ * Like node-postgres, BIGINT and aggregate values come back as strings.
+ */
+
+const Database = require('better-sqlite3');
+
+const SKIPPED_STATEMENTS = /^\s*(CREATE\s+(OR\s+REPLACE\s+)?FUNCTION|CREATE\s+TRIGGER|DROP\s+TRIGGER|DROP\s+FUNCTION)\b/i;
+const RAISING_FUNCTION = /^\s*CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\s+(\w+)\s*\(\s*\)[\s\S]*?\$\$\s*BEGIN\s+RAISE\s+EXCEPTION\s+'([^']*)'\s*;\s*END\s*;?\s*\$\$/i;
+const RAISING_TRIGGER = /^\s*CREATE\s+TRIGGER\s+(\w+)\s+BEFORE\s+((?:INSERT|UPDATE|DELETE)(?:\s+OR\s+(?:INSERT|UPDATE|DELETE))*)\s+ON\s+(\w+)\s+FOR\s+EACH\s+ROW\s+EXECUTE\s+(?:FUNCTION|PROCEDURE)\s+(\w+)\s*\(\s*\)\s*;?\s*$/i;
+const DROPPED_TRIGGER = /^\s*DROP\s+TRIGGER\s+(?:IF\s+EXISTS\s+)?(\w+)\s+ON\s+\w+\s*;?\s*$/i;
+const TRANSACTION_STATEMENTS = /^\s*(BEGIN|COMMIT|ROLLBACK)\s*;?\s*$/i;
+
+class PgStandIn {
+  constructor(options = {}) {
+    this.db = new Database(':memory:');
+    // Simulated network latency per query, in ms
+    this.latencyMs = options.latencyMs || 0;
+
+    this.connections = 0; // Currently open
+    this.peakConnections = 0;
+    this.totalConnections = 0;
+    this.queries = [];
+    this.raisingFunctions = new Map(); // Function name -> RAISE EXCEPTION message
+
+    this.owner = null; // Client holding an open transaction
+    this.unlocked = Promise.resolve();
+    this.unlock = () => {};
+  }
+
+  /**
+   * Open a client
+   */
+  async connect() {
+    this.connections++;
+    this.totalConnections++;
+    this.peakConnections = Math.max(this.peakConnections, this.connections);
+
+    let open = true;
+    const client = {
+      query: (text, params) => {
+        if (!open) return Promise.reject(new Error('Client has been closed'));
+        return this.query(client, text, params);
+      },
+      end: async () => {
+        if (!open) return;
+        open = false;
+        this.connections--;
+        if (this.owner === client) {
+          this.db.exec('ROLLBACK');
+          this.release();
+        }
+      }
+    };
+    return client;
+  }
+
+  /**
+   * Wait until no other client holds a transaction
+   */
+  async waitForTurn(client) {
+    while (this.owner && this.owner !== client) {
+      await this.unlocked;
+    }
+  }
+
+  release() {
+    this.owner = null;
+    this.unlock();
+  }
+
+  async query(client, text, params = []) {
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+    await this.waitForTurn(client);
+    this.queries.push(text);
+
+    const transaction = text.match(TRANSACTION_STATEMENTS);
+    if (transaction) {
+      const command = transaction[1].toUpperCase();
+      this.db.exec(command);
+      if (command === 'BEGIN') {
+        this.owner = client;
+        this.unlocked = new Promise(resolve => { this.unlock = resolve; });
+      } else {
+        this.release();
+      }
+      return { rows: [], rowCount: 0 };
+    }
+
+    if (SKIPPED_STATEMENTS.test(text)) {
+      this.translateTrigger(text);
+      return { rows: [], rowCount: 0 };
+    }
+
+    const values = [];
+    const sql = text
+      .replace(/\bBIGSERIAL PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+      .replace(/\$(\d+)/g, (_, index) => {
+        const value = params[parseInt(index, 10) - 1];
+        values.push(value === undefined ? null : value);
+        return '?';
+      });
+
+    try {
+      const stmt = this.db.prepare(sql);
+      if (!stmt.reader) {
+        return { rows: [], rowCount: stmt.run(...values).changes };
+      }
+
+      const types = new Map(stmt.columns().map(column => [column.name, column.type]));
+      const rows = stmt.all(...values).map(row => {
+        for (const [name, value] of Object.entries(row)) {
+          if (typeof value === 'number' && types.get(name) !== 'INTEGER') {
+            row[name] = String(value);
+          }
+        }
+        return row;
+      });
+      return { rows, rowCount: rows.length };
+    } catch (error) {
+      if (/^SQLITE_CONSTRAINT_(PRIMARYKEY|UNIQUE)$/.test(error.code)) {
+        error.code = '23505';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mirror raise-only trigger functions with SQLite triggers (one per event)
+   */
+  translateTrigger(text) {
+    const raising = text.match(RAISING_FUNCTION);
+    if (raising) {
+      this.raisingFunctions.set(raising[1].toLowerCase(), raising[2]);
+      return;
+    }
+
+    const trigger = text.match(RAISING_TRIGGER);
+    if (trigger && this.raisingFunctions.has(trigger[4].toLowerCase())) {
+      const [, name, events, table, fn] = trigger;
+      const message = this.raisingFunctions.get(fn.toLowerCase());
+      for (const event of events.split(/\s+OR\s+/i)) {
+        this.db.exec(`CREATE TRIGGER IF NOT EXISTS ${name}_${event.toLowerCase()} BEFORE ${event.toUpperCase()} ON ${table}
+          BEGIN SELECT RAISE(ABORT, '${message}'); END`);
+      }
+      return;
+    }
+
+    const dropped = text.match(DROPPED_TRIGGER);
+    if (dropped) {
+      for (const event of ['insert', 'update', 'delete']) {
+        this.db.exec(`DROP TRIGGER IF EXISTS ${dropped[1]}_${event}`);
+      }
+    }
+  }
+
+  /**
+   * Close the in-memory database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = PgStandIn;
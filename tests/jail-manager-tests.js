@@ -0,0 +1,230 @@
+/**
+ * Jail Manager Test Suite
+ * Tests jail sentences from failed crimes, restrictions, bail, jailbreaks and restart persistence
+ */
+
+const JailManager = require('../server/game/JailManager');
+const GameManager = require('../server/game/GameManager');
+const PlayerManager = require('../server/game/PlayerManager');
+const LocationManager = require('../server/game/LocationManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Test suite
+class JailManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('⛓️  Jail Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      try {
+        // Fresh managers for each test
+        this.playerManager = new PlayerManager({ autoLoad: false });
+        this.jailManager = new JailManager(this.playerManager, { autoStart: false });
+        this.gameManager = new GameManager(this.playerManager, new LocationManager(), null, {
+          jailManager: this.jailManager
+        });
+
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Failed crimes send the player to jail', this.testFailedCrimeJails);
+    this.addTest('Blocks actions and movement while jailed', this.testRestrictions);
+    this.addTest('Releases players when the sentence ends', this.testProcessReleases);
+    this.addTest('Checking a finished sentence leaves the release to the monitor', this.testIsJailedHasNoSideEffects);
+    this.addTest('Pays bail to release a player', this.testPayBail);
+    this.addTest('Rejects bail without currency', this.testBailInsufficientFunds);
+    this.addTest('Escapes with a successful jailbreak', this.testJailbreakSuccess);
+    this.addTest('Extends the sentence on a failed jailbreak', this.testJailbreakFailure);
+    this.addTest('Keeps sentences across a restart', this.testRestartPersistence);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  createPrisoner(playerId, duration = 15 * 60 * 1000) {
+    const player = this.playerManager.createPlayer(playerId, playerId);
+    this.jailManager.jailPlayer(playerId, duration, 'burglary');
+    return player;
+  }
+
+  // Test: Failed crime
+  testFailedCrimeJails() {
+    const player = this.playerManager.createPlayer('jail-player-1', 'jail-player-1');
+    player.location = 'crimes';
+    const originalRandom = Math.random;
+    Math.random = () => 0.99; // Always fail the success roll
+
+    let result;
+    try {
+      result = this.gameManager.processAction(player.id, 'commit_crime', { crimeType: 'burglary' });
+    } finally {
+      Math.random = originalRandom;
+    }
+
+    assert(result.success === true, 'Crime action should resolve');
+    assertEqual(result.data.crimeSuccess, false, 'Crime should fail');
+    assert(player.inJail === true, 'Player should be jailed');
+    assertEqual(player.location, 'jail', 'Player should be moved to jail');
+    assert(player.jailUntil - Date.now() > 14 * 60 * 1000, 'Sentence should match the crime jail time');
+  }
+
+  // Test: Restrictions
+  testRestrictions() {
+    const player = this.createPrisoner('jail-player-2');
+
+    const action = this.gameManager.processAction(player.id, 'gather_resources', { location: 'forest' });
+    assert(action.success === false, 'Actions should be blocked');
+    assert(action.message.includes('jail'), 'Error message should mention jail');
+
+    assert(this.jailManager.getRestriction(player.id, 'change_location') !== null, 'Movement should be blocked');
+    assertEqual(this.jailManager.getRestriction(player.id, 'chat'), null, 'Chat should still be allowed');
+  }
+
+  // Test: Release
+  testProcessReleases() {
+    const player = this.createPrisoner('jail-player-3');
+
+    const early = this.jailManager.processReleases(player.jailUntil - 1);
+    assertEqual(early.length, 0, 'Player should not be released early');
+
+    const notifications = this.jailManager.processReleases(player.jailUntil);
+    assertEqual(notifications.length, 1, 'Player should be released');
+    assertEqual(notifications[0].type, 'jail_released', 'Notification type should be jail_released');
+    assert(player.inJail === false, 'Player should be out of jail');
+    assertEqual(player.location, 'town-square', 'Player should be moved out of jail');
+  }
+
+  // Test: isJailed only reads the sentence
+  testIsJailedHasNoSideEffects() {
+    const player = this.createPrisoner('jail-player-9');
+
+    assert(!this.jailManager.isJailed(player, player.jailUntil), 'Finished sentences should not count');
+    assert(player.inJail === true && player.location === 'jail', 'Checking should not release the player');
+
+    const notifications = this.jailManager.processReleases(player.jailUntil);
+    assertEqual(notifications.length, 1, 'The monitor should still release and notify the player');
+    assertEqual(player.location, 'town-square', 'Release should move the player');
+  }
+
+  // Test: Bail
+  testPayBail() {
+    const player = this.createPrisoner('jail-player-4', 10 * 60 * 1000);
+    const pennyTotal = (player.shillings * 12) + player.pennies;
+
+    const result = this.jailManager.payBail(player.id);
+
+    assert(result.success === true, 'Bail should succeed');
+    assertEqual(result.cost, 60, 'Ten minutes should cost 60 pennies');
+    assertEqual((player.shillings * 12) + player.pennies, pennyTotal - 60, 'Bail should be deducted');
+    assert(player.inJail === false, 'Player should be released');
+  }
+
+  // Test: Bail without currency
+  testBailInsufficientFunds() {
+    const player = this.createPrisoner('jail-player-5');
+    player.shillings = 0;
+    player.pennies = 0;
+
+    const result = this.jailManager.payBail(player.id);
+
+    assert(result.success === false, 'Bail should fail');
+    assert(player.inJail === true, 'Player should stay in jail');
+  }
+
+  // Test: Jailbreak success
+  testJailbreakSuccess() {
+    const player = this.createPrisoner('jail-player-6');
+
+    const result = this.jailManager.attemptJailbreak(player.id, 0);
+
+    assert(result.success === true, 'Jailbreak should resolve');
+    assert(result.escaped === true, 'Player should escape');
+    assert(player.inJail === false, 'Player should be out of jail');
+    assertEqual(player.energy, 80, 'Jailbreak should cost energy');
+  }
+
+  // Test: Jailbreak failure
+  testJailbreakFailure() {
+    const player = this.createPrisoner('jail-player-7');
+    const jailUntil = player.jailUntil;
+
+    const result = this.jailManager.attemptJailbreak(player.id, 99);
+
+    assert(result.success === true, 'Jailbreak should resolve');
+    assert(result.escaped === false, 'Player should be caught');
+    assert(player.inJail === true, 'Player should stay in jail');
+    assertEqual(player.jailUntil, jailUntil + result.penalty, 'Sentence should be extended');
+  }
+
+  // Test: Restart persistence
+  testRestartPersistence() {
+    const player = this.createPrisoner('jail-player-8');
+
+    // Server restarts: player records are reloaded from disk
+    this.playerManager.removePlayer(player.id);
+    const restartedPlayers = new PlayerManager({ autoLoad: false });
+    restartedPlayers.getPlayer(player.id);
+    const restartedJail = new JailManager(restartedPlayers, { autoStart: false });
+
+    const reloaded = restartedPlayers.getPlayer(player.id);
+    assert(restartedJail.isJailed(reloaded), 'Sentence should survive a restart');
+
+    const notifications = restartedJail.processReleases(reloaded.jailUntil);
+    assertEqual(notifications.length, 1, 'Reloaded sentence should still be released on time');
+  }
+}
+
+// Run tests
+const tests = new JailManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+/**
+ * Location Manager Test Suite
+ * Tests the location registry: route distances, entry requirements, capacity and allowed actions
+ */
+
+const LocationManager = require('../server/game/LocationManager');
+const TravelManager = require('../server/game/TravelManager');
+const PlayerManager = require('../server/game/PlayerManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Test suite
+class LocationManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🗺️  Location Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      try {
+        // Fresh managers for each test
+        this.playerManager = new PlayerManager({ autoLoad: false });
+        this.locationManager = new LocationManager();
+
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Keeps neighbor links symmetric', this.testSymmetricNeighbors);
+    this.addTest('Routes distances through neighbors', this.testRouteDistance);
+    this.addTest('Checks level and guild requirements', this.testRequirements);
+    this.addTest('Enforces location capacity', this.testCapacity);
+    this.addTest('Restricts actions by location', this.testActionRestriction);
+    this.addTest('Turns travelers back from full locations', this.testTravelCapacity);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  // Test: Symmetric graph
+  testSymmetricNeighbors() {
+    for (const location of this.locationManager.getAllLocations()) {
+      for (const neighborId of location.neighbors) {
+        assert(this.locationManager.isValidLocation(neighborId), `${neighborId} should be a known location`);
+        assert(this.locationManager.getNeighbors(neighborId).includes(location.id),
+          `${neighborId} should link back to ${location.id}`);
+      }
+    }
+  }
+
+  // Test: Distances
+  testRouteDistance() {
+    assertEqual(this.locationManager.getDistance('town-square', 'home'), 2, 'Neighbors use their straight-line distance');
+    assertEqual(this.locationManager.getDistance('town-square', 'town-square'), 0, 'Same location has no distance');
+    assertEqual(this.locationManager.getDistance('town-square', 'nowhere'), 0, 'Unknown locations have no distance');
+
+    // Smuggling routes are only reachable via the crimes area or the guild district
+    assert(!this.locationManager.getNeighbors('town-square').includes('smuggling-routes'), 'Should not be a neighbor');
+    assertEqual(this.locationManager.getDistance('town-square', 'smuggling-routes'), 7, 'Route should go through a neighbor');
+  }
+
+  // Test: Requirements
+  testRequirements() {
+    const player = this.playerManager.createPlayer('location-player-1', 'location-player-1');
+
+    const casino = this.locationManager.canEnter(player, 'casino');
+    assert(casino.allowed === false, 'Level 1 players cannot enter the casino');
+    assert(casino.message.includes('level 5'), 'Error message should mention the level');
+
+    player.level = 5;
+    assert(this.locationManager.canEnter(player, 'casino').allowed, 'Level 5 players can enter the casino');
+
+    assert(!this.locationManager.canEnter(player, 'guilds').allowed, 'Guild hall requires a guild');
+    player.guilds.memberships = ['guild_1'];
+    assert(this.locationManager.canEnter(player, 'guilds').allowed, 'Guild members can enter the guild hall');
+  }
+
+  // Test: Capacity
+  testCapacity() {
+    const capacity = this.locationManager.getLocation('smuggling-routes').capacity;
+    for (let i = 0; i < capacity; i++) {
+      assert(this.locationManager.movePlayer(`smuggler-${i}`, null, 'smuggling-routes'), 'Should fit');
+    }
+
+    assert(!this.locationManager.hasRoom('smuggling-routes'), 'Location should be full');
+    assertEqual(this.locationManager.movePlayer('smuggler-extra', 'crimes', 'smuggling-routes'), false, 'Move should fail');
+    assert(this.locationManager.hasRoom('smuggling-routes', 'smuggler-0'), 'Players already there still fit');
+
+    this.locationManager.placePlayer('smuggler-extra', 'smuggling-routes');
+    assertEqual(this.locationManager.getPlayersInLocation('smuggling-routes').length, capacity + 1,
+      'Placing ignores capacity');
+  }
+
+  // Test: Actions
+  testActionRestriction() {
+    assertEqual(this.locationManager.getActionRestriction('hospital', 'heal'), null, 'Hospital allows healing');
+    assert(this.locationManager.getActionRestriction('casino', 'heal') !== null, 'Casino does not allow healing');
+    assertEqual(this.locationManager.getActionRestriction('casino', 'invalid_action'), null,
+      'Actions outside the registry are not restricted');
+  }
+
+  // Test: Travel into a full location
+  testTravelCapacity() {
+    const travelManager = new TravelManager(this.playerManager, this.locationManager, { autoStart: false });
+    const player = this.playerManager.createPlayer('location-player-2', 'location-player-2');
+    const { travel } = travelManager.startTravel(player.id, 'workshop', 'walking', () => 0.99);
+
+    const capacity = this.locationManager.getLocation('workshop').capacity;
+    for (let i = 0; i < capacity; i++) {
+      this.locationManager.movePlayer(`crafter-${i}`, null, 'workshop');
+    }
+
+    const full = travelManager.startTravel(this.playerManager.createPlayer('location-player-3', 'location-player-3').id, 'workshop');
+    assert(full.success === false, 'Cannot set off for a full location');
+
+    const [arrival] = travelManager.processTravel(travel.arrivesAt);
+    assertEqual(arrival.destination, 'town-square', 'Traveler should be turned back');
+    assert(arrival.message.includes('full'), 'Arrival should explain why');
+    assertEqual(player.location, 'town-square', 'Player should be back at the origin');
+  }
+}
+
+// Run tests
+const tests = new LocationManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
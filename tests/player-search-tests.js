@@ -0,0 +1,209 @@
+/**
+ * Player Search Test Suite
+ * Tests username prefix search, level and guild filters, paging and profile privacy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlayerManager = require('../server/game/PlayerManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Test suite
+class PlayerSearchTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🔎 Player Search Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      // Fresh player store for each test
+      this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-search-'));
+      this.playerManager = new PlayerManager({ autoLoad: false, dataDir: this.dataDir });
+
+      try {
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      } finally {
+        fs.rmSync(this.dataDir, { recursive: true, force: true });
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Matches username prefixes case-insensitively', this.testPrefixSearch);
+    this.addTest('Filters by level and guild', this.testFilters);
+    this.addTest('Pages through results', this.testPaging);
+    this.addTest('Finds players who are offline', this.testOfflinePlayers);
+    this.addTest('Searches offline players from the index', this.testSearchIndex);
+    this.addTest('Hides private profile fields', this.testPrivacy);
+    this.addTest('Validates privacy settings', this.testPrivacyValidation);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  createPlayer(username, updates = {}) {
+    const player = this.playerManager.createPlayer(`${username}-id`, username);
+    Object.assign(player, updates);
+    return player;
+  }
+
+  // Test: Prefix search
+  testPrefixSearch() {
+    this.createPlayer('Merlin');
+    this.createPlayer('merlina');
+    this.createPlayer('Morgana');
+    this.createPlayer('AMerlin');
+
+    const result = this.playerManager.searchPlayers({ query: 'MER' });
+    assertEqual(result.total, 2, 'Only usernames starting with the query should match');
+    assertEqual(result.players[0].username, 'Merlin', 'Results should be sorted by username');
+    assertEqual(result.players[1].username, 'merlina');
+
+    assertEqual(this.playerManager.searchPlayers({ query: '' }).total, 4, 'Empty query matches everyone');
+  }
+
+  // Test: Filters
+  testFilters() {
+    this.createPlayer('wizard-low', { level: 2 });
+    this.createPlayer('wizard-mid', { level: 8, guilds: { memberships: ['guild_1'] } });
+    this.createPlayer('wizard-high', { level: 20, guilds: { memberships: ['guild_2'] } });
+
+    const levels = this.playerManager.searchPlayers({ query: 'wizard', minLevel: 5, maxLevel: 10 });
+    assertEqual(levels.total, 1, 'Level range should exclude others');
+    assertEqual(levels.players[0].username, 'wizard-mid');
+
+    const guild = this.playerManager.searchPlayers({ query: 'wizard', guildId: 'guild_2' });
+    assertEqual(guild.total, 1, 'Guild filter should match members only');
+    assertEqual(guild.players[0].guildId, 'guild_2', 'Summaries should include the guild');
+  }
+
+  // Test: Paging
+  testPaging() {
+    for (let i = 0; i < 5; i++) {
+      this.createPlayer(`apprentice${i}`);
+    }
+
+    const page = this.playerManager.searchPlayers({ query: 'apprentice', offset: 2, limit: 2 });
+    assertEqual(page.total, 5, 'Total should count every match');
+    assertEqual(page.players.length, 2, 'Page should respect the limit');
+    assertEqual(page.players[0].username, 'apprentice2', 'Page should start at the offset');
+
+    assertEqual(this.playerManager.searchPlayers({ query: 'apprentice', limit: 1000 }).limit, 50,
+      'Limit should be capped');
+  }
+
+  // Test: Offline players
+  testOfflinePlayers() {
+    this.createPlayer('sleeper');
+    this.playerManager.removePlayer('sleeper-id');
+
+    const result = this.playerManager.searchPlayers({ query: 'sleep' });
+    assertEqual(result.total, 1, 'Offline players should be found on disk');
+  }
+
+  // Test: Search index
+  testSearchIndex() {
+    this.createPlayer('dozer', { level: 7 });
+    this.createPlayer('napper');
+    this.playerManager.removePlayer('dozer-id');
+    this.playerManager.removePlayer('napper-id');
+    this.playerManager.searchPlayers({ query: '' });
+
+    let reads = 0;
+    const loadPlayer = this.playerManager.loadPlayer.bind(this.playerManager);
+    this.playerManager.loadPlayer = playerId => {
+      reads++;
+      return loadPlayer(playerId);
+    };
+
+    const result = this.playerManager.searchPlayers({ query: '', minLevel: 5 });
+    assertEqual(result.total, 1, 'Saved changes should be in the index');
+    assertEqual(result.players[0].username, 'dozer');
+    assertEqual(reads, 1, 'Only the players on the page should be read from disk');
+  }
+
+  // Test: Privacy
+  testPrivacy() {
+    const player = this.createPlayer('hermit', { guilds: { memberships: ['guild_1'] } });
+
+    const open = this.playerManager.getPublicProfile(player.id);
+    assert(open.stats && open.activity && open.achievements, 'Profile should be complete by default');
+    assert(open.email === undefined && open.shillings === undefined, 'Private account data is never exposed');
+
+    this.playerManager.setProfilePrivacy(player.id, ['guild', 'stats']);
+    const hidden = this.playerManager.getPublicProfile(player.id);
+    assertEqual(hidden.stats, undefined, 'Stats should be hidden');
+    assertEqual(hidden.guildId, undefined, 'Guild should be hidden');
+    assertEqual(hidden.level, 1, 'Level is always public');
+    assert(hidden.hiddenFields.includes('stats'), 'Profile should list hidden fields');
+
+    const search = this.playerManager.searchPlayers({ query: 'hermit', guildId: 'guild_1' });
+    assertEqual(search.total, 0, 'Hidden guild members should not match a guild filter');
+  }
+
+  // Test: Privacy validation
+  testPrivacyValidation() {
+    const player = this.createPlayer('validator');
+
+    const invalid = this.playerManager.setProfilePrivacy(player.id, ['username']);
+    assert(invalid.success === false, 'Username cannot be hidden');
+
+    const valid = this.playerManager.setProfilePrivacy(player.id, ['location', 'location']);
+    assert(valid.success, 'Valid fields should be accepted');
+    assertEqual(valid.privacy.hiddenFields.length, 1, 'Duplicates should be removed');
+
+    assert(this.playerManager.setProfilePrivacy('missing', []).success === false, 'Unknown player should fail');
+  }
+}
+
+// Run tests
+const tests = new PlayerSearchTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
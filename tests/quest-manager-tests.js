@@ -0,0 +1,210 @@
+/**
+ * Quest Manager Test Suite
+ * Tests quest acceptance, objective progress, rewards, prerequisites and chained follow-ups
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuestManager = require('../server/game/QuestManager');
+const PlayerManager = require('../server/game/PlayerManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Test suite
+class QuestManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('📜 Quest Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      // Fresh managers for each test
+      this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-manager-'));
+      this.playerManager = new PlayerManager({ autoLoad: false, dataDir: this.dataDir });
+      this.questManager = new QuestManager(this.playerManager);
+      this.player = this.playerManager.createPlayer('quest-player', 'quest-player');
+      this.player.location = 'quests';
+
+      try {
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      } finally {
+        fs.rmSync(this.dataDir, { recursive: true, force: true });
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Accepts quests at the quest board', this.testAcceptQuest);
+    this.addTest('Enforces prerequisites', this.testPrerequisites);
+    this.addTest('Tracks gather progress from action results', this.testGatherProgress);
+    this.addTest('Completes quests with rewards', this.testCompletion);
+    this.addTest('Starts chained follow-ups', this.testFollowUp);
+    this.addTest('Tracks visits, trades and auctions', this.testOtherObjectives);
+    this.addTest('Abandons quests', this.testAbandon);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  // Test: Accepting
+  testAcceptQuest() {
+    this.player.location = 'town-square';
+    assert(!this.questManager.acceptQuest(this.player.id, 'herbalist-errand').success, 'Must be at the quest board');
+
+    this.player.location = 'quests';
+    const result = this.questManager.acceptQuest(this.player.id, 'herbalist-errand');
+    assert(result.success, 'Quest should be accepted');
+    assertEqual(result.quest.id, 'herbalist-errand');
+    assert(!this.questManager.acceptQuest(this.player.id, 'herbalist-errand').success, 'Cannot accept twice');
+    assert(!this.questManager.acceptQuest(this.player.id, 'constructor').success, 'Unknown quests are rejected');
+
+    const quests = this.questManager.getPlayerQuests(this.player.id);
+    assertEqual(quests.active.length, 1, 'Quest should be active');
+    assertEqual(quests.active[0].objectives[0].progress, 0, 'Progress should start at zero');
+    assert(!quests.available.some(q => q.id === 'herbalist-errand'), 'Active quests are not available');
+  }
+
+  // Test: Prerequisites
+  testPrerequisites() {
+    const available = this.questManager.getAvailableQuests(this.player).map(q => q.id);
+    assert(!available.includes('healing-draught'), 'Follow-ups need their earlier quest');
+    assert(!available.includes('shady-dealings'), 'Level 3 quests need level 3');
+
+    assert(!this.questManager.acceptQuest(this.player.id, 'shady-dealings').success, 'Cannot accept without the level');
+    this.player.level = 3;
+    assert(this.questManager.acceptQuest(this.player.id, 'shady-dealings').success, 'Level 3 can accept');
+  }
+
+  // Test: Gather progress
+  testGatherProgress() {
+    this.questManager.acceptQuest(this.player.id, 'herbalist-errand');
+
+    const ignored = this.questManager.recordActionResult(this.player.id, 'gather_resources', { resource: 'wood', amount: 3 });
+    assertEqual(ignored.length, 0, 'Other resources should not count');
+
+    const [progress] = this.questManager.recordActionResult(this.player.id, 'gather_resources', { resource: 'herbs', amount: 3 });
+    assertEqual(progress.type, 'quest_progress');
+    assertEqual(progress.progress[0], 3, 'Herbs should count');
+  }
+
+  // Test: Completion
+  testCompletion() {
+    const notifications = [];
+    this.questManager.setNotificationCallback((batch) => notifications.push(...batch));
+    this.questManager.acceptQuest(this.player.id, 'timber-and-stone');
+
+    this.questManager.recordEvent(this.player.id, 'gather', { resource: 'wood', amount: 7 });
+    this.questManager.recordEvent(this.player.id, 'gather', { resource: 'stone', amount: 5 });
+
+    const completed = notifications.find(n => n.type === 'quest_completed');
+    assert(completed, 'Quest should complete');
+    assertEqual(this.player.xp, 25, 'XP reward should be granted');
+    assertEqual((this.player.shillings * 12) + this.player.pennies, (83 * 12) + 4 + 36, 'Currency reward should be granted');
+    assertEqual(this.player.questsCompleted, 1, 'Completed counter should increase');
+    assert(this.player.quests.completed['timber-and-stone'], 'Quest should be recorded as completed');
+    assert(!this.player.quests.active['timber-and-stone'], 'Quest should no longer be active');
+  }
+
+  // Test: Follow-ups
+  testFollowUp() {
+    this.questManager.acceptQuest(this.player.id, 'herbalist-errand');
+    const notifications = this.questManager.recordEvent(this.player.id, 'gather', { resource: 'herbs', amount: 5 });
+
+    const started = notifications.find(n => n.type === 'quest_started');
+    assert(started, 'Follow-up should start');
+    assertEqual(started.quest.id, 'healing-draught');
+    assert(this.player.quests.active['healing-draught'], 'Follow-up should be active');
+
+    // Follow-ups the player is not ready for wait at the board
+    this.player.level = 3;
+    this.questManager.acceptQuest(this.player.id, 'shady-dealings');
+    for (let i = 0; i < 3; i++) {
+      this.questManager.recordActionResult(this.player.id, 'commit_crime', { crimeSuccess: true });
+    }
+    assert(this.player.quests.completed['shady-dealings'], 'Crime quest should complete');
+    assert(!this.player.quests.active['smugglers-run'], 'Level 10 follow-up should not start at level 3');
+  }
+
+  // Test: Other objective types
+  testOtherObjectives() {
+    this.questManager.acceptQuest(this.player.id, 'grand-tour');
+    ['tavern', 'magic-shop', 'newspaper'].forEach(location => {
+      this.questManager.recordEvent(this.player.id, 'visit', { location });
+    });
+    this.questManager.recordEvent(this.player.id, 'visit', { location: 'tavern' });
+    assert(this.player.quests.active['grand-tour'], 'Quest needs every location');
+    this.questManager.recordEvent(this.player.id, 'visit', { location: 'fair-alley' });
+    assert(this.player.quests.completed['grand-tour'], 'Visiting every location completes the tour');
+
+    this.player.level = 2;
+    this.questManager.acceptQuest(this.player.id, 'market-debut');
+    this.questManager.recordEvent(this.player.id, 'trade');
+    this.questManager.recordEvent(this.player.id, 'win_auction');
+    assert(this.player.quests.completed['market-debut'], 'Trade and auction should complete the quest');
+    assert(this.player.quests.active['auctioneer'], 'Auction follow-up should start');
+  }
+
+  // Test: Abandon
+  testAbandon() {
+    this.questManager.acceptQuest(this.player.id, 'herbalist-errand');
+    this.questManager.recordEvent(this.player.id, 'gather', { resource: 'herbs', amount: 2 });
+
+    assert(this.questManager.abandonQuest(this.player.id, 'herbalist-errand').success, 'Abandon should succeed');
+    assert(!this.player.quests.active['herbalist-errand'], 'Quest should be dropped');
+    assert(!this.questManager.abandonQuest(this.player.id, 'herbalist-errand').success, 'Cannot abandon twice');
+
+    this.questManager.acceptQuest(this.player.id, 'herbalist-errand');
+    assertEqual(this.player.quests.active['herbalist-errand'].progress[0], 0, 'Progress should restart');
+  }
+}
+
+// Run tests
+const tests = new QuestManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+/**
+ * Schema Migration Tests
+ * Tests for the SQLite schema migrator and startup version check
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { SQLiteAdapter } = require('../server/database');
+const Migrator = require('../server/database/Migrator');
+const runSchemaCommand = require('../server/scripts/db-schema');
+
+console.log('🧱 Schema Migration Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Test directories (use tmp)
+const testDir = path.join('/tmp', 'schema-migration-test');
+const migrationsDir = path.join(testDir, 'migrations');
+const dbPath = path.join(testDir, 'test.db');
+
+function cleanup() {
+  try {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  } catch (error) {
+    console.log(`Warning: cleanup failed: ${error.message}`);
+  }
+}
+
+// Copy the real baseline and add two test migrations
+function setupMigrations() {
+  fs.mkdirSync(migrationsDir, { recursive: true });
+  fs.copyFileSync(
+    path.join(Migrator.DEFAULT_MIGRATIONS_DIR, '001_create_users_and_players.js'),
+    path.join(migrationsDir, '001_create_users_and_players.js')
+  );
+  fs.writeFileSync(path.join(migrationsDir, '002_add_settings.js'), `
+module.exports = {
+  up(db) { db.exec('CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT)'); },
+  down(db) { db.exec('DROP TABLE settings'); }
+};
+`);
+  fs.writeFileSync(path.join(migrationsDir, '003_add_settings_index.js'), `
+module.exports = {
+  up(db) { db.exec('CREATE INDEX idx_settings_value ON settings(value)'); },
+  down(db) { db.exec('DROP INDEX idx_settings_value'); }
+};
+`);
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+async function runTests() {
+  cleanup();
+  setupMigrations();
+  
+  console.log('📝 Testing Migrator\n');
+  
+  await test('Fresh database starts at version 0', async () => {
+    const db = new Database(dbPath);
+    const migrator = new Migrator(db, { migrationsDir });
+    assert(migrator.getCurrentVersion() === 0, 'Should be version 0');
+    assert(migrator.getLatestVersion() === 3, 'Latest should be 3');
+    assert(tableExists(db, 'schema_migrations'), 'schema_migrations table should exist');
+    db.close();
+  });
+  
+  await test('migrate applies migrations up to a target version', async () => {
+    const db = new Database(dbPath);
+    const migrator = new Migrator(db, { migrationsDir });
+    const result = migrator.migrate(2);
+    assert(result.success, result.message);
+    assert(result.applied.length === 2, 'Should apply 2 migrations');
+    assert(result.version === 2, 'Should be at version 2');
+    assert(tableExists(db, 'users') && tableExists(db, 'settings'), 'Tables should exist');
+    db.close();
+  });
+  
+  await test('status reports applied and pending migrations', async () => {
+    const db = new Database(dbPath);
+    const status = new Migrator(db, { migrationsDir }).status();
+    assert(status.currentVersion === 2, 'Current should be 2');
+    assert(status.pending === 1, 'One migration should be pending');
+    assert(status.migrations[0].applied && status.migrations[0].appliedAt, 'Baseline should be applied');
+    assert(!status.migrations[2].applied, 'Migration 3 should be pending');
+    db.close();
+  });
+  
+  await test('migrate applies the remaining migrations', async () => {
+    const db = new Database(dbPath);
+    const result = new Migrator(db, { migrationsDir }).migrate();
+    assert(result.success && result.version === 3, 'Should be at version 3');
+    assert(result.applied.length === 1, 'Should apply 1 migration');
+    const again = new Migrator(db, { migrationsDir }).migrate();
+    assert(again.applied.length === 0, 'Second run should be a no-op');
+    db.close();
+  });
+  
+  await test('rollback undoes the newest migration', async () => {
+    const db = new Database(dbPath);
+    const result = new Migrator(db, { migrationsDir }).rollback();
+    assert(result.success, result.message);
+    assert(result.rolledBack.length === 1 && result.rolledBack[0].version === 3, 'Should roll back 3');
+    assert(result.version === 2, 'Should be at version 2');
+    db.close();
+  });
+  
+  await test('rollback --to removes every newer migration', async () => {
+    const db = new Database(dbPath);
+    const result = new Migrator(db, { migrationsDir }).rollback({ to: 1 });
+    assert(result.success && result.version === 1, 'Should be at version 1');
+    assert(!tableExists(db, 'settings'), 'settings table should be dropped');
+    assert(tableExists(db, 'users'), 'Baseline tables should remain');
+    db.close();
+  });
+  
+  await test('Failing migration is rolled back and not recorded', async () => {
+    fs.writeFileSync(path.join(migrationsDir, '004_broken.js'), `
+module.exports = {
+  up(db) { db.exec('CREATE TABLE partial (id INTEGER)'); db.exec('THIS IS NOT SQL'); },
+  down(db) {}
+};
+`);
+    const db = new Database(dbPath);
+    const result = new Migrator(db, { migrationsDir }).migrate();
+    assert(!result.success, 'Should fail');
+    assert(result.version === 3, 'Migrations before the broken one should stay applied');
+    assert(!tableExists(db, 'partial'), 'Broken migration should leave no tables behind');
+    db.close();
+    fs.unlinkSync(path.join(migrationsDir, '004_broken.js'));
+  });
+  
+  await test('create writes the next numbered migration file', async () => {
+    const filePath = new Migrator(null, { migrationsDir }).create('Add guild bank');
+    assert(path.basename(filePath) === '004_add_guild_bank.js', `Unexpected file name: ${path.basename(filePath)}`);
+    const migration = require(filePath);
+    assert(typeof migration.up === 'function' && typeof migration.down === 'function', 'Should export up and down');
+    fs.unlinkSync(filePath);
+  });
+  
+  // =============================================================================
+  // Startup Check Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing SQLiteAdapter startup check\n');
+  
+  await test('SQLiteAdapter applies the baseline migration on initialize', async () => {
+    const freshPath = path.join(testDir, 'fresh.db');
+    const adapter = new SQLiteAdapter({ dbPath: freshPath });
+    assert(await adapter.initialize(), 'Should initialize');
+    const status = adapter.migrator.status();
+    assert(status.currentVersion >= 1 && status.pending === 0, 'Schema should be up to date');
+    assert(await adapter.createUser('Schema', { id: 'u1', username: 'Schema' }), 'Should create user');
+    await adapter.close();
+  });
+  
+  await test('SQLiteAdapter adopts a database created before migrations', async () => {
+    const legacyPath = path.join(testDir, 'legacy.db');
+    const db = new Database(legacyPath);
+    require(path.join(Migrator.DEFAULT_MIGRATIONS_DIR, '001_create_users_and_players.js')).up(db);
+    db.prepare("INSERT INTO users (username, id, data) VALUES ('old', 'old-id', '{}')").run();
+    db.close();
+    
+    const adapter = new SQLiteAdapter({ dbPath: legacyPath });
+    assert(await adapter.initialize(), 'Should initialize');
+    assert(await adapter.getUser('Old'), 'Existing data should be kept');
+    await adapter.close();
+  });
+  
+  await test('SQLiteAdapter refuses a schema newer than the code', async () => {
+    const db = new Database(dbPath);
+    db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)').run(99, 'from_the_future', Date.now());
+    db.close();
+    
+    const adapter = new SQLiteAdapter({ dbPath, migrationsDir });
+    const originalError = console.error;
+    console.error = () => {};
+    const ok = await adapter.initialize();
+    console.error = originalError;
+    assert(!ok, 'Should refuse to initialize');
+    assert(!adapter.isConnected, 'Should not be connected');
+    
+    const db2 = new Database(dbPath);
+    const migrate = new Migrator(db2, { migrationsDir }).migrate();
+    db2.close();
+    assert(!migrate.success, 'migrate should also refuse');
+  });
+  
+  await test('SQLiteAdapter with autoMigrate=false refuses pending migrations', async () => {
+    const pendingPath = path.join(testDir, 'pending.db');
+    const adapter = new SQLiteAdapter({ dbPath: pendingPath, migrationsDir, autoMigrate: false });
+    const originalError = console.error;
+    console.error = () => {};
+    const ok = await adapter.initialize();
+    console.error = originalError;
+    assert(!ok, 'Should refuse to initialize with pending migrations');
+  });
+  
+  // =============================================================================
+  // CLI Tests
+  // =============================================================================
+  
+  console.log('\n📝 Testing db-schema CLI\n');
+  
+  await test('CLI migrate, status and rollback work against a database file', async () => {
+    const cliPath = path.join(testDir, 'cli.db');
+    const originalLog = console.log;
+    console.log = () => {};
+    let migrate, rollback, status;
+    try {
+      migrate = runSchemaCommand('migrate', { dbPath: cliPath, migrationsDir });
+      status = runSchemaCommand('status', { dbPath: cliPath, migrationsDir });
+      rollback = runSchemaCommand('rollback', { dbPath: cliPath, migrationsDir, steps: 2 });
+    } finally {
+      console.log = originalLog;
+    }
+    assert(migrate.success && migrate.version === 3, 'migrate should reach version 3');
+    assert(status.success, 'status should succeed');
+    assert(rollback.success && rollback.version === 1, 'rollback should return to version 1');
+  });
+  
+  cleanup();
+  
+  // =============================================================================
+  // Summary
+  // =============================================================================
+  
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+  
+  if (failed > 0) {
+    console.log('\n⚠️  Some tests failed. Please review the failures above.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All schema migration tests passed!');
+    process.exit(0);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
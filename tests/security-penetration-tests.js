@@ -513,7 +513,7 @@ test('Input: UUID validation works correctly', () => {
 });
 
 test('Input: Channel validation whitelist', () => {
-  const validChannels = ['global', 'local', 'guild', 'party', 'whisper'];
+  const validChannels = ['global', 'local', 'trade', 'guild', 'party', 'whisper', 'room:wizards'];
   const invalidChannels = ['admin', 'system', 'broadcast', 'all', 'test'];
   
   validChannels.forEach(channel => {
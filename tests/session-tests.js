@@ -0,0 +1,216 @@
+/**
+ * Session Tests
+ * Tests for persistent multi-device sessions and the session limit
+ */
+
+const path = require('path');
+const fs = require('fs');
+const SessionStore = require('../server/auth/SessionStore');
+const AuthManager = require('../server/auth/AuthManager');
+
+console.log('🔑 Session Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'session-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+function createAuthManager(name, options = {}) {
+  const dataDir = path.join(testDataDir, name);
+  fs.mkdirSync(dataDir, { recursive: true });
+  return new AuthManager({
+    dataFile: path.join(dataDir, 'users.json'),
+    sessionsFile: path.join(dataDir, 'sessions.json'),
+    ...options
+  });
+}
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Session Store Tests
+  // =============================================================================
+
+  console.log('📝 Testing session store\n');
+
+  await test('Sessions survive a restart without storing the token', async () => {
+    const dataFile = path.join(testDataDir, 'store', 'sessions.json');
+    const store = new SessionStore({ dataFile });
+    const { token, session } = store.create('p1', 'alice', { deviceLabel: 'Laptop', ip: '10.0.0.1', userAgent: 'Firefox' });
+    store.flush();
+
+    const contents = fs.readFileSync(dataFile, 'utf8');
+    assert(!contents.includes(token), 'Raw token should not be written to disk');
+
+    const reloaded = new SessionStore({ dataFile });
+    const restored = reloaded.get(token);
+    assert(restored && restored.id === session.id, 'Token should still be valid after reload');
+    assert(restored.deviceLabel === 'Laptop' && restored.ip === '10.0.0.1' && restored.userAgent === 'Firefox', 'Device details should be kept');
+  });
+
+  await test('Expired sessions are rejected and dropped', async () => {
+    const dataFile = path.join(testDataDir, 'expired', 'sessions.json');
+    const store = new SessionStore({ dataFile, ttlMs: 1 });
+    const { token } = store.create('p1', 'alice');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert(store.get(token) === null, 'Expired token should be rejected');
+    assert(store.listForPlayer('p1').length === 0, 'Expired session should not be listed');
+  });
+
+  await test('Touch records last-seen time, IP and user agent', async () => {
+    const store = new SessionStore({ dataFile: path.join(testDataDir, 'touch', 'sessions.json') });
+    const { token } = store.create('p1', 'alice', { ip: '10.0.0.1' });
+    const session = store.get(token);
+    session.lastSeenAt -= 5 * 60 * 1000;
+    const before = session.lastSeenAt;
+
+    assert(store.touch(token, { ip: '10.0.0.2', userAgent: 'Chrome' }), 'Touch should succeed');
+    assert(session.lastSeenAt > before, 'Last seen should move forward');
+    assert(session.ip === '10.0.0.2' && session.userAgent === 'Chrome', 'IP and user agent should be refreshed');
+    assert(!store.touch('unknown'), 'Unknown tokens cannot be touched');
+  });
+
+  await test('Device labels and user agents are trimmed to size', async () => {
+    const store = new SessionStore({ dataFile: path.join(testDataDir, 'clip', 'sessions.json') });
+    const { session } = store.create('p1', 'alice', { deviceLabel: 'x'.repeat(200), userAgent: 'y'.repeat(1000) });
+    assert(session.deviceLabel.length === 64, 'Device label should be capped');
+    assert(session.userAgent.length === 256, 'User agent should be capped');
+  });
+
+  // =============================================================================
+  // AuthManager Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing sessions in AuthManager\n');
+
+  await test('Login creates a session carrying the device details', async () => {
+    const auth = createAuthManager('login');
+    const registered = await auth.register('sessionuser', 'Password123!', null, { deviceLabel: 'Phone' });
+    assert(registered.success && registered.sessionId, 'Registration should open a session');
+
+    const result = await auth.login('sessionuser', 'Password123!', { deviceLabel: 'Desktop', ip: '10.0.0.9', userAgent: 'Safari' });
+    assert(result.success && result.sessionId, 'Login should open a session');
+
+    const validated = auth.validateToken(result.token);
+    assert(validated.success && validated.sessionId === result.sessionId, 'Token should resolve to the session');
+
+    const sessions = auth.getSessions(result.playerId);
+    assert(sessions.length === 2, 'Both devices should be signed in');
+    const desktop = sessions.find(session => session.id === result.sessionId);
+    assert(desktop.deviceLabel === 'Desktop' && desktop.ip === '10.0.0.9' && desktop.userAgent === 'Safari', 'Session should list device details');
+    assert(!('tokenHash' in desktop) && !('token' in desktop), 'Listed sessions should not expose tokens');
+  });
+
+  await test('Session limit evicts the least recently seen session', async () => {
+    const auth = createAuthManager('limit', { sessionLimit: 2 });
+    const revoked = [];
+    auth.setSessionRevokedCallback((session, reason) => revoked.push({ id: session.id, reason }));
+
+    const first = auth.generateToken('p1', 'alice', { deviceLabel: 'One' });
+    const second = auth.generateToken('p1', 'alice', { deviceLabel: 'Two' });
+    auth.sessions.get(second.token).lastSeenAt -= 1000;
+    auth.sessions.get(first.token).lastSeenAt += 1000;
+    const third = auth.generateToken('p1', 'alice', { deviceLabel: 'Three' });
+
+    assert(auth.validateToken(first.token).success, 'Recently used session should stay');
+    assert(!auth.validateToken(second.token).success, 'Least recently seen session should be evicted');
+    assert(auth.validateToken(third.token).success, 'New session should be valid');
+    assert(revoked.length === 1 && revoked[0].id === second.sessionId, 'Eviction should be reported');
+  });
+
+  await test('Session limit is read from SESSION_LIMIT', async () => {
+    const previous = process.env.SESSION_LIMIT;
+    process.env.SESSION_LIMIT = '1';
+    try {
+      const auth = createAuthManager('env');
+      const first = auth.generateToken('p1', 'alice');
+      auth.generateToken('p1', 'alice');
+      assert(auth.sessionLimit === 1, 'Limit should come from the environment');
+      assert(!auth.validateToken(first.token).success, 'A single session should be kept');
+    } finally {
+      if (previous === undefined) {
+        delete process.env.SESSION_LIMIT;
+      } else {
+        process.env.SESSION_LIMIT = previous;
+      }
+    }
+  });
+
+  await test('Players can only revoke their own sessions', async () => {
+    const auth = createAuthManager('revoke');
+    const alice = auth.generateToken('p1', 'alice');
+    const bob = auth.generateToken('p2', 'bob');
+
+    assert(!auth.revokeSession('p1', bob.sessionId).success, 'Revoking another player\'s session should fail');
+    assert(auth.validateToken(bob.token).success, 'Bob should still be signed in');
+
+    assert(auth.revokeSession('p1', alice.sessionId).success, 'Revoking your own session should succeed');
+    assert(!auth.validateToken(alice.token).success, 'Revoked token should be rejected');
+  });
+
+  await test('Revoke others keeps the current session', async () => {
+    const auth = createAuthManager('others');
+    const current = auth.generateToken('p1', 'alice');
+    const other = auth.generateToken('p1', 'alice');
+
+    const result = auth.revokeOtherSessions('p1', current.sessionId);
+    assert(result.revoked === 1, 'One other session should be revoked');
+    assert(auth.validateToken(current.token).success && !auth.validateToken(other.token).success, 'Only the other session should go');
+
+    assert(auth.revokeAllTokensForPlayer('p1') === 1, 'Revoke all should remove the rest');
+    assert(auth.getSessions('p1').length === 0, 'No sessions should remain');
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,394 @@
+/**
+ * Transfer Service Tests
+ * Tests for the transfer ledger and transactional trades and auctions
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { JsonFileAdapter, SQLiteAdapter } = require('../server/database');
+const TransferService = require('../server/game/TransferService');
+const TradeManager = require('../server/game/TradeManager');
+const AuctionManager = require('../server/game/AuctionManager');
+
+console.log('🔁 Transfer Service Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'transfer-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+// Minimal in-memory player manager
+function createPlayers(players) {
+  const byId = new Map(players.map(player => [player.id, { inventory: [], shillings: 0, pennies: 0, ...player }]));
+  return {
+    getPlayer: id => byId.get(id),
+    updatePlayer: (id, updates) => {
+      Object.assign(byId.get(id), updates);
+      return true;
+    }
+  };
+}
+
+function totalPennies(player) {
+  return (player.shillings * 12) + player.pennies;
+}
+
+async function createAdapter(type, name) {
+  const dataDir = path.join(testDataDir, name);
+  const adapter = type === 'sqlite' ? new SQLiteAdapter({ dataDir }) : new JsonFileAdapter({ dataDir });
+  await adapter.initialize();
+  return adapter;
+}
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Ledger Tests
+  // =============================================================================
+
+  for (const type of ['json', 'sqlite']) {
+    console.log(`📝 Testing ${type} transfer ledger\n`);
+
+    await test(`${type}: records, finishes and queries transfers`, async () => {
+      const adapter = await createAdapter(type, `ledger-${type}`);
+      const changes = [
+        { playerId: 'alice', pennies: -5, addItems: [], removeItems: ['orb'] },
+        { playerId: 'bob', pennies: 5, addItems: ['orb'], removeItems: [] }
+      ];
+
+      assert(await adapter.beginTransfer({ id: 't1', type: 'trade', reference: 'trade-1', changes, createdAt: 1 }));
+      assert(await adapter.beginTransfer({ id: 't2', type: 'trade', reference: 'trade-2', changes: [changes[0]], createdAt: 2 }));
+
+      let pending = await adapter.getPendingTransfers();
+      assert(pending.length === 2, 'Both transfers should be pending');
+      assert(pending[0].changes.length === 2, 'Changes should be stored with the transfer');
+
+      await adapter.finishTransfer('t1', 'committed');
+      await adapter.finishTransfer('t2', 'failed', 'Insufficient currency');
+      pending = await adapter.getPendingTransfers();
+      assert(pending.length === 0, 'No transfers should be pending');
+
+      const failedTransfer = await adapter.getTransfer('t2');
+      assert(failedTransfer.status === 'failed' && failedTransfer.error === 'Insufficient currency', 'Failure should be recorded');
+
+      const bobTransfers = await adapter.getTransfers({ playerId: 'bob' });
+      assert(bobTransfers.length === 1 && bobTransfers[0].id === 't1', 'Should filter by player');
+
+      const byReference = await adapter.getTransfers({ reference: 'trade-2' });
+      assert(byReference.length === 1 && byReference[0].id === 't2', 'Should filter by reference');
+
+      await adapter.close();
+    });
+  }
+
+  await test('json: ignores a torn last journal line', async () => {
+    const adapter = await createAdapter('json', 'ledger-json');
+    fs.appendFileSync(path.join(adapter.transfersDir, 'journal.jsonl'), '{"id":"t3","status":"pen');
+
+    const reopened = await createAdapter('json', 'ledger-json');
+    const transfers = await reopened.getTransfers({});
+    assert(transfers.length === 2, 'Torn entry should be skipped');
+  });
+
+  // =============================================================================
+  // TransferService Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing TransferService\n');
+
+  await test('Moves items and currency between players in one transfer', async () => {
+    const playerManager = createPlayers([
+      { id: 'alice', inventory: ['orb'], shillings: 1 },
+      { id: 'bob', pennies: 6 }
+    ]);
+    const adapter = await createAdapter('sqlite', 'service-move');
+    const service = new TransferService(playerManager, { database: adapter });
+
+    const result = await service.transfer({
+      type: 'trade',
+      reference: 'trade-1',
+      changes: [
+        { playerId: 'alice', pennies: 6, removeItems: ['orb'] },
+        { playerId: 'bob', pennies: -6, addItems: ['orb'] }
+      ]
+    });
+
+    assert(result.success, result.message);
+    const alice = playerManager.getPlayer('alice');
+    const bob = playerManager.getPlayer('bob');
+    assert(alice.inventory.length === 0 && totalPennies(alice) === 18, 'Alice should have sold the orb');
+    assert(bob.inventory[0] === 'orb' && totalPennies(bob) === 0, 'Bob should have bought the orb');
+
+    const transfer = await adapter.getTransfer(result.transferId);
+    assert(transfer.status === 'committed', 'Transfer should be committed');
+
+    await adapter.close();
+  });
+
+  await test('Leaves every player untouched when one side cannot pay', async () => {
+    const playerManager = createPlayers([
+      { id: 'alice', inventory: ['orb'] },
+      { id: 'bob', pennies: 3 }
+    ]);
+    const adapter = await createAdapter('json', 'service-reject');
+    const service = new TransferService(playerManager, { database: adapter });
+
+    const result = await service.transfer({
+      type: 'trade',
+      changes: [
+        { playerId: 'alice', pennies: 6, removeItems: ['orb'] },
+        { playerId: 'bob', pennies: -6, addItems: ['orb'] }
+      ]
+    });
+
+    assert(!result.success && result.message === 'Insufficient currency', 'Transfer should be rejected');
+    assert(playerManager.getPlayer('alice').inventory[0] === 'orb', 'Alice should keep the orb');
+    assert(totalPennies(playerManager.getPlayer('bob')) === 3, 'Bob should keep his pennies');
+  });
+
+  await test('Replays pending transfers once on recovery', async () => {
+    const playerManager = createPlayers([
+      { id: 'alice', pennies: 10 },
+      { id: 'bob' }
+    ]);
+    const adapter = await createAdapter('sqlite', 'service-recover');
+    const changes = [
+      { playerId: 'alice', pennies: -4, addItems: [], removeItems: [] },
+      { playerId: 'bob', pennies: 4, addItems: [], removeItems: [] }
+    ];
+    await adapter.beginTransfer({ id: 'crashed', type: 'trade', reference: null, changes, createdAt: Date.now() });
+
+    // Alice was already saved before the crash
+    playerManager.updatePlayer('alice', { pennies: 6, appliedTransfers: ['crashed'] });
+
+    const service = new TransferService(playerManager, { database: adapter });
+    const result = await service.recover();
+
+    assert(result.replayed === 1, 'Pending transfer should be replayed');
+    assert(totalPennies(playerManager.getPlayer('alice')) === 6, 'Alice should not be charged twice');
+    assert(totalPennies(playerManager.getPlayer('bob')) === 4, 'Bob should receive the pennies');
+    assert((await adapter.getTransfer('crashed')).status === 'committed', 'Transfer should be committed');
+
+    await adapter.close();
+  });
+
+  await test('Fails pending transfers that no longer validate instead of clamping', async () => {
+    const playerManager = createPlayers([
+      { id: 'alice', pennies: 2 },
+      { id: 'bob' }
+    ]);
+    const adapter = await createAdapter('json', 'service-recover-invalid');
+    const changes = [
+      { playerId: 'alice', pennies: -4, addItems: [], removeItems: [] },
+      { playerId: 'bob', pennies: 4, addItems: [], removeItems: [] }
+    ];
+    // Alice spent her pennies between beginTransfer and the crash
+    await adapter.beginTransfer({ id: 'stale', type: 'trade', reference: null, changes, createdAt: Date.now() });
+
+    const service = new TransferService(playerManager, { database: adapter });
+    const result = await service.recover();
+
+    assert(result.replayed === 0 && result.failed === 1, 'Stale transfer should fail');
+    assert(totalPennies(playerManager.getPlayer('alice')) === 2, 'Alice should keep her pennies');
+    assert(totalPennies(playerManager.getPlayer('bob')) === 0, 'Bob should not be credited');
+    const stored = await adapter.getTransfer('stale');
+    assert(stored.status === 'failed' && stored.error.includes('Insufficient currency'), 'Transfer should be marked failed');
+
+    await adapter.close();
+  });
+
+  // =============================================================================
+  // Trade and Auction Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing trades and auctions\n');
+
+  await test('Executes a confirmed trade through the ledger', async () => {
+    const playerManager = createPlayers([
+      { id: 'alice', inventory: ['orb'] },
+      { id: 'bob', shillings: 1 }
+    ]);
+    const adapter = await createAdapter('sqlite', 'trade-execute');
+    const manager = new TradeManager(playerManager, { database: adapter });
+
+    const { tradeId } = manager.proposeTrade('alice', 'bob', { items: ['orb'], currency: 0 });
+    manager.updateOffer('bob', tradeId, { items: [], currency: 12 });
+    await manager.confirmTrade('alice', tradeId);
+    const result = await manager.confirmTrade('bob', tradeId);
+
+    assert(result.success, result.message);
+    assert(playerManager.getPlayer('bob').inventory[0] === 'orb', 'Bob should receive the orb');
+    assert(totalPennies(playerManager.getPlayer('alice')) === 12, 'Alice should receive the shilling');
+
+    const [transfer] = await adapter.getTransfers({ reference: tradeId });
+    assert(transfer.status === 'committed' && result.trade.transferId === transfer.id, 'Trade should link its transfer');
+
+    await adapter.close();
+  });
+
+  await test('Settles a trade interrupted while executing', async () => {
+    const playerManager = createPlayers([{ id: 'alice' }, { id: 'bob' }]);
+    const adapter = await createAdapter('json', 'trade-interrupted');
+
+    await adapter.saveTrade({ id: 'done', fromPlayerId: 'alice', toPlayerId: 'bob', status: 'executing', createdAt: 1 });
+    await adapter.saveTrade({ id: 'lost', fromPlayerId: 'alice', toPlayerId: 'bob', status: 'executing', createdAt: 2 });
+    await adapter.beginTransfer({
+      id: 'done-transfer',
+      type: 'trade',
+      reference: 'done',
+      changes: [{ playerId: 'alice', pennies: 0, addItems: ['orb'], removeItems: [] }],
+      createdAt: 1
+    });
+    await adapter.finishTransfer('done-transfer', 'committed');
+
+    const manager = new TradeManager(playerManager, { database: adapter });
+    await manager.initialize();
+
+    assert(manager.activeTrades.size === 0, 'Interrupted trades should not stay active');
+    assert((await adapter.getTrade('done')).status === 'completed', 'Trade with a committed transfer should complete');
+    assert((await adapter.getTrade('lost')).status === 'failed', 'Trade without a transfer should fail');
+  });
+
+  await test('Escrows, refunds outbid bidders and pays out an auction', async () => {
+    const playerManager = createPlayers([
+      { id: 'seller', inventory: ['orb'] },
+      { id: 'first', pennies: 10 },
+      { id: 'second', shillings: 2 }
+    ]);
+    const adapter = await createAdapter('sqlite', 'auction-flow');
+    const manager = new AuctionManager(playerManager, { database: adapter, autoStart: false });
+
+    const { auction } = await manager.createAuction('seller', { type: 'item', id: 'orb' }, 5, 10 * 60 * 1000);
+    assert(auction.status === 'active' && auction.escrowTransferId, 'Auction should hold the item in escrow');
+    assert(playerManager.getPlayer('seller').inventory.length === 0, 'Item should leave the seller');
+
+    await manager.placeBid('first', auction.id, 8);
+    assert(totalPennies(playerManager.getPlayer('first')) === 2, 'First bid should be held');
+
+    await manager.placeBid('second', auction.id, 20);
+    assert(totalPennies(playerManager.getPlayer('first')) === 10, 'Outbid bidder should be refunded');
+    assert(totalPennies(playerManager.getPlayer('second')) === 4, 'Second bid should be held');
+
+    const result = await manager.closeAuction(auction.id);
+    assert(result.success && result.auction.winnerId === 'second', 'Highest bidder should win');
+    assert(playerManager.getPlayer('second').inventory[0] === 'orb', 'Winner should receive the item');
+    assert(totalPennies(playerManager.getPlayer('seller')) === 20, 'Seller should receive the winning bid');
+
+    await adapter.close();
+  });
+
+  await test('Charges only the difference when the highest bidder raises their bid', async () => {
+    const playerManager = createPlayers([
+      { id: 'seller', inventory: ['orb'] },
+      { id: 'bidder', pennies: 30 }
+    ]);
+    const adapter = await createAdapter('json', 'auction-raise');
+    const manager = new AuctionManager(playerManager, { database: adapter, autoStart: false });
+    const { auction } = await manager.createAuction('seller', { type: 'item', id: 'orb' }, 5, 10 * 60 * 1000);
+
+    await manager.placeBid('bidder', auction.id, 10);
+    const raised = await manager.placeBid('bidder', auction.id, 25);
+    assert(raised.success, raised.message);
+    assert(totalPennies(playerManager.getPlayer('bidder')) === 5, 'Only 25 pennies in total should be held');
+    assert(!(await manager.placeBid('bidder', auction.id, 31)).success, 'Raises beyond what the bidder has should fail');
+
+    await manager.closeAuction(auction.id);
+    assert(totalPennies(playerManager.getPlayer('seller')) === 25, 'Seller should receive the winning bid');
+    assert(totalPennies(playerManager.getPlayer('bidder')) === 5, 'Nothing more should be charged at the close');
+
+    await adapter.close();
+  });
+
+  await test('Recovers bids and payouts of an interrupted auction', async () => {
+    const playerManager = createPlayers([
+      { id: 'seller', inventory: ['orb'] },
+      { id: 'bidder', pennies: 10 }
+    ]);
+    const adapter = await createAdapter('json', 'auction-recover');
+    const manager = new AuctionManager(playerManager, { database: adapter, autoStart: false });
+    const { auction } = await manager.createAuction('seller', { type: 'item', id: 'orb' }, 5, 10 * 60 * 1000);
+
+    // The bid's transfer committed but the auction record was never updated
+    const bid = { bidderId: 'bidder', bidderUsername: 'Bidder', amount: 6, timestamp: Date.now() };
+    await manager.transferService.transfer({
+      type: 'auction_bid',
+      reference: auction.id,
+      details: { bid },
+      changes: [{ playerId: 'bidder', pennies: -6 }]
+    });
+
+    const reloaded = new AuctionManager(playerManager, { database: adapter, autoStart: false });
+    await reloaded.initialize();
+    const recovered = reloaded.getAuction(auction.id);
+    assert(recovered.highestBidderId === 'bidder' && recovered.currentBid === 6, 'Committed bid should be applied');
+    assert(recovered.bids.length === 1, 'Bid should be recorded once');
+
+    // Payout committed but the server stopped before the auction moved to history
+    const outcome = { status: 'completed', winnerId: 'bidder', winnerUsername: 'Bidder' };
+    await reloaded.transferService.transfer({
+      type: 'auction_settle',
+      reference: auction.id,
+      details: { outcome },
+      changes: [{ playerId: 'bidder', addItems: ['orb'] }, { playerId: 'seller', pennies: 6 }]
+    });
+    await adapter.saveAuction({ ...recovered, status: 'closing' });
+
+    const restarted = new AuctionManager(playerManager, { database: adapter, autoStart: false });
+    await restarted.initialize();
+    assert(!restarted.getAuction(auction.id), 'Settled auction should not be active');
+    const [closed] = await adapter.getAuctionHistory({ playerId: 'seller' });
+    assert(closed.status === 'completed' && closed.winnerId === 'bidder', 'Settlement outcome should be applied');
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
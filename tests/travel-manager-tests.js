@@ -0,0 +1,252 @@
+/**
+ * Travel Manager Test Suite
+ * Tests server-validated travel, arrival timing, en-route encounters and restart persistence
+ */
+
+const TravelManager = require('../server/game/TravelManager');
+const GameManager = require('../server/game/GameManager');
+const PlayerManager = require('../server/game/PlayerManager');
+const LocationManager = require('../server/game/LocationManager');
+
+// Test utilities
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected} but got ${actual}`);
+  }
+}
+
+// Deterministic random source
+const alwaysZero = () => 0;
+const neverEncounter = () => 0.99;
+
+// Test suite
+class TravelManagerTests {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAll() {
+    console.log('🧭 Travel Manager Test Suite\n');
+
+    // Register tests
+    this.registerTests();
+
+    // Run tests
+    for (const test of this.tests) {
+      try {
+        // Fresh managers for each test
+        this.playerManager = new PlayerManager({ autoLoad: false });
+        this.locationManager = new LocationManager();
+        this.travelManager = new TravelManager(this.playerManager, this.locationManager, { autoStart: false });
+
+        await test.fn.call(this);
+        console.log(`✅ PASS: ${test.name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${this.tests.length}`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log('='.repeat(50));
+
+    if (this.failed === 0) {
+      console.log('\n🎉 All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n❌ ${this.failed} test(s) failed`);
+      process.exit(1);
+    }
+  }
+
+  registerTests() {
+    this.addTest('Starts travel and charges energy', this.testStartTravel);
+    this.addTest('Checks travel method level requirements', this.testMethodLevel);
+    this.addTest('Arrives only when travel time has passed', this.testArrival);
+    this.addTest('Resolves encounters on the server', this.testEncounters);
+    this.addTest('Portals arrive instantly', this.testPortal);
+    this.addTest('Cancels travel without moving', this.testCancelTravel);
+    this.addTest('Blocks actions while traveling', this.testActionsBlocked);
+    this.addTest('Keeps journeys across a restart', this.testRestartPersistence);
+    this.addTest('Takes the last place on arrival and turns the next traveler back', this.testFullDestination);
+  }
+
+  addTest(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  createTraveler(playerId) {
+    return this.playerManager.createPlayer(playerId, playerId);
+  }
+
+  // Test: Start travel
+  testStartTravel() {
+    const player = this.createTraveler('travel-player-1');
+
+    const result = this.travelManager.startTravel(player.id, 'home', 'walking', neverEncounter);
+
+    assert(result.success === true, 'Travel should start');
+    assertEqual(result.quote.distance, 2, 'Distance should come from location coordinates');
+    assertEqual(player.energy, 96, 'Energy should be charged up front');
+    assertEqual(player.location, 'town-square', 'Player should not move before arriving');
+    assert(player.travel.arrivesAt > Date.now(), 'Arrival should be in the future');
+
+    const again = this.travelManager.startTravel(player.id, 'hospital');
+    assert(again.success === false, 'Cannot start a second journey');
+  }
+
+  // Test: Method level
+  testMethodLevel() {
+    const player = this.createTraveler('travel-player-2');
+
+    const result = this.travelManager.startTravel(player.id, 'home', 'mount');
+
+    assert(result.success === false, 'Mount should require a higher level');
+    assert(result.message.includes('level'), 'Error message should mention the level');
+    assertEqual(player.travel, null, 'No journey should be recorded');
+  }
+
+  // Test: Arrival
+  testArrival() {
+    const player = this.createTraveler('travel-player-3');
+    const { travel } = this.travelManager.startTravel(player.id, 'home', 'walking', neverEncounter);
+
+    const early = this.travelManager.processTravel(travel.arrivesAt - 1);
+    assertEqual(early.length, 0, 'Player should not arrive early');
+    assertEqual(player.location, 'town-square', 'Player should still be at the origin');
+
+    const notifications = this.travelManager.processTravel(travel.arrivesAt);
+    assertEqual(notifications.length, 1, 'Player should arrive');
+    assertEqual(notifications[0].type, 'travel_arrived', 'Notification type should be travel_arrived');
+    assertEqual(notifications[0].from, 'town-square', 'Origin should be reported');
+    assertEqual(player.location, 'home', 'Player should be at the destination');
+    assertEqual(player.travel, null, 'Journey should be cleared');
+  }
+
+  // Test: Encounters
+  testEncounters() {
+    const player = this.createTraveler('travel-player-4');
+    const { travel } = this.travelManager.startTravel(player.id, 'fair-alley', 'walking', alwaysZero);
+
+    assertEqual(travel.encounters.length, 3, 'Encounters should be scheduled along the way');
+    assertEqual(travel.encounters[0].type, 'monster', 'Encounter type should be rolled on the server');
+
+    const notifications = this.travelManager.processTravel(travel.encounters[0].at, alwaysZero);
+    assertEqual(notifications.length, 1, 'First encounter should resolve');
+    assertEqual(notifications[0].type, 'travel_encounter', 'Notification type should be travel_encounter');
+    assertEqual(player.health, 95, 'Monster damage should be applied');
+    assertEqual(player.xp, 15, 'Monster XP should be granted');
+
+    const repeat = this.travelManager.processTravel(travel.encounters[0].at, alwaysZero);
+    assertEqual(repeat.length, 0, 'Encounters should only resolve once');
+  }
+
+  // Test: Portal
+  testPortal() {
+    const player = this.createTraveler('travel-player-5');
+    player.level = 10;
+    const pennyTotal = (player.shillings * 12) + player.pennies;
+
+    const result = this.travelManager.startTravel(player.id, 'tavern', 'portal');
+
+    assert(result.success === true, 'Portal travel should succeed');
+    assert(result.arrival !== undefined, 'Portal travel should arrive immediately');
+    assertEqual(player.location, 'tavern', 'Player should be at the destination');
+    assertEqual((player.shillings * 12) + player.pennies, pennyTotal - 200, 'Portal cost should be charged');
+  }
+
+  // Test: Cancel
+  testCancelTravel() {
+    const player = this.createTraveler('travel-player-6');
+    const { travel } = this.travelManager.startTravel(player.id, 'home', 'walking', neverEncounter);
+
+    const result = this.travelManager.cancelTravel(player.id);
+
+    assert(result.success === true, 'Cancel should succeed');
+    assertEqual(player.travel, null, 'Journey should be cleared');
+    assertEqual(this.travelManager.processTravel(travel.arrivesAt).length, 0, 'Cancelled journey should not arrive');
+    assertEqual(player.location, 'town-square', 'Player should stay at the origin');
+    assertEqual(player.energy, 96, 'Energy should not be refunded');
+  }
+
+  // Test: Actions blocked
+  testActionsBlocked() {
+    const player = this.createTraveler('travel-player-7');
+    const gameManager = new GameManager(this.playerManager, this.locationManager, null, {
+      travelManager: this.travelManager
+    });
+    this.travelManager.startTravel(player.id, 'home', 'walking', neverEncounter);
+
+    const result = gameManager.processAction(player.id, 'gather_resources', { location: 'forest' });
+
+    assert(result.success === false, 'Actions should be blocked while traveling');
+    assert(result.message.includes('traveling'), 'Error message should mention traveling');
+  }
+
+  // Test: Restart persistence
+  testRestartPersistence() {
+    const player = this.createTraveler('travel-player-8');
+    const { travel } = this.travelManager.startTravel(player.id, 'home', 'walking', neverEncounter);
+
+    // Server restarts: player records are reloaded from disk
+    this.playerManager.removePlayer(player.id);
+    const restartedPlayers = new PlayerManager({ autoLoad: false });
+    restartedPlayers.getPlayer(player.id);
+    const restartedTravel = new TravelManager(restartedPlayers, new LocationManager(), { autoStart: false });
+
+    const notifications = restartedTravel.processTravel(travel.arrivesAt);
+    assertEqual(notifications.length, 1, 'Journey should still arrive after a restart');
+    assertEqual(restartedPlayers.getPlayer(player.id).location, 'home', 'Player should be at the destination');
+  }
+
+  // Test: Two travelers arriving together at a location with one place left
+  testFullDestination() {
+    for (let i = 0; i < 29; i++) {
+      this.locationManager.placePlayer(`student-${i}`, 'education');
+    }
+    const [first, second] = ['travel-player-9', 'travel-player-10'].map(playerId => {
+      const player = this.createTraveler(playerId);
+      player.level = 5;
+      this.locationManager.placePlayer(playerId, 'town-square');
+      return player;
+    });
+    const pennyTotal = (second.shillings * 12) + second.pennies;
+
+    const journeys = [first, second].map(player => this.travelManager.startTravel(player.id, 'education', 'mount', neverEncounter).travel);
+    assert(journeys.every(Boolean), 'Both journeys should start while there is room');
+
+    const notifications = this.travelManager.processTravel(Math.max(...journeys.map(travel => travel.arrivesAt)));
+    assertEqual(notifications.length, 2, 'Both travelers should finish their journey');
+    assertEqual(notifications[0].destination, 'education', 'First traveler should arrive');
+    assertEqual(this.locationManager.getPlayerLocation(first.id), 'education', 'First traveler should hold the place');
+
+    assertEqual(notifications[1].destination, 'town-square', 'Second traveler should be turned back');
+    assert(notifications[1].message.includes('full'), 'Second traveler should be told why');
+    assertEqual(second.location, 'town-square', 'Second traveler should stay at the origin');
+    assertEqual(this.locationManager.getPlayerLocation(second.id), 'town-square', 'Second traveler should not take a place');
+    assertEqual((second.shillings * 12) + second.pennies, pennyTotal, 'Second traveler should get the fare back');
+  }
+}
+
+// Run tests
+const tests = new TravelManagerTests();
+tests.runAll().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
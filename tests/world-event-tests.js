@@ -0,0 +1,300 @@
+/**
+ * World Event Tests
+ * Tests for timed world events: the active-events registry, modifiers, ticks and end effects
+ */
+
+const path = require('path');
+const fs = require('fs');
+const EventDispatcher = require('../server/game/EventDispatcher');
+const LocationManager = require('../server/game/LocationManager');
+const GameManager = require('../server/game/GameManager');
+const JsonFileAdapter = require('../server/database/JsonFileAdapter');
+const { validateEventDefinition, loadEventDefinitions, combineModifiers } = require('../server/game/EventDefinitions');
+
+console.log('🌍 World Event Test Suite\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return (async () => {
+    try {
+      await fn();
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  })();
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const testDataDir = path.join('/tmp', 'world-event-test-data');
+
+function cleanup() {
+  fs.rmSync(testDataDir, { recursive: true, force: true });
+}
+
+// Minimal in-memory player manager
+function createPlayers(players) {
+  const byId = new Map(players.map(player => [player.id, {
+    level: 1, xp: 0, inventory: [], shillings: 0, pennies: 0, health: 100, maxHealth: 100,
+    energy: 100, maxEnergy: 100, mana: 100, maxMana: 100, location: 'town-square', inJail: false,
+    ...player
+  }]));
+  return {
+    getPlayer: id => byId.get(id),
+    getAllPlayers: () => Array.from(byId.values()),
+    updatePlayer: (id, updates) => {
+      Object.assign(byId.get(id), updates);
+      return true;
+    }
+  };
+}
+
+function createDispatcher(players) {
+  const playerManager = createPlayers(players);
+  const locationManager = new LocationManager();
+  players.forEach(player => locationManager.placePlayer(player.id, player.location || 'town-square'));
+  const dispatcher = new EventDispatcher(playerManager, locationManager, { dataDir: path.join(testDataDir, 'events') });
+  dispatcher.stopEventLoop();
+  const messages = [];
+  dispatcher.setHandlers(
+    message => messages.push({ scope: 'global', message }),
+    (locationId, message) => messages.push({ scope: locationId, message }),
+    (playerId, message) => messages.push({ scope: playerId, message })
+  );
+  return { dispatcher, playerManager, locationManager, messages };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+  cleanup();
+
+  // =============================================================================
+  // Definition Tests
+  // =============================================================================
+
+  console.log('📝 Testing definitions\n');
+
+  await test('Modifiers, ticks and end effects are validated', async () => {
+    const bad = validateEventDefinition({
+      name: 'Bad',
+      scope: 'global',
+      duration: 60000,
+      modifiers: { xpMultiplier: 100, godMode: 1, gatherYieldBonus: 1.5 },
+      tick: { intervalMs: 10, effects: [] },
+      endEffects: [{ op: 'add', stat: 'mana', amount: 5, temporary: true }]
+    });
+    assert(!bad.valid, 'Definition should be rejected');
+    for (const field of ['modifiers.xpMultiplier', 'modifiers.godMode', 'modifiers.gatherYieldBonus', 'tick.intervalMs', 'tick.effects']) {
+      assert(bad.errors.some(error => error.startsWith(field)), `${field} should be reported`);
+    }
+    assert(bad.errors.includes('Only start effects can be temporary'), 'Temporary end effects should be reported');
+
+    const timeless = validateEventDefinition({ name: 'Forever', scope: 'global', modifiers: { xpMultiplier: 2 } });
+    assert(!timeless.valid, 'Modifiers need a duration');
+  });
+
+  await test('Bundled timed events are valid', async () => {
+    const { events, errors } = loadEventDefinitions();
+    assert(errors.length === 0, `Bundled files should load: ${JSON.stringify(errors)}`);
+    const byId = new Map(events.map(event => [event.id, event]));
+    assert(byId.get('double-xp').modifiers.xpMultiplier === 2, 'Double XP should double XP');
+    assert(byId.get('double-xp').duration === 48 * 60 * 60 * 1000, 'Double XP should last a weekend');
+    assert(byId.get('market-crash').modifiers.priceMultiplier === 0.5, 'Market crash should halve prices');
+    assert(byId.get('plague').tick.effects.length === 1, 'Plague should drain health every tick');
+  });
+
+  await test('Modifier sets combine: multipliers multiply and bonuses add', async () => {
+    const combined = combineModifiers({ xpMultiplier: 2, gatherYieldBonus: 1 }, { xpMultiplier: 1.5, gatherYieldBonus: 2 }, null);
+    assert(combined.xpMultiplier === 3 && combined.gatherYieldBonus === 3, 'Modifiers should stack');
+    assert(combined.priceMultiplier === 1 && combined.energyCostMultiplier === 1, 'Unset modifiers should stay neutral');
+  });
+
+  // =============================================================================
+  // Registry Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing the active events registry\n');
+
+  await test('Timed events are announced, listed and end on time', async () => {
+    const { dispatcher, messages } = createDispatcher([{ id: 'alice' }]);
+    dispatcher.executeEvent({ id: 'double-xp', name: 'Double XP', scope: 'global', duration: 20, modifiers: { xpMultiplier: 2 } });
+
+    const active = dispatcher.getActiveEvents();
+    assert(active.length === 1 && active[0].eventId === 'double-xp' && active[0].modifiers.xpMultiplier === 2, 'Event should be active');
+    assert(messages.some(({ message }) => message.type === 'world_event_started' && message.activeEvent.id === active[0].id), 'Start should be broadcast');
+
+    await wait(30);
+    dispatcher.processEvents();
+    assert(dispatcher.getActiveEvents().length === 0, 'Event should end');
+    const ended = messages.find(({ message }) => message.type === 'world_event_ended');
+    assert(ended && ended.message.reason === 'expired', 'End should be broadcast');
+  });
+
+  await test('Modifiers only apply to players the event covers', async () => {
+    const { dispatcher, playerManager } = createDispatcher([
+      { id: 'alice', location: 'town-square', level: 5 },
+      { id: 'bob', location: 'tavern', level: 5 },
+      { id: 'carol', location: 'town-square', level: 1 }
+    ]);
+    dispatcher.executeEvent({ name: 'Square Fair', scope: 'location', locationId: 'town-square', target: { minLevel: 3 }, duration: 60000, modifiers: { gatherYieldBonus: 2 } });
+    dispatcher.executeEvent({ name: 'Double XP', scope: 'global', duration: 60000, modifiers: { xpMultiplier: 2 } });
+
+    const alice = dispatcher.getActiveModifiers(playerManager.getPlayer('alice'));
+    const bob = dispatcher.getActiveModifiers(playerManager.getPlayer('bob'));
+    const carol = dispatcher.getActiveModifiers(playerManager.getPlayer('carol'));
+    assert(alice.gatherYieldBonus === 2 && alice.xpMultiplier === 2, 'Alice should get both events');
+    assert(bob.gatherYieldBonus === 0 && bob.xpMultiplier === 2, 'Bob is elsewhere and only gets the global event');
+    assert(carol.gatherYieldBonus === 0, 'Carol is below the target level');
+    assert(dispatcher.getActiveEvents(playerManager.getPlayer('bob')).length === 1, 'Events can be listed per player');
+  });
+
+  await test('Ticks repeat while the event lasts and end effects run once at the end', async () => {
+    const { dispatcher, playerManager, messages } = createDispatcher([{ id: 'alice', health: 50 }]);
+    const active = dispatcher.startWorldEvent({
+      name: 'Plague',
+      scope: 'location',
+      locationId: 'town-square',
+      duration: 60000,
+      tick: { intervalMs: 5000, effects: [{ op: 'subtract', stat: 'health', amount: 5 }] },
+      endEffects: [{ op: 'grant_item', item: 'minor_health_potion' }]
+    });
+
+    dispatcher.processActiveEvents(active.startedAt + 4000);
+    assert(playerManager.getPlayer('alice').health === 50, 'No tick before the interval');
+    dispatcher.processActiveEvents(active.startedAt + 5000);
+    dispatcher.processActiveEvents(active.startedAt + 5001);
+    assert(playerManager.getPlayer('alice').health === 45, 'One tick per interval');
+    dispatcher.processActiveEvents(active.startedAt + 30000);
+    assert(playerManager.getPlayer('alice').health === 40, 'Missed ticks are not made up');
+
+    dispatcher.processActiveEvents(active.endsAt);
+    assert(playerManager.getPlayer('alice').inventory.join(',') === 'minor_health_potion', 'End effects should run once');
+    assert(playerManager.getPlayer('alice').health === 40, 'No tick at the end');
+    assert(messages.some(({ scope, message }) => scope === 'town-square' && message.type === 'world_event_ended'), 'End goes to the event location');
+  });
+
+  await test('Code events get start, tick and end hooks', async () => {
+    const { dispatcher } = createDispatcher([{ id: 'alice' }]);
+    const calls = [];
+    const active = dispatcher.startWorldEvent({
+      name: 'Hooks',
+      scope: 'global',
+      duration: 10000,
+      tick: { intervalMs: 5000 },
+      onTick: () => calls.push('tick'),
+      onEnd: () => calls.push('end')
+    });
+    dispatcher.processActiveEvents(active.startedAt + 5000);
+    dispatcher.processActiveEvents(active.endsAt);
+    assert(calls.join(',') === 'tick,end', `Hooks should run in order, got ${calls.join(',')}`);
+  });
+
+  await test('Admins can end events early, undoing temporary effects', async () => {
+    const { dispatcher, playerManager } = createDispatcher([{ id: 'alice', mana: 100 }]);
+    dispatcher.executeEvent({
+      name: 'Lunar Eclipse',
+      scope: 'global',
+      duration: 60000,
+      effects: [{ op: 'add', stat: 'maxMana', amount: 30, temporary: true }]
+    });
+    assert(playerManager.getPlayer('alice').maxMana === 130, 'Boost should apply');
+
+    const [active] = dispatcher.getActiveEvents();
+    assert(!dispatcher.endActiveEvent('nope').success, 'Unknown events cannot be ended');
+    assert(dispatcher.endActiveEvent(active.id).success, 'Event should end');
+    assert(playerManager.getPlayer('alice').maxMana === 100, 'Boost should be undone');
+    assert(dispatcher.getActiveEvents().length === 0, 'Registry should be empty');
+  });
+
+  await test('Active events resume after a restart and undo their changes if they ended meanwhile', async () => {
+    const playerManager = createPlayers([{ id: 'alice' }]);
+    const locationManager = new LocationManager();
+    locationManager.placePlayer('alice', 'town-square');
+    const eventsDir = path.join(testDataDir, 'restart');
+    const startServer = async () => {
+      const dispatcher = new EventDispatcher(playerManager, locationManager, { database: new JsonFileAdapter({ eventsDir }) });
+      dispatcher.stopEventLoop();
+      await dispatcher.initialize();
+      return dispatcher;
+    };
+
+    const before = await startServer();
+    before.executeEvent({ id: 'fair', name: 'Fair', scope: 'global', duration: 20, effects: [{ op: 'add', stat: 'maxEnergy', amount: 20, temporary: true }] });
+    before.executeEvent({ id: 'festival', name: 'Festival', scope: 'global', duration: 60000, modifiers: { xpMultiplier: 2 } });
+    assert(playerManager.getPlayer('alice').maxEnergy === 120, 'Fair boost should apply');
+
+    await wait(30);
+    const after = await startServer();
+    assert(playerManager.getPlayer('alice').maxEnergy === 100, 'Fair ended while down, so its boost should be undone');
+    const active = after.getActiveEvents();
+    assert(active.length === 1 && active[0].eventId === 'festival', 'Festival should resume');
+    assert(after.getActiveModifiers(playerManager.getPlayer('alice')).xpMultiplier === 2, 'Festival modifiers should apply again');
+
+    after.endActiveEvent(active[0].id);
+    assert((await startServer()).getActiveEvents().length === 0, 'Ended events should not come back');
+  });
+
+  // =============================================================================
+  // GameManager Tests
+  // =============================================================================
+
+  console.log('\n📝 Testing modifiers in GameManager\n');
+
+  await test('Action modifiers combine buffs with world events', async () => {
+    const { dispatcher, playerManager, locationManager } = createDispatcher([{ id: 'alice', xp: 0, energy: 100 }]);
+    const consumableManager = { getModifiers: () => ({ energyCostMultiplier: 0.5, gatherYieldBonus: 1, trainingBonus: 0 }) };
+    const gameManager = new GameManager(playerManager, locationManager, dispatcher, { consumableManager });
+    dispatcher.executeEvent({ name: 'Double XP', scope: 'global', duration: 60000, modifiers: { xpMultiplier: 2, gatherYieldBonus: 1 } });
+
+    const modifiers = gameManager.getActionModifiers(playerManager.getPlayer('alice'));
+    assert(modifiers.xpMultiplier === 2 && modifiers.gatherYieldBonus === 2 && modifiers.energyCostMultiplier === 0.5, 'Buffs and events should stack');
+
+    const realRandom = Math.random;
+    Math.random = () => 0;
+    try {
+      const result = gameManager.handleCommitCrime(playerManager.getPlayer('alice'), { crimeType: 'pickpocket' });
+      assert(result.data.crimeSuccess && result.data.xpGained === 10, 'Crime XP should be doubled');
+      assert(result.playerUpdates.xp === 10, 'Doubled XP should be granted');
+    } finally {
+      Math.random = realRandom;
+    }
+  });
+
+  cleanup();
+
+  // =============================================================================
+  // Summary
+  // =============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Test Summary');
+  console.log('='.repeat(50));
+  console.log(`Total Tests: ${passed + failed}`);
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed === 0) {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});